@@ -0,0 +1,85 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const path = require("path");
+const {
+  isCompoundFile,
+  parseWordDocument,
+  parseExcelWorkbook,
+  parsePresentation,
+  parseRtf,
+} = require("../../../utils/legacyOffice");
+
+const fixture = (name) =>
+  fs.readFileSync(path.resolve(__dirname, "fixtures", name));
+
+describe("legacy office parsers", () => {
+  it("extracts text, tables and properties from a Word 97 document", () => {
+    const buffer = fixture("sample.doc");
+    expect(isCompoundFile(buffer)).toBe(true);
+
+    const document = parseWordDocument(buffer);
+    expect(document.title).toBe("Quarterly Report");
+    expect(document.author).toBe("Jane Doe");
+    expect(document.pageCount).toBe(2);
+    expect(document.text).toBe(
+      [
+        "Quarterly Report",
+        "Revenue grew by 12% “year over year”.",
+        "Region | Sales",
+        "North | 120",
+        "South | 95",
+        "",
+        "See the website for details.",
+        "第二页：中文内容测试。",
+      ].join("\n")
+    );
+  });
+
+  it("reads every worksheet of an Excel 97 workbook and skips charts", () => {
+    const { sheets, sheetCount } = parseExcelWorkbook(fixture("sample.xls"));
+    expect(sheetCount).toBe(2);
+    expect(sheets.map((sheet) => sheet.name)).toEqual(["Summary", "数据"]);
+    expect(sheets[0].rows).toEqual([
+      ["Name", "Amount"],
+      ["Alice", "1234.5"],
+      ["Bob the builder", "42"],
+      ["合计", "1276.5"],
+      ["7", "1.5"],
+      ["done", "TRUE"],
+    ]);
+    expect(sheets[1]).toEqual({
+      name: "数据",
+      hidden: true,
+      rows: [["备注", "3.14159"]],
+    });
+  });
+
+  it("returns the slide titles and text of a PowerPoint 97 presentation in order", () => {
+    const { slides, slideCount } = parsePresentation(fixture("sample.ppt"));
+    expect(slideCount).toBe(2);
+    expect(slides).toEqual([
+      { title: "Welcome", text: ["First bullet\nSecond bullet"] },
+      { title: "中文标题", text: ["Free text box"] },
+    ]);
+  });
+
+  it("decodes RTF escapes, font codepages and document info", () => {
+    const document = parseRtf(fixture("sample.rtf"));
+    expect(document.title).toBe("Meeting Notes");
+    expect(document.author).toBe("Li Lei");
+    expect(document.pageCount).toBe(3);
+    expect(document.text).toBe(
+      [
+        "Meeting Notes",
+        "Attendees: Alice, Bob",
+        "中文会议 and €uro sign",
+        "Example site",
+        "Item | Owner",
+        "Budget | Alice",
+        "",
+        "Second page — done.",
+      ].join("\n")
+    );
+    expect(() => parseRtf("plain text")).toThrow("not an RTF document");
+  });
+});
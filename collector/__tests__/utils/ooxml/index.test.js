@@ -0,0 +1,71 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const path = require("path");
+const { ZipArchive, parseDocx, parsePptx } = require("../../../utils/ooxml");
+const { joinPages, joinSlides } = require("../../../utils/provenance");
+
+const fixture = (name) => fs.readFileSync(path.resolve(__dirname, name));
+
+describe("ooxml", () => {
+  it("reads stored and deflated zip entries", () => {
+    const zip = new ZipArchive(fixture("sample.docx"));
+    expect(zip.names()).toContain("word/document.xml");
+    expect(zip.text("word/media/stored.txt")).toBe("x");
+    expect(zip.read("missing.xml")).toBeNull();
+  });
+
+  it("extracts docx text with page and heading offsets", () => {
+    const { text, author, pageOffsets, sectionOffsets } = parseDocx(
+      fixture("sample.docx")
+    );
+    expect(author).toBe("Finance Team");
+    expect(text).toContain("Revenue grew & costs fell.");
+    expect(text).toContain("Region | Sales\nSouth | 95");
+
+    // Only the rendered page break counts once Word has stored any.
+    const pageTwo = text.indexOf("South followed");
+    expect(pageOffsets).toEqual([
+      { page: 1, start: 0, end: pageTwo },
+      { page: 2, start: pageTwo, end: text.length },
+    ]);
+    expect(sectionOffsets.map((section) => section.headingPath)).toEqual([
+      ["Annual Report"],
+      ["Annual Report", "Regions"],
+      ["Outlook"],
+    ]);
+    expect(sectionOffsets[1].start).toBe(text.indexOf("Regions"));
+    expect(sectionOffsets[1].end).toBe(text.indexOf("Outlook"));
+  });
+
+  it("extracts pptx slides in presentation order", () => {
+    const { slides, slideCount } = parsePptx(fixture("sample.pptx"));
+    expect(slideCount).toBe(2);
+    expect(slides).toEqual([
+      { title: "Agenda", text: ["Results\nPlans"] },
+      { title: "Numbers", text: ["Q1 | 120"] },
+    ]);
+
+    const { text, pageOffsets } = joinSlides(slides);
+    expect(text.slice(pageOffsets[1].start, pageOffsets[1].end)).toBe(
+      "Slide 2:\nNumbers\nQ1 | 120"
+    );
+  });
+});
+
+describe("provenance", () => {
+  it("skips empty pages but keeps their numbers", () => {
+    expect(
+      joinPages([
+        { page: 1, text: "First" },
+        { page: 2, text: " " },
+        { page: 3, text: "Third" },
+      ])
+    ).toEqual({
+      text: "First\nThird",
+      pageOffsets: [
+        { page: 1, start: 0, end: 5 },
+        { page: 3, start: 6, end: 11 },
+      ],
+    });
+  });
+});
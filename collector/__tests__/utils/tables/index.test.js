@@ -0,0 +1,95 @@
+/* eslint-env jest, node */
+const {
+  toMarkdownTable,
+  tableBlock,
+  tableSummaries,
+  sheetTables,
+  detectPdfTables,
+} = require("../../../utils/tables");
+
+// Builds a PDF text line from [text, x] pairs using a 10pt font.
+const line = (...cells) =>
+  cells.map(([str, x]) => ({ str, x, width: str.length * 5, fontSize: 10 }));
+
+describe("tables", () => {
+  it("renders rows as a captioned Markdown table", () => {
+    expect(toMarkdownTable([["Name", "Note"], ["a|b", 1], ["c"]])).toBe(
+      ["| Name | Note |", "| --- | --- |", "| a\\|b | 1 |", "| c |  |"].join(
+        "\n"
+      )
+    );
+    expect(tableBlock({ caption: "Sheet1!A1:B2", rows: [["x", "y"]] })).toBe(
+      "Table: Sheet1!A1:B2\n| x | y |\n| --- | --- |"
+    );
+  });
+
+  it("splits a sheet into ranges separated by empty rows and columns", () => {
+    const data = [
+      [],
+      [undefined, "Region", "Sales", undefined, "Note"],
+      [undefined, "North", 120, undefined, "ok"],
+      [],
+      [undefined, "Total", 215],
+    ];
+    const tables = sheetTables("Q1", data);
+    expect(tables).toEqual([
+      {
+        caption: "Q1!B2:C3",
+        sheet: "Q1",
+        range: "B2:C3",
+        rows: [
+          ["Region", "Sales"],
+          ["North", "120"],
+        ],
+      },
+      {
+        caption: "Q1!E2:E3",
+        sheet: "Q1",
+        range: "E2:E3",
+        rows: [["Note"], ["ok"]],
+      },
+      {
+        caption: "Q1!B5:C5",
+        sheet: "Q1",
+        range: "B5:C5",
+        rows: [["Total", "215"]],
+      },
+    ]);
+    expect(tableSummaries(tables)[0]).toEqual({
+      caption: "Q1!B2:C3",
+      sheet: "Q1",
+      range: "B2:C3",
+      rowCount: 2,
+      columnCount: 2,
+    });
+  });
+
+  it("detects aligned columns on a PDF page and picks up the caption line", () => {
+    const lines = [
+      line(["Quarterly results were strong.", 50]),
+      line(["Table 2: Revenue by region", 50]),
+      line(["Region", 50], ["Sales", 200]),
+      line(["North", 50], ["120", 205]),
+      line(["South", 50], ["95", 210]),
+      line(["Sales are in thousands.", 50]),
+    ];
+    const tables = detectPdfTables(lines, 3);
+    expect(tables).toEqual([
+      {
+        caption: "Table 2: Revenue by region",
+        page: 3,
+        rows: [
+          ["Region", "Sales"],
+          ["North", "120"],
+          ["South", "95"],
+        ],
+        startLine: 2,
+        endLine: 4,
+        captionLine: 1,
+      },
+    ]);
+
+    // Two aligned lines are not enough to call it a table.
+    expect(detectPdfTables(lines.slice(2, 4), 1)).toEqual([]);
+  });
+});
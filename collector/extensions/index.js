@@ -5,6 +5,7 @@ const { reqBody } = require("../utils/http");
 const { validURL, validateURL } = require("../utils/url");
 const RESYNC_METHODS = require("./resync");
 const { loadObsidianVault } = require("../utils/extensions/ObsidianVault");
+const { loadLocalFolder } = require("../utils/extensions/LocalFolder");
 
 function extensions(app) {
   if (!app) return;
@@ -203,6 +204,26 @@ function extensions(app) {
     }
   );
 
+  app.post(
+    "/ext/local-folder",
+    [verifyPayloadIntegrity, setDataSigner],
+    async function (request, response) {
+      try {
+        const { root, files, folderName } = reqBody(request);
+        const result = await loadLocalFolder({ root, files, folderName });
+        response.status(200).json(result);
+      } catch (e) {
+        console.error(e);
+        response.status(400).json({
+          success: false,
+          reason: e.message,
+          data: null,
+        });
+      }
+      return;
+    }
+  );
+
   app.post(
     "/ext/paperless-ngx",
     [verifyPayloadIntegrity, setDataSigner],
@@ -173,6 +173,28 @@ async function resyncPaperlessNgx({ chunkSource }, response) {
   }
 }
 
+/**
+ * Converts a file of a mounted local folder again via its chunkSource.
+ * Returns the content of the document and its metadata that depends on the file content (eg: page offsets).
+ * @param {object} data - metadata from document (eg: chunkSource, sourceIndex, docpath)
+ * @param {import("../../middleware/setDataSigner").ResponseWithSigner} response
+ */
+async function resyncLocalFolder({ chunkSource, sourceIndex = 0, docpath = null }, response) {
+  if (!chunkSource) throw new Error('Invalid source property provided');
+  try {
+    const { fetchLocalFile } = require("../../utils/extensions/LocalFolder");
+    const { success, reason, content, metadata } = await fetchLocalFile({ chunkSource, sourceIndex, docpath });
+    if (!success) throw new Error(`Failed to sync local file content. ${reason}`);
+    response.status(200).json({ success, content, metadata });
+  } catch (e) {
+    console.error(e);
+    response.status(200).json({
+      success: false,
+      content: null,
+    });
+  }
+}
+
 module.exports = {
   link: resyncLink,
   youtube: resyncYouTube,
@@ -180,4 +202,5 @@ module.exports = {
   github: resyncGithub,
   drupalwiki: resyncDrupalWiki,
   "paperless-ngx": resyncPaperlessNgx,
+  localfolder: resyncLocalFolder,
 }
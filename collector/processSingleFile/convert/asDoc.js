@@ -0,0 +1,68 @@
+const { v4 } = require("uuid");
+const fs = require("fs");
+const {
+  createdDate,
+  trashFile,
+  writeToServerDocuments,
+} = require("../../utils/files");
+const { tokenizeString } = require("../../utils/tokenizer");
+const { parseWordDocument } = require("../../utils/legacyOffice");
+const { default: slugify } = require("slugify");
+
+async function asDoc({
+  fullFilePath = "",
+  filename = "",
+  options = {},
+  metadata = {},
+}) {
+  console.log(`-- Working ${filename} --`);
+  let document;
+  try {
+    document = parseWordDocument(fs.readFileSync(fullFilePath));
+  } catch (err) {
+    console.error(`Could not parse ${filename}!`, err);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `Error processing ${filename}: ${err.message}`,
+      documents: [],
+    };
+  }
+
+  const content = document.text;
+  if (!content.length) {
+    console.error(`Resulting text content was empty for ${filename}.`);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `No text content found in ${filename}.`,
+      documents: [],
+    };
+  }
+
+  const data = {
+    id: v4(),
+    url: "file://" + fullFilePath,
+    title: metadata.title || document.title || filename,
+    docAuthor: metadata.docAuthor || document.author || "no author found",
+    description: metadata.description || "No description found.",
+    docSource: metadata.docSource || "doc file uploaded by the user.",
+    chunkSource: metadata.chunkSource || "",
+    published: createdDate(fullFilePath),
+    pageCount: document.pageCount,
+    wordCount: content.split(/\s+/).length,
+    pageContent: content,
+    token_count_estimate: tokenizeString(content),
+  };
+
+  const result = writeToServerDocuments({
+    data,
+    filename: `${slugify(filename)}-${data.id}`,
+    options: { parseOnly: options.parseOnly },
+  });
+  trashFile(fullFilePath);
+  console.log(`[SUCCESS]: ${filename} converted & ready for embedding.\n`);
+  return { success: true, reason: null, documents: [result] };
+}
+
+module.exports = asDoc;
@@ -1,4 +1,5 @@
 const { v4 } = require("uuid");
+const fs = require("fs");
 const { DocxLoader } = require("langchain/document_loaders/fs/docx");
 const {
   createdDate,
@@ -6,6 +7,7 @@ const {
   writeToServerDocuments,
 } = require("../../utils/files");
 const { tokenizeString } = require("../../utils/tokenizer");
+const { parseDocx } = require("../../utils/ooxml");
 const { default: slugify } = require("slugify");
 
 async function asDocX({
@@ -14,18 +16,9 @@ async function asDocX({
   options = {},
   metadata = {},
 }) {
-  const loader = new DocxLoader(fullFilePath);
-
   console.log(`-- Working ${filename} --`);
-  let pageContent = [];
-  const docs = await loader.load();
-  for (const doc of docs) {
-    console.log(`-- Parsing content from docx page --`);
-    if (!doc.pageContent.length) continue;
-    pageContent.push(doc.pageContent);
-  }
-
-  if (!pageContent.length) {
+  const document = await readDocx(fullFilePath);
+  if (!document.text.length) {
     console.error(`Resulting text content was empty for ${filename}.`);
     trashFile(fullFilePath);
     return {
@@ -35,29 +28,63 @@ async function asDocX({
     };
   }
 
-  const content = pageContent.join("");
+  const content = document.text;
   const data = {
     id: v4(),
     url: "file://" + fullFilePath,
     title: metadata.title || filename,
-    docAuthor: metadata.docAuthor || "no author found",
+    docAuthor: metadata.docAuthor || document.author || "no author found",
     description: metadata.description || "No description found.",
     docSource: metadata.docSource || "docx file uploaded by the user.",
     chunkSource: metadata.chunkSource || "",
     published: createdDate(fullFilePath),
+    ...(document.pageOffsets.length
+      ? { pageUnit: "page", pageOffsets: document.pageOffsets }
+      : {}),
+    ...(document.sectionOffsets.length
+      ? { sectionOffsets: document.sectionOffsets }
+      : {}),
     wordCount: content.split(" ").length,
     pageContent: content,
     token_count_estimate: tokenizeString(content),
   };
 
-  const document = writeToServerDocuments({
+  const result = writeToServerDocuments({
     data,
     filename: `${slugify(filename)}-${data.id}`,
     options: { parseOnly: options.parseOnly },
   });
   trashFile(fullFilePath);
   console.log(`[SUCCESS]: ${filename} converted & ready for embedding.\n`);
-  return { success: true, reason: null, documents: [document] };
+  return { success: true, reason: null, documents: [result] };
+}
+
+/**
+ * Reads the text of a .docx file along with its page and section offsets.
+ * Falls back to the langchain loader, without offsets, when the file cannot be parsed directly.
+ * @param {string} fullFilePath
+ * @returns {Promise<{text: string, author: string|null, pageOffsets: Object[], sectionOffsets: Object[]}>}
+ */
+async function readDocx(fullFilePath) {
+  try {
+    return parseDocx(fs.readFileSync(fullFilePath));
+  } catch (error) {
+    console.error(`Could not parse docx directly, using DocxLoader`, error);
+  }
+
+  const pageContent = [];
+  const docs = await new DocxLoader(fullFilePath).load();
+  for (const doc of docs) {
+    console.log(`-- Parsing content from docx page --`);
+    if (!doc.pageContent.length) continue;
+    pageContent.push(doc.pageContent);
+  }
+  return {
+    text: pageContent.join(""),
+    author: null,
+    pageOffsets: [],
+    sectionOffsets: [],
+  };
 }
 
 module.exports = asDocX;
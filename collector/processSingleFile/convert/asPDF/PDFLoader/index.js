@@ -1,9 +1,17 @@
 const fs = require("fs").promises;
+const { detectPdfTables, tableBlock } = require("../../../../utils/tables");
 
 class PDFLoader {
-  constructor(filePath, { splitPages = true } = {}) {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {boolean} [options.splitPages = true] - Return one document per page.
+   * @param {boolean} [options.detectTables = false] - Render tables found on a page as Markdown and return them in `metadata.tables`.
+   */
+  constructor(filePath, { splitPages = true, detectTables = false } = {}) {
     this.filePath = filePath;
     this.splitPages = splitPages;
+    this.detectTables = detectTables;
   }
 
   async load() {
@@ -30,18 +38,24 @@ class PDFLoader {
 
       let lastY;
       const textItems = [];
+      const lines = [];
       for (const item of content.items) {
         if ("str" in item) {
           if (lastY === item.transform[5] || !lastY) {
             textItems.push(item.str);
           } else {
             textItems.push(`\n${item.str}`);
+            lines.push([]);
           }
+          if (!lines.length) lines.push([]);
+          lines[lines.length - 1].push(this.#positionedItem(item));
           lastY = item.transform[5];
         }
       }
 
-      const text = textItems.join("");
+      let text = textItems.join("");
+      const tables = this.detectTables ? detectPdfTables(lines, i) : [];
+      if (tables.length > 0) text = this.#withTables(lines, tables);
       documents.push({
         pageContent: text.trim(),
         metadata: {
@@ -53,6 +67,11 @@ class PDFLoader {
             totalPages: pdf.numPages,
           },
           loc: { pageNumber: i },
+          tables: tables.map(({ caption, page, rows }) => ({
+            caption,
+            page,
+            rows,
+          })),
         },
       });
     }
@@ -76,11 +95,41 @@ class PDFLoader {
             metadata: meta?.metadata,
             totalPages: pdf.numPages,
           },
+          tables: documents.flatMap((doc) => doc.metadata.tables),
         },
       },
     ];
   }
 
+  #positionedItem(item) {
+    const fontSize = Math.hypot(item.transform[2], item.transform[3]) || 10;
+    return {
+      str: item.str,
+      x: item.transform[4],
+      width: item.width || item.str.length * fontSize * 0.5,
+      fontSize,
+    };
+  }
+
+  /**
+   * Rebuild the page text with the lines of each table (and its caption) replaced by a Markdown block.
+   */
+  #withTables(lines, tables) {
+    const output = [];
+    for (let l = 0; l < lines.length; l++) {
+      const table = tables.find(
+        (table) => (table.captionLine ?? table.startLine) === l
+      );
+      if (table) {
+        output.push(`\n${tableBlock(table)}\n`);
+        l = table.endLine;
+        continue;
+      }
+      output.push(lines[l].map((item) => item.str).join(""));
+    }
+    return output.join("\n");
+  }
+
   async getPdfJS() {
     try {
       const pdfjs = await import("pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js");
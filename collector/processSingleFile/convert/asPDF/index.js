@@ -8,6 +8,8 @@ const { tokenizeString } = require("../../../utils/tokenizer");
 const { default: slugify } = require("slugify");
 const PDFLoader = require("./PDFLoader");
 const OCRLoader = require("../../../utils/OCRLoader");
+const { tableSummaries } = require("../../../utils/tables");
+const { joinPages } = require("../../../utils/provenance");
 
 async function asPdf({
   fullFilePath = "",
@@ -17,10 +19,12 @@ async function asPdf({
 }) {
   const pdfLoader = new PDFLoader(fullFilePath, {
     splitPages: true,
+    detectTables: true,
   });
 
   console.log(`-- Working ${filename} --`);
-  const pageContent = [];
+  const pages = [];
+  const tables = [];
   let docs = await pdfLoader.load();
 
   if (docs.length === 0) {
@@ -39,10 +43,14 @@ async function asPdf({
       } --`
     );
     if (!doc.pageContent || !doc.pageContent.length) continue;
-    pageContent.push(doc.pageContent);
+    pages.push({
+      page: doc.metadata?.loc?.pageNumber || pages.length + 1,
+      text: doc.pageContent,
+    });
+    tables.push(...(doc.metadata?.tables || []));
   }
 
-  if (!pageContent.length) {
+  if (!pages.length) {
     console.error(`[asPDF] Resulting text content was empty for ${filename}.`);
     trashFile(fullFilePath);
     return {
@@ -52,7 +60,8 @@ async function asPdf({
     };
   }
 
-  const content = pageContent.join("");
+  // Pages are joined by a newline so a table at the top of a page starts on its own line.
+  const { text: content, pageOffsets } = joinPages(pages, "\n");
   const data = {
     id: v4(),
     url: "file://" + fullFilePath,
@@ -68,6 +77,9 @@ async function asPdf({
     docSource: metadata.docSource || "pdf file uploaded by the user.",
     chunkSource: metadata.chunkSource || "",
     published: createdDate(fullFilePath),
+    tables: tableSummaries(tables),
+    pageUnit: "page",
+    pageOffsets,
     wordCount: content.split(" ").length,
     pageContent: content,
     token_count_estimate: tokenizeString(content),
@@ -76,7 +88,12 @@ async function asPdf({
   const document = writeToServerDocuments({
     data,
     filename: `${slugify(filename)}-${data.id}`,
-    options: { parseOnly: options.parseOnly },
+    options: {
+      parseOnly: options.parseOnly,
+      structuredOutput: options.structuredOutput,
+    },
+    structured: tables.length ? { tables } : null,
+    originalFile: fullFilePath,
   });
   trashFile(fullFilePath);
   console.log(`[SUCCESS]: ${filename} converted & ready for embedding.\n`);
@@ -0,0 +1,70 @@
+const { v4 } = require("uuid");
+const fs = require("fs");
+const {
+  createdDate,
+  trashFile,
+  writeToServerDocuments,
+} = require("../../utils/files");
+const { tokenizeString } = require("../../utils/tokenizer");
+const { parsePptx } = require("../../utils/ooxml");
+const { joinSlides } = require("../../utils/provenance");
+const { default: slugify } = require("slugify");
+const asOfficeMime = require("./asOfficeMime");
+
+async function asPptx({
+  fullFilePath = "",
+  filename = "",
+  options = {},
+  metadata = {},
+}) {
+  let presentation;
+  try {
+    presentation = parsePptx(fs.readFileSync(fullFilePath));
+  } catch (err) {
+    console.error(
+      `Could not parse ${filename} directly, using officeparser`,
+      err
+    );
+    return asOfficeMime({ fullFilePath, filename, options, metadata });
+  }
+
+  console.log(`-- Working ${filename} --`);
+  const { text: content, pageOffsets } = joinSlides(presentation.slides);
+  if (!content.length) {
+    console.error(`Resulting text content was empty for ${filename}.`);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `No text content found in ${filename}.`,
+      documents: [],
+    };
+  }
+
+  const data = {
+    id: v4(),
+    url: "file://" + fullFilePath,
+    title: metadata.title || filename,
+    docAuthor: metadata.docAuthor || presentation.author || "no author found",
+    description: metadata.description || "No description found.",
+    docSource: metadata.docSource || "pptx file uploaded by the user.",
+    chunkSource: metadata.chunkSource || "",
+    published: createdDate(fullFilePath),
+    slideCount: presentation.slideCount,
+    pageUnit: "slide",
+    pageOffsets,
+    wordCount: content.split(/\s+/).length,
+    pageContent: content,
+    token_count_estimate: tokenizeString(content),
+  };
+
+  const result = writeToServerDocuments({
+    data,
+    filename: `${slugify(filename)}-${data.id}`,
+    options: { parseOnly: options.parseOnly },
+  });
+  trashFile(fullFilePath);
+  console.log(`[SUCCESS]: ${filename} converted & ready for embedding.\n`);
+  return { success: true, reason: null, documents: [result] };
+}
+
+module.exports = asPptx;
@@ -10,23 +10,13 @@ const {
   directUploadsFolder,
 } = require("../../utils/files");
 const { tokenizeString } = require("../../utils/tokenizer");
+const {
+  sheetTables,
+  tableBlock,
+  tableSummaries,
+} = require("../../utils/tables");
 const { default: slugify } = require("slugify");
 
-function convertToCSV(data) {
-  return data
-    .map((row) =>
-      row
-        .map((cell) => {
-          if (cell === null || cell === undefined) return "";
-          if (typeof cell === "string" && cell.includes(","))
-            return `"${cell}"`;
-          return cell;
-        })
-        .join(",")
-    )
-    .join("\n");
-}
-
 async function asXlsx({
   fullFilePath = "",
   filename = "",
@@ -50,7 +40,9 @@ async function asXlsx({
     for (const sheet of workSheetsFromFile) {
       try {
         const { name, data } = sheet;
-        const content = convertToCSV(data);
+        // Every block of cells on the sheet becomes its own captioned table.
+        const tables = sheetTables(name, data);
+        const content = tables.map(tableBlock).join("\n\n");
 
         if (!content?.length) {
           console.warn(`Sheet "${name}" is empty. Skipping.`);
@@ -68,6 +60,8 @@ async function asXlsx({
           docSource: metadata.docSource || "an xlsx file uploaded by the user.",
           chunkSource: metadata.chunkSource || "",
           published: createdDate(fullFilePath),
+          sheetName: name,
+          tables: tableSummaries(tables),
           wordCount: content.split(/\s+/).length,
           pageContent: content,
           token_count_estimate: tokenizeString(content),
@@ -77,7 +71,11 @@ async function asXlsx({
           data: sheetData,
           filename: `sheet-${slugify(name)}`,
           destinationOverride: outFolderPath,
-          options: { parseOnly: options.parseOnly },
+          options: {
+            parseOnly: options.parseOnly,
+            structuredOutput: options.structuredOutput,
+          },
+          structured: { tables },
         });
         documents.push(document);
         console.log(
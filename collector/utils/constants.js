@@ -5,8 +5,11 @@ const ACCEPTED_MIMES = {
   "text/html": [".html"],
   "text/csv": [".csv"],
   "application/json": [".json"],
-  // TODO: Create asDoc.js that works for standard MS Word files.
-  // "application/msword": [".doc"],
+  "application/msword": [".doc"],
+  "application/vnd.ms-excel": [".xls"],
+  "application/vnd.ms-powerpoint": [".ppt"],
+  "application/rtf": [".rtf"],
+  "text/rtf": [".rtf"],
 
   "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [
     ".docx",
@@ -50,15 +53,17 @@ const SUPPORTED_FILETYPE_CONVERTERS = {
   ".pdf": "./convert/asPDF/index.js",
 
   ".docx": "./convert/asDocx.js",
-  // TODO: Create asDoc.js that works for standard MS Word files.
-  // ".doc": "./convert/asDoc.js",
+  ".doc": "./convert/asDoc.js",
+  ".rtf": "./convert/asRtf.js",
 
-  ".pptx": "./convert/asOfficeMime.js",
+  ".pptx": "./convert/asPptx.js",
+  ".ppt": "./convert/asPpt.js",
 
   ".odt": "./convert/asOfficeMime.js",
   ".odp": "./convert/asOfficeMime.js",
 
   ".xlsx": "./convert/asXlsx.js",
+  ".xls": "./convert/asXls.js",
 
   ".mbox": "./convert/asMbox.js",
 
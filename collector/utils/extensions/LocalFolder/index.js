@@ -0,0 +1,284 @@
+const { v4 } = require("uuid");
+const { default: slugify } = require("slugify");
+const path = require("path");
+const fs = require("fs");
+const { WATCH_DIRECTORY } = require("../../constants");
+const {
+  documentsFolder,
+  sanitizeFileName,
+  normalizePath,
+  isWithin,
+} = require("../../files");
+
+const CHUNK_SOURCE_PREFIX = "localfolder://";
+
+// Document fields that are derived from the file content and must be refreshed when the file changes.
+const RESYNC_FIELDS = [
+  "docAuthor",
+  "pageUnit",
+  "pageOffsets",
+  "sectionOffsets",
+  "tables",
+  "wordCount",
+  "token_count_estimate",
+];
+
+/**
+ * Resolves a file of a mounted folder from its path relative to the folder.
+ * @param {string} root - Absolute path of the mounted folder.
+ * @param {string} relativePath - Path of the file relative to the folder.
+ * @returns {string} - Absolute path of the file, throws when it is not a file within the folder.
+ */
+function resolveMountedFile(root = "", relativePath = "") {
+  const fullPath = path.resolve(root, normalizePath(relativePath));
+  if (!isWithin(path.resolve(root), fullPath))
+    throw new Error(`${relativePath} is not within the mounted folder.`);
+  if (!fs.existsSync(fullPath) || !fs.lstatSync(fullPath).isFile())
+    throw new Error(`${relativePath} is not a file.`);
+  return fullPath;
+}
+
+/**
+ * Converts a file with the converter of its type. Converters remove the file they process
+ * so they are given a copy of the file in the hotdir.
+ * @param {string} fullPath - Absolute path of the file.
+ * @returns {Promise<{success: boolean, reason: string|null, documents: Object[]}>}
+ */
+async function convertLocalFile(fullPath) {
+  const { processSingleFile } = require("../../../processSingleFile");
+  const hotdirName = `${v4().slice(0, 8)}-${path.basename(fullPath)}`;
+  const hotdirPath = path.resolve(WATCH_DIRECTORY, hotdirName);
+  fs.copyFileSync(fullPath, hotdirPath);
+
+  try {
+    return await processSingleFile(
+      hotdirName,
+      {},
+      {
+        title: path.basename(fullPath),
+        docSource: "Local folder",
+        chunkSource: `${CHUNK_SOURCE_PREFIX}${fullPath}`,
+      }
+    );
+  } finally {
+    if (fs.existsSync(hotdirPath)) fs.rmSync(hotdirPath);
+  }
+}
+
+/**
+ * Finds the files a converter wrote for a document: the document JSON and its sidecars
+ * (eg: `<name>.structured.json` or the copy of the original file).
+ * @param {{location: string}} document - Document returned by a converter.
+ */
+function writtenFiles(document) {
+  const jsonPath = path.resolve(
+    documentsFolder,
+    normalizePath(document.location)
+  );
+  const name = path.basename(jsonPath, ".json");
+  const folder = path.dirname(jsonPath);
+  const sidecars = fs
+    .readdirSync(folder)
+    .filter((file) => file !== `${name}.json` && file.startsWith(`${name}.`))
+    .map((file) => path.resolve(folder, file));
+  return { jsonPath, name, folder, sidecars };
+}
+
+function removeWrittenFiles({ jsonPath, folder, sidecars }) {
+  [jsonPath, ...sidecars].forEach(
+    (file) => fs.existsSync(file) && fs.rmSync(file)
+  );
+  // Some converters, eg: spreadsheets, write the documents of a file into a folder of their own.
+  if (
+    path.basename(folder) !== "custom-documents" &&
+    isWithin(documentsFolder, folder) &&
+    fs.existsSync(folder) &&
+    fs.readdirSync(folder).length === 0
+  )
+    fs.rmdirSync(folder);
+}
+
+/**
+ * Moves a converted document and its sidecars into the folder of the mount.
+ * @param {{location: string}} document - Document returned by a converter.
+ * @param {string} outFolderPath - Absolute path of the documents folder of the mount.
+ * @param {Object} fields - Fields to add to the document.
+ * @returns {string} - The new location of the document.
+ */
+function moveToFolder(document, outFolderPath, fields = {}) {
+  const written = writtenFiles(document);
+  const data = JSON.parse(fs.readFileSync(written.jsonPath, "utf8"));
+  const folderName = path.basename(outFolderPath);
+  const name = sanitizeFileName(
+    `${slugify(data.title || written.name)}-${data.id || v4()}`
+  );
+
+  for (const sidecar of written.sidecars) {
+    const target = `${name}${path.basename(sidecar).slice(written.name.length)}`;
+    fs.renameSync(sidecar, path.resolve(outFolderPath, target));
+    if (data.structuredOutput === path.basename(sidecar))
+      data.structuredOutput = target;
+    if (
+      data.originalFile &&
+      path.basename(data.originalFile) === path.basename(sidecar)
+    )
+      data.originalFile = `${folderName}/${target}`;
+  }
+
+  fs.writeFileSync(
+    path.resolve(outFolderPath, `${name}.json`),
+    JSON.stringify({ ...data, ...fields }, null, 4),
+    { encoding: "utf-8" }
+  );
+  removeWrittenFiles({ ...written, sidecars: [] });
+  return `${folderName}/${name}.json`;
+}
+
+/**
+ * Converts files of a mounted folder into documents of the mount documents folder.
+ * Every document records the file it came from in its chunkSource (`localfolder://<absolute path>`),
+ * the modification time of the file and its position among the documents of the file (eg: the sheet of a spreadsheet).
+ * @param {Object} params
+ * @param {string} params.root - Absolute path of the mounted folder.
+ * @param {string[]} params.files - Paths of the files to convert, relative to the folder.
+ * @param {string} params.folderName - Name of the documents folder of the mount.
+ */
+async function loadLocalFolder({ root = "", files = [], folderName = "" }) {
+  if (!root || !path.isAbsolute(root) || !fs.existsSync(root))
+    return {
+      success: false,
+      reason: "Folder does not exist on this server.",
+      data: null,
+    };
+  if (!Array.isArray(files) || files.length === 0)
+    return { success: false, reason: "No files provided.", data: null };
+
+  const outFolderPath = path.resolve(
+    documentsFolder,
+    normalizePath(String(folderName))
+  );
+  if (!isWithin(documentsFolder, outFolderPath))
+    return { success: false, reason: "Invalid folder name.", data: null };
+  if (!fs.existsSync(outFolderPath))
+    fs.mkdirSync(outFolderPath, { recursive: true });
+
+  console.log(`Processing ${files.length} files from local folder ${root}`);
+  const results = [];
+  for (const file of files) {
+    try {
+      const fullPath = resolveMountedFile(root, file);
+      const fileModifiedAt = fs.statSync(fullPath).mtime.toISOString();
+      const {
+        success,
+        reason,
+        documents = [],
+      } = await convertLocalFile(fullPath);
+      if (!success || documents.length === 0)
+        throw new Error(reason || "No content found.");
+
+      const locations = documents.map((document, sourceIndex) =>
+        moveToFolder(document, outFolderPath, { fileModifiedAt, sourceIndex })
+      );
+      results.push({ file, status: "success", locations });
+    } catch (e) {
+      console.error(`Failed to process ${file}:`, e.message);
+      results.push({ file, status: "failed", reason: e.message });
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      processed: results.filter((r) => r.status === "success").length,
+      failed: results.filter((r) => r.status === "failed").length,
+      total: files.length,
+      results,
+      destination: path.basename(outFolderPath),
+    },
+  };
+}
+
+/**
+ * Converts a file of a mounted folder again to resync its document.
+ * Sidecars of the existing document (eg: the copy of a PDF citations open) are refreshed in place.
+ * @param {Object} params
+ * @param {string} params.chunkSource - `localfolder://<absolute path>` of the document.
+ * @param {number} params.sourceIndex - Position of the document among the documents of the file.
+ * @param {string|null} params.docpath - Location of the existing document, eg: `local-folder-docs-1a2b/report.pdf-<id>.json`.
+ * @returns {Promise<{success: boolean, reason: string|null, content: string|null, metadata?: Object}>}
+ */
+async function fetchLocalFile({
+  chunkSource = "",
+  sourceIndex = 0,
+  docpath = null,
+}) {
+  if (!chunkSource.startsWith(CHUNK_SOURCE_PREFIX))
+    return {
+      success: false,
+      reason: "Invalid local file source.",
+      content: null,
+    };
+
+  const fullPath = chunkSource.slice(CHUNK_SOURCE_PREFIX.length);
+  if (
+    !path.isAbsolute(fullPath) ||
+    !fs.existsSync(fullPath) ||
+    !fs.lstatSync(fullPath).isFile()
+  )
+    return {
+      success: false,
+      reason: `${fullPath} no longer exists.`,
+      content: null,
+    };
+
+  const fileModifiedAt = fs.statSync(fullPath).mtime.toISOString();
+  const { success, reason, documents = [] } = await convertLocalFile(fullPath);
+  if (!success) return { success: false, reason, content: null };
+
+  try {
+    const document = documents[Number(sourceIndex) || 0];
+    if (!document)
+      return {
+        success: false,
+        reason: `${fullPath} no longer has a document #${sourceIndex}.`,
+        content: null,
+      };
+
+    if (docpath) refreshSidecars(document, docpath);
+    const metadata = { fileModifiedAt };
+    for (const field of RESYNC_FIELDS)
+      if (document.hasOwnProperty(field)) metadata[field] = document[field];
+    return {
+      success: true,
+      reason: null,
+      content: document.pageContent,
+      metadata,
+    };
+  } finally {
+    documents.forEach((document) => removeWrittenFiles(writtenFiles(document)));
+  }
+}
+
+/**
+ * Overwrites the sidecars of an existing document with the ones of its new conversion.
+ * @param {{location: string}} document - Document returned by a converter.
+ * @param {string} docpath - Location of the existing document.
+ */
+function refreshSidecars(document, docpath) {
+  const target = path.resolve(documentsFolder, normalizePath(docpath));
+  if (!isWithin(documentsFolder, target)) return;
+
+  const { name, sidecars } = writtenFiles(document);
+  for (const sidecar of sidecars) {
+    const existing = target.replace(
+      /\.json$/,
+      path.basename(sidecar).slice(name.length)
+    );
+    if (fs.existsSync(existing)) fs.copyFileSync(sidecar, existing);
+  }
+}
+
+module.exports = {
+  loadLocalFolder,
+  fetchLocalFile,
+};
@@ -114,6 +114,9 @@ function createdDate(filepath) {
  * @param {string|null} params.destinationOverride - A forced destination to write to - will be honored if provided.
  * @param {Object} params.options - The options for the function.
  * @param {boolean} params.options.parseOnly - If true, the file will be written to the direct uploads folder instead of the documents folder. Will be ignored if destinationOverride is provided.
+ * @param {boolean} params.options.structuredOutput - If true and `structured` is provided, the structured data is written next to the document as `<filename>.structured.json`.
+ * @param {Object|null} params.structured - Structured data extracted from the file, eg: `{tables}` with the raw table cells.
+ * @param {string|null} params.originalFile - Path of the source file to keep next to the document as `<filename>.<ext>`, eg: a PDF citations can open. Ignored for parseOnly.
  * @returns {Object} - The data with the location added.
  */
 function writeToServerDocuments({
@@ -121,6 +124,8 @@ function writeToServerDocuments({
   filename,
   destinationOverride = null,
   options = {},
+  structured = null,
+  originalFile = null,
 }) {
   if (!filename) throw new Error("Filename is required!");
 
@@ -135,6 +140,26 @@ function writeToServerDocuments({
     path.resolve(destination, filename) + ".json"
   );
 
+  if (options.structuredOutput && structured) {
+    const structuredFilePath = normalizePath(
+      path.resolve(destination, filename) + ".structured.json"
+    );
+    fs.writeFileSync(structuredFilePath, JSON.stringify(structured, null, 4), {
+      encoding: "utf-8",
+    });
+    data.structuredOutput = path.basename(structuredFilePath);
+  }
+
+  // Keep a copy of the source file next to the document so citations can link back to it.
+  if (originalFile && !options.parseOnly && fs.existsSync(originalFile)) {
+    const originalFilePath = normalizePath(
+      path.resolve(destination, filename) +
+        path.extname(originalFile).toLowerCase()
+    );
+    fs.copyFileSync(originalFile, originalFilePath);
+    data.originalFile = originalFilePath.split("/").slice(-2).join("/");
+  }
+
   fs.writeFileSync(destinationFilePath, JSON.stringify(data, null, 4), {
     encoding: "utf-8",
   });
@@ -0,0 +1,89 @@
+// Windows codepages used by legacy Office files and RTF mapped to the labels
+// understood by TextDecoder. Anything unknown falls back to Windows-1252.
+const CODEPAGE_LABELS = {
+  437: "ibm437",
+  850: "ibm850",
+  874: "windows-874",
+  932: "shift_jis",
+  936: "gbk",
+  949: "euc-kr",
+  950: "big5",
+  1200: "utf-16le",
+  1250: "windows-1250",
+  1251: "windows-1251",
+  1252: "windows-1252",
+  1253: "windows-1253",
+  1254: "windows-1254",
+  1255: "windows-1255",
+  1256: "windows-1256",
+  1257: "windows-1257",
+  1258: "windows-1258",
+  10000: "macintosh",
+  65001: "utf-8",
+};
+
+// RTF font charsets (\fcharsetN) mapped to their codepage.
+const CHARSET_CODEPAGES = {
+  0: 1252,
+  77: 10000,
+  128: 932,
+  129: 949,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250,
+};
+
+// Some Node versions decode "windows-1252" as Latin-1, leaving 0x80-0x9F as control characters.
+const WINDOWS_1252_HIGH =
+  "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ";
+
+const decoders = new Map();
+
+/**
+ * Decodes bytes that were written in a Windows codepage.
+ * @param {Buffer|Uint8Array} bytes
+ * @param {number} codepage
+ * @returns {string}
+ */
+function decodeCodepage(bytes, codepage = 1252) {
+  const label = CODEPAGE_LABELS[codepage] || "windows-1252";
+  if (label === "windows-1252") {
+    let text = "";
+    for (const byte of bytes)
+      text +=
+        byte >= 0x80 && byte <= 0x9f
+          ? WINDOWS_1252_HIGH[byte - 0x80]
+          : String.fromCharCode(byte);
+    return text;
+  }
+  if (!decoders.has(label)) {
+    try {
+      decoders.set(label, new TextDecoder(label));
+    } catch {
+      // Node builds without full ICU only ship a handful of encodings.
+      return decodeCodepage(bytes, 1252);
+    }
+  }
+  return decoders.get(label).decode(bytes);
+}
+
+/**
+ * @param {number} charset - RTF font charset.
+ * @returns {number|null} - The codepage of the charset, null if it is unknown.
+ */
+function charsetCodepage(charset) {
+  return CHARSET_CODEPAGES[charset] ?? null;
+}
+
+module.exports = {
+  decodeCodepage,
+  charsetCodepage,
+};
@@ -0,0 +1,199 @@
+// Reader for the Compound File Binary format (OLE2) that wraps the legacy
+// Office binaries (.doc, .xls, .ppt). A compound file is a small FAT filesystem
+// inside a single file - we only need to read named streams out of it.
+// https://learn.microsoft.com/en-us/openspecs/windows_protocols/ms-cfb
+
+const SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ENDOFCHAIN = 0xfffffffe;
+const FREESECT = 0xffffffff;
+const NOSTREAM = 0xffffffff;
+const HEADER_DIFAT_ENTRIES = 109;
+
+const ENTRY_TYPES = {
+  STORAGE: 1,
+  STREAM: 2,
+  ROOT: 5,
+};
+
+/**
+ * Checks if the buffer is a compound file.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isCompoundFile(buffer) {
+  return (
+    Buffer.isBuffer(buffer) &&
+    buffer.length >= 512 &&
+    buffer.subarray(0, 8).equals(SIGNATURE)
+  );
+}
+
+class CompoundFile {
+  /**
+   * @param {Buffer} buffer - The full contents of the compound file.
+   */
+  constructor(buffer) {
+    if (!isCompoundFile(buffer))
+      throw new Error("File is not a compound document (OLE2) file.");
+
+    this.buffer = buffer;
+    this.sectorSize = 1 << buffer.readUInt16LE(0x1e);
+    this.miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+    this.miniStreamCutoff = buffer.readUInt32LE(0x38);
+    this.fat = this.#readFat();
+    this.entries = this.#readDirectory();
+
+    const root = this.entries.find((entry) => entry.type === ENTRY_TYPES.ROOT);
+    if (!root) throw new Error("Compound file has no root directory entry.");
+    this.miniStream = this.#readChain(root.start, root.size);
+    this.miniFat = this.#readMiniFat();
+  }
+
+  #sector(index) {
+    const offset = (index + 1) * this.sectorSize;
+    if (offset + this.sectorSize > this.buffer.length)
+      return this.buffer.subarray(offset, this.buffer.length);
+    return this.buffer.subarray(offset, offset + this.sectorSize);
+  }
+
+  /**
+   * The FAT sectors are listed in the DIFAT - the first 109 entries live in the header
+   * and larger files chain additional DIFAT sectors.
+   */
+  #readFat() {
+    const fatSectors = [];
+    for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+      const sector = this.buffer.readUInt32LE(0x4c + i * 4);
+      if (sector === FREESECT || sector === ENDOFCHAIN) continue;
+      fatSectors.push(sector);
+    }
+
+    const entriesPerSector = this.sectorSize / 4;
+    let difatSector = this.buffer.readUInt32LE(0x44);
+    const visited = new Set();
+    while (difatSector !== ENDOFCHAIN && difatSector !== FREESECT) {
+      if (visited.has(difatSector)) break;
+      visited.add(difatSector);
+      const data = this.#sector(difatSector);
+      for (let i = 0; i < entriesPerSector - 1; i++) {
+        const sector = data.readUInt32LE(i * 4);
+        if (sector === FREESECT || sector === ENDOFCHAIN) continue;
+        fatSectors.push(sector);
+      }
+      difatSector = data.readUInt32LE((entriesPerSector - 1) * 4);
+    }
+
+    const fat = [];
+    for (const sector of fatSectors) {
+      const data = this.#sector(sector);
+      for (let i = 0; i + 4 <= data.length; i += 4)
+        fat.push(data.readUInt32LE(i));
+    }
+    return fat;
+  }
+
+  #chain(start, table) {
+    const chain = [];
+    const visited = new Set();
+    let current = start;
+    while (current !== ENDOFCHAIN && current < table.length) {
+      if (visited.has(current))
+        throw new Error("Compound file has a corrupted sector chain.");
+      visited.add(current);
+      chain.push(current);
+      current = table[current];
+    }
+    return chain;
+  }
+
+  #readChain(start, size = null) {
+    if (start === ENDOFCHAIN || start === FREESECT) return Buffer.alloc(0);
+    const data = Buffer.concat(
+      this.#chain(start, this.fat).map((sector) => this.#sector(sector))
+    );
+    return size === null ? data : data.subarray(0, size);
+  }
+
+  #readMiniFat() {
+    const data = this.#readChain(this.buffer.readUInt32LE(0x3c));
+    const miniFat = [];
+    for (let i = 0; i + 4 <= data.length; i += 4)
+      miniFat.push(data.readUInt32LE(i));
+    return miniFat;
+  }
+
+  #readDirectory() {
+    const data = this.#readChain(this.buffer.readUInt32LE(0x30));
+    const entries = [];
+    for (let offset = 0; offset + 128 <= data.length; offset += 128) {
+      const nameLength = data.readUInt16LE(offset + 0x40);
+      entries.push({
+        name: data
+          .subarray(offset, offset + Math.max(nameLength - 2, 0))
+          .toString("utf16le"),
+        type: data[offset + 0x42],
+        left: data.readUInt32LE(offset + 0x44),
+        right: data.readUInt32LE(offset + 0x48),
+        child: data.readUInt32LE(offset + 0x4c),
+        start: data.readUInt32LE(offset + 0x74),
+        // Files with 512 byte sectors only use the low 32 bits of the size.
+        size: data.readUInt32LE(offset + 0x78),
+      });
+    }
+
+    // Resolve the full path of every entry by walking the storage trees from the root.
+    const walk = (index, parentPath, visited) => {
+      if (index === NOSTREAM || !entries[index] || visited.has(index)) return;
+      visited.add(index);
+      const entry = entries[index];
+      entry.path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+      walk(entry.left, parentPath, visited);
+      walk(entry.right, parentPath, visited);
+      if (entry.type === ENTRY_TYPES.STORAGE)
+        walk(entry.child, entry.path, visited);
+    };
+    if (entries[0]) walk(entries[0].child, "", new Set([0]));
+    return entries;
+  }
+
+  /**
+   * Returns the contents of a stream by its path (eg: "WordDocument" or "ObjectPool/Stream").
+   * Stream names are matched case-insensitively like Office does.
+   * @param {string} name
+   * @returns {Buffer|null}
+   */
+  stream(name) {
+    const entry = this.entries.find(
+      (entry) =>
+        entry.type === ENTRY_TYPES.STREAM &&
+        entry.path?.toLowerCase() === name.toLowerCase()
+    );
+    if (!entry) return null;
+    if (entry.size >= this.miniStreamCutoff)
+      return this.#readChain(entry.start, entry.size);
+
+    const data = Buffer.concat(
+      this.#chain(entry.start, this.miniFat).map((sector) =>
+        this.miniStream.subarray(
+          sector * this.miniSectorSize,
+          (sector + 1) * this.miniSectorSize
+        )
+      )
+    );
+    return data.subarray(0, entry.size);
+  }
+
+  /**
+   * @returns {string[]} - The paths of all streams in the file.
+   */
+  streamNames() {
+    return this.entries
+      .filter((entry) => entry.type === ENTRY_TYPES.STREAM && entry.path)
+      .map((entry) => entry.path);
+  }
+}
+
+module.exports = {
+  CompoundFile,
+  isCompoundFile,
+};
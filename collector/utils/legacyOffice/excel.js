@@ -0,0 +1,290 @@
+const { CompoundFile } = require("./compoundFile");
+
+// Excel 97-2003 workbooks are a sequence of BIFF8 records in the "Workbook" stream.
+// The globals substream lists the sheets and the shared string table (SST), followed
+// by one substream of cell records per sheet.
+// https://learn.microsoft.com/en-us/openspecs/office_file_formats/ms-xls
+const RECORDS = {
+  FORMULA: 0x0006,
+  EOF: 0x000a,
+  FILEPASS: 0x002f,
+  CONTINUE: 0x003c,
+  BOUNDSHEET: 0x0085,
+  MULRK: 0x00bd,
+  SST: 0x00fc,
+  LABELSST: 0x00fd,
+  NUMBER: 0x0203,
+  LABEL: 0x0204,
+  BOOLERR: 0x0205,
+  STRING: 0x0207,
+  RK: 0x027e,
+  BOF: 0x0809,
+};
+const CELL_RECORDS = [
+  RECORDS.FORMULA,
+  RECORDS.MULRK,
+  RECORDS.LABELSST,
+  RECORDS.NUMBER,
+  RECORDS.LABEL,
+  RECORDS.BOOLERR,
+  RECORDS.RK,
+];
+const BIFF8 = 0x0600;
+const SHEET_TYPES = { WORKSHEET: 0 };
+
+/**
+ * Reads the records of the substream that starts at the given offset up to its EOF record.
+ * Embedded charts bring their own nested BOF/EOF pair, so nesting is tracked.
+ */
+function readSubstream(stream, start = 0) {
+  const records = [];
+  let offset = start;
+  let depth = 0;
+  while (offset + 4 <= stream.length) {
+    const type = stream.readUInt16LE(offset);
+    const size = stream.readUInt16LE(offset + 2);
+    records.push({
+      type,
+      data: stream.subarray(offset + 4, offset + 4 + size),
+    });
+    offset += 4 + size;
+    if (type === RECORDS.BOF) depth++;
+    if (type === RECORDS.EOF && --depth <= 0) break;
+  }
+  return records;
+}
+
+/**
+ * Reads across a record and the CONTINUE records that follow it. Character data that is
+ * split over a CONTINUE boundary restarts with a new option byte telling if the remaining
+ * characters are stored compressed (1 byte) or as UTF-16 (2 bytes).
+ */
+class ContinuedReader {
+  constructor(segments = []) {
+    this.segments = segments;
+    this.segment = 0;
+    this.offset = 0;
+  }
+
+  #current() {
+    while (
+      this.segment < this.segments.length &&
+      this.offset >= this.segments[this.segment].length
+    ) {
+      this.segment++;
+      this.offset = 0;
+    }
+    if (this.segment >= this.segments.length)
+      throw new Error("Unexpected end of record data.");
+    return this.segments[this.segment];
+  }
+
+  bytes(length) {
+    const parts = [];
+    let remaining = length;
+    while (remaining > 0) {
+      const data = this.#current();
+      const take = Math.min(remaining, data.length - this.offset);
+      parts.push(data.subarray(this.offset, this.offset + take));
+      this.offset += take;
+      remaining -= take;
+    }
+    return Buffer.concat(parts);
+  }
+
+  uint8() {
+    return this.bytes(1)[0];
+  }
+
+  uint16() {
+    return this.bytes(2).readUInt16LE(0);
+  }
+
+  uint32() {
+    return this.bytes(4).readUInt32LE(0);
+  }
+
+  chars(count, highByte) {
+    let text = "";
+    let remaining = count;
+    let wide = highByte;
+    while (remaining > 0) {
+      const data = this.#current();
+      const available = Math.floor(
+        (data.length - this.offset) / (wide ? 2 : 1)
+      );
+      const take = Math.min(remaining, available);
+      const bytes = this.bytes(take * (wide ? 2 : 1));
+      text += wide ? bytes.toString("utf16le") : bytes.toString("latin1");
+      remaining -= take;
+      if (remaining > 0) wide = !!(this.uint8() & 0x01);
+    }
+    return text;
+  }
+
+  /**
+   * XLUnicodeRichExtendedString - the string format of the SST, LABEL and STRING records.
+   */
+  string(lengthBytes = 2) {
+    const count = lengthBytes === 1 ? this.uint8() : this.uint16();
+    const flags = this.uint8();
+    const runs = flags & 0x08 ? this.uint16() : 0;
+    const extended = flags & 0x04 ? this.uint32() : 0;
+    const text = this.chars(count, !!(flags & 0x01));
+    if (runs) this.bytes(runs * 4);
+    if (extended) this.bytes(extended);
+    return text;
+  }
+}
+
+function continued(records, index) {
+  const segments = [records[index].data];
+  for (let i = index + 1; records[i]?.type === RECORDS.CONTINUE; i++)
+    segments.push(records[i].data);
+  return new ContinuedReader(segments);
+}
+
+function decodeRk(rk) {
+  let value;
+  if (rk & 0x02) {
+    value = rk >> 2;
+  } else {
+    const bytes = Buffer.alloc(8);
+    bytes.writeUInt32LE(rk & 0xfffffffc, 4);
+    value = bytes.readDoubleLE(0);
+  }
+  return rk & 0x01 ? value / 100 : value;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(+value.toFixed(10));
+}
+
+function readSheet(stream, offset, sharedStrings) {
+  const records = readSubstream(stream, offset);
+  const rows = [];
+  const setCell = (row, col, value) => {
+    if (value === null || value === undefined || value === "") return;
+    if (!rows[row]) rows[row] = [];
+    rows[row][col] = value;
+  };
+
+  let pendingFormula = null; // string results of formulas follow in a STRING record
+  records.forEach(({ type, data }, i) => {
+    if (type === RECORDS.STRING) {
+      if (!pendingFormula) return;
+      setCell(
+        pendingFormula.row,
+        pendingFormula.col,
+        continued(records, i).string()
+      );
+      pendingFormula = null;
+      return;
+    }
+    if (!CELL_RECORDS.includes(type) || data.length < 6) return;
+
+    const row = data.readUInt16LE(0);
+    const col = data.readUInt16LE(2);
+    switch (type) {
+      case RECORDS.LABELSST:
+        setCell(row, col, sharedStrings[data.readUInt32LE(6)] ?? "");
+        break;
+      case RECORDS.LABEL: {
+        const reader = new ContinuedReader([data.subarray(6)]);
+        setCell(row, col, reader.string());
+        break;
+      }
+      case RECORDS.NUMBER:
+        setCell(row, col, formatNumber(data.readDoubleLE(6)));
+        break;
+      case RECORDS.RK:
+        setCell(row, col, formatNumber(decodeRk(data.readUInt32LE(6))));
+        break;
+      case RECORDS.MULRK: {
+        const count = (data.length - 6) / 6;
+        for (let j = 0; j < count; j++)
+          setCell(
+            row,
+            col + j,
+            formatNumber(decodeRk(data.readUInt32LE(4 + j * 6 + 2)))
+          );
+        break;
+      }
+      case RECORDS.BOOLERR:
+        if (data[7] === 0) setCell(row, col, data[6] ? "TRUE" : "FALSE");
+        break;
+      case RECORDS.FORMULA: {
+        if (data.readUInt16LE(12) !== 0xffff) {
+          setCell(row, col, formatNumber(data.readDoubleLE(6)));
+          break;
+        }
+        const resultType = data[6];
+        if (resultType === 0) pendingFormula = { row, col };
+        if (resultType === 1) setCell(row, col, data[8] ? "TRUE" : "FALSE");
+        break;
+      }
+    }
+  });
+
+  return Array.from(rows, (row = []) => Array.from(row, (cell) => cell ?? ""));
+}
+
+/**
+ * Extracts the sheets of an Excel 97-2003 (.xls) workbook.
+ * Numbers are returned as they are stored, cell formatting (dates, currencies) is not applied.
+ * @param {Buffer} buffer - The contents of the .xls file.
+ * @returns {{sheets: {name: string, hidden: boolean, rows: string[][]}[], sheetCount: number}}
+ */
+function parseExcelWorkbook(buffer) {
+  const file = new CompoundFile(buffer);
+  const stream = file.stream("Workbook");
+  if (!stream) {
+    if (file.stream("Book"))
+      throw new Error("Excel 5.0/95 workbooks are not supported.");
+    throw new Error("File is not an Excel workbook - no Workbook stream.");
+  }
+
+  const records = readSubstream(stream);
+  if (
+    records[0]?.type !== RECORDS.BOF ||
+    records[0].data.readUInt16LE(0) !== BIFF8
+  )
+    throw new Error("Only Excel 97-2003 (BIFF8) workbooks are supported.");
+
+  const boundSheets = [];
+  let sharedStrings = [];
+  for (let i = 0; i < records.length; i++) {
+    const { type, data } = records[i];
+    if (type === RECORDS.FILEPASS)
+      throw new Error("Password protected Excel workbooks are not supported.");
+    if (type === RECORDS.BOUNDSHEET) {
+      const reader = new ContinuedReader([data.subarray(6)]);
+      boundSheets.push({
+        offset: data.readUInt32LE(0),
+        hidden: data[4] !== 0,
+        sheetType: data[5],
+        name: reader.string(1),
+      });
+    }
+    if (type === RECORDS.SST) {
+      const reader = continued(records, i);
+      reader.bytes(4); // total count of strings in the workbook
+      const count = reader.uint32();
+      sharedStrings = [];
+      for (let j = 0; j < count; j++) sharedStrings.push(reader.string());
+    }
+  }
+
+  const sheets = boundSheets
+    .filter((sheet) => sheet.sheetType === SHEET_TYPES.WORKSHEET)
+    .map((sheet) => ({
+      name: sheet.name,
+      hidden: sheet.hidden,
+      rows: readSheet(stream, sheet.offset, sharedStrings),
+    }));
+  return { sheets, sheetCount: sheets.length };
+}
+
+module.exports = {
+  parseExcelWorkbook,
+};
@@ -0,0 +1,14 @@
+const { CompoundFile, isCompoundFile } = require("./compoundFile");
+const { parseWordDocument } = require("./word");
+const { parseExcelWorkbook } = require("./excel");
+const { parsePresentation } = require("./powerpoint");
+const { parseRtf } = require("./rtf");
+
+module.exports = {
+  CompoundFile,
+  isCompoundFile,
+  parseWordDocument,
+  parseExcelWorkbook,
+  parsePresentation,
+  parseRtf,
+};
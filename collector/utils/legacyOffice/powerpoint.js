@@ -0,0 +1,210 @@
+const { CompoundFile } = require("./compoundFile");
+
+// PowerPoint 97-2003 presentations are a tree of records in the "PowerPoint Document" stream.
+// The "Current User" stream points at the last UserEditAtom, whose persist directory maps
+// persist ids to the stream offsets of the document and slide containers.
+// https://learn.microsoft.com/en-us/openspecs/office_file_formats/ms-ppt
+const RECORDS = {
+  DOCUMENT: 0x03e8,
+  SLIDE: 0x03ee,
+  SLIDE_PERSIST_ATOM: 0x03f3,
+  TEXT_HEADER_ATOM: 0x0f9f,
+  TEXT_CHARS_ATOM: 0x0fa0,
+  TEXT_BYTES_ATOM: 0x0fa8,
+  SLIDE_LIST_WITH_TEXT: 0x0ff0,
+  USER_EDIT_ATOM: 0x0ff5,
+  PERSIST_DIRECTORY_ATOM: 0x1772,
+};
+const CONTAINER_VERSION = 0x0f;
+const TITLE_TEXT_TYPES = [0, 6]; // Tx_TYPE_TITLE, Tx_TYPE_CENTERTITLE
+
+function readHeader(stream, offset) {
+  if (offset + 8 > stream.length) return null;
+  const verAndInstance = stream.readUInt16LE(offset);
+  return {
+    version: verAndInstance & 0x000f,
+    instance: verAndInstance >> 4,
+    type: stream.readUInt16LE(offset + 2),
+    length: stream.readUInt32LE(offset + 4),
+    offset,
+    dataOffset: offset + 8,
+  };
+}
+
+function children(stream, container) {
+  const records = [];
+  const end = Math.min(container.dataOffset + container.length, stream.length);
+  let offset = container.dataOffset;
+  while (offset < end) {
+    const record = readHeader(stream, offset);
+    if (!record) break;
+    records.push(record);
+    offset = record.dataOffset + record.length;
+  }
+  return records;
+}
+
+function atomText(stream, record) {
+  const data = stream.subarray(
+    record.dataOffset,
+    record.dataOffset + record.length
+  );
+  const text =
+    record.type === RECORDS.TEXT_CHARS_ATOM
+      ? data.toString("utf16le")
+      : data.toString("latin1");
+  // Paragraphs are separated by \r and soft line breaks by a vertical tab.
+  return text.replace(/\r|\x0b/g, "\n").trim();
+}
+
+/**
+ * Resolves persist ids to stream offsets by walking the chain of edits from the newest one.
+ * Newer edits override the offsets written by older ones.
+ * @returns {{persist: Map<number, number>, documentRef: number}|null}
+ */
+function readPersistDirectory(stream, currentUser) {
+  if (!currentUser || currentUser.length < 20) return null;
+  let editOffset = currentUser.readUInt32LE(16);
+  let documentRef = null;
+  const persist = new Map();
+  const visited = new Set();
+
+  while (!visited.has(editOffset)) {
+    visited.add(editOffset);
+    const edit = readHeader(stream, editOffset);
+    if (edit?.type !== RECORDS.USER_EDIT_ATOM) break;
+    const data = edit.dataOffset;
+    documentRef ??= stream.readUInt32LE(data + 16);
+
+    const directory = readHeader(stream, stream.readUInt32LE(data + 12));
+    if (directory?.type === RECORDS.PERSIST_DIRECTORY_ATOM) {
+      let offset = directory.dataOffset;
+      const end = directory.dataOffset + directory.length;
+      while (offset + 4 <= end) {
+        const info = stream.readUInt32LE(offset);
+        const persistId = info & 0x000fffff;
+        const count = info >>> 20;
+        for (let i = 0; i < count; i++) {
+          if (!persist.has(persistId + i))
+            persist.set(persistId + i, stream.readUInt32LE(offset + 4 + i * 4));
+        }
+        offset += 4 + count * 4;
+      }
+    }
+
+    const previous = stream.readUInt32LE(data + 8);
+    if (previous === 0) break;
+    editOffset = previous;
+  }
+
+  return documentRef === null ? null : { persist, documentRef };
+}
+
+/**
+ * Collects the text atoms of the shapes on a slide (text boxes that are not placeholders).
+ */
+function shapeText(stream, container, texts = []) {
+  for (const record of children(stream, container)) {
+    if (record.version === CONTAINER_VERSION) shapeText(stream, record, texts);
+    else if (
+      record.type === RECORDS.TEXT_CHARS_ATOM ||
+      record.type === RECORDS.TEXT_BYTES_ATOM
+    ) {
+      const text = atomText(stream, record);
+      if (text) texts.push(text);
+    }
+  }
+  return texts;
+}
+
+/**
+ * Placeholder text (titles, bullet lists) lives in the SlideListWithText of the document,
+ * grouped after the SlidePersistAtom of the slide it belongs to.
+ */
+function slideList(stream, documentContainer) {
+  const list = children(stream, documentContainer).find(
+    (record) =>
+      record.type === RECORDS.SLIDE_LIST_WITH_TEXT && record.instance === 0
+  );
+  if (!list) return [];
+
+  const slides = [];
+  let textType = null;
+  for (const record of children(stream, list)) {
+    if (record.type === RECORDS.SLIDE_PERSIST_ATOM) {
+      slides.push({
+        persistRef: stream.readUInt32LE(record.dataOffset),
+        title: null,
+        text: [],
+      });
+      continue;
+    }
+    const slide = slides[slides.length - 1];
+    if (!slide) continue;
+    if (record.type === RECORDS.TEXT_HEADER_ATOM) {
+      textType = stream.readUInt32LE(record.dataOffset);
+      continue;
+    }
+    if (
+      record.type !== RECORDS.TEXT_CHARS_ATOM &&
+      record.type !== RECORDS.TEXT_BYTES_ATOM
+    )
+      continue;
+
+    const text = atomText(stream, record);
+    if (!text) continue;
+    if (TITLE_TEXT_TYPES.includes(textType) && !slide.title) slide.title = text;
+    else slide.text.push(text);
+  }
+  return slides;
+}
+
+function findDocument(stream) {
+  let offset = 0;
+  while (offset < stream.length) {
+    const record = readHeader(stream, offset);
+    if (!record) return null;
+    if (record.type === RECORDS.DOCUMENT) return record;
+    offset = record.dataOffset + record.length;
+  }
+  return null;
+}
+
+/**
+ * Extracts the slide text of a PowerPoint 97-2003 (.ppt) presentation in slide order.
+ * @param {Buffer} buffer - The contents of the .ppt file.
+ * @returns {{slides: {title: string|null, text: string[]}[], slideCount: number}}
+ */
+function parsePresentation(buffer) {
+  const file = new CompoundFile(buffer);
+  const stream = file.stream("PowerPoint Document");
+  if (!stream)
+    throw new Error(
+      "File is not a PowerPoint presentation - no PowerPoint Document stream."
+    );
+  if (file.stream("EncryptedSummary"))
+    throw new Error("Password protected presentations are not supported.");
+
+  const directory = readPersistDirectory(stream, file.stream("Current User"));
+  const documentOffset = directory?.persist.get(directory.documentRef);
+  const documentContainer =
+    documentOffset !== undefined
+      ? readHeader(stream, documentOffset)
+      : findDocument(stream);
+  if (documentContainer?.type !== RECORDS.DOCUMENT)
+    throw new Error("PowerPoint document container could not be found.");
+
+  const slides = slideList(stream, documentContainer).map((slide) => {
+    const slideOffset = directory?.persist.get(slide.persistRef);
+    const container =
+      slideOffset !== undefined ? readHeader(stream, slideOffset) : null;
+    if (container?.type === RECORDS.SLIDE)
+      slide.text.push(...shapeText(stream, container));
+    return { title: slide.title, text: slide.text };
+  });
+  return { slides, slideCount: slides.length };
+}
+
+module.exports = {
+  parsePresentation,
+};
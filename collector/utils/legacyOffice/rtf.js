@@ -0,0 +1,247 @@
+const { decodeCodepage, charsetCodepage } = require("./codepage");
+
+// Destinations that are left out of the extracted text (tables, pictures, headers, field codes...).
+const SKIPPED_DESTINATIONS = new Set([
+  "annotation",
+  "atnauthor",
+  "atnid",
+  "bkmkend",
+  "bkmkstart",
+  "colorschememapping",
+  "colortbl",
+  "datastore",
+  "docvar",
+  "falt",
+  "filetbl",
+  "fldinst",
+  "footer",
+  "footerf",
+  "footerl",
+  "footerr",
+  "header",
+  "headerf",
+  "headerl",
+  "headerr",
+  "latentstyles",
+  "listoverridetable",
+  "listtable",
+  "mmathPr",
+  "nonshppict",
+  "object",
+  "pgdsctbl",
+  "pict",
+  "pntext",
+  "pntxta",
+  "pntxtb",
+  "revtbl",
+  "rsidtbl",
+  "stylesheet",
+  "themedata",
+  "xmlnstbl",
+]);
+// Destinations inside \info that hold document properties.
+const INFO_FIELDS = { title: "title", author: "author", subject: "subject" };
+
+const SYMBOLS = {
+  bullet: "•",
+  emdash: "—",
+  endash: "–",
+  emspace: " ",
+  enspace: " ",
+  ldblquote: "“",
+  rdblquote: "”",
+  lquote: "‘",
+  rquote: "’",
+  tab: "\t",
+  line: "\n",
+};
+
+/**
+ * Extracts the text and properties of an RTF document. Table cells are joined with " | ",
+ * paragraphs, rows and page breaks end lines. Bytes escaped as \'hh are decoded with the
+ * codepage of the current font (\fcharset) or the document (\ansicpg), so GBK/Big5 RTF
+ * written by Chinese versions of Word and WordPad keeps its characters.
+ * @param {Buffer|string} input - The contents of the .rtf file.
+ * @returns {{text: string, title: string|null, author: string|null, pageCount: number}}
+ */
+function parseRtf(input) {
+  const rtf = Buffer.isBuffer(input) ? input.toString("latin1") : String(input);
+  if (!rtf.trimStart().startsWith("{\\rtf"))
+    throw new Error("File is not an RTF document.");
+
+  let output = "";
+  let documentCodepage = 1252;
+  const fontCodepages = new Map();
+  const info = { title: null, author: null, subject: null, pageCount: null };
+  let pageBreaks = 0;
+
+  let state = {
+    skip: false,
+    destination: null,
+    font: null,
+    uc: 1,
+    fontNumber: null,
+  };
+  const stack = [];
+  let pendingBytes = [];
+  let skipChars = 0; // fallback characters to skip after a \uN
+
+  const codepage = () =>
+    (state.font !== null && fontCodepages.get(state.font)) || documentCodepage;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (state.destination && INFO_FIELDS[state.destination]) {
+      const field = INFO_FIELDS[state.destination];
+      info[field] = (info[field] || "") + text;
+      return;
+    }
+    if (state.destination === "info" || state.destination === "fonttbl") return;
+    output += text;
+  };
+  const flushBytes = () => {
+    if (!pendingBytes.length) return;
+    emit(decodeCodepage(Buffer.from(pendingBytes), codepage()));
+    pendingBytes = [];
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+    if (char === "{") {
+      flushBytes();
+      stack.push(state);
+      state = { ...state, fontNumber: null };
+      continue;
+    }
+    if (char === "}") {
+      flushBytes();
+      state = stack.pop() || state;
+      skipChars = 0;
+      continue;
+    }
+    if (char === "\r" || char === "\n") continue;
+
+    if (char !== "\\") {
+      if (skipChars > 0) {
+        skipChars--;
+        continue;
+      }
+      const code = char.charCodeAt(0);
+      if (code >= 0x80) {
+        // Raw high bytes are written by some editors instead of \'hh escapes.
+        pendingBytes.push(code);
+        continue;
+      }
+      flushBytes();
+      emit(char);
+      continue;
+    }
+
+    // Control symbols - a backslash followed by a single non-letter.
+    const next = rtf[i + 1];
+    if (next === undefined) break;
+    if (!/[a-zA-Z]/.test(next)) {
+      i++;
+      if (next === "'") {
+        const byte = parseInt(rtf.substr(i + 1, 2), 16);
+        i += 2;
+        if (skipChars > 0) {
+          skipChars--;
+          continue;
+        }
+        if (!isNaN(byte)) pendingBytes.push(byte);
+        continue;
+      }
+      flushBytes();
+      if (next === "*") {
+        state.skip = true;
+        continue;
+      }
+      if (next === "\\" || next === "{" || next === "}") emit(next);
+      else if (next === "~") emit(" ");
+      else if (next === "_") emit("-");
+      else if (next === "\r" || next === "\n") emit("\n");
+      continue;
+    }
+
+    // Control words - letters, an optional signed number and an optional space delimiter.
+    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+    i += match[0].length;
+    const word = match[1];
+    const param = match[2] !== undefined ? Number(match[2]) : null;
+
+    if (word === "bin" && param > 0) {
+      i += param;
+      continue;
+    }
+    if (word === "u" && param !== null) {
+      flushBytes();
+      emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+      skipChars = state.uc;
+      continue;
+    }
+    flushBytes();
+
+    switch (word) {
+      case "ansicpg":
+        documentCodepage = param || 1252;
+        break;
+      case "uc":
+        state.uc = param ?? 1;
+        break;
+      case "f":
+        if (state.destination === "fonttbl") state.fontNumber = param;
+        else state.font = param;
+        break;
+      case "fcharset":
+        if (state.fontNumber !== null && charsetCodepage(param))
+          fontCodepages.set(state.fontNumber, charsetCodepage(param));
+        break;
+      case "fonttbl":
+      case "info":
+        state.destination = word;
+        break;
+      case "nofpages":
+        info.pageCount = param;
+        break;
+      case "par":
+      case "sect":
+        emit("\n");
+        break;
+      case "page":
+        pageBreaks++;
+        emit("\n\n");
+        break;
+      case "cell":
+      case "nestcell":
+        emit(" | ");
+        break;
+      case "row":
+      case "nestrow":
+        if (!state.skip) output = output.replace(/ \| $/, "");
+        emit("\n");
+        break;
+      default:
+        if (SYMBOLS[word]) emit(SYMBOLS[word]);
+        else if (SKIPPED_DESTINATIONS.has(word)) state.skip = true;
+        else if (INFO_FIELDS[word] && state.destination === "info")
+          state.destination = word;
+    }
+  }
+  flushBytes();
+
+  const text = output
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return {
+    text,
+    title: info.title?.trim() || null,
+    author: info.author?.trim() || null,
+    pageCount: info.pageCount || pageBreaks + 1,
+  };
+}
+
+module.exports = {
+  parseRtf,
+};
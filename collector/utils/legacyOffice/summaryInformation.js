@@ -0,0 +1,95 @@
+const { decodeCodepage } = require("./codepage");
+
+// Property ids of the SummaryInformation property set.
+// https://learn.microsoft.com/en-us/openspecs/windows_protocols/ms-oleps
+const PIDSI = {
+  CODEPAGE: 0x01,
+  TITLE: 0x02,
+  SUBJECT: 0x03,
+  AUTHOR: 0x04,
+  PAGECOUNT: 0x0e,
+};
+
+const VT = {
+  I2: 0x02,
+  I4: 0x03,
+  LPSTR: 0x1e,
+  LPWSTR: 0x1f,
+};
+
+function readProperty(data, offset, codepage) {
+  if (offset + 4 > data.length) return null;
+  const type = data.readUInt16LE(offset);
+  const value = offset + 4;
+  switch (type) {
+    case VT.I2:
+      return data.readInt16LE(value);
+    case VT.I4:
+      return data.readInt32LE(value);
+    case VT.LPSTR: {
+      const size = data.readUInt32LE(value);
+      const bytes = data.subarray(value + 4, value + 4 + size);
+      return (
+        codepage === 1200
+          ? bytes.toString("utf16le")
+          : decodeCodepage(bytes, codepage)
+      ).replace(/\0+$/, "");
+    }
+    case VT.LPWSTR: {
+      const length = data.readUInt32LE(value);
+      return data
+        .subarray(value + 4, value + 4 + length * 2)
+        .toString("utf16le")
+        .replace(/\0+$/, "");
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads the title, author and page count from the "\x05SummaryInformation" stream
+ * that Office writes into every compound document.
+ * @param {Buffer|null} data - The contents of the stream.
+ * @returns {{title: string|null, author: string|null, subject: string|null, pageCount: number|null}}
+ */
+function parseSummaryInformation(data) {
+  const summary = { title: null, author: null, subject: null, pageCount: null };
+  if (!data || data.length < 48 || data.readUInt16LE(0) !== 0xfffe)
+    return summary;
+
+  try {
+    const setOffset = data.readUInt32LE(44);
+    const count = data.readUInt32LE(setOffset + 4);
+    const properties = new Map();
+    for (let i = 0; i < count; i++) {
+      const entry = setOffset + 8 + i * 8;
+      if (entry + 8 > data.length) break;
+      properties.set(
+        data.readUInt32LE(entry),
+        setOffset + data.readUInt32LE(entry + 4)
+      );
+    }
+
+    const codepage = properties.has(PIDSI.CODEPAGE)
+      ? readProperty(data, properties.get(PIDSI.CODEPAGE)) & 0xffff
+      : 1252;
+    const read = (pid) =>
+      properties.has(pid)
+        ? readProperty(data, properties.get(pid), codepage)
+        : null;
+
+    summary.title = read(PIDSI.TITLE) || null;
+    summary.author = read(PIDSI.AUTHOR) || null;
+    summary.subject = read(PIDSI.SUBJECT) || null;
+    const pageCount = read(PIDSI.PAGECOUNT);
+    summary.pageCount = pageCount > 0 ? pageCount : null;
+  } catch {
+    // A damaged property set should never stop the text from being extracted.
+  }
+  return summary;
+}
+
+module.exports = {
+  parseSummaryInformation,
+};
@@ -0,0 +1,226 @@
+const { CompoundFile } = require("./compoundFile");
+const { decodeCodepage } = require("./codepage");
+const { parseSummaryInformation } = require("./summaryInformation");
+
+// Text of a Word 97-2003 document is stored in the "WordDocument" stream as a list of
+// pieces described by the piece table (Clx) in the "0Table" or "1Table" stream.
+// https://learn.microsoft.com/en-us/openspecs/office_file_formats/ms-doc
+const WORD_97_MIN_NFIB = 0x00c1;
+const FC_CLX_INDEX = 33; // position of fcClx/lcbClx in FibRgFcLcb97
+
+const CHARS = {
+  CELL_MARK: "\x07",
+  FIELD_BEGIN: "\x13",
+  FIELD_SEPARATOR: "\x14",
+  FIELD_END: "\x15",
+};
+
+/**
+ * Reads the File Information Block at the start of the WordDocument stream.
+ * @param {Buffer} wordDocument
+ */
+function readFib(wordDocument) {
+  if (wordDocument.length < 32 || wordDocument.readUInt16LE(0) !== 0xa5ec)
+    throw new Error("WordDocument stream has an invalid header.");
+
+  const flags = wordDocument.readUInt16LE(0x0a);
+  const fib = {
+    nFib: wordDocument.readUInt16LE(0x02),
+    complex: !!(flags & 0x0004),
+    encrypted: !!(flags & 0x0100),
+    tableStream: flags & 0x0200 ? "1Table" : "0Table",
+    fcMin: wordDocument.readUInt32LE(0x18),
+    fcMac: wordDocument.readUInt32LE(0x1c),
+    ccpText: null,
+    fcClx: null,
+    lcbClx: null,
+  };
+  if (fib.nFib < WORD_97_MIN_NFIB) return fib;
+
+  let offset = 32;
+  const csw = wordDocument.readUInt16LE(offset);
+  offset += 2 + csw * 2;
+  const cslw = wordDocument.readUInt16LE(offset);
+  fib.ccpText = wordDocument.readInt32LE(offset + 2 + 3 * 4);
+  offset += 2 + cslw * 4;
+  const cbRgFcLcb = wordDocument.readUInt16LE(offset);
+  if (cbRgFcLcb > FC_CLX_INDEX) {
+    fib.fcClx = wordDocument.readUInt32LE(offset + 2 + FC_CLX_INDEX * 8);
+    fib.lcbClx = wordDocument.readUInt32LE(offset + 2 + FC_CLX_INDEX * 8 + 4);
+  }
+  return fib;
+}
+
+/**
+ * Reads the pieces of the main document text from the piece table.
+ * @returns {{cpStart: number, cpEnd: number, offset: number, compressed: boolean}[]}
+ */
+function readPieces(table, fcClx, lcbClx) {
+  const clx = table.subarray(fcClx, fcClx + lcbClx);
+  let offset = 0;
+  // Skip the Prc entries (property modifiers) that can precede the piece table.
+  while (offset < clx.length && clx[offset] === 0x01)
+    offset += 3 + clx.readInt16LE(offset + 1);
+  if (clx[offset] !== 0x02)
+    throw new Error("Word document has no piece table.");
+
+  const lcb = clx.readUInt32LE(offset + 1);
+  const plcPcd = clx.subarray(offset + 5, offset + 5 + lcb);
+  const count = (lcb - 4) / 12;
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const fc = plcPcd.readUInt32LE((count + 1) * 4 + i * 8 + 2);
+    const compressed = !!(fc & 0x40000000);
+    pieces.push({
+      cpStart: plcPcd.readUInt32LE(i * 4),
+      cpEnd: plcPcd.readUInt32LE((i + 1) * 4),
+      // Compressed pieces store one byte per character at half the file offset.
+      offset: compressed ? (fc & 0x3fffffff) / 2 : fc & 0x3fffffff,
+      compressed,
+    });
+  }
+  return pieces;
+}
+
+function readText(wordDocument, pieces, ccpText) {
+  let text = "";
+  for (const piece of pieces) {
+    if (piece.cpStart >= ccpText) break;
+    const length = Math.min(piece.cpEnd, ccpText) - piece.cpStart;
+    if (piece.compressed) {
+      text += decodeCodepage(
+        wordDocument.subarray(piece.offset, piece.offset + length),
+        1252
+      );
+    } else {
+      text += wordDocument
+        .subarray(piece.offset, piece.offset + length * 2)
+        .toString("utf16le");
+    }
+  }
+  return text;
+}
+
+/**
+ * Turns the raw document text into plain text. Fields keep their result and drop their code,
+ * table cells are joined with " | " and page or section breaks become blank lines.
+ * Word marks both the end of a cell and the end of a row with the same character,
+ * so an empty last cell cannot be told apart from the end of the row.
+ * @param {string} raw
+ * @returns {{text: string, pageBreaks: number}}
+ */
+function cleanText(raw = "") {
+  let output = "";
+  let pageBreaks = 0;
+  const fields = []; // true while inside the code part of a field
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === CHARS.FIELD_BEGIN) {
+      fields.push(true);
+      continue;
+    }
+    if (char === CHARS.FIELD_SEPARATOR) {
+      if (fields.length) fields[fields.length - 1] = false;
+      continue;
+    }
+    if (char === CHARS.FIELD_END) {
+      fields.pop();
+      continue;
+    }
+    if (fields.some((inCode) => inCode)) continue;
+
+    switch (char) {
+      case "\r":
+        output += "\n";
+        break;
+      case "\x0b":
+        output += "\n";
+        break;
+      case "\x0c":
+        pageBreaks++;
+        output += "\n\n";
+        break;
+      case CHARS.CELL_MARK:
+        if (raw[i + 1] === CHARS.CELL_MARK) {
+          output += "\n";
+          i++;
+        } else {
+          output += " | ";
+        }
+        break;
+      case "\t":
+        output += "\t";
+        break;
+      case "\x1e":
+        output += "-";
+        break;
+      case "\xa0":
+        output += " ";
+        break;
+      default:
+        // Drop picture, footnote and annotation anchors and other control characters.
+        if (char < " ") break;
+        output += char;
+    }
+  }
+
+  return {
+    text: output
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    pageBreaks,
+  };
+}
+
+/**
+ * Extracts the text and properties of a Word 97-2003 (.doc) document.
+ * @param {Buffer} buffer - The contents of the .doc file.
+ * @returns {{text: string, title: string|null, author: string|null, pageCount: number}}
+ */
+function parseWordDocument(buffer) {
+  const file = new CompoundFile(buffer);
+  const wordDocument = file.stream("WordDocument");
+  if (!wordDocument)
+    throw new Error("File is not a Word document - no WordDocument stream.");
+
+  const fib = readFib(wordDocument);
+  if (fib.encrypted)
+    throw new Error("Password protected Word documents are not supported.");
+
+  let raw;
+  if (fib.nFib >= WORD_97_MIN_NFIB && fib.lcbClx) {
+    const table = file.stream(fib.tableStream);
+    if (!table)
+      throw new Error(
+        `Word document is missing its ${fib.tableStream} stream.`
+      );
+    raw = readText(
+      wordDocument,
+      readPieces(table, fib.fcClx, fib.lcbClx),
+      fib.ccpText
+    );
+  } else if (!fib.complex) {
+    // Word 6/95 documents that were not fast-saved keep their text in one run.
+    raw = decodeCodepage(wordDocument.subarray(fib.fcMin, fib.fcMac), 1252);
+  } else {
+    throw new Error("Fast-saved Word 6/95 documents are not supported.");
+  }
+
+  const { text, pageBreaks } = cleanText(raw);
+  const summary = parseSummaryInformation(
+    file.stream("\x05SummaryInformation")
+  );
+  return {
+    text,
+    title: summary.title,
+    author: summary.author,
+    // Word keeps the page count of its last layout in the document properties.
+    pageCount: summary.pageCount ?? pageBreaks + 1,
+  };
+}
+
+module.exports = {
+  parseWordDocument,
+  cleanText,
+};
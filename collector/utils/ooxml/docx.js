@@ -0,0 +1,267 @@
+const { ZipArchive } = require("./zip");
+const { walk } = require("./xml");
+const { coreProperties } = require("./properties");
+
+const MAX_HEADING_LEVEL = 9;
+
+/**
+ * Maps paragraph style ids to their heading level using word/styles.xml.
+ * Style ids are localized (eg: "1" for "heading 1" in a Chinese Word) so the style name and outline level are used.
+ * @param {ZipArchive} zip
+ * @returns {Map<string, number>}
+ */
+function headingStyles(zip) {
+  const levels = new Map();
+  const xml = zip.text("word/styles.xml");
+  if (!xml) return levels;
+
+  let style = null;
+  walk(xml, {
+    open: (name, attributes) => {
+      if (name === "w:style") {
+        style =
+          attributes["w:type"] === "paragraph"
+            ? { id: attributes["w:styleId"], level: null }
+            : null;
+        return;
+      }
+      if (!style) return;
+      if (name === "w:name") {
+        const match = /^heading\s*(\d)$/i.exec(attributes["w:val"] ?? "");
+        if (match) style.level = Number(match[1]);
+      }
+      if (name === "w:outlineLvl") {
+        const level = Number(attributes["w:val"]) + 1;
+        if (level >= 1 && level <= MAX_HEADING_LEVEL) style.level = level;
+      }
+    },
+    close: (name) => {
+      if (name !== "w:style" || !style) return;
+      if (style.id && style.level) levels.set(style.id, style.level);
+      style = null;
+    },
+  });
+  return levels;
+}
+
+function headingLevel(styleId = "", styles) {
+  if (styles.has(styleId)) return styles.get(styleId);
+  const match = /^heading\s*(\d)$/i.exec(styleId);
+  return match ? Number(match[1]) : null;
+}
+
+function isOn(attributes) {
+  return !["0", "false", "off"].includes(attributes["w:val"]);
+}
+
+/**
+ * Walks word/document.xml and collects its paragraphs and table rows as text units.
+ * Page breaks are recorded as offsets within the unit they fall in.
+ * @returns {{text: string, level: number|null, breaks: {offset: number, rendered: boolean}[], separator: string}[]}
+ */
+function readUnits(xml, styles) {
+  const units = [];
+  const paragraphs = [];
+  let inText = false;
+  let runDepth = 0;
+  let fallbackDepth = 0;
+  let tableDepth = 0;
+  let row = null;
+  let cell = null;
+  let firstRow = false;
+
+  const paragraph = () => paragraphs[paragraphs.length - 1];
+  const addBreak = (rendered) => {
+    if (tableDepth > 0 && row) {
+      row.breaks.push({ offset: 0, rendered });
+      return;
+    }
+    const current = paragraph();
+    if (current) current.breaks.push({ offset: current.text.length, rendered });
+  };
+
+  walk(xml, {
+    open: (name, attributes) => {
+      if (name === "mc:Fallback") fallbackDepth++;
+      if (fallbackDepth > 0) return;
+
+      switch (name) {
+        case "w:p":
+          paragraphs.push({ text: "", level: null, breaks: [] });
+          break;
+        case "w:pStyle":
+          if (paragraph())
+            paragraph().level = headingLevel(attributes["w:val"], styles);
+          break;
+        case "w:outlineLvl": {
+          const level = Number(attributes["w:val"]) + 1;
+          if (paragraph() && level >= 1 && level <= MAX_HEADING_LEVEL)
+            paragraph().level = level;
+          break;
+        }
+        case "w:pageBreakBefore":
+          if (isOn(attributes)) addBreak(false);
+          break;
+        case "w:r":
+          runDepth++;
+          break;
+        case "w:t":
+          inText = runDepth > 0;
+          break;
+        case "w:tab":
+          if (runDepth > 0 && paragraph()) paragraph().text += "\t";
+          break;
+        case "w:br":
+          if (runDepth === 0 || !paragraph()) break;
+          if (attributes["w:type"] === "page") addBreak(false);
+          else paragraph().text += "\n";
+          break;
+        case "w:cr":
+          if (runDepth > 0 && paragraph()) paragraph().text += "\n";
+          break;
+        case "w:lastRenderedPageBreak":
+          addBreak(true);
+          break;
+        case "w:tbl":
+          tableDepth++;
+          if (tableDepth === 1) firstRow = true;
+          break;
+        case "w:tr":
+          if (tableDepth === 1) row = { cells: [], breaks: [] };
+          break;
+        case "w:tc":
+          if (tableDepth === 1) cell = "";
+          break;
+      }
+    },
+    close: (name) => {
+      if (name === "mc:Fallback") {
+        fallbackDepth--;
+        return;
+      }
+      if (fallbackDepth > 0) return;
+
+      switch (name) {
+        case "w:t":
+          inText = false;
+          break;
+        case "w:r":
+          runDepth = Math.max(0, runDepth - 1);
+          break;
+        case "w:p": {
+          const done = paragraphs.pop();
+          if (!done) break;
+          if (tableDepth > 0) {
+            const text = done.text.trim();
+            if (cell !== null && text) cell += (cell ? " " : "") + text;
+            break;
+          }
+          units.push({ ...done, separator: "\n\n" });
+          break;
+        }
+        case "w:tc":
+          if (tableDepth === 1 && row && cell !== null) {
+            row.cells.push(cell);
+            cell = null;
+          } else if (tableDepth > 1 && cell) cell += " ";
+          break;
+        case "w:tr":
+          if (tableDepth !== 1 || !row) break;
+          units.push({
+            text: row.cells.join(" | "),
+            level: null,
+            breaks: row.breaks,
+            separator: firstRow ? "\n\n" : "\n",
+          });
+          firstRow = false;
+          row = null;
+          break;
+        case "w:tbl":
+          tableDepth = Math.max(0, tableDepth - 1);
+          break;
+      }
+    },
+    text: (text) => {
+      if (fallbackDepth > 0 || !inText || !paragraph()) return;
+      paragraph().text += text;
+    },
+  });
+  return units;
+}
+
+/**
+ * Converts page boundaries into page offsets, pages without text are left out.
+ * @param {number[]} boundaries - Offsets in the text where a new page starts.
+ * @param {number} length - Length of the text.
+ * @returns {{page: number, start: number, end: number}[]}
+ */
+function toPageOffsets(boundaries, length) {
+  const starts = [0, ...boundaries];
+  return starts
+    .map((start, i) => ({
+      page: i + 1,
+      start,
+      end: starts[i + 1] ?? length,
+    }))
+    .filter(({ start, end }) => end > start);
+}
+
+/**
+ * Extracts the text of a Word (.docx) document along with where its pages and sections start.
+ * Page numbers come from the page breaks Word stored when the file was last saved,
+ * falling back to explicit page breaks. Documents without either get no page offsets.
+ * @param {Buffer} buffer - The contents of the .docx file.
+ * @returns {{text: string, title: string|null, author: string|null, pageOffsets: {page: number, start: number, end: number}[], sectionOffsets: {headingPath: string[], start: number, end: number}[]}}
+ */
+function parseDocx(buffer) {
+  const zip = new ZipArchive(buffer);
+  const xml = zip.text("word/document.xml");
+  if (!xml) throw new Error("File is not a Word document.");
+
+  const units = readUnits(xml, headingStyles(zip));
+  const rendered = units.some((unit) => unit.breaks.some((b) => b.rendered));
+
+  let text = "";
+  const boundaries = [];
+  const headings = [];
+  let pending = 0;
+  let path = [];
+  for (const unit of units) {
+    const breaks = unit.breaks.filter((b) => b.rendered === rendered);
+    if (!unit.text.trim()) {
+      pending += breaks.length;
+      continue;
+    }
+
+    if (text) text += unit.separator;
+    const start = text.length;
+    for (; pending > 0; pending--) boundaries.push(start);
+    for (const { offset } of breaks) boundaries.push(start + offset);
+    text += unit.text;
+
+    if (unit.level) {
+      path = [...path.slice(0, unit.level - 1), unit.text.trim()];
+      headings.push({ headingPath: path.filter(Boolean), start });
+    }
+  }
+
+  const sectionOffsets = headings.map((heading, i) => ({
+    ...heading,
+    end: headings[i + 1]?.start ?? text.length,
+  }));
+  const { title = null, author = null } = coreProperties(zip);
+  return {
+    text,
+    title,
+    author,
+    pageOffsets: boundaries.length
+      ? toPageOffsets(boundaries, text.length)
+      : [],
+    sectionOffsets,
+  };
+}
+
+module.exports = {
+  parseDocx,
+  toPageOffsets,
+};
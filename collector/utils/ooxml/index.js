@@ -0,0 +1,9 @@
+const { ZipArchive } = require("./zip");
+const { parseDocx } = require("./docx");
+const { parsePptx } = require("./pptx");
+
+module.exports = {
+  ZipArchive,
+  parseDocx,
+  parsePptx,
+};
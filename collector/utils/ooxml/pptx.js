@@ -0,0 +1,153 @@
+const path = require("path");
+const { ZipArchive } = require("./zip");
+const { walk } = require("./xml");
+const { coreProperties } = require("./properties");
+
+const TITLE_PLACEHOLDERS = ["title", "ctrTitle"];
+
+/**
+ * Reads the relationships of a part, eg: ppt/_rels/presentation.xml.rels for ppt/presentation.xml
+ * @returns {Map<string, string>} - Relationship id to the path of the target part.
+ */
+function relationships(zip, part) {
+  const dir = path.posix.dirname(part);
+  const xml = zip.text(`${dir}/_rels/${path.posix.basename(part)}.rels`);
+  const targets = new Map();
+  if (!xml) return targets;
+
+  walk(xml, {
+    open: (name, attributes) => {
+      if (name !== "Relationship" || attributes.TargetMode === "External")
+        return;
+      const target = attributes.Target ?? "";
+      targets.set(
+        attributes.Id,
+        target.startsWith("/")
+          ? target.slice(1)
+          : path.posix.normalize(`${dir}/${target}`)
+      );
+    },
+  });
+  return targets;
+}
+
+/**
+ * The slide parts in presentation order, hidden slides included.
+ * @returns {string[]}
+ */
+function slideParts(zip) {
+  const presentation = zip.text("ppt/presentation.xml");
+  if (!presentation) throw new Error("File is not a PowerPoint presentation.");
+
+  const targets = relationships(zip, "ppt/presentation.xml");
+  const parts = [];
+  walk(presentation, {
+    open: (name, attributes) => {
+      if (name !== "p:sldId") return;
+      const part = targets.get(attributes["r:id"]);
+      if (part) parts.push(part);
+    },
+  });
+  return parts;
+}
+
+/**
+ * Collects the text of a slide shape by shape. Paragraphs of a shape are joined by new lines,
+ * table cells by " | " and table rows by new lines.
+ * @returns {{title: string|null, text: string[]}}
+ */
+function slideText(xml) {
+  const slide = { title: null, text: [] };
+  let shape = null;
+  let paragraph = null;
+  let cell = null;
+  let row = null;
+  let inText = false;
+
+  walk(xml, {
+    open: (name, attributes) => {
+      switch (name) {
+        case "p:sp":
+          shape = { title: false, paragraphs: [] };
+          break;
+        case "p:ph":
+          if (shape && TITLE_PLACEHOLDERS.includes(attributes.type))
+            shape.title = true;
+          break;
+        case "a:tbl":
+          shape = { title: false, paragraphs: [] };
+          break;
+        case "a:tr":
+          row = [];
+          break;
+        case "a:tc":
+          cell = [];
+          break;
+        case "a:p":
+          paragraph = "";
+          break;
+        case "a:t":
+          inText = paragraph !== null;
+          break;
+        case "a:br":
+          if (paragraph !== null) paragraph += "\n";
+          break;
+      }
+    },
+    close: (name) => {
+      switch (name) {
+        case "a:t":
+          inText = false;
+          break;
+        case "a:p":
+          if (paragraph?.trim()) {
+            if (cell) cell.push(paragraph.trim());
+            else shape?.paragraphs.push(paragraph);
+          }
+          paragraph = null;
+          break;
+        case "a:tc":
+          row?.push(cell?.join(" ") ?? "");
+          cell = null;
+          break;
+        case "a:tr":
+          if (row?.some(Boolean)) shape?.paragraphs.push(row.join(" | "));
+          row = null;
+          break;
+        case "p:sp":
+        case "a:tbl": {
+          const text = shape?.paragraphs.join("\n").trim();
+          if (text) {
+            if (shape.title && !slide.title) slide.title = text;
+            else slide.text.push(text);
+          }
+          shape = null;
+          break;
+        }
+      }
+    },
+    text: (text) => {
+      if (inText) paragraph += text;
+    },
+  });
+  return slide;
+}
+
+/**
+ * Extracts the slide text of a PowerPoint (.pptx) presentation in slide order.
+ * @param {Buffer} buffer - The contents of the .pptx file.
+ * @returns {{slides: {title: string|null, text: string[]}[], slideCount: number, title: string|null, author: string|null}}
+ */
+function parsePptx(buffer) {
+  const zip = new ZipArchive(buffer);
+  const slides = slideParts(zip).map((part) => {
+    const xml = zip.text(part);
+    return xml ? slideText(xml) : { title: null, text: [] };
+  });
+  const { title = null, author = null } = coreProperties(zip);
+  return { slides, slideCount: slides.length, title, author };
+}
+
+module.exports = {
+  parsePptx,
+};
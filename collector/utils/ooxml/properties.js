@@ -0,0 +1,33 @@
+const { walk } = require("./xml");
+
+const CORE_PROPERTIES = {
+  "dc:title": "title",
+  "dc:creator": "author",
+  "dc:subject": "subject",
+  "dc:description": "description",
+};
+
+/**
+ * Reads the document properties stored in docProps/core.xml.
+ * @param {import("./zip").ZipArchive} zip
+ * @returns {{title?: string, author?: string, subject?: string, description?: string}}
+ */
+function coreProperties(zip) {
+  const xml = zip.text("docProps/core.xml");
+  if (!xml) return {};
+
+  const properties = {};
+  let current = null;
+  walk(xml, {
+    open: (name) => (current = CORE_PROPERTIES[name] ?? null),
+    close: () => (current = null),
+    text: (text) => {
+      if (current && text.trim()) properties[current] = text.trim();
+    },
+  });
+  return properties;
+}
+
+module.exports = {
+  coreProperties,
+};
@@ -0,0 +1,58 @@
+const TOKEN =
+  /<(\/?)([\w.:-]+)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|([^<]+)/g;
+const ATTRIBUTE = /([\w.:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Decodes the predefined and numeric XML entities.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return ENTITIES[entity] ?? match;
+    const code =
+      entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * @param {string} source - The attributes part of a tag, eg: ` w:val="Heading1"`
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source = "") {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE))
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  return attributes;
+}
+
+/**
+ * Walks an XML document as a flat stream of open, close and text tokens.
+ * The OOXML parts we read are flat enough that a streaming walk is simpler than building a tree.
+ * Self closing tags are reported as an open token followed by a close token.
+ * @param {string} xml
+ * @param {{open?: (name: string, attributes: Object<string, string>) => void, close?: (name: string) => void, text?: (text: string) => void}} handlers
+ */
+function walk(xml, { open = () => {}, close = () => {}, text = () => {} }) {
+  for (const match of xml.matchAll(TOKEN)) {
+    const [, closing, name, attributes, selfClosing, cdata, content] = match;
+    if (content !== undefined) text(decodeEntities(content));
+    else if (cdata !== undefined) text(cdata);
+    else if (!name) continue;
+    else if (closing) close(name);
+    else {
+      open(name, parseAttributes(attributes));
+      if (selfClosing) close(name);
+    }
+  }
+}
+
+module.exports = {
+  decodeEntities,
+  parseAttributes,
+  walk,
+};
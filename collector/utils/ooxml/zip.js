@@ -0,0 +1,103 @@
+const zlib = require("zlib");
+
+// Office Open XML files (.docx, .pptx) are ZIP archives of XML parts.
+// Only what is needed to read them is supported: stored and deflated entries, no ZIP64.
+// https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+const SIGNATURES = {
+  LOCAL_FILE: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+};
+const METHODS = { STORED: 0, DEFLATED: 8 };
+const MAX_COMMENT_LENGTH = 0xffff;
+
+class ZipArchive {
+  /**
+   * @param {Buffer} buffer - The contents of the archive.
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.entries = this.#readCentralDirectory();
+  }
+
+  #findEndOfCentralDirectory() {
+    const min = Math.max(0, this.buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let offset = this.buffer.length - 22; offset >= min; offset--) {
+      if (
+        this.buffer.readUInt32LE(offset) === SIGNATURES.END_OF_CENTRAL_DIRECTORY
+      )
+        return offset;
+    }
+    throw new Error("File is not a ZIP archive.");
+  }
+
+  #readCentralDirectory() {
+    const end = this.#findEndOfCentralDirectory();
+    const count = this.buffer.readUInt16LE(end + 10);
+    let offset = this.buffer.readUInt32LE(end + 16);
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+      if (this.buffer.readUInt32LE(offset) !== SIGNATURES.CENTRAL_DIRECTORY)
+        throw new Error("ZIP central directory is corrupt.");
+      const nameLength = this.buffer.readUInt16LE(offset + 28);
+      const extraLength = this.buffer.readUInt16LE(offset + 30);
+      const commentLength = this.buffer.readUInt16LE(offset + 32);
+      const name = this.buffer
+        .subarray(offset + 46, offset + 46 + nameLength)
+        .toString("utf8");
+      entries.set(name, {
+        method: this.buffer.readUInt16LE(offset + 10),
+        compressedSize: this.buffer.readUInt32LE(offset + 20),
+        localHeaderOffset: this.buffer.readUInt32LE(offset + 42),
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  /**
+   * @returns {string[]} - The names of all entries in the archive.
+   */
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Reads an entry of the archive.
+   * @param {string} name - Path of the entry, eg: "word/document.xml"
+   * @returns {Buffer|null} - The uncompressed contents, null if the entry does not exist.
+   */
+  read(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+
+    const offset = entry.localHeaderOffset;
+    if (this.buffer.readUInt32LE(offset) !== SIGNATURES.LOCAL_FILE)
+      throw new Error(`ZIP entry ${name} is corrupt.`);
+    const start =
+      offset +
+      30 +
+      this.buffer.readUInt16LE(offset + 26) +
+      this.buffer.readUInt16LE(offset + 28);
+    const data = this.buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === METHODS.STORED) return data;
+    if (entry.method === METHODS.DEFLATED) return zlib.inflateRawSync(data);
+    throw new Error(
+      `ZIP entry ${name} uses unsupported compression method ${entry.method}.`
+    );
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string|null} - The entry decoded as UTF-8 text.
+   */
+  text(name) {
+    return this.read(name)?.toString("utf8") ?? null;
+  }
+}
+
+module.exports = {
+  ZipArchive,
+};
@@ -0,0 +1,50 @@
+/**
+ * @typedef {object} PageOffset
+ * @property {number} page - Page or slide number, starting at 1.
+ * @property {number} start - Offset in the document text where the page starts.
+ * @property {number} end - Offset in the document text where the page ends (exclusive).
+ */
+
+/**
+ * Joins the text of pages (or slides) into the document text and records where every page lands in it,
+ * so the server can map each chunk back to the pages it came from.
+ * Empty pages are left out of the text but keep their number.
+ * @param {{page: number, text: string}[]} pages
+ * @param {string} [separator = "\n"]
+ * @returns {{text: string, pageOffsets: PageOffset[]}}
+ */
+function joinPages(pages = [], separator = "\n") {
+  let text = "";
+  const pageOffsets = [];
+  for (const { page, text: pageText } of pages) {
+    if (!pageText?.trim()) continue;
+    if (text) text += separator;
+    pageOffsets.push({
+      page,
+      start: text.length,
+      end: text.length + pageText.length,
+    });
+    text += pageText;
+  }
+  return { text, pageOffsets };
+}
+
+/**
+ * Renders presentation slides as "Slide N:" sections, recording where every slide lands in the text.
+ * @param {{title: string|null, text: string[]}[]} slides
+ * @returns {{text: string, pageOffsets: PageOffset[]}}
+ */
+function joinSlides(slides = []) {
+  return joinPages(
+    slides.map((slide, i) => {
+      const text = [slide.title, ...slide.text].filter(Boolean).join("\n");
+      return { page: i + 1, text: text ? `Slide ${i + 1}:\n${text}` : "" };
+    }),
+    "\n\n"
+  );
+}
+
+module.exports = {
+  joinPages,
+  joinSlides,
+};
@@ -0,0 +1,229 @@
+// Minimum number of lines (header included) before aligned columns in a PDF are treated as a table.
+const MIN_PDF_TABLE_LINES = 3;
+// Horizontal gap, in multiples of the font size, that separates two cells on a PDF line.
+const PDF_CELL_GAP = 1.2;
+
+/**
+ * @typedef {Object} ExtractedTable
+ * @property {string} caption - Caption of the table, eg: "Table 2: Revenue by region" or "Sheet1!A1:D12"
+ * @property {number} [page] - 1-based page number the table was found on (PDFs).
+ * @property {string} [sheet] - Name of the sheet the table was found on (spreadsheets).
+ * @property {string} [range] - A1 style range of the table on the sheet (spreadsheets).
+ * @property {string[][]} rows - Cell values, the first row is used as header.
+ */
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Render rows as a Markdown table, using the first row as header.
+ * @param {any[][]} rows
+ * @returns {string}
+ */
+function toMarkdownTable(rows = []) {
+  if (!rows.length) return "";
+  const width = Math.max(...rows.map((row) => row.length));
+  const line = (row) =>
+    `| ${Array.from({ length: width }, (_, i) =>
+      cellText(row[i]).replace(/\|/g, "\\|")
+    ).join(" | ")} |`;
+  const [header, ...body] = rows;
+  return [
+    line(header),
+    `| ${Array(width).fill("---").join(" | ")} |`,
+    ...body.map(line),
+  ].join("\n");
+}
+
+/**
+ * Render a table as a captioned Markdown block. The "Table:" caption line directly above the
+ * table is how the server side splitter recognises the caption of a table.
+ * @param {ExtractedTable} table
+ * @returns {string}
+ */
+function tableBlock(table) {
+  return `Table: ${table.caption}\n${toMarkdownTable(table.rows)}`;
+}
+
+/**
+ * Table metadata that is stored on the document - the cells themselves are left out.
+ * @param {ExtractedTable[]} tables
+ */
+function tableSummaries(tables = []) {
+  return tables.map(({ rows, ...table }) => ({
+    ...table,
+    rowCount: rows.length,
+    columnCount: Math.max(0, ...rows.map((row) => row.length)),
+  }));
+}
+
+/**
+ * @param {number} index - 0-based column index
+ * @returns {string} - Spreadsheet column name, eg: 0 => "A", 27 => "AB"
+ */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+/**
+ * Find the tables on a sheet. Blocks of cells separated by fully empty rows or columns
+ * are returned as separate tables, with empty leading/trailing rows and columns trimmed.
+ * @param {string} sheet - Name of the sheet.
+ * @param {any[][]} data - Cell values by row, may be sparse.
+ * @returns {ExtractedTable[]}
+ */
+function sheetTables(sheet, data = []) {
+  const grid = Array.from(data, (row = []) =>
+    Array.from(row ?? [], (cell) => cellText(cell))
+  );
+  const filled = (r, c) => !!grid[r]?.[c];
+  const tables = [];
+
+  const rowGroups = [];
+  let group = null;
+  for (let r = 0; r < grid.length; r++) {
+    if (grid[r].some(Boolean)) {
+      if (!group) group = { start: r, end: r };
+      group.end = r;
+    } else if (group) {
+      rowGroups.push(group);
+      group = null;
+    }
+  }
+  if (group) rowGroups.push(group);
+
+  for (const { start, end } of rowGroups) {
+    const width = Math.max(
+      ...grid.slice(start, end + 1).map((row) => row.length)
+    );
+    let colStart = null;
+    for (let c = 0; c <= width; c++) {
+      let used = false;
+      for (let r = start; r <= end && !used; r++) used = filled(r, c);
+      if (used && colStart === null) colStart = c;
+      if (used || colStart === null) continue;
+
+      const range = `${columnName(colStart)}${start + 1}:${columnName(c - 1)}${
+        end + 1
+      }`;
+      const rows = grid
+        .slice(start, end + 1)
+        .map((row) =>
+          Array.from(
+            { length: c - colStart },
+            (_, i) => row[colStart + i] ?? ""
+          )
+        )
+        .filter((row) => row.some(Boolean));
+      tables.push({ caption: `${sheet}!${range}`, sheet, range, rows });
+      colStart = null;
+    }
+  }
+  return tables;
+}
+
+/**
+ * Split a PDF text line into cells wherever the gap between two text items is wider than
+ * PDF_CELL_GAP times the font size.
+ * @param {{str: string, x: number, width: number, fontSize: number}[]} items
+ * @returns {{text: string, start: number, end: number}[]}
+ */
+function lineCells(items = []) {
+  const cells = [];
+  for (const item of items) {
+    if (!item.str.trim()) continue;
+    const last = cells[cells.length - 1];
+    const gap = last ? item.x - last.end : Infinity;
+    if (last && gap < Math.max(item.fontSize, 1) * PDF_CELL_GAP) {
+      last.text += (gap > item.fontSize * 0.15 ? " " : "") + item.str;
+      last.end = Math.max(last.end, item.x + item.width);
+      continue;
+    }
+    cells.push({ text: item.str, start: item.x, end: item.x + item.width });
+  }
+  return cells.map((cell) => ({ ...cell, text: cell.text.trim() }));
+}
+
+/**
+ * Cells line up with a set of columns when every cell overlaps its own column and none of the others.
+ */
+function alignsWith(columns, cells) {
+  if (cells.length !== columns.length) return false;
+  return cells.every((cell, i) =>
+    columns.every((column, j) => {
+      const overlaps = cell.start < column.end && cell.end > column.start;
+      return i === j ? overlaps : !overlaps;
+    })
+  );
+}
+
+/**
+ * Detect tables on a PDF page from the positions of its text. Consecutive lines with two or more
+ * cells whose columns line up are grouped into a table. A line directly above the table that starts
+ * with "Table"/"Tab."/"表" followed by a number is used as its caption.
+ * @param {{str: string, x: number, width: number, fontSize: number}[][]} lines - Text items by line in reading order.
+ * @param {number} page - 1-based page number.
+ * @returns {(ExtractedTable & {startLine: number, endLine: number, captionLine: number|null})[]}
+ */
+function detectPdfTables(lines = [], page = 1) {
+  const cellsByLine = lines.map(lineCells);
+  const tables = [];
+
+  let i = 0;
+  while (i < cellsByLine.length) {
+    const first = cellsByLine[i];
+    if (first.length < 2) {
+      i++;
+      continue;
+    }
+
+    const columns = first.map(({ start, end }) => ({ start, end }));
+    let j = i + 1;
+    while (j < cellsByLine.length && alignsWith(columns, cellsByLine[j])) {
+      cellsByLine[j].forEach((cell, c) => {
+        columns[c].start = Math.min(columns[c].start, cell.start);
+        columns[c].end = Math.max(columns[c].end, cell.end);
+      });
+      j++;
+    }
+
+    if (j - i < MIN_PDF_TABLE_LINES) {
+      i++;
+      continue;
+    }
+
+    const previous = i > 0 ? cellsByLine[i - 1] : [];
+    const captionText = previous.map((cell) => cell.text).join(" ");
+    const hasCaption =
+      previous.length > 0 &&
+      !tables.some((table) => table.endLine === i - 1) &&
+      /^(table|tab\.|表)\s*[\d一二三四五六七八九十]/i.test(captionText);
+    tables.push({
+      caption: hasCaption
+        ? captionText
+        : `Table ${tables.length + 1} on page ${page}`,
+      page,
+      rows: cellsByLine.slice(i, j).map((cells) => cells.map((c) => c.text)),
+      startLine: i,
+      endLine: j - 1,
+      captionLine: hasCaption ? i - 1 : null,
+    });
+    i = j;
+  }
+  return tables;
+}
+
+module.exports = {
+  toMarkdownTable,
+  tableBlock,
+  tableSummaries,
+  columnName,
+  sheetTables,
+  detectPdfTables,
+};
@@ -56,6 +56,9 @@ const GeneralEmbeddingPreference = lazy(
 const EmbeddingTextSplitterPreference = lazy(
   () => import("@/pages/GeneralSettings/EmbeddingTextSplitterPreference")
 );
+const RerankerPreference = lazy(
+  () => import("@/pages/GeneralSettings/RerankerPreference")
+);
 const GeneralVectorDatabase = lazy(
   () => import("@/pages/GeneralSettings/VectorDatabase")
 );
@@ -170,6 +173,10 @@ export default function App() {
                         />
                       }
                     />
+                    <Route
+                      path="/settings/reranker-preference"
+                      element={<AdminRoute Component={RerankerPreference} />}
+                    />
                     <Route
                       path="/settings/vector-database"
                       element={<AdminRoute Component={GeneralVectorDatabase} />}
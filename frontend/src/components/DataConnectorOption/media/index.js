@@ -6,6 +6,7 @@ import Confluence from "./confluence.jpeg";
 import DrupalWiki from "./drupalwiki.jpg";
 import Obsidian from "./obsidian.png";
 import PaperlessNgx from "./paperless-ngx.jpeg";
+import LocalFolder from "./folder.svg";
 
 const ConnectorImages = {
   github: GitHub,
@@ -16,6 +17,7 @@ const ConnectorImages = {
   drupalwiki: DrupalWiki,
   obsidian: Obsidian,
   paperlessNgx: PaperlessNgx,
+  localFolder: LocalFolder,
 };
 
 export default ConnectorImages;
@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from "react";
+import System from "@/models/system";
+import showToast from "@/utils/toast";
+import { TagsInput } from "react-tag-input-component";
+import { Info, Trash } from "@phosphor-icons/react";
+
+const TAGS_CLASSNAMES = {
+  tag: "bg-theme-settings-input-bg light:bg-black/10 bg-blue-300/10 text-zinc-800",
+  input:
+    "flex p-1 !bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none",
+};
+
+export default function LocalFolderOptions({ workspace }) {
+  const [loading, setLoading] = useState(false);
+  const [mounts, setMounts] = useState([]);
+  const [include, setInclude] = useState([]);
+  const [exclude, setExclude] = useState([]);
+
+  async function fetchMounts() {
+    if (!workspace?.slug) return;
+    const { mounts } = await System.dataConnectors.localFolder.mounts(
+      workspace.slug
+    );
+    setMounts(mounts);
+  }
+
+  useEffect(() => {
+    fetchMounts();
+  }, [workspace?.slug]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+
+    try {
+      setLoading(true);
+      const { data, error } = await System.dataConnectors.localFolder.mount({
+        slug: workspace.slug,
+        path: form.get("path"),
+        include,
+        exclude,
+      });
+
+      if (!!error) {
+        showToast(error, "error", { clear: true });
+        setLoading(false);
+        return;
+      }
+
+      showToast(
+        `Mounted ${data.mount.path}. Its files are being embedded into "${workspace.name}" in the background.`,
+        "success",
+        { clear: true }
+      );
+      e.target.reset();
+      setInclude([]);
+      setExclude([]);
+      setLoading(false);
+      fetchMounts();
+    } catch (e) {
+      console.error(e);
+      showToast(e.message, "error", { clear: true });
+      setLoading(false);
+    }
+  };
+
+  const handleUnmount = async (mount) => {
+    if (
+      !window.confirm(
+        `Unmount ${mount.path}?\nAll documents of this folder will be removed from the workspace and the document library.`
+      )
+    )
+      return;
+
+    const { success, error } = await System.dataConnectors.localFolder.unmount(
+      mount.id
+    );
+    if (!success) {
+      showToast(error, "error", { clear: true });
+      return;
+    }
+    showToast(`Unmounted ${mount.path}.`, "success", { clear: true });
+    fetchMounts();
+  };
+
+  return (
+    <div className="flex w-full">
+      <div className="flex flex-col w-full px-1 md:pb-6 pb-16">
+        <form className="w-full" onSubmit={handleSubmit}>
+          <div className="w-full flex flex-col py-2">
+            <div className="w-full flex flex-col gap-4">
+              <div className="flex flex-col pr-10">
+                <div className="flex flex-col gap-y-1 mb-4">
+                  <label className="text-white text-sm font-bold">
+                    Folder path
+                  </label>
+                  <p className="text-xs font-normal text-theme-text-secondary">
+                    Absolute path of a folder on the server, such as a mounted
+                    network share. Files are kept in sync as they are created,
+                    modified or deleted.
+                  </p>
+                </div>
+                <input
+                  type="text"
+                  name="path"
+                  className="border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                  placeholder="/mnt/shared/handbook"
+                  required={true}
+                  autoComplete="off"
+                  spellCheck={false}
+                />
+              </div>
+
+              <div className="flex flex-col pr-10">
+                <div className="flex flex-col gap-y-1 mb-4">
+                  <label className="text-white text-sm font-bold">
+                    Include
+                  </label>
+                  <p className="text-xs font-normal text-theme-text-secondary">
+                    Glob patterns of the files to embed. Leave empty to embed
+                    every supported file.
+                  </p>
+                </div>
+                <TagsInput
+                  value={include}
+                  onChange={setInclude}
+                  name="include"
+                  placeholder="*.pdf, docs/**"
+                  classNames={TAGS_CLASSNAMES}
+                />
+              </div>
+
+              <div className="flex flex-col pr-10">
+                <div className="flex flex-col gap-y-1 mb-4">
+                  <label className="text-white text-sm font-bold">
+                    Exclude
+                  </label>
+                  <p className="text-xs font-normal text-theme-text-secondary">
+                    Glob patterns of the files and folders to skip.
+                  </p>
+                </div>
+                <TagsInput
+                  value={exclude}
+                  onChange={setExclude}
+                  name="exclude"
+                  placeholder="~$*, .git, archive/**"
+                  classNames={TAGS_CLASSNAMES}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-y-2 w-full pr-10">
+            <div className="flex flex-col md:flex-row md:items-center gap-x-2 text-white mb-4 bg-blue-800/30 w-fit rounded-lg px-4 py-2">
+              <div className="gap-x-2 flex items-center">
+                <Info className="shrink-0" size={25} />
+                <p className="text-sm">
+                  Automatic document sync must be enabled. Modified files are
+                  re-embedded by the document sync job.
+                </p>
+              </div>
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="mt-2 w-full justify-center border-none px-4 py-2 rounded-lg text-dark-text light:text-white text-sm font-bold items-center flex gap-x-2 bg-theme-home-button-primary hover:bg-theme-home-button-primary-hover disabled:bg-theme-home-button-primary-hover disabled:cursor-not-allowed"
+            >
+              {loading ? "Mounting folder..." : "Submit"}
+            </button>
+          </div>
+        </form>
+
+        {mounts.length > 0 && (
+          <div className="flex flex-col gap-y-2 w-full pr-10 mt-6">
+            <p className="text-white text-sm font-bold">Mounted folders</p>
+            {mounts.map((mount) => (
+              <div
+                key={mount.id}
+                className="flex items-center justify-between gap-x-2 bg-theme-settings-input-bg rounded-lg px-4 py-2"
+              >
+                <div className="flex flex-col min-w-0">
+                  <p className="text-white text-sm truncate">{mount.path}</p>
+                  <p className="text-xs text-theme-text-secondary truncate">
+                    {mount.lastReconciledAt
+                      ? `Last reconciled ${new Date(
+                          mount.lastReconciledAt
+                        ).toLocaleString()}`
+                      : "Waiting for the first reconciliation"}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleUnmount(mount)}
+                  className="border-none text-white/60 hover:text-red-400"
+                  aria-label="Unmount folder"
+                >
+                  <Trash size={18} weight="bold" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
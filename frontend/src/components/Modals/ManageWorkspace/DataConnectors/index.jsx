@@ -11,8 +11,9 @@ import ConnectorOption from "./ConnectorOption";
 import WebsiteDepthOptions from "./Connectors/WebsiteDepth";
 import ObsidianOptions from "./Connectors/Obsidian";
 import PaperlessNgxOptions from "./Connectors/PaperlessNgx";
+import LocalFolderOptions from "./Connectors/LocalFolder";
 
-export const getDataConnectors = (t) => ({
+export const getDataConnectors = (t, workspace = null) => ({
   github: {
     name: t("connectors.github.name"),
     image: ConnectorImages.github,
@@ -61,13 +62,19 @@ export const getDataConnectors = (t) => ({
     description: "Import documents from your Paperless-ngx instance.",
     options: <PaperlessNgxOptions />,
   },
+  "local-folder": {
+    name: "Local Folder",
+    image: ConnectorImages.localFolder,
+    description: "Mount and watch a folder or network share on the server.",
+    options: <LocalFolderOptions workspace={workspace} />,
+  },
 });
 
-export default function DataConnectors() {
+export default function DataConnectors({ workspace }) {
   const { t } = useTranslation();
   const [selectedConnector, setSelectedConnector] = useState("github");
   const [searchQuery, setSearchQuery] = useState("");
-  const DATA_CONNECTORS = getDataConnectors(t);
+  const DATA_CONNECTORS = getDataConnectors(t, workspace);
 
   const filteredConnectors = Object.keys(DATA_CONNECTORS).filter((slug) =>
     DATA_CONNECTORS[slug].name.toLowerCase().includes(searchQuery.toLowerCase())
@@ -4,10 +4,19 @@ import {
   getFileExtension,
   middleTruncate,
 } from "@/utils/directories";
-import { ArrowUUpLeft, Eye, File, PushPin } from "@phosphor-icons/react";
+import {
+  ArrowUUpLeft,
+  Eye,
+  File,
+  PushPin,
+  Tag,
+  X,
+} from "@phosphor-icons/react";
 import Workspace from "@/models/workspace";
 import showToast from "@/utils/toast";
 import System from "@/models/system";
+import ModalWrapper from "@/components/ModalWrapper";
+import { useModal } from "@/hooks/useModal";
 
 export default function WorkspaceFileRow({
   item,
@@ -112,6 +121,11 @@ export default function WorkspaceFileRow({
               docPath={`${folderName}/${item.name}`}
               item={item}
             />
+            <TagDocument
+              workspace={workspace}
+              docPath={`${folderName}/${item.name}`}
+              item={item}
+            />
             <RemoveItemFromWorkspace item={item} onClick={onRemoveClick} />
           </div>
         )}
@@ -256,6 +270,130 @@ const WatchForChanges = memo(({ workspace, docPath, item }) => {
   );
 });
 
+const TAG_FIELDS = [
+  { key: "department", label: "Department", placeholder: "legal" },
+  { key: "language", label: "Language", placeholder: "en" },
+  { key: "version", label: "Version", placeholder: "2024" },
+  { key: "validFrom", label: "Valid from", type: "date" },
+  { key: "validTo", label: "Valid to", type: "date" },
+];
+
+const TagDocument = memo(({ workspace, docPath, item }) => {
+  const { isOpen, openModal, closeModal } = useModal();
+  const [tags, setTags] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const openTags = async (e) => {
+    e.stopPropagation();
+    openModal();
+    setTags(await Workspace.getDocumentTags(workspace.slug, docPath));
+  };
+
+  const saveTags = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setSaving(true);
+    const form = new FormData(e.target);
+    const { tags: savedTags, error } = await Workspace.setDocumentTags(
+      workspace.slug,
+      docPath,
+      Object.fromEntries(
+        TAG_FIELDS.map(({ key }) => [key, form.get(key) || null])
+      )
+    );
+    setSaving(false);
+
+    if (error) {
+      showToast(`Failed to update document tags. ${error}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    showToast("Document tags updated.", "success", { clear: true });
+    setTags(savedTags || {});
+    closeModal();
+  };
+
+  if (!item) return <div className="w-[16px] p-[2px] ml-2" />;
+
+  // The modal is portaled but React still bubbles its clicks up to the row selection handler.
+  return (
+    <div onClick={(e) => e.stopPropagation()}>
+      <Tag
+        data-tooltip-id="tag-document"
+        data-tooltip-content="Edit document tags"
+        size={16}
+        onClick={openTags}
+        className="outline-none text-base font-bold ml-2 flex-shrink-0 cursor-pointer"
+      />
+      <ModalWrapper isOpen={isOpen}>
+        <div className="w-full max-w-md bg-theme-bg-secondary rounded-lg shadow border-2 border-theme-modal-border overflow-hidden">
+          <div className="relative p-6 border-b rounded-t border-theme-modal-border">
+            <h3 className="text-xl font-semibold text-white overflow-hidden overflow-ellipsis whitespace-nowrap">
+              Document tags
+            </h3>
+            <p className="mt-1 text-xs text-white/60 overflow-hidden overflow-ellipsis whitespace-nowrap">
+              {item.title}
+            </p>
+            <button
+              onClick={closeModal}
+              type="button"
+              className="absolute top-4 right-4 transition-all duration-300 bg-transparent rounded-lg text-sm p-1 inline-flex items-center hover:bg-theme-modal-border hover:border-theme-modal-border hover:border-opacity-50 border-transparent border"
+            >
+              <X size={24} weight="bold" className="text-white" />
+            </button>
+          </div>
+          {tags === null ? (
+            <p className="p-6 text-sm text-white/60">Loading tags...</p>
+          ) : (
+            <form onSubmit={saveTags}>
+              <div className="flex flex-col gap-y-4 p-6">
+                <p className="text-xs text-white/60">
+                  Tags are used to narrow retrieval with a workspace, thread
+                  (/filter) or API filter. Leave a field empty to remove it.
+                </p>
+                {TAG_FIELDS.map(({ key, label, placeholder, type }) => (
+                  <div key={key}>
+                    <label
+                      htmlFor={key}
+                      className="block mb-2 text-sm font-medium text-white"
+                    >
+                      {label}
+                    </label>
+                    <input
+                      name={key}
+                      type={type || "text"}
+                      defaultValue={tags[key] || ""}
+                      placeholder={placeholder}
+                      className="border-none bg-theme-settings-input-bg placeholder:text-theme-settings-input-placeholder text-white text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-between items-center border-t border-theme-modal-border pt-4 p-6">
+                <button
+                  onClick={closeModal}
+                  type="button"
+                  className="transition-all duration-300 text-white hover:bg-zinc-700 px-4 py-2 rounded-lg text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="transition-all duration-300 bg-white text-black hover:opacity-60 px-4 py-2 rounded-lg text-sm"
+                >
+                  {saving ? "Saving..." : "Save tags"}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </ModalWrapper>
+    </div>
+  );
+});
+
 const RemoveItemFromWorkspace = ({ item, onClick }) => {
   return (
     <div>
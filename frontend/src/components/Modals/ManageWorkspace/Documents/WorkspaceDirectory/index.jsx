@@ -457,6 +457,12 @@ function WorkspaceDocumentTooltips() {
         delayShow={300}
         className="tooltip invert !text-xs"
       />
+      <Tooltip
+        id="tag-document"
+        place="bottom"
+        delayShow={300}
+        className="tooltip invert !text-xs"
+      />
       <Tooltip
         id="remove-document"
         place="bottom"
@@ -245,6 +245,12 @@ const SidebarOptions = ({ user = null, t }) => (
               flex: true,
               roles: ["admin"],
             },
+            {
+              btnText: t("settings.reranker"),
+              href: paths.settings.embedder.rerankerPreference(),
+              flex: true,
+              roles: ["admin"],
+            },
             {
               btnText: t("settings.voice-speech"),
               href: paths.settings.audioPreference(),
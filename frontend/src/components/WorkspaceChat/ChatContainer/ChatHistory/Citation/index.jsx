@@ -1,4 +1,5 @@
 import { memo, useState } from "react";
+import { useParams } from "react-router-dom";
 import { v4 } from "uuid";
 import { decode as HTMLDecode } from "he";
 import truncate from "truncate";
@@ -14,6 +15,7 @@ import {
   YoutubeLogo,
   LinkSimple,
   GitlabLogo,
+  Warning,
 } from "@phosphor-icons/react";
 import ConfluenceLogo from "@/media/dataConnectors/confluence.png";
 import DrupalWikiLogo from "@/media/dataConnectors/drupalwiki.png";
@@ -23,18 +25,47 @@ import { toPercentString } from "@/utils/numbers";
 import { useTranslation } from "react-i18next";
 import pluralize from "pluralize";
 import useTextSize from "@/hooks/useTextSize";
+import Workspace from "@/models/workspace";
+import showToast from "@/utils/toast";
+
+/**
+ * The chunk fields shown in the citation detail, including where in the original file the chunk came from.
+ * @param {Object} source - a retrieved source or grounding citation
+ * @returns {{id: string, text: string, chunkSource: string, score: number|null, pageStart: number|null, pageEnd: number|null, pageUnit: string|null, originalFile: string|null}}
+ */
+function citationChunk({
+  id,
+  text,
+  chunkSource = "",
+  score = null,
+  pageStart = null,
+  pageEnd = null,
+  pageUnit = null,
+  originalFile = null,
+}) {
+  return {
+    id,
+    text,
+    chunkSource,
+    score,
+    pageStart,
+    pageEnd,
+    pageUnit,
+    originalFile,
+  };
+}
 
 function combineLikeSources(sources) {
   const combined = {};
   sources.forEach((source) => {
-    const { id, title, text, chunkSource = "", score = null } = source;
+    const { title } = source;
     if (combined.hasOwnProperty(title)) {
-      combined[title].chunks.push({ id, text, chunkSource, score });
+      combined[title].chunks.push(citationChunk(source));
       combined[title].references += 1;
     } else {
       combined[title] = {
         title,
-        chunks: [{ id, text, chunkSource, score }],
+        chunks: [citationChunk(source)],
         references: 1,
       };
     }
@@ -42,32 +73,97 @@ function combineLikeSources(sources) {
   return Object.values(combined);
 }
 
-export default function Citations({ sources = [] }) {
-  if (sources.length === 0) return null;
+/**
+ * Where in the original file a chunk came from, eg: "p. 12–13" or "slide 3".
+ * @param {{pageStart: number|null, pageEnd: number|null, pageUnit: string|null}} chunk
+ * @returns {string|null}
+ */
+function pageLabel({ pageStart = null, pageEnd = null, pageUnit = null }) {
+  if (!Number.isFinite(pageStart)) return null;
+  const end = Number.isFinite(pageEnd) ? pageEnd : pageStart;
+  const range = end > pageStart ? `${pageStart}–${end}` : `${pageStart}`;
+  return `${pageUnit === "slide" ? "slide" : "p."} ${range}`;
+}
+
+// Same marker syntax the server verifies: [1], [1, 2] or [1][3]
+const CITATION_MARKER_REGEX = /\[(\d+(?:\s*[,，]\s*\d+)*)\]/g;
+
+/**
+ * Replace the [n] markers of a grounded answer in rendered markdown with buttons that open the cited chunk.
+ * Markers that point to a chunk the model was never given are struck through instead.
+ * Code blocks and tag attributes are left untouched.
+ * @param {string} html - rendered markdown
+ * @param {{citations: {n: number}[]}|null} grounding
+ * @returns {string}
+ */
+export function linkCitationMarkers(html, grounding = null) {
+  if (!grounding) return html;
+  const cited = new Set((grounding.citations || []).map(({ n }) => n));
+  return html
+    .split(/(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>|<[^>]+>)/)
+    .map((part) => {
+      if (part.startsWith("<")) return part;
+      return part.replace(CITATION_MARKER_REGEX, (_, numbers) =>
+        numbers
+          .split(/[,，]/)
+          .map((n) => citationMarkerHtml(Number(n.trim()), cited))
+          .join("")
+      );
+    })
+    .join("");
+}
+
+function citationMarkerHtml(n, cited) {
+  if (!cited.has(n))
+    return `<sup class="text-red-400 line-through" title="Source ${n} was not provided to the model">[${n}]</sup>`;
+  return `<sup><button type="button" data-citation="${n}" class="border-none bg-theme-settings-input-bg text-theme-text-secondary hover:text-theme-text-primary rounded px-1 mx-[1px] text-[10px] cursor-pointer">${n}</button></sup>`;
+}
+
+/**
+ * The citation number of a clicked inline marker, if the click was on one.
+ * @param {MouseEvent} e
+ * @returns {number|null}
+ */
+export function citationMarkerFromEvent(e) {
+  const marker = e.target?.closest?.("[data-citation]");
+  return marker ? Number(marker.dataset.citation) : null;
+}
+
+export default function Citations({
+  sources = [],
+  grounding = null,
+  citedMarker = null,
+  onCloseCitedMarker = () => {},
+}) {
+  if (sources.length === 0 && !grounding) return null;
   const [open, setOpen] = useState(false);
   const [selectedSource, setSelectedSource] = useState(null);
   const { t } = useTranslation();
   const { textSizeClass } = useTextSize();
+  const citedSource = citedChunkSource(grounding, citedMarker);
 
   return (
     <div className="flex flex-col mt-4 justify-left">
-      <button
-        onClick={() => setOpen(!open)}
-        className={`border-none font-semibold text-white/50 light:text-black/50 font-medium italic ${textSizeClass} text-left ml-14 pt-2 ${
-          open ? "pb-2" : ""
-        } hover:text-white/75 hover:light:text-black/75 transition-all duration-300`}
-      >
-        {open
-          ? t("chat_window.hide_citations")
-          : t("chat_window.show_citations")}
-        <CaretRight
-          weight="bold"
-          size={14}
-          className={`inline-block ml-1 transform transition-transform duration-300 ${
-            open ? "rotate-90" : ""
-          }`}
-        />
-      </button>
+      <GroundingWarnings grounding={grounding} textSizeClass={textSizeClass} />
+      {sources.length > 0 && (
+        <button
+          onClick={() => setOpen(!open)}
+          className={`border-none font-semibold text-white/50 light:text-black/50 font-medium italic ${textSizeClass} text-left ml-14 pt-2 ${
+            open ? "pb-2" : ""
+          } hover:text-white/75 hover:light:text-black/75 transition-all duration-300`}
+        >
+          {open
+            ? t("chat_window.hide_citations")
+            : t("chat_window.show_citations")}
+          <CaretRight
+            weight="bold"
+            size={14}
+            className={`inline-block ml-1 transform transition-transform duration-300 ${
+              open ? "rotate-90" : ""
+            }`}
+          />
+        </button>
+      )}
       {open && (
         <div className="flex flex-wrap flex-col items-start overflow-x-scroll mt-1 ml-14 gap-y-2">
           {combineLikeSources(sources).map((source) => (
@@ -86,6 +182,60 @@ export default function Citations({ sources = [] }) {
           onClose={() => setSelectedSource(null)}
         />
       )}
+      {citedSource && (
+        <CitationDetailModal
+          source={citedSource}
+          onClose={onCloseCitedMarker}
+        />
+      )}
+    </div>
+  );
+}
+
+function citedChunkSource(grounding, marker) {
+  const citation = grounding?.citations?.find(({ n }) => n === marker);
+  if (!citation) return null;
+  const { n, title } = citation;
+  return {
+    title: `[${n}] ${title || "Unknown source"}`,
+    references: 1,
+    chunks: [citationChunk(citation)],
+  };
+}
+
+function GroundingWarnings({ grounding, textSizeClass }) {
+  const [open, setOpen] = useState(false);
+  const { unsupportedSentences = [], invalidMarkers = [] } = grounding || {};
+  if (unsupportedSentences.length === 0 && invalidMarkers.length === 0)
+    return null;
+
+  const summary = [
+    unsupportedSentences.length > 0 &&
+      `${unsupportedSentences.length} ${pluralize("sentence", unsupportedSentences.length)} without a cited source`,
+    invalidMarkers.length > 0 &&
+      `${invalidMarkers.length} ${pluralize("citation", invalidMarkers.length)} to sources that were not provided`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return (
+    <div className={`ml-14 text-yellow-500/80 ${textSizeClass}`}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={unsupportedSentences.length === 0}
+        className="border-none bg-transparent p-0 flex items-center gap-x-1 text-left"
+      >
+        <Warning size={14} />
+        <span className="text-xs">{summary}</span>
+      </button>
+      {open && (
+        <ul className="mt-1 ml-5 list-disc text-xs text-theme-text-secondary">
+          {unsupportedSentences.map((sentence, idx) => (
+            <li key={idx}>{sentence}</li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
@@ -174,15 +324,16 @@ function CitationDetailModal({ source, onClose }) {
           style={{ maxHeight: "calc(100vh - 200px)" }}
         >
           <div className="py-7 px-9 space-y-2 flex-col">
-            {chunks.map(({ text, score }, idx) => (
+            {chunks.map((chunk, idx) => (
               <>
                 <div key={idx} className="pt-6 text-white">
                   <div className="flex flex-col w-full justify-start pb-6 gap-y-1">
                     <p className="text-white whitespace-pre-line">
-                      {HTMLDecode(omitChunkHeader(text))}
+                      {HTMLDecode(omitChunkHeader(chunk.text))}
                     </p>
 
-                    {!!score && (
+                    <ChunkLocation chunk={chunk} />
+                    {!!chunk.score && (
                       <div className="w-full flex items-center text-xs text-white/60 gap-x-2 cursor-default">
                         <div
                           data-tooltip-id="similarity-score"
@@ -190,7 +341,7 @@ function CitationDetailModal({ source, onClose }) {
                           className="flex items-center gap-x-1"
                         >
                           <Info size={14} />
-                          <p>{toPercentString(score)} match</p>
+                          <p>{toPercentString(chunk.score)} match</p>
                         </div>
                       </div>
                     )}
@@ -209,6 +360,46 @@ function CitationDetailModal({ source, onClose }) {
   );
 }
 
+/**
+ * Shows the pages a chunk came from and, for PDFs, a button that opens the original file at the first of them.
+ * @param {{chunk: {pageStart: number|null, pageEnd: number|null, pageUnit: string|null, originalFile: string|null}}} props
+ */
+function ChunkLocation({ chunk }) {
+  const { slug } = useParams();
+  const label = pageLabel(chunk);
+  if (!label) return null;
+  const canOpen = !!slug && /\.pdf$/i.test(chunk.originalFile || "");
+
+  async function openOriginal() {
+    // Open the tab right away so the browser does not treat it as a popup.
+    const tab = window.open("", "_blank");
+    const url = await Workspace.sourceFile(slug, chunk.originalFile);
+    if (!url) {
+      tab?.close();
+      showToast("The original file could not be opened.", "error");
+      return;
+    }
+    if (tab) tab.location.href = `${url}#page=${chunk.pageStart}`;
+  }
+
+  return (
+    <div className="w-full flex items-center text-xs text-white/60 gap-x-2">
+      <FileText size={14} />
+      <p>{label}</p>
+      {canOpen && (
+        <button
+          type="button"
+          onClick={openOriginal}
+          className="border-none bg-transparent p-0 flex items-center gap-x-1 text-white/60 hover:text-white hover:underline"
+        >
+          Open page {chunk.pageStart}
+          <ArrowSquareOut size={12} />
+        </button>
+      )}
+    </div>
+  );
+}
+
 const supportedSources = [
   "link://",
   "confluence://",
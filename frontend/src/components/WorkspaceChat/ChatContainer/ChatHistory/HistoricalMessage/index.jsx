@@ -1,10 +1,13 @@
-import React, { memo } from "react";
+import React, { memo, useState } from "react";
 import { Info, Warning } from "@phosphor-icons/react";
 import UserIcon from "../../../../UserIcon";
 import Actions from "./Actions";
 import renderMarkdown from "@/utils/chat/markdown";
 import { userFromStorage } from "@/utils/request";
-import Citations from "../Citation";
+import Citations, {
+  citationMarkerFromEvent,
+  linkCitationMarkers,
+} from "../Citation";
 import { v4 } from "uuid";
 import DOMPurify from "@/utils/chat/purify";
 import { EditMessageForm, useEditMessage } from "./Actions/EditMessage";
@@ -20,6 +23,9 @@ import paths from "@/utils/paths";
 import { useTranslation } from "react-i18next";
 import { Link } from "react-router-dom";
 import { chatQueryRefusalResponse } from "@/utils/chat";
+import RoleRoutingBadge from "../RoleRoutingBadge";
+import RetrievalSteps from "../RetrievalSteps";
+import RetrievalTrace from "../RetrievalTrace";
 
 const HistoricalMessage = ({
   uuid = v4(),
@@ -36,9 +42,13 @@ const HistoricalMessage = ({
   saveEditedMessage,
   forkThread,
   metrics = {},
+  promptxRole = null,
+  retrievalSteps = null,
+  grounding = null,
   alignmentCls = "",
 }) => {
   const { t } = useTranslation();
+  const [citedMarker, setCitedMarker] = useState(null);
   const { isEditing } = useEditMessage({ chatId, role });
   const { isDeleted, completeDelete, onEndAnimation } = useWatchDeleteMessage({
     chatId,
@@ -112,10 +122,18 @@ const HistoricalMessage = ({
             />
           ) : (
             <div className="break-words">
+              {role === "assistant" && (
+                <>
+                  <RoleRoutingBadge promptxRole={promptxRole} />
+                  <RetrievalSteps steps={retrievalSteps} />
+                </>
+              )}
               <RenderChatContent
                 role={role}
                 message={message}
                 expanded={isLastMessage}
+                grounding={grounding}
+                onCitationClick={setCitedMarker}
               />
               {isRefusalMessage && (
                 <Link
@@ -152,7 +170,19 @@ const HistoricalMessage = ({
             alignmentCls={alignmentCls}
           />
         </div>
-        {role === "assistant" && <Citations sources={sources} />}
+        {role === "assistant" && (
+          <div className="ml-14">
+            <RetrievalTrace slug={workspace?.slug} chatId={chatId} />
+          </div>
+        )}
+        {role === "assistant" && (
+          <Citations
+            sources={sources}
+            grounding={grounding}
+            citedMarker={citedMarker}
+            onCloseCitedMarker={() => setCitedMarker(null)}
+          />
+        )}
       </div>
     </div>
   );
@@ -212,7 +242,13 @@ function ChatAttachments({ attachments = [] }) {
 }
 
 const RenderChatContent = memo(
-  ({ role, message, expanded = false }) => {
+  ({
+    role,
+    message,
+    expanded = false,
+    grounding = null,
+    onCitationClick = () => {},
+  }) => {
     // If the message is not from the assistant, we can render it directly
     // as normal since the user cannot think (lol)
     if (role !== "assistant")
@@ -255,8 +291,14 @@ const RenderChatContent = memo(
         )}
         <span
           className="flex flex-col gap-y-1"
+          onClick={(e) => {
+            const marker = citationMarkerFromEvent(e);
+            if (marker !== null) onCitationClick(marker);
+          }}
           dangerouslySetInnerHTML={{
-            __html: DOMPurify.sanitize(renderMarkdown(msgToRender)),
+            __html: DOMPurify.sanitize(
+              linkCitationMarkers(renderMarkdown(msgToRender), grounding)
+            ),
           }}
         />
       </>
@@ -266,7 +308,8 @@ const RenderChatContent = memo(
     return (
       prevProps.role === nextProps.role &&
       prevProps.message === nextProps.message &&
-      prevProps.expanded === nextProps.expanded
+      prevProps.expanded === nextProps.expanded &&
+      prevProps.grounding === nextProps.grounding
     );
   }
 );
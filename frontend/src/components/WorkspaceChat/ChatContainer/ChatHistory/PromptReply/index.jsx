@@ -9,6 +9,8 @@ import {
   THOUGHT_REGEX_OPEN,
   ThoughtChainComponent,
 } from "../ThoughtContainer";
+import RoleRoutingBadge from "../RoleRoutingBadge";
+import RetrievalSteps from "../RetrievalSteps";
 
 const PromptReply = ({
   uuid,
@@ -18,6 +20,8 @@ const PromptReply = ({
   workspace,
   sources = [],
   closed = true,
+  promptxRole = null,
+  retrievalSteps = null,
 }) => {
   const assistantBackgroundColor = "bg-theme-bg-chat";
 
@@ -31,7 +35,11 @@ const PromptReply = ({
         <div className="py-6 px-4 w-full flex gap-x-5 md:max-w-[80%] flex-col">
           <div className="flex gap-x-5">
             <WorkspaceProfileImage workspace={workspace} />
-            <div className="mt-3 ml-5 dot-falling light:invert"></div>
+            <div className="flex flex-col">
+              <RoleRoutingBadge promptxRole={promptxRole} />
+              <RetrievalSteps steps={retrievalSteps} pending={true} />
+              <div className="mt-3 ml-5 dot-falling light:invert"></div>
+            </div>
           </div>
         </div>
       </div>
@@ -67,10 +75,14 @@ const PromptReply = ({
       <div className="py-8 px-4 w-full flex gap-x-5 md:max-w-[80%] flex-col">
         <div className="flex gap-x-5">
           <WorkspaceProfileImage workspace={workspace} />
-          <RenderAssistantChatContent
-            key={`${uuid}-prompt-reply-content`}
-            message={reply}
-          />
+          <div className="flex flex-col">
+            <RoleRoutingBadge promptxRole={promptxRole} />
+            <RetrievalSteps steps={retrievalSteps} />
+            <RenderAssistantChatContent
+              key={`${uuid}-prompt-reply-content`}
+              message={reply}
+            />
+          </div>
         </div>
         <Citations sources={sources} />
       </div>
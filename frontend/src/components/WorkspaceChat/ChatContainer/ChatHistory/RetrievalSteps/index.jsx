@@ -0,0 +1,47 @@
+import { useState } from "react";
+import { CaretDown, CaretRight, MagnifyingGlass } from "@phosphor-icons/react";
+
+/**
+ * agentic模式下回答本条消息前的检索步骤（拆解问题、逐个子查询检索、判断上下文是否充分）
+ * 生成回答时展开显示进度，回答完成后默认折叠
+ */
+export default function RetrievalSteps({ steps = [], pending = false }) {
+  const [expanded, setExpanded] = useState(false);
+  if (!steps?.length) return null;
+
+  const rounds = Math.max(...steps.map((step) => step.round || 1));
+  const found = steps.reduce((sum, step) => sum + (step.found || 0), 0);
+  const open = pending || expanded;
+
+  return (
+    <div className="flex flex-col w-fit text-xs text-theme-text-secondary opacity-70 mb-1">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        disabled={pending}
+        className="flex items-center gap-x-1 border-none bg-transparent p-0 text-left"
+      >
+        {open ? <CaretDown size={12} /> : <CaretRight size={12} />}
+        <MagnifyingGlass size={14} />
+        <span>
+          {pending
+            ? steps[steps.length - 1].text
+            : `检索 ${rounds} 轮，找到 ${found} 个片段`}
+        </span>
+      </button>
+      {open && (
+        <ol className="mt-1 ml-5 flex flex-col gap-y-0.5 list-decimal">
+          {steps.map((step, index) => (
+            <li key={index}>
+              <span className="opacity-60">第 {step.round} 轮 · </span>
+              {step.text}
+              {step.queries?.length > 0 && (
+                <span className="opacity-60">：{step.queries.join("；")}</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { CaretDown, CaretRight, Question } from "@phosphor-icons/react";
+import Workspace from "@/models/workspace";
+
+const STATUS_LABELS = {
+  selected: "已使用",
+  belowThreshold: "低于相似度阈值",
+  pinned: "已置顶",
+  filtered: "被标签过滤",
+  cutoff: "超出片段数量",
+};
+
+const TOKEN_LABELS = {
+  systemPrompt: "系统提示词",
+  context: "上下文",
+  history: "历史",
+  userPrompt: "用户消息",
+};
+
+function formatScore(score) {
+  return typeof score === "number" ? score.toFixed(3) : "-";
+}
+
+/**
+ * "为什么是这个回答"面板：展开时加载本条回答的检索追踪
+ * 包括实际检索查询、每个候选片段的分数和去留、置顶和回填的来源以及提示词各部分的token数
+ */
+export default function RetrievalTrace({ slug, chatId }) {
+  const [expanded, setExpanded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [trace, setTrace] = useState(undefined);
+  if (!slug || !chatId) return null;
+
+  const toggle = async () => {
+    setExpanded(!expanded);
+    if (expanded || trace !== undefined) return;
+    setLoading(true);
+    setTrace(await Workspace.chatTrace(slug, chatId));
+    setLoading(false);
+  };
+
+  return (
+    <div className="flex flex-col w-full text-xs text-theme-text-secondary opacity-70 mt-2">
+      <button
+        type="button"
+        onClick={toggle}
+        className="flex items-center gap-x-1 border-none bg-transparent p-0 text-left w-fit"
+      >
+        {expanded ? <CaretDown size={12} /> : <CaretRight size={12} />}
+        <Question size={14} />
+        <span>为什么是这个回答</span>
+      </button>
+      {expanded && (
+        <div className="mt-1 ml-5 flex flex-col gap-y-2">
+          {loading && <p>加载中...</p>}
+          {!loading && !trace && <p>这条回答没有检索追踪记录。</p>}
+          {!loading && trace && <TraceDetails trace={trace} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TraceDetails({ trace }) {
+  const { query, settings, candidates = [], tokens } = trace;
+  return (
+    <>
+      {query && (
+        <p>
+          检索查询：{query.effective || query.original}
+          {query.rewriteMode && (
+            <span className="opacity-60">
+              {" "}
+              （由"{query.original}"改写，{query.rewriteMode}）
+            </span>
+          )}
+        </p>
+      )}
+      {settings && (
+        <p className="opacity-60">
+          相似度阈值 {settings.similarityThreshold ?? "-"} · 片段数量{" "}
+          {settings.topN ?? "-"} · 检索模式 {settings.vectorSearchMode}
+          {settings.parentRetrievalWindow > 0 &&
+            ` · 父片段窗口 ${settings.parentRetrievalWindow}`}
+        </p>
+      )}
+      {candidates.length > 0 ? (
+        <table className="w-full text-left">
+          <thead>
+            <tr className="opacity-60">
+              <th className="font-normal pr-2">文档</th>
+              <th className="font-normal pr-2">相似度</th>
+              <th className="font-normal pr-2">重排序</th>
+              <th className="font-normal">结果</th>
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map((candidate) => (
+              <tr
+                key={candidate.id}
+                title={candidate.text}
+                className={candidate.status === "selected" ? "" : "opacity-60"}
+              >
+                <td className="pr-2 truncate max-w-[240px]">
+                  {candidate.title || candidate.id}
+                </td>
+                <td className="pr-2">
+                  {formatScore(candidate.score)}
+                  {typeof candidate.fusionScore === "number" &&
+                    ` (融合 ${formatScore(candidate.fusionScore)})`}
+                </td>
+                <td className="pr-2">{formatScore(candidate.rerankScore)}</td>
+                <td>{STATUS_LABELS[candidate.status] || candidate.status}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>没有检索候选片段。</p>
+      )}
+      <SourceList title="置顶文档" sources={trace.pinnedDocs} />
+      <SourceList title="父片段扩展" sources={trace.parentSpans} />
+      <SourceList title="从历史回填" sources={trace.backfilled} />
+      {tokens && (
+        <p>
+          Token：
+          {Object.entries(tokens.sections || {})
+            .map(([key, count]) => `${TOKEN_LABELS[key] || key} ${count}`)
+            .join(" · ")}
+          <span className="opacity-60">
+            {" "}
+            （压缩后共 {tokens.total}
+            {tokens.promptWindow ? ` / ${tokens.promptWindow}` : ""}）
+          </span>
+        </p>
+      )}
+    </>
+  );
+}
+
+function SourceList({ title, sources = [] }) {
+  if (!sources?.length) return null;
+  return (
+    <p>
+      {title}：
+      {sources
+        .map((source) =>
+          source.chunks
+            ? `${source.title || source.id}（${source.chunks} 个片段）`
+            : source.title || source.id
+        )
+        .join("；")}
+    </p>
+  );
+}
@@ -0,0 +1,36 @@
+import { UserCircle } from "@phosphor-icons/react";
+
+const METHOD_TITLES = {
+  thread: () => "线程角色（/role）",
+  workspace: () => "工作区默认角色",
+  default: (confidence) => `置信度 ${confidence}% 低于阈值，使用默认角色`,
+  embedding: (confidence) => `自动路由（语义相似度），置信度 ${confidence}%`,
+  llm: (confidence) => `自动路由（模型分类），置信度 ${confidence}%`,
+};
+
+/**
+ * 回答本条消息的PromptX角色
+ * method为thread时是线程通过/role设置的角色，为workspace时是未开启自动路由时的工作区默认角色
+ * 为default时表示自动路由置信度不足，退回了工作区默认角色
+ */
+export default function RoleRoutingBadge({ promptxRole }) {
+  if (!promptxRole?.roleId) return null;
+
+  const confidence = Math.round((promptxRole.confidence || 0) * 100);
+  const isFixedRole = ["thread", "workspace"].includes(promptxRole.method);
+  const title = (METHOD_TITLES[promptxRole.method] || METHOD_TITLES.embedding)(
+    confidence
+  );
+
+  return (
+    <div
+      title={title}
+      className="flex items-center gap-x-1 w-fit text-xs text-theme-text-secondary opacity-70 mb-1"
+    >
+      <UserCircle size={14} />
+      <span>{promptxRole.name || promptxRole.roleId}</span>
+      {!isFixedRole && <span>· {confidence}%</span>}
+      {promptxRole.method === "default" && <span>· 默认角色</span>}
+    </div>
+  );
+}
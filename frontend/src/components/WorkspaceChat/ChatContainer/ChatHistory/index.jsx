@@ -330,6 +330,8 @@ function buildMessages({
           error={props.error}
           workspace={workspace}
           closed={props.closed}
+          promptxRole={props.promptxRole}
+          retrievalSteps={props.retrievalSteps}
         />
       );
     } else {
@@ -349,6 +351,9 @@ function buildMessages({
           saveEditedMessage={saveEditedMessage}
           forkThread={forkThread}
           metrics={props.metrics}
+          promptxRole={props.promptxRole}
+          retrievalSteps={props.retrievalSteps}
+          grounding={props.grounding}
           alignmentCls={getMessageAlignment?.(props.role)}
         />
       );
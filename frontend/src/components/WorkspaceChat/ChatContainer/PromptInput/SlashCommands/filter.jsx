@@ -0,0 +1,31 @@
+import { useParams } from "react-router-dom";
+import { useIsAgentSessionActive } from "@/utils/chat/agent";
+
+/**
+ * /filter <条件> - 按文档标签缩小当前对话线程的检索范围
+ */
+export default function FilterCommand({ setShowing, sendCommand }) {
+  const { threadSlug = null } = useParams();
+  const isActiveAgentSession = useIsAgentSessionActive();
+  if (!threadSlug || isActiveAgentSession) return null; // 过滤条件只能在线程中设置
+
+  return (
+    <button
+      type="button"
+      data-slash-command="/filter"
+      onClick={() => {
+        setShowing(false);
+        sendCommand({ text: "/filter " });
+      }}
+      className="border-none w-full hover:cursor-pointer hover:bg-theme-action-menu-item-hover px-2 py-2 rounded-xl flex flex-col justify-start"
+    >
+      <div className="w-full flex-col text-left flex pointer-events-none">
+        <div className="text-white text-sm font-bold">/filter</div>
+        <div className="text-white text-opacity-60 text-sm">
+          按文档标签过滤当前线程的检索，如 department=legal valid=now（/filter
+          off 取消）
+        </div>
+      </div>
+    </button>
+  );
+}
@@ -2,6 +2,8 @@ import { useEffect, useRef, useState } from "react";
 import SlashCommandIcon from "./icons/SlashCommandIcon";
 import { Tooltip } from "react-tooltip";
 import ResetCommand from "./reset";
+import RoleCommand from "./role";
+import FilterCommand from "./filter";
 import EndAgentSession from "./endAgentSession";
 import SlashPresets from "./SlashPresets";
 import { useTranslation } from "react-i18next";
@@ -60,6 +62,8 @@ export function SlashCommands({ showing, setShowing, sendCommand, promptRef }) {
           className="w-[600px] bg-theme-action-menu-bg rounded-2xl flex shadow flex-col justify-start items-start gap-2.5 p-2 overflow-y-auto max-h-[300px] no-scroll"
         >
           <ResetCommand sendCommand={sendCommand} setShowing={setShowing} />
+          <RoleCommand sendCommand={sendCommand} setShowing={setShowing} />
+          <FilterCommand sendCommand={sendCommand} setShowing={setShowing} />
           <EndAgentSession sendCommand={sendCommand} setShowing={setShowing} />
           <SlashPresets
             sendCommand={sendCommand}
@@ -0,0 +1,30 @@
+import { useParams } from "react-router-dom";
+import { useIsAgentSessionActive } from "@/utils/chat/agent";
+
+/**
+ * /role <角色ID> - 为当前对话线程设置PromptX角色
+ */
+export default function RoleCommand({ setShowing, sendCommand }) {
+  const { threadSlug = null } = useParams();
+  const isActiveAgentSession = useIsAgentSessionActive();
+  if (!threadSlug || isActiveAgentSession) return null; // 角色只能在线程中设置
+
+  return (
+    <button
+      type="button"
+      data-slash-command="/role"
+      onClick={() => {
+        setShowing(false);
+        sendCommand({ text: "/role " });
+      }}
+      className="border-none w-full hover:cursor-pointer hover:bg-theme-action-menu-item-hover px-2 py-2 rounded-xl flex flex-col justify-start"
+    >
+      <div className="w-full flex-col text-left flex pointer-events-none">
+        <div className="text-white text-sm font-bold">/role</div>
+        <div className="text-white text-opacity-60 text-sm">
+          为当前线程设置PromptX角色（/role off 取消）
+        </div>
+      </div>
+    </button>
+  );
+}
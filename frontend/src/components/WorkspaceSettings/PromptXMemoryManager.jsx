@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from "react";
+import {
+  Check,
+  X,
+  WarningCircle,
+  ArrowClockwise,
+  MagnifyingGlass,
+  PencilSimple,
+  Trash,
+} from "@phosphor-icons/react";
+import WorkspacePromptXRoles from "@/models/workspacePromptXRoles";
+
+const PAGE_SIZE = 20;
+
+/**
+ * PromptX记忆管理组件
+ * 浏览、搜索、修改和删除Agent通过remember工具保存在当前工作区的记忆，并配置记忆策略
+ */
+const PromptXMemoryManager = ({ workspaceId }) => {
+  const [config, setConfig] = useState(null);
+  const [memories, setMemories] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [roleFilter, setRoleFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchMemories = async () => {
+    if (!workspaceId) return;
+
+    setLoading(true);
+    const { memories, pagination, error } =
+      await WorkspacePromptXRoles.getMemories(workspaceId, {
+        search: searchTerm.trim(),
+        roleId: roleFilter.trim(),
+        page,
+        limit: PAGE_SIZE,
+      });
+    setLoading(false);
+
+    if (error) {
+      setError("获取记忆失败: " + error);
+      return;
+    }
+    setMemories(memories || []);
+    setPagination(pagination);
+  };
+
+  useEffect(() => {
+    if (!workspaceId) return;
+    WorkspacePromptXRoles.getConfig(workspaceId).then(({ config }) =>
+      setConfig(config)
+    );
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchMemories();
+  }, [workspaceId, page]);
+
+  // 更新记忆策略
+  const updateMemoryConfig = async (changes) => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    const { config: updated, error } = await WorkspacePromptXRoles.updateConfig(
+      workspaceId,
+      changes
+    );
+    setSaving(false);
+
+    if (error) {
+      setError(error);
+      return;
+    }
+    setConfig(updated);
+    setSuccess("记忆策略已保存");
+    // 收紧上限后服务端会立即清理，重新加载列表
+    await fetchMemories();
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+    if (page === 1) fetchMemories();
+    else setPage(1);
+  };
+
+  const saveMemory = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    const { memory, error } = await WorkspacePromptXRoles.updateMemory(
+      workspaceId,
+      editing.id,
+      {
+        content: editing.content,
+        schema: editing.schema,
+        strength: Number(editing.strength),
+      }
+    );
+    setSaving(false);
+
+    if (error) {
+      setError(error);
+      return;
+    }
+    setMemories(memories.map((m) => (m.id === memory.id ? memory : m)));
+    setEditing(null);
+    setSuccess("记忆已更新");
+  };
+
+  const deleteMemory = async (memory) => {
+    if (!window.confirm("确定删除这条记忆吗？删除后角色将无法再回忆起它。"))
+      return;
+
+    setError(null);
+    setSuccess(null);
+    const { error } = await WorkspacePromptXRoles.deleteMemory(
+      workspaceId,
+      memory.id
+    );
+    if (error) {
+      setError(error);
+      return;
+    }
+    setSuccess("记忆已删除");
+    await fetchMemories();
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* 记忆策略 */}
+      {config && (
+        <div className="bg-theme-bg-secondary rounded-lg p-4 border border-theme-modal-border space-y-3">
+          <div>
+            <h4 className="text-white font-medium">记忆策略</h4>
+            <p className="text-xs text-white/60">
+              角色的记忆只在当前工作区内可见；按用户隔离时，每个用户只能回忆起自己对话中保存的记忆
+            </p>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="text-xs text-white/60 space-y-1">
+              <span>记忆范围</span>
+              <select
+                value={config.memoryScope || "workspace"}
+                onChange={(e) =>
+                  updateMemoryConfig({ memoryScope: e.target.value })
+                }
+                disabled={saving}
+                className="w-full px-2 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+              >
+                <option value="workspace">工作区共享</option>
+                <option value="user">按用户隔离</option>
+              </select>
+            </label>
+            <label className="text-xs text-white/60 space-y-1">
+              <span>记忆上限（条）</span>
+              <input
+                type="number"
+                min="1"
+                defaultValue={config.memoryLimit ?? 1000}
+                onBlur={(e) => {
+                  const value = parseInt(e.target.value, 10);
+                  if (value > 0 && value !== config.memoryLimit)
+                    updateMemoryConfig({ memoryLimit: value });
+                }}
+                disabled={saving}
+                className="w-full px-2 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+              />
+            </label>
+            <label className="text-xs text-white/60 space-y-1">
+              <span>保留天数（留空为永久）</span>
+              <input
+                type="number"
+                min="1"
+                defaultValue={config.memoryRetentionDays ?? ""}
+                onBlur={(e) => {
+                  const value = e.target.value
+                    ? parseInt(e.target.value, 10)
+                    : null;
+                  if (
+                    value !== (config.memoryRetentionDays ?? null) &&
+                    (value === null || value > 0)
+                  ) {
+                    updateMemoryConfig({ memoryRetentionDays: value });
+                  }
+                }}
+                disabled={saving}
+                className="w-full px-2 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+              />
+            </label>
+          </div>
+        </div>
+      )}
+
+      {/* 搜索 */}
+      <form onSubmit={search} className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <MagnifyingGlass
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-white/40"
+            size={16}
+          />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="搜索记忆内容或关键词..."
+            className="w-full pl-9 pr-3 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+          />
+        </div>
+        <input
+          type="text"
+          value={roleFilter}
+          onChange={(e) => setRoleFilter(e.target.value)}
+          placeholder="角色ID"
+          className="w-40 px-3 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+        />
+        <button
+          type="submit"
+          className="px-3 py-2 text-sm rounded-lg bg-theme-bg-primary text-white/70 hover:text-white"
+        >
+          搜索
+        </button>
+        <button
+          type="button"
+          onClick={fetchMemories}
+          className="p-2 rounded-lg bg-theme-bg-primary text-white/70 hover:text-white"
+          title="刷新"
+        >
+          <ArrowClockwise size={16} />
+        </button>
+      </form>
+
+      {error && (
+        <div className="flex items-center space-x-2 p-3 bg-red-500/10 border border-red-500/20 rounded-lg">
+          <WarningCircle className="text-red-500" size={20} />
+          <span className="text-red-500 text-sm">{error}</span>
+        </div>
+      )}
+
+      {success && (
+        <div className="flex items-center space-x-2 p-3 bg-green-500/10 border border-green-500/20 rounded-lg">
+          <Check className="text-green-500" size={20} />
+          <span className="text-green-500 text-sm">{success}</span>
+        </div>
+      )}
+
+      {/* 记忆列表 */}
+      {loading ? (
+        <p className="text-sm text-white/60">加载中...</p>
+      ) : memories.length === 0 ? (
+        <p className="text-sm text-white/60">
+          暂无记忆。Agent使用remember工具保存的内容会显示在这里。
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {memories.map((memory) => (
+            <div
+              key={memory.id}
+              className="bg-theme-bg-primary rounded-lg p-3 border border-theme-modal-border space-y-2"
+            >
+              <div className="flex items-center justify-between text-xs text-white/50">
+                <span>
+                  {memory.roleId}
+                  {memory.userId
+                    ? ` · 用户 #${memory.userId}`
+                    : " · 工作区共享"}
+                  {` · 强度 ${memory.strength}`}
+                  {` · 回忆 ${memory.recallCount} 次`}
+                  {` · ${new Date(memory.createdAt).toLocaleString()}`}
+                </span>
+                {editing?.id !== memory.id && (
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() =>
+                        setEditing({ ...memory, schema: memory.schema || "" })
+                      }
+                      className="p-1 text-white/60 hover:text-white"
+                      title="编辑"
+                    >
+                      <PencilSimple size={16} />
+                    </button>
+                    <button
+                      onClick={() => deleteMemory(memory)}
+                      className="p-1 text-white/60 hover:text-red-400"
+                      title="删除"
+                    >
+                      <Trash size={16} />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {editing?.id === memory.id ? (
+                <div className="space-y-2">
+                  <textarea
+                    value={editing.content}
+                    onChange={(e) =>
+                      setEditing({ ...editing, content: e.target.value })
+                    }
+                    rows={3}
+                    className="w-full px-2 py-2 text-sm bg-theme-bg-secondary text-white rounded-lg border border-theme-modal-border"
+                  />
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={editing.schema}
+                      onChange={(e) =>
+                        setEditing({ ...editing, schema: e.target.value })
+                      }
+                      placeholder="关键词"
+                      className="flex-1 px-2 py-1.5 text-sm bg-theme-bg-secondary text-white rounded-lg border border-theme-modal-border"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      value={editing.strength}
+                      onChange={(e) =>
+                        setEditing({ ...editing, strength: e.target.value })
+                      }
+                      className="w-20 px-2 py-1.5 text-sm bg-theme-bg-secondary text-white rounded-lg border border-theme-modal-border"
+                    />
+                    <button
+                      onClick={saveMemory}
+                      disabled={saving || !editing.content.trim()}
+                      className="p-1.5 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+                      title="保存"
+                    >
+                      <Check size={16} />
+                    </button>
+                    <button
+                      onClick={() => setEditing(null)}
+                      className="p-1.5 rounded-lg text-white/60 hover:text-white"
+                      title="取消"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <p className="text-sm text-white whitespace-pre-wrap">
+                    {memory.content}
+                  </p>
+                  {memory.schema && (
+                    <p className="text-xs text-white/50">
+                      关键词: {memory.schema.replace(/\n/g, " / ")}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* 分页 */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between text-sm text-white/60">
+          <span>
+            共 {pagination.totalItems} 条，第 {pagination.currentPage}/
+            {pagination.totalPages} 页
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 rounded-lg bg-theme-bg-primary hover:text-white disabled:opacity-50"
+            >
+              上一页
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="px-3 py-1 rounded-lg bg-theme-bg-primary hover:text-white disabled:opacity-50"
+            >
+              下一页
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromptXMemoryManager;
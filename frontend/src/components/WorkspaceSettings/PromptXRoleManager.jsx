@@ -1,9 +1,11 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useTranslation } from "react-i18next";
 import { useParams } from "react-router-dom";
-import { Check, X, Power, Wrench, WarningCircle, ArrowClockwise, MagnifyingGlass, Funnel, UploadSimple } from "@phosphor-icons/react";
+import { Check, X, Power, Wrench, WarningCircle, ArrowClockwise, MagnifyingGlass, Funnel, UploadSimple, ClockCounterClockwise, DownloadSimple, Export, FileArrowUp } from "@phosphor-icons/react";
+import { saveAs } from "file-saver";
 import WorkspacePromptXRoles from "@/models/workspacePromptXRoles";
 import RoleUploader from "./RoleUploader";
+import RoleVersionsModal from "./RoleVersionsModal";
 
 /**
  * PromptX角色管理组件
@@ -24,6 +26,9 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [uploaderOpen, setUploaderOpen] = useState(false);
+  const [versionsRoleId, setVersionsRoleId] = useState(null);
+  const [importStrategy, setImportStrategy] = useState('skip');
+  const importInputRef = useRef(null);
 
   // 监听workspace prop的变化，更新workspaceId
   useEffect(() => {
@@ -231,6 +236,24 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
   // 切换PromptX功能
   // togglePromptX函数已移除 - PromptX默认启用
 
+  // 更新角色自动路由配置
+  const updateAutoSwitch = async (changes) => {
+    if (!workspaceId) return;
+
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    const { config: updated, error } = await WorkspacePromptXRoles.updateConfig(workspaceId, changes);
+    setSaving(false);
+
+    if (error) {
+      setError(error);
+      return;
+    }
+    setConfig(updated);
+    setSuccess('自动路由配置已保存');
+  };
+
   // 刷新数据
   const refresh = () => {
     fetchWorkspaceConfig();
@@ -290,6 +313,55 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
     }
   };
 
+  // 导出单个角色包
+  const exportRole = async (roleId) => {
+    const { blob, error } = await WorkspacePromptXRoles.exportRolePackage(workspaceId, roleId);
+    if (error) {
+      setError(error);
+      return;
+    }
+    saveAs(blob, `${roleId}.zip`);
+  };
+
+  // 导出工作区PromptX配置包
+  const exportBundle = async () => {
+    const { blob, error } = await WorkspacePromptXRoles.exportWorkspaceBundle(workspaceId);
+    if (error) {
+      setError(error);
+      return;
+    }
+    saveAs(blob, `promptx-workspace-${workspaceId}.zip`);
+  };
+
+  // 导入工作区PromptX配置包
+  const importBundle = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setSaving(true);
+    setError(null);
+    const { data, error, message } = await WorkspacePromptXRoles.importWorkspaceBundle(
+      workspaceId,
+      file,
+      importStrategy
+    );
+    setSaving(false);
+
+    if (error) {
+      setError(error);
+      return;
+    }
+
+    const failed = data.roles.filter(r => r.status === 'failed');
+    if (failed.length > 0) {
+      setError(`以下角色导入失败：${failed.map(r => `${r.sourceRoleId}（${r.error}）`).join('，')}`);
+    }
+    setSuccess(message);
+    await fetchWorkspaceConfig();
+    await refreshRolesFromMCP();
+  };
+
   // 键盘快捷键支持
   useEffect(() => {
     const handleKeyDown = (event) => {
@@ -360,12 +432,119 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
             <UploadSimple size={16} />
             <span>上传角色</span>
           </button>
+          <button
+            onClick={exportBundle}
+            className="px-3 py-2 text-sm bg-theme-bg-secondary text-white rounded-lg hover:bg-theme-bg-tertiary transition-colors disabled:opacity-50 flex items-center space-x-1"
+            disabled={loading || saving}
+            title="导出工作区PromptX配置（已启用角色及角色包）"
+          >
+            <Export size={16} />
+            <span>导出配置</span>
+          </button>
+          <select
+            value={importStrategy}
+            onChange={(e) => setImportStrategy(e.target.value)}
+            className="px-2 py-2 text-sm bg-theme-bg-secondary text-white rounded-lg border border-theme-modal-border"
+            title="导入时角色ID已存在的处理方式"
+          >
+            <option value="skip">冲突时跳过</option>
+            <option value="overwrite">冲突时覆盖为新版本</option>
+            <option value="rename">冲突时重命名</option>
+          </select>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="px-3 py-2 text-sm bg-theme-bg-secondary text-white rounded-lg hover:bg-theme-bg-tertiary transition-colors disabled:opacity-50 flex items-center space-x-1"
+            disabled={loading || saving}
+            title="导入PromptX配置包"
+          >
+            <FileArrowUp size={16} />
+            <span>导入配置</span>
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".zip"
+            onChange={importBundle}
+            className="hidden"
+          />
         </div>
       </div>
 
       {/* PromptX功能开关 */}
       {/* PromptX功能默认启用，移除开关 */}
 
+      {/* 角色自动路由 */}
+      {config?.enabled && (
+        <div className="bg-theme-bg-secondary rounded-lg p-4 border border-theme-modal-border space-y-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="text-white font-medium">角色自动路由</h4>
+              <p className="text-xs text-white/60">
+                开启后，每条消息会自动匹配最合适的已启用角色；置信度低于阈值时使用默认角色
+              </p>
+            </div>
+            <button
+              onClick={() => updateAutoSwitch({ autoSwitchEnabled: !config.autoSwitchEnabled })}
+              disabled={saving}
+              className={`px-3 py-1.5 text-sm rounded-lg transition-colors disabled:opacity-50 ${
+                config.autoSwitchEnabled
+                  ? 'bg-emerald-600 text-white hover:bg-emerald-700'
+                  : 'bg-theme-bg-primary text-white/70 hover:text-white'
+              }`}
+            >
+              {config.autoSwitchEnabled ? '已开启' : '已关闭'}
+            </button>
+          </div>
+
+          {config.autoSwitchEnabled && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="text-xs text-white/60 space-y-1">
+                <span>路由方式</span>
+                <select
+                  value={config.autoSwitchStrategy || 'embedding'}
+                  onChange={(e) => updateAutoSwitch({ autoSwitchStrategy: e.target.value })}
+                  disabled={saving}
+                  className="w-full px-2 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+                >
+                  <option value="embedding">语义相似度</option>
+                  <option value="llm">模型分类</option>
+                </select>
+              </label>
+              <label className="text-xs text-white/60 space-y-1">
+                <span>置信度阈值（{Number(config.autoSwitchThreshold ?? 0.5).toFixed(2)}）</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  defaultValue={config.autoSwitchThreshold ?? 0.5}
+                  onMouseUp={(e) => updateAutoSwitch({ autoSwitchThreshold: Number(e.target.value) })}
+                  onKeyUp={(e) => updateAutoSwitch({ autoSwitchThreshold: Number(e.target.value) })}
+                  disabled={saving}
+                  className="w-full"
+                />
+              </label>
+              <label className="text-xs text-white/60 space-y-1">
+                <span>默认角色</span>
+                <select
+                  value={config.defaultRoleId || ''}
+                  onChange={(e) => updateAutoSwitch({ defaultRoleId: e.target.value || null })}
+                  disabled={saving}
+                  className="w-full px-2 py-2 text-sm bg-theme-bg-primary text-white rounded-lg border border-theme-modal-border"
+                >
+                  <option value="">不使用角色</option>
+                  {availableRoles.map(role => (
+                    <option key={role.id} value={role.id}>
+                      {roles.find(r => r.roleId === role.id)?.customName || role.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* 角色统计信息 */}
       {availableRoles.length > 0 && (
         <div className="bg-theme-bg-secondary rounded-lg p-4 border border-theme-modal-border">
@@ -632,6 +811,13 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
                             </span>
                           )}
 
+                          {roleConfig?.pinnedVersion && (
+                            <span className="flex items-center space-x-1">
+                              <span className="text-gray-500">固定版本:</span>
+                              <span>{roleConfig.pinnedVersion}</span>
+                            </span>
+                          )}
+
                           {roleConfig?.lastUpdatedAt && (
                             <span className="flex items-center space-x-1">
                               <span className="text-gray-500">更新:</span>
@@ -643,6 +829,24 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
                     </div>
 
                     <div className="flex items-center space-x-3">
+                      {(role.source === 'uploaded' || role.source === 'user') && (
+                        <button
+                          onClick={() => exportRole(role.id)}
+                          className="text-white/60 hover:text-white transition-colors"
+                          title="导出角色包"
+                        >
+                          <DownloadSimple size={18} />
+                        </button>
+                      )}
+                      {role.source === 'uploaded' && (
+                        <button
+                          onClick={() => setVersionsRoleId(role.id)}
+                          className="text-white/60 hover:text-white transition-colors"
+                          title={role.version ? `版本历史（当前 ${role.version}）` : '版本历史'}
+                        >
+                          <ClockCounterClockwise size={18} />
+                        </button>
+                      )}
                       <div className="text-right">
                         <div className="text-xs text-white/60 mb-1">状态</div>
                         <div className={`text-sm font-medium ${isEnabled ? 'text-green-400' : 'text-gray-500'}`}>
@@ -702,6 +906,15 @@ const PromptXRoleManager = ({ workspaceId: propWorkspaceId }) => {
         onClose={() => setUploaderOpen(false)}
         onUploadSuccess={handleUploadSuccess}
       />
+
+      {/* 角色版本对话框 */}
+      <RoleVersionsModal
+        workspaceId={workspaceId}
+        roleId={versionsRoleId}
+        isOpen={!!versionsRoleId}
+        onClose={() => setVersionsRoleId(null)}
+        onChange={refresh}
+      />
     </div>
   );
 };
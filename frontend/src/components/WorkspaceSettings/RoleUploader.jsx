@@ -1,6 +1,6 @@
 import React, { useState, useRef } from "react";
 import { useTranslation } from "react-i18next";
-import { X, UploadSimple, FileZip, Check, Warning } from "@phosphor-icons/react";
+import { X, UploadSimple, FileZip, Check, Warning, ListChecks } from "@phosphor-icons/react";
 import WorkspacePromptXRoles from "@/models/workspacePromptXRoles";
 
 /**
@@ -19,6 +19,10 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  const [validating, setValidating] = useState(false);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [overwrite, setOverwrite] = useState(false);
+  const [versionNote, setVersionNote] = useState('');
 
   // 重置表单
   const resetForm = () => {
@@ -28,6 +32,9 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
     setUploadProgress(0);
     setError(null);
     setSuccess(false);
+    setDiagnostics(null);
+    setOverwrite(false);
+    setVersionNote('');
   };
 
   // 处理文件选择
@@ -65,6 +72,7 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
   // 验证和处理文件
   const processFile = (file) => {
     setError(null);
+    setDiagnostics(null);
 
     // 验证文件类型
     if (!file.name.toLowerCase().endsWith('.zip')) {
@@ -92,6 +100,7 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
     setUploading(true);
     setUploadProgress(10);
     setError(null);
+    setDiagnostics(null);
 
     try {
       setUploadProgress(30);
@@ -100,10 +109,14 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
         workspaceId,
         selectedFile,
         customName,
-        customDescription
+        customDescription,
+        '',
+        false,
+        { overwrite, versionNote }
       );
 
       setUploadProgress(90);
+      setDiagnostics(result.diagnostics || null);
 
       if (result.error) {
         throw new Error(result.error);
@@ -129,9 +142,38 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
     }
   };
 
+  // 仅验证角色包（不安装），展示DPML诊断信息
+  const handleValidate = async () => {
+    if (!selectedFile) {
+      setError('请先选择一个角色包文件');
+      return;
+    }
+
+    setValidating(true);
+    setError(null);
+    setDiagnostics(null);
+
+    const result = await WorkspacePromptXRoles.uploadRolePackage(
+      workspaceId,
+      selectedFile,
+      customName,
+      customDescription,
+      '',
+      true
+    );
+
+    setDiagnostics(result.diagnostics || null);
+    if (result.error) {
+      setError(result.error);
+    } else if (result.data?.conflict && !overwrite) {
+      setError(`角色ID "${result.data.roleId}" 已存在，勾选"作为新版本覆盖"可保留旧版本并更新`);
+    }
+    setValidating(false);
+  };
+
   // 关闭对话框
   const handleClose = () => {
-    if (!uploading) {
+    if (!uploading && !validating) {
       resetForm();
       onClose();
     }
@@ -254,6 +296,32 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
             />
           </div>
 
+          {/* 版本覆盖 */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={overwrite}
+                onChange={(e) => setOverwrite(e.target.checked)}
+                disabled={uploading}
+              />
+              角色已存在时作为新版本覆盖（旧版本保留，可随时回滚）
+            </label>
+            {overwrite && (
+              <input
+                type="text"
+                value={versionNote}
+                onChange={(e) => setVersionNote(e.target.value)}
+                disabled={uploading}
+                placeholder="版本说明（可选），例如：调整审查语气"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-zinc-600 rounded-lg
+                           bg-white dark:bg-zinc-700 text-gray-900 dark:text-white
+                           focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                           disabled:opacity-50 disabled:cursor-not-allowed"
+              />
+            )}
+          </div>
+
           {/* 上传进度 */}
           {uploading && (
             <div className="space-y-2">
@@ -278,6 +346,11 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
             </div>
           )}
 
+          {/* DPML诊断信息 */}
+          {diagnostics && (
+            <DiagnosticsList diagnostics={diagnostics} />
+          )}
+
           {/* 成功提示 */}
           {success && (
             <div className="flex items-center gap-2 p-3 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg">
@@ -299,6 +372,16 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
           >
             取消
           </button>
+          <button
+            onClick={handleValidate}
+            disabled={!selectedFile || uploading || validating || success}
+            className="px-4 py-2 text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20
+                       transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+                       flex items-center gap-2"
+          >
+            <ListChecks size={18} />
+            {validating ? '验证中...' : '仅验证'}
+          </button>
           <button
             onClick={handleUpload}
             disabled={!selectedFile || uploading || success}
@@ -324,4 +407,44 @@ const RoleUploader = ({ workspaceId, isOpen, onClose, onUploadSuccess }) => {
   );
 };
 
+/**
+ * 展示DPML解析器返回的错误与警告（含文件与行号）
+ */
+const DiagnosticsList = ({ diagnostics }) => {
+  const { errors = [], warnings = [] } = diagnostics;
+
+  if (errors.length === 0 && warnings.length === 0) {
+    return (
+      <div className="flex items-center gap-2 p-3 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg">
+        <Check size={20} className="text-green-600" />
+        <p className="text-sm text-green-600 dark:text-green-400">
+          DPML验证通过，未发现问题
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 border border-gray-200 dark:border-zinc-700 rounded-lg space-y-2 max-h-60 overflow-y-auto">
+      <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+        DPML诊断：{errors.length} 个错误，{warnings.length} 个警告
+      </p>
+      <ul className="space-y-1">
+        {[...errors, ...warnings].map((item, index) => (
+          <li
+            key={index}
+            className={`text-xs font-mono ${
+              item.severity === 'error'
+                ? 'text-red-600 dark:text-red-400'
+                : 'text-yellow-600 dark:text-yellow-400'
+            }`}
+          >
+            {item.file}:{item.line}:{item.column} {item.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 export default RoleUploader;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from "react";
+import {
+  X,
+  PushPin,
+  ArrowCounterClockwise,
+  GitDiff,
+  Warning,
+} from "@phosphor-icons/react";
+import WorkspacePromptXRoles from "@/models/workspacePromptXRoles";
+
+/**
+ * PromptX角色版本管理组件
+ * 查看版本历史、对比版本差异、固定工作区版本、回滚
+ */
+const RoleVersionsModal = ({
+  workspaceId,
+  roleId,
+  isOpen,
+  onClose,
+  onChange,
+}) => {
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchVersions = async () => {
+    setLoading(true);
+    const { data, error } = await WorkspacePromptXRoles.getRoleVersions(
+      workspaceId,
+      roleId
+    );
+    setHistory(data);
+    setError(error);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (isOpen && workspaceId && roleId) {
+      setDiff(null);
+      fetchVersions();
+    }
+  }, [isOpen, workspaceId, roleId]);
+
+  // 与当前生效版本对比
+  const handleDiff = async (version) => {
+    setError(null);
+    const { diff, error } = await WorkspacePromptXRoles.diffRoleVersions(
+      workspaceId,
+      roleId,
+      version
+    );
+    setDiff(diff);
+    setError(error);
+  };
+
+  const handlePin = async (version) => {
+    setBusy(true);
+    const { error } = await WorkspacePromptXRoles.pinRoleVersion(
+      workspaceId,
+      roleId,
+      version
+    );
+    setError(error);
+    if (!error) {
+      await fetchVersions();
+      onChange?.();
+    }
+    setBusy(false);
+  };
+
+  const handleRollback = async (version) => {
+    if (
+      !window.confirm(
+        `确定将角色 ${roleId} 回滚到版本 ${version} 吗？所有未固定版本的工作区都会受影响。`
+      )
+    ) {
+      return;
+    }
+    setBusy(true);
+    const { error } = await WorkspacePromptXRoles.rollbackRoleVersion(
+      workspaceId,
+      roleId,
+      version
+    );
+    setError(error);
+    if (!error) {
+      setDiff(null);
+      await fetchVersions();
+      onChange?.();
+    }
+    setBusy(false);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white dark:bg-zinc-800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        {/* 头部 */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-zinc-700">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            版本历史：{roleId}
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={busy}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* 内容 */}
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="flex items-start gap-2 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+              <Warning
+                size={20}
+                className="text-red-600 flex-shrink-0 mt-0.5"
+              />
+              <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            </div>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              加载中...
+            </p>
+          ) : (
+            history && (
+              <>
+                {history.pinnedVersion && (
+                  <div className="flex items-center justify-between p-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
+                    <p className="text-sm text-blue-600 dark:text-blue-400">
+                      当前工作区固定使用版本 {history.pinnedVersion}
+                    </p>
+                    <button
+                      onClick={() => handlePin(null)}
+                      disabled={busy}
+                      className="text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                    >
+                      取消固定
+                    </button>
+                  </div>
+                )}
+
+                <ul className="divide-y divide-gray-200 dark:divide-zinc-700 border border-gray-200 dark:border-zinc-700 rounded-lg">
+                  {history.versions.map((entry) => (
+                    <li
+                      key={entry.version}
+                      className="flex items-center justify-between p-3"
+                    >
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <span className="font-mono text-sm text-gray-900 dark:text-white">
+                            {entry.version}
+                          </span>
+                          {entry.active && (
+                            <span className="text-xs text-emerald-600 bg-emerald-600/10 px-2 py-0.5 rounded">
+                              当前生效
+                            </span>
+                          )}
+                          {entry.version === history.pinnedVersion && (
+                            <span className="text-xs text-blue-600 bg-blue-600/10 px-2 py-0.5 rounded">
+                              已固定
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {new Date(entry.createdAt).toLocaleString()}
+                          {entry.note ? ` · ${entry.note}` : ""}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        {!entry.active && (
+                          <button
+                            onClick={() => handleDiff(entry.version)}
+                            disabled={busy}
+                            title="与当前版本对比"
+                            className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 disabled:opacity-50"
+                          >
+                            <GitDiff size={18} />
+                          </button>
+                        )}
+                        {entry.version !== history.pinnedVersion && (
+                          <button
+                            onClick={() => handlePin(entry.version)}
+                            disabled={busy}
+                            title="在当前工作区固定此版本"
+                            className="text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                          >
+                            <PushPin size={18} />
+                          </button>
+                        )}
+                        {!entry.active && (
+                          <button
+                            onClick={() => handleRollback(entry.version)}
+                            disabled={busy}
+                            title="回滚到此版本"
+                            className="text-gray-500 hover:text-orange-600 disabled:opacity-50"
+                          >
+                            <ArrowCounterClockwise size={18} />
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )
+          )}
+
+          {diff && <VersionDiff diff={diff} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * 逐行显示两个版本.role.md的差异
+ */
+const VersionDiff = ({ diff }) => (
+  <div className="border border-gray-200 dark:border-zinc-700 rounded-lg">
+    <p className="p-3 text-sm font-medium text-gray-700 dark:text-gray-300 border-b border-gray-200 dark:border-zinc-700">
+      {diff.from} → {diff.to}：+{diff.stats.added} -{diff.stats.removed}
+    </p>
+    <pre className="p-3 text-xs font-mono max-h-80 overflow-auto">
+      {diff.changes.map((change, index) => (
+        <div
+          key={index}
+          className={
+            change.type === "add"
+              ? "text-green-600 dark:text-green-400 bg-green-500/10"
+              : change.type === "remove"
+                ? "text-red-600 dark:text-red-400 bg-red-500/10"
+                : "text-gray-500 dark:text-gray-400"
+          }
+        >
+          {change.type === "add"
+            ? "+ "
+            : change.type === "remove"
+              ? "- "
+              : "  "}
+          {change.value}
+        </div>
+      ))}
+    </pre>
+  </div>
+);
+
+export default RoleVersionsModal;
@@ -97,6 +97,7 @@ const TRANSLATIONS = {
     transcription: "Transcription",
     embedder: "Document Indexer",
     "text-splitting": "Text Splitter & Chunking",
+    reranker: "Reranker",
     "voice-speech": "Voice & Speech",
     "vector-database": "Knowledge Base",
     embeds: "Chat Embed",
@@ -302,6 +303,24 @@ const TRANSLATIONS = {
         only: "only",
         "desc-end": "if document context is found.",
       },
+      agentic: {
+        title: "Agentic",
+        "desc-start": "will break the question into sub-queries and search",
+        rounds: "in several rounds",
+        "desc-end": "until enough document context is found to answer.",
+      },
+    },
+    citation: {
+      title: "Inline citations",
+      description:
+        "Grounded mode numbers every context chunk and asks the LLM to cite them inline like [1]. Each answer is checked for citations to chunks that were never supplied and for sentences without a source.",
+      off: "Off",
+      grounded: "Grounded answers",
+    },
+    "agentic-rounds": {
+      title: "Max retrieval rounds",
+      description:
+        "How many retrieval rounds agentic mode may run for a message before answering. More rounds gather more context but take longer.",
     },
     history: {
       title: "Chat History",
@@ -631,6 +650,43 @@ const TRANSLATIONS = {
       description:
         "This is the maximum overlap of characters that occurs during chunking between two adjacent text chunks.",
     },
+    strategy: {
+      title: "Chunking Strategy",
+      description:
+        "How documents are cut into chunks. Workspaces can override this in their vector database settings. Documents are re-embedded with the new strategy the next time they are added to a workspace.",
+      recursive: "Recursive (paragraphs, lines, then words)",
+      markdown: "Markdown headings (keeps sections, tables and code blocks)",
+      sentence: "Sentences (best for Chinese text)",
+      table: "Table preserving",
+      semantic: "Semantic (splits where the topic changes, embeds every sentence)",
+    },
+  },
+  reranker: {
+    title: "Reranker Preference",
+    description:
+      'The reranker reorders the snippets found by vector search before they are sent to the LLM. It is only used by workspaces with the "Accuracy Optimized" search preference.',
+    provider: {
+      title: "Reranker Provider",
+      native: "Built-in (runs locally on CPU)",
+      cohere: "Cohere",
+      jina: "Jina AI",
+      voyageai: "Voyage AI",
+      "generic-openai": "OpenAI-compatible /rerank endpoint",
+      llm: "Workspace LLM",
+    },
+    hint: {
+      native:
+        "Uses the bundled ms-marco-MiniLM-L-6-v2 model. No configuration is needed, the model is downloaded on first use.",
+      llm: "The workspace's own chat model grades every retrieved snippet. This needs no extra setup but adds a chat completion per ten snippets to every search.",
+    },
+    "api-key": "API Key",
+    "base-path": "Base URL",
+    "base-path-description":
+      "The base URL of the local server, /rerank is appended to it.",
+    model: {
+      title: "Reranker Model",
+      description: "Leave empty to use the default model of the provider.",
+    },
   },
 
   // Vector Database
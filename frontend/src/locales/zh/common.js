@@ -83,6 +83,7 @@ const TRANSLATIONS = {
     transcription: "转录模型",
     embedder: "嵌入器（Embedder）",
     "text-splitting": "文本分割",
+    reranker: "重排序模型",
     "voice-speech": "语音和讲话",
     "vector-database": "向量数据库",
     embeds: "嵌入式对话",
@@ -272,6 +273,24 @@ const TRANSLATIONS = {
         only: "仅当",
         "desc-end": "找到文档上下文时。",
       },
+      agentic: {
+        title: "多轮检索",
+        "desc-start": "会把问题拆解为子查询，",
+        rounds: "分多轮检索",
+        "desc-end": "文档上下文，直到足以回答问题。",
+      },
+    },
+    citation: {
+      title: "行内引用",
+      description:
+        "引用溯源模式会给每个上下文片段编号，并要求模型以 [1] 的形式在句中标注来源。每个回答都会检查是否引用了未提供的片段，以及是否有缺少来源的句子。",
+      off: "关闭",
+      grounded: "引用溯源回答",
+    },
+    "agentic-rounds": {
+      title: "最大检索轮数",
+      description:
+        "多轮检索模式下每条消息在回答前最多进行的检索轮数。轮数越多收集的上下文越完整，但耗时越长。",
     },
     history: {
       title: "聊天历史记录",
@@ -557,6 +576,42 @@ const TRANSLATIONS = {
       title: "文本块重叠",
       description: "这是在两个相邻文本块之间分块期间发生的最大字符重叠。",
     },
+    strategy: {
+      title: "分块策略",
+      description:
+        "文档切分为文本块的方式。工作区可以在向量数据库设置中单独覆盖。修改后，文档下次添加到工作区时会按新策略重新嵌入。",
+      recursive: "递归（依次按段落、行、词切分）",
+      markdown: "Markdown 标题（保留章节、表格和代码块）",
+      sentence: "按句子（适合中文文本）",
+      table: "保留表格",
+      semantic: "语义（在话题变化处切分，需要嵌入每个句子）",
+    },
+  },
+  reranker: {
+    title: "重排序首选项",
+    description:
+      "重排序模型会在向量检索得到的片段发送给大语言模型之前重新排序。仅对搜索偏好为“准确性优化”的工作区生效。",
+    provider: {
+      title: "重排序提供商",
+      native: "内置（在本地 CPU 上运行）",
+      cohere: "Cohere",
+      jina: "Jina AI",
+      voyageai: "Voyage AI",
+      "generic-openai": "兼容 OpenAI 的 /rerank 接口",
+      llm: "工作区大语言模型",
+    },
+    hint: {
+      native:
+        "使用内置的 ms-marco-MiniLM-L-6-v2 模型，无需配置，首次使用时自动下载。",
+      llm: "由工作区自己的聊天模型为每个检索片段打分。无需额外配置，但每次检索每十个片段会多一次模型调用。",
+    },
+    "api-key": "API 密钥",
+    "base-path": "基础 URL",
+    "base-path-description": "本地服务的基础 URL，请求时会在后面加上 /rerank。",
+    model: {
+      title: "重排序模型",
+      description: "留空则使用该提供商的默认模型。",
+    },
   },
   vector: {
     title: "向量数据库",
@@ -80,6 +80,7 @@ const TRANSLATIONS = {
     transcription: "語音轉錄",
     embedder: "向量嵌入器",
     "text-splitting": "文字分割與區塊化",
+    reranker: "重新排序模型",
     "voice-speech": "語音與發音",
     "vector-database": "向量資料庫",
     embeds: "對話嵌入",
@@ -191,6 +192,24 @@ const TRANSLATIONS = {
         only: "僅",
         "desc-end": "在找到文件內容時提供答案。",
       },
+      agentic: {
+        title: "多輪檢索",
+        "desc-start": "會把問題拆解為子查詢，",
+        rounds: "分多輪檢索",
+        "desc-end": "文件上下文，直到足以回答問題。",
+      },
+    },
+    citation: {
+      title: "行內引用",
+      description:
+        "引用溯源模式會為每個上下文片段編號，並要求模型以 [1] 的形式在句中標註來源。每個回答都會檢查是否引用了未提供的片段，以及是否有缺少來源的句子。",
+      off: "關閉",
+      grounded: "引用溯源回答",
+    },
+    "agentic-rounds": {
+      title: "最大檢索輪數",
+      description:
+        "多輪檢索模式下每則訊息在回答前最多進行的檢索輪數。輪數越多收集的上下文越完整，但耗時越長。",
     },
     history: {
       title: "對話紀錄",
@@ -386,6 +405,42 @@ const TRANSLATIONS = {
       title: "文字區塊重疊",
       description: "這是區塊化過程中，兩個相鄰文字區塊之間的最大字元重疊數。",
     },
+    strategy: {
+      title: "區塊化策略",
+      description:
+        "文件切分為文字區塊的方式。工作區可以在向量資料庫設定中個別覆寫。修改後，文件下次加入工作區時會依新策略重新嵌入。",
+      recursive: "遞迴（依序按段落、行、詞切分）",
+      markdown: "Markdown 標題（保留章節、表格和程式碼區塊）",
+      sentence: "依句子（適合中文文字）",
+      table: "保留表格",
+      semantic: "語意（在主題變化處切分，需要嵌入每個句子）",
+    },
+  },
+  reranker: {
+    title: "重新排序偏好設定",
+    description:
+      "重新排序模型會在向量檢索得到的片段傳送給大型語言模型之前重新排序。僅對搜尋偏好為「準確度優化」的工作區生效。",
+    provider: {
+      title: "重新排序提供者",
+      native: "內建（在本機 CPU 上執行）",
+      cohere: "Cohere",
+      jina: "Jina AI",
+      voyageai: "Voyage AI",
+      "generic-openai": "相容 OpenAI 的 /rerank 端點",
+      llm: "工作區大型語言模型",
+    },
+    hint: {
+      native:
+        "使用內建的 ms-marco-MiniLM-L-6-v2 模型，無需設定，首次使用時自動下載。",
+      llm: "由工作區自己的聊天模型為每個檢索片段評分。無需額外設定，但每次檢索每十個片段會多一次模型呼叫。",
+    },
+    "api-key": "API 金鑰",
+    "base-path": "基礎 URL",
+    "base-path-description": "本機服務的基礎 URL，請求時會在後面加上 /rerank。",
+    model: {
+      title: "重新排序模型",
+      description: "留空則使用該提供者的預設模型。",
+    },
   },
   vector: {
     title: "向量資料庫",
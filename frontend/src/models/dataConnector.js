@@ -208,6 +208,55 @@ const DataConnector = {
     },
   },
 
+  localFolder: {
+    mounts: async function (slug) {
+      return await fetch(
+        `${API_BASE}/ext/local-folder/mounts?workspace=${encodeURIComponent(slug)}`,
+        { method: "GET", headers: baseHeaders() }
+      )
+        .then((res) => res.json())
+        .then((res) => {
+          if (!res.success) throw new Error(res.reason);
+          return { mounts: res.data?.mounts || [], error: null };
+        })
+        .catch((e) => {
+          console.error(e);
+          return { mounts: [], error: e.message };
+        });
+    },
+    mount: async function ({ slug, path, include = [], exclude = [] }) {
+      return await fetch(`${API_BASE}/ext/local-folder/mounts`, {
+        method: "POST",
+        headers: baseHeaders(),
+        body: JSON.stringify({ slug, path, include, exclude }),
+      })
+        .then((res) => res.json())
+        .then((res) => {
+          if (!res.success) throw new Error(res.reason);
+          return { data: res.data, error: null };
+        })
+        .catch((e) => {
+          console.error(e);
+          return { data: null, error: e.message };
+        });
+    },
+    unmount: async function (id) {
+      return await fetch(`${API_BASE}/ext/local-folder/mounts/${id}`, {
+        method: "DELETE",
+        headers: baseHeaders(),
+      })
+        .then((res) => res.json())
+        .then((res) => {
+          if (!res.success) throw new Error(res.reason);
+          return { success: true, error: null };
+        })
+        .catch((e) => {
+          console.error(e);
+          return { success: false, error: e.message };
+        });
+    },
+  },
+
   paperlessNgx: {
     collect: async function ({ baseUrl, apiToken }) {
       return await fetch(`${API_BASE}/ext/paperless-ngx`, {
@@ -4,7 +4,7 @@ import { baseHeaders } from "@/utils/request";
 const MCPServers = {
   /**
    * Forces a reload of the MCP Hypervisor and its servers
-   * @returns {Promise<{success: boolean, error: string | null, servers: Array<{name: string, running: boolean, tools: Array<{name: string, description: string, inputSchema: Object}>, error: string | null, process: {pid: number, cmd: string} | null}>}>}
+   * @returns {Promise<{success: boolean, error: string | null, servers: Array<{name: string, running: boolean, tools: Array<{name: string, description: string, inputSchema: Object}>, error: string | null, process: {pid: number, cmd: string} | null, health: {status: 'healthy' | 'degraded' | 'restarting' | 'failed' | 'stopped', restartCount: number, maxRestarts: number, history: Array<{at: string, ok: boolean, latencyMs: number | null, error: string | null}>} | null}>}>}
    */
   forceReload: async () => {
     return await fetch(`${API_BASE}/mcp-servers/force-reload`, {
@@ -21,7 +21,7 @@ const MCPServers = {
 
   /**
    * List all available MCP servers in the system
-   * @returns {Promise<{success: boolean, error: string | null, servers: Array<{name: string, running: boolean, tools: Array<{name: string, description: string, inputSchema: Object}>, error: string | null, process: {pid: number, cmd: string} | null}>}>}
+   * @returns {Promise<{success: boolean, error: string | null, servers: Array<{name: string, running: boolean, tools: Array<{name: string, description: string, inputSchema: Object}>, error: string | null, process: {pid: number, cmd: string} | null, health: {status: 'healthy' | 'degraded' | 'restarting' | 'failed' | 'stopped', restartCount: number, maxRestarts: number, history: Array<{at: string, ok: boolean, latencyMs: number | null, error: string | null}>} | null}>}>}
    */
   listServers: async () => {
     return await fetch(`${API_BASE}/mcp-servers/list`, {
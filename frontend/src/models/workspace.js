@@ -449,6 +449,59 @@ const Workspace = {
         return false;
       });
   },
+  getDocumentTags: async function (slug, docPath) {
+    return fetch(
+      `${API_BASE}/workspace/${slug}/document-tags?docPath=${encodeURIComponent(docPath)}`,
+      { headers: baseHeaders() }
+    )
+      .then((res) => {
+        if (!res.ok) throw new Error("Could not fetch document tags.");
+        return res.json();
+      })
+      .then((res) => res.tags || {})
+      .catch((e) => {
+        console.error(e);
+        return {};
+      });
+  },
+  setDocumentTags: async function (slug, docPath, tags = {}) {
+    return fetch(`${API_BASE}/workspace/${slug}/document-tags`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify({ docPath, tags }),
+    })
+      .then(async (res) => {
+        if (res.ok) return res.json();
+        const { error } = await res.json().catch(() => ({}));
+        return { tags: null, error: error || res.statusText };
+      })
+      .catch((e) => {
+        console.error(e);
+        return { tags: null, error: e.message };
+      });
+  },
+  /**
+   * The retrieval trace of a chat response (query, candidate scores, token counts).
+   * @param {string} slug
+   * @param {number} chatId
+   * @returns {Promise<Object|null>}
+   */
+  chatTrace: async function (slug, chatId) {
+    return await fetch(`${API_BASE}/workspace/${slug}/chats/${chatId}/trace`, {
+      method: "GET",
+      cache: "no-cache",
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error("Could not fetch chat trace.");
+        return res.json();
+      })
+      .then((res) => res.trace)
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
   ttsMessage: async function (slug, chatId) {
     return await fetch(`${API_BASE}/workspace/${slug}/tts/${chatId}`, {
       method: "GET",
@@ -464,6 +517,30 @@ const Workspace = {
         return null;
       });
   },
+  /**
+   * 获取已嵌入文档的原始文件(如引用来源的PDF)
+   * @param {string} slug - 工作空间slug标识符
+   * @param {string} path - 原始文件位置，如 custom-documents/report.pdf
+   * @returns {Promise<string|null>} - 文件的object URL，获取失败时为null
+   */
+  sourceFile: async function (slug, path) {
+    return await fetch(
+      `${API_BASE}/workspace/${slug}/source-file?path=${encodeURIComponent(path)}`,
+      {
+        method: "GET",
+        cache: "no-cache",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => {
+        if (res.ok && res.status !== 204) return res.blob();
+        throw new Error("Failed to fetch source file.");
+      })
+      .then((blob) => (blob ? URL.createObjectURL(blob) : null))
+      .catch((e) => {
+        return null;
+      });
+  },
   uploadPfp: async function (formData, slug) {
     return await fetch(`${API_BASE}/workspace/${slug}/upload-pfp`, {
       method: "POST",
@@ -208,6 +208,98 @@ const WorkspacePromptXRoles = {
     }
   },
 
+  /**
+   * 获取工作区PromptX记忆
+   * @param {number} workspaceId - 工作区ID
+   * @param {Object} options - 查询选项（search、roleId、userId、page、limit）
+   * @returns {Promise<{memories: Array|null, pagination: Object|null, error: string|null}>}
+   */
+  getMemories: async function (workspaceId, options = {}) {
+    try {
+      const queryParams = new URLSearchParams(
+        Object.fromEntries(Object.entries(options).filter(([, value]) => value !== '' && value != null))
+      ).toString();
+      const url = `${API_BASE}/workspaces/${workspaceId}/promptx-memories${queryParams ? `?${queryParams}` : ''}`;
+
+      const response = await fetch(url, {
+        method: "GET",
+        headers: baseHeaders(),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { memories: null, pagination: null, error: data.error || '获取记忆失败' };
+      }
+
+      return {
+        memories: data.data,
+        pagination: data.pagination || null,
+        error: null
+      };
+    } catch (error) {
+      console.error('获取记忆失败:', error);
+      return { memories: null, pagination: null, error: error.message };
+    }
+  },
+
+  /**
+   * 修改记忆
+   * @param {number} workspaceId - 工作区ID
+   * @param {number} memoryId - 记忆ID
+   * @param {Object} memoryData - 记忆内容（content、schema、strength）
+   * @returns {Promise<{memory: Object|null, error: string|null}>}
+   */
+  updateMemory: async function (workspaceId, memoryId, memoryData = {}) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-memories/${memoryId}`,
+        {
+          method: "POST",
+          body: JSON.stringify(memoryData),
+          headers: baseHeaders(),
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { memory: null, error: data.error || '修改记忆失败' };
+      }
+
+      return { memory: data.data, error: null };
+    } catch (error) {
+      console.error('修改记忆失败:', error);
+      return { memory: null, error: error.message };
+    }
+  },
+
+  /**
+   * 删除记忆
+   * @param {number} workspaceId - 工作区ID
+   * @param {number} memoryId - 记忆ID
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  deleteMemory: async function (workspaceId, memoryId) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-memories/${memoryId}`,
+        {
+          method: "DELETE",
+          headers: baseHeaders(),
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { success: false, error: data.error || '删除记忆失败' };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('删除记忆失败:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   /**
    * 获取可用的PromptX角色列表（通过MCP discover）
    * @param {number} workspaceId - 工作区ID
@@ -276,9 +368,14 @@ const WorkspacePromptXRoles = {
    * @param {string} customName - 自定义名称（可选）
    * @param {string} customDescription - 自定义描述（可选）
    * @param {string} customId - 自定义角色ID（用于解决冲突，可选）
-   * @returns {Promise<{data: Object|null, error: string|null}>}
+   * @param {boolean} validateOnly - 仅验证DPML格式，不安装角色（可选）
+   * @param {Object} versionOptions - 版本选项（可选）
+   * @param {boolean} versionOptions.overwrite - 角色已存在时作为新版本覆盖
+   * @param {string} versionOptions.version - 版本号，默认自动递增
+   * @param {string} versionOptions.versionNote - 版本说明
+   * @returns {Promise<{data: Object|null, error: string|null, diagnostics: Object|null}>}
    */
-  uploadRolePackage: async function (workspaceId, file, customName = '', customDescription = '', customId = '') {
+  uploadRolePackage: async function (workspaceId, file, customName = '', customDescription = '', customId = '', validateOnly = false, versionOptions = {}) {
     try {
       const formData = new FormData();
       formData.append('file', file);
@@ -292,6 +389,18 @@ const WorkspacePromptXRoles = {
       if (customId) {
         formData.append('customId', customId);
       }
+      if (validateOnly) {
+        formData.append('validateOnly', 'true');
+      }
+      if (versionOptions.overwrite) {
+        formData.append('overwrite', 'true');
+      }
+      if (versionOptions.version) {
+        formData.append('version', versionOptions.version);
+      }
+      if (versionOptions.versionNote) {
+        formData.append('versionNote', versionOptions.versionNote);
+      }
 
       const response = await fetch(
         `${API_BASE}/workspaces/${workspaceId}/promptx-roles/upload`,
@@ -317,19 +426,235 @@ const WorkspacePromptXRoles = {
             conflictOptions: data.conflictOptions
           };
         }
-        return { data: null, error: data.error || '上传失败' };
+        return { data: null, error: data.error || '上传失败', diagnostics: data.diagnostics || null };
+      }
+
+      if (validateOnly) {
+        return { data: data.data, error: null, diagnostics: data.data?.diagnostics || null };
       }
 
       if (!data.success) {
         return { data: null, error: data.error || '上传失败' };
       }
 
-      return { data: data.data, error: null };
+      return { data: data.data, error: null, diagnostics: data.data?.diagnostics || null };
     } catch (error) {
       console.error('角色包上传失败:', error);
       return { data: null, error: error.message || '网络错误，请重试' };
     }
   },
+
+  /**
+   * 获取角色版本历史
+   * @param {number} workspaceId - 工作区ID
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<{data: {activeVersion: string|null, pinnedVersion: string|null, versions: Array}|null, error: string|null}>}
+   */
+  getRoleVersions: async function (workspaceId, roleId) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-roles/${roleId}/versions`,
+        {
+          method: "GET",
+          headers: baseHeaders(),
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { data: null, error: data.error || '获取版本历史失败' };
+      }
+
+      return { data: data.data, error: null };
+    } catch (error) {
+      console.error('获取版本历史失败:', error);
+      return { data: null, error: error.message };
+    }
+  },
+
+  /**
+   * 对比两个版本的角色文件
+   * @param {number} workspaceId - 工作区ID
+   * @param {string} roleId - 角色ID
+   * @param {string} from - 起始版本
+   * @param {string} to - 目标版本（可选，默认当前生效版本）
+   * @returns {Promise<{diff: Object|null, error: string|null}>}
+   */
+  diffRoleVersions: async function (workspaceId, roleId, from, to = '') {
+    try {
+      const queryParams = new URLSearchParams(to ? { from, to } : { from }).toString();
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-roles/${roleId}/versions/diff?${queryParams}`,
+        {
+          method: "GET",
+          headers: baseHeaders(),
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { diff: null, error: data.error || '版本对比失败' };
+      }
+
+      return { diff: data.data, error: null };
+    } catch (error) {
+      console.error('版本对比失败:', error);
+      return { diff: null, error: error.message };
+    }
+  },
+
+  /**
+   * 将工作区固定到角色的某个版本
+   * @param {number} workspaceId - 工作区ID
+   * @param {string} roleId - 角色ID
+   * @param {string|null} version - 版本号，为null时取消固定
+   * @returns {Promise<{data: Object|null, error: string|null}>}
+   */
+  pinRoleVersion: async function (workspaceId, roleId, version = null) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-roles/${roleId}/pin`,
+        {
+          method: "POST",
+          body: JSON.stringify({ version }),
+          headers: baseHeaders(),
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { data: null, error: data.error || '固定版本失败' };
+      }
+
+      return { data: data.data, error: null };
+    } catch (error) {
+      console.error('固定版本失败:', error);
+      return { data: null, error: error.message };
+    }
+  },
+
+  /**
+   * 将角色回滚到指定版本
+   * @param {number} workspaceId - 工作区ID
+   * @param {string} roleId - 角色ID
+   * @param {string} version - 目标版本
+   * @returns {Promise<{data: Object|null, error: string|null}>}
+   */
+  rollbackRoleVersion: async function (workspaceId, roleId, version) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-roles/${roleId}/rollback`,
+        {
+          method: "POST",
+          body: JSON.stringify({ version }),
+          headers: baseHeaders(),
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { data: null, error: data.error || '回滚失败' };
+      }
+
+      return { data: data.data, error: null };
+    } catch (error) {
+      console.error('回滚失败:', error);
+      return { data: null, error: error.message };
+    }
+  },
+
+  /**
+   * 导出单个角色包（ZIP，可直接重新上传）
+   * @param {number} workspaceId - 工作区ID
+   * @param {string} roleId - 角色ID
+   * @param {string} version - 版本号（可选，默认当前生效版本）
+   * @returns {Promise<{blob: Blob|null, error: string|null}>}
+   */
+  exportRolePackage: async function (workspaceId, roleId, version = '') {
+    try {
+      const queryParams = version ? `?${new URLSearchParams({ version })}` : '';
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-roles/${roleId}/export${queryParams}`,
+        {
+          method: "GET",
+          headers: baseHeaders(),
+        }
+      );
+
+      if (!response.ok) {
+        const data = await response.json();
+        return { blob: null, error: data.error || '导出角色失败' };
+      }
+
+      return { blob: await response.blob(), error: null };
+    } catch (error) {
+      console.error('导出角色失败:', error);
+      return { blob: null, error: error.message };
+    }
+  },
+
+  /**
+   * 导出工作区PromptX配置包（配置、已启用角色及角色包）
+   * @param {number} workspaceId - 工作区ID
+   * @returns {Promise<{blob: Blob|null, error: string|null}>}
+   */
+  exportWorkspaceBundle: async function (workspaceId) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-export`,
+        {
+          method: "GET",
+          headers: baseHeaders(),
+        }
+      );
+
+      if (!response.ok) {
+        const data = await response.json();
+        return { blob: null, error: data.error || '导出配置失败' };
+      }
+
+      return { blob: await response.blob(), error: null };
+    } catch (error) {
+      console.error('导出配置失败:', error);
+      return { blob: null, error: error.message };
+    }
+  },
+
+  /**
+   * 导入工作区PromptX配置包
+   * @param {number} workspaceId - 工作区ID
+   * @param {File} file - 配置包ZIP
+   * @param {'skip'|'overwrite'|'rename'} conflictStrategy - 角色ID冲突处理方式
+   * @returns {Promise<{data: {config: Object|null, roles: Array}|null, error: string|null, message: string|null}>}
+   */
+  importWorkspaceBundle: async function (workspaceId, file, conflictStrategy = 'skip') {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('conflictStrategy', conflictStrategy);
+
+      const response = await fetch(
+        `${API_BASE}/workspaces/${workspaceId}/promptx-import`,
+        {
+          method: "POST",
+          body: formData,
+          headers: {
+            'Authorization': baseHeaders()['Authorization'],
+          },
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { data: null, error: data.error || '导入配置失败', message: null };
+      }
+
+      return { data: data.data, error: null, message: data.message };
+    } catch (error) {
+      console.error('导入配置失败:', error);
+      return { data: null, error: error.message, message: null };
+    }
+  },
 };
 
 export default WorkspacePromptXRoles;
\ No newline at end of file
@@ -51,6 +51,33 @@ const WorkspaceThread = {
 
     return { thread, message };
   },
+  promptxRole: async function (workspaceSlug, threadSlug) {
+    return await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/thread/${threadSlug}/promptx-role`,
+      {
+        method: "GET",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch(() => ({ roleId: null, history: [] }));
+  },
+  setPromptxRole: async function (workspaceSlug, threadSlug, roleId = null) {
+    const { thread, message } = await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/thread/${threadSlug}/promptx-role`,
+      {
+        method: "POST",
+        body: JSON.stringify({ roleId }),
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        return { thread: null, message: e.message };
+      });
+
+    return { thread, message };
+  },
   delete: async function (workspaceSlug, threadSlug) {
     return await fetch(
       `${API_BASE}/workspace/${workspaceSlug}/thread/${threadSlug}`,
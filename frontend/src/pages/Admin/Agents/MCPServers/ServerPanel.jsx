@@ -128,6 +128,7 @@ export default function ServerPanel({ server, toggleServer, onDelete }) {
           </div>
           <RenderServerConfig config={server.config} />
           <RenderServerStatus server={server} />
+          <RenderServerHealth health={server.health} />
           <RenderServerTools tools={server.tools} />
         </div>
       </div>
@@ -168,6 +169,53 @@ function RenderServerStatus({ server }) {
   );
 }
 
+function RenderServerHealth({ health = null }) {
+  if (!health) return null;
+  return (
+    <div className="flex flex-col gap-y-2">
+      <p className="text-theme-text-primary text-sm">Health</p>
+      <div className="bg-theme-bg-primary rounded-lg p-4 flex flex-col gap-y-2">
+        <p className="text-theme-text-secondary text-sm text-left">
+          <span className="font-bold">Status:</span> {health.status}
+        </p>
+        <p className="text-theme-text-secondary text-sm text-left">
+          <span className="font-bold">Automatic restarts:</span>{" "}
+          {health.restartCount} / {health.maxRestarts}
+          {health.lastRestartAt &&
+            ` (last ${new Date(health.lastRestartAt).toLocaleString()})`}
+        </p>
+        {health.nextRestartAt && (
+          <p className="text-theme-text-secondary text-sm text-left">
+            <span className="font-bold">Next restart:</span>{" "}
+            {new Date(health.nextRestartAt).toLocaleString()}
+          </p>
+        )}
+        {health.lastError && (
+          <p className="text-theme-text-secondary text-sm text-left">
+            <span className="font-bold">Last error:</span>{" "}
+            <span className="font-mono">{health.lastError}</span>
+          </p>
+        )}
+        {health.history.length > 0 && (
+          <div className="flex items-center gap-x-1">
+            {health.history.map((check) => (
+              <div
+                key={check.at}
+                title={`${new Date(check.at).toLocaleString()} - ${
+                  check.ok ? `${check.latencyMs}ms` : check.error
+                }`}
+                className={`w-2 h-4 rounded-sm ${
+                  check.ok ? "bg-green-500" : "bg-red-500"
+                }`}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function RenderServerTools({ tools = [] }) {
   if (tools.length === 0) return null;
   return (
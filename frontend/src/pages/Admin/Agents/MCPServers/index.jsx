@@ -141,14 +141,33 @@ export function MCPServersList({
             {titleCase(server.name.replace(/[_-]/g, " "))}
           </div>
           <div className="flex items-center gap-x-2">
-            <div
-              className={`text-sm text-theme-text-secondary font-medium ${server.running ? "text-green-500" : "text-red-500"}`}
-            >
-              {server.running ? "On" : "Stopped"}
-            </div>
+            <ServerStatusLabel server={server} />
           </div>
         </div>
       ))}
     </div>
   );
 }
+
+const HEALTH_LABELS = {
+  degraded: { label: "Degraded", className: "text-yellow-500" },
+  restarting: { label: "Restarting", className: "text-yellow-500" },
+  failed: { label: "Failed", className: "text-red-500" },
+};
+
+function ServerStatusLabel({ server }) {
+  const health = HEALTH_LABELS[server.health?.status];
+  const { label, className } =
+    health ||
+    (server.running
+      ? { label: "On", className: "text-green-500" }
+      : { label: "Stopped", className: "text-red-500" });
+
+  return (
+    <div
+      className={`text-sm text-theme-text-secondary font-medium ${className}`}
+    >
+      {label}
+    </div>
+  );
+}
@@ -11,6 +11,14 @@ import { useModal } from "@/hooks/useModal";
 import ModalWrapper from "@/components/ModalWrapper";
 import ChangeWarningModal from "@/components/ChangeWarning";
 
+const CHUNKING_STRATEGIES = [
+  "recursive",
+  "markdown",
+  "sentence",
+  "table",
+  "semantic",
+];
+
 function isNullOrNaN(value) {
   if (value === null) return true;
   return isNaN(value);
@@ -59,6 +67,7 @@ export default function EmbeddingTextSplitterPreference() {
         )
           ? 1000
           : Number(form.get("text_splitter_chunk_overlap")),
+        text_splitter_strategy: form.get("text_splitter_strategy"),
       });
       setHasChanges(false);
       closeModal();
@@ -182,6 +191,32 @@ export default function EmbeddingTextSplitterPreference() {
                   />
                 </div>
               </div>
+
+              <div className="flex flex-col gap-y-4 mt-8">
+                <div className="flex flex-col max-w-[300px]">
+                  <div className="flex flex-col gap-y-2 mb-4">
+                    <label className="text-white text-sm font-semibold block">
+                      {t("text.strategy.title")}
+                    </label>
+                    <p className="text-xs text-white/60">
+                      {t("text.strategy.description")}
+                    </p>
+                  </div>
+                  <select
+                    name="text_splitter_strategy"
+                    defaultValue={
+                      settings?.text_splitter_strategy || "recursive"
+                    }
+                    className="border-none bg-theme-settings-input-bg text-white text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                  >
+                    {CHUNKING_STRATEGIES.map((strategy) => (
+                      <option key={strategy} value={strategy}>
+                        {t(`text.strategy.${strategy}`)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
             </div>
           </form>
         </div>
@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import Sidebar from "@/components/SettingsSidebar";
+import { isMobile } from "react-device-detect";
+import PreLoader from "@/components/Preloader";
+import CTAButton from "@/components/lib/CTAButton";
+import System from "@/models/system";
+import showToast from "@/utils/toast";
+import { useTranslation } from "react-i18next";
+
+const RERANKING_PROVIDERS = [
+  "native",
+  "cohere",
+  "jina",
+  "voyageai",
+  "generic-openai",
+  "llm",
+];
+
+// Providers that accept a model choice, with the model used when none is set.
+const DEFAULT_MODELS = {
+  cohere: "rerank-v3.5",
+  jina: "jina-reranker-v2-base-multilingual",
+  voyageai: "rerank-2-lite",
+  "generic-openai": "bge-reranker-v2-m3",
+};
+
+// Providers that share their API key setting with other features.
+const API_KEY_SETTINGS = {
+  cohere: "CohereApiKey",
+  jina: "JinaApiKey",
+  voyageai: "VoyageAiApiKey",
+};
+
+const inputClassName =
+  "border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5";
+
+export default function RerankerPreference() {
+  const [settings, setSettings] = useState({});
+  const [provider, setProvider] = useState("native");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [hasChanges, setHasChanges] = useState(false);
+  const { t } = useTranslation();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const settingsData = { RerankingProvider: provider };
+    const formData = new FormData(e.target);
+    for (var [key, value] of formData.entries()) settingsData[key] = value;
+
+    const { error } = await System.updateSystem(settingsData);
+    if (error) {
+      showToast(`Failed to save reranker settings: ${error}`, "error");
+    } else {
+      showToast("Reranker preferences saved successfully.", "success");
+      setSettings({ ...settings, ...settingsData });
+      setHasChanges(false);
+    }
+    setSaving(false);
+  };
+
+  useEffect(() => {
+    async function fetchKeys() {
+      const _settings = await System.keys();
+      setSettings(_settings ?? {});
+      setProvider(_settings?.RerankingProvider || "native");
+      setLoading(false);
+    }
+    fetchKeys();
+  }, []);
+
+  return (
+    <div className="w-screen h-screen overflow-hidden bg-theme-bg-container flex">
+      <Sidebar />
+      {loading ? (
+        <div
+          style={{ height: isMobile ? "100%" : "calc(100% - 32px)" }}
+          className="relative md:ml-[2px] md:mr-[16px] md:my-[16px] md:rounded-[16px] bg-theme-bg-secondary w-full h-full overflow-y-scroll p-4 md:p-0"
+        >
+          <div className="w-full h-full flex justify-center items-center">
+            <PreLoader />
+          </div>
+        </div>
+      ) : (
+        <div
+          style={{ height: isMobile ? "100%" : "calc(100% - 32px)" }}
+          className="relative md:ml-[2px] md:mr-[16px] md:my-[16px] md:rounded-[16px] bg-theme-bg-secondary w-full h-full overflow-y-scroll p-4 md:p-0"
+        >
+          <form
+            onSubmit={handleSubmit}
+            onChange={() => setHasChanges(true)}
+            className="flex w-full"
+          >
+            <div className="flex flex-col w-full px-1 md:pl-6 md:pr-[50px] md:py-6 py-16">
+              <div className="w-full flex flex-col gap-y-1 pb-4 border-white light:border-theme-sidebar-border border-b-2 border-opacity-10">
+                <div className="flex gap-x-4 items-center">
+                  <p className="text-lg leading-6 font-bold text-white">
+                    {t("reranker.title")}
+                  </p>
+                </div>
+                <p className="text-xs leading-[18px] font-base text-white text-opacity-60">
+                  {t("reranker.description")}
+                </p>
+              </div>
+              <div className="w-full justify-end flex">
+                {hasChanges && (
+                  <CTAButton className="mt-3 mr-0 -mb-14 z-10">
+                    {saving ? t("common.saving") : t("common.save")}
+                  </CTAButton>
+                )}
+              </div>
+
+              <div className="flex flex-col gap-y-4 mt-8">
+                <div className="flex flex-col max-w-[300px]">
+                  <label className="text-white text-sm font-semibold block mb-3">
+                    {t("reranker.provider.title")}
+                  </label>
+                  <select
+                    value={provider}
+                    onChange={(e) => setProvider(e.target.value)}
+                    className="border-none bg-theme-settings-input-bg text-white text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                  >
+                    {RERANKING_PROVIDERS.map((option) => (
+                      <option key={option} value={option}>
+                        {t(`reranker.provider.${option}`)}
+                      </option>
+                    ))}
+                  </select>
+                  {["native", "llm"].includes(provider) && (
+                    <p className="text-xs text-white/60 mt-2">
+                      {t(`reranker.hint.${provider}`)}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <ProviderOptions
+                key={provider}
+                provider={provider}
+                settings={settings}
+              />
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProviderOptions({ provider, settings }) {
+  const { t } = useTranslation();
+  if (!DEFAULT_MODELS.hasOwnProperty(provider)) return null;
+
+  const apiKeySetting = API_KEY_SETTINGS[provider];
+  return (
+    <div className="w-full flex items-start gap-[36px] mt-8">
+      {provider === "generic-openai" && (
+        <div className="flex flex-col w-60">
+          <label className="text-white text-sm font-semibold block mb-3">
+            {t("reranker.base-path")}
+          </label>
+          <input
+            type="url"
+            name="GenericOpenAiRerankingBasePath"
+            className={inputClassName}
+            placeholder="http://127.0.0.1:8080/v1"
+            defaultValue={settings?.GenericOpenAiRerankingBasePath}
+            required={true}
+            autoComplete="off"
+            spellCheck={false}
+          />
+          <p className="text-xs text-white/60 mt-2">
+            {t("reranker.base-path-description")}
+          </p>
+        </div>
+      )}
+      <div className="flex flex-col w-60">
+        <label className="text-white text-sm font-semibold block mb-3">
+          {t("reranker.api-key")}
+        </label>
+        <input
+          type="password"
+          name={apiKeySetting || "GenericOpenAiRerankingApiKey"}
+          className={inputClassName}
+          placeholder="sk-mysecretkey"
+          defaultValue={
+            settings?.[apiKeySetting || "GenericOpenAiRerankingApiKey"]
+              ? "*".repeat(20)
+              : ""
+          }
+          required={!!apiKeySetting}
+          autoComplete="off"
+          spellCheck={false}
+        />
+      </div>
+      <div className="flex flex-col w-60">
+        <label className="text-white text-sm font-semibold block mb-3">
+          {t("reranker.model.title")}
+        </label>
+        <input
+          type="text"
+          name="RerankingModelPref"
+          className={inputClassName}
+          placeholder={DEFAULT_MODELS[provider]}
+          defaultValue={
+            settings?.RerankingProvider === provider
+              ? settings?.RerankingModelPref
+              : ""
+          }
+          autoComplete="off"
+          spellCheck={false}
+        />
+        <p className="text-xs text-white/60 mt-2">
+          {t("reranker.model.description")}
+        </p>
+      </div>
+    </div>
+  );
+}
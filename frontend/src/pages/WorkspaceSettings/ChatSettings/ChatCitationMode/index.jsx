@@ -0,0 +1,32 @@
+import { useTranslation } from "react-i18next";
+
+const CITATION_MODES = ["off", "grounded"];
+
+export default function ChatCitationMode({ workspace, setHasChanges }) {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="citationMode" className="block input-label">
+          {t("chat.citation.title")}
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {t("chat.citation.description")}
+        </p>
+      </div>
+      <select
+        name="citationMode"
+        defaultValue={workspace?.citationMode ?? "off"}
+        className="border-none bg-theme-settings-input-bg text-white text-sm mt-2 rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+        onChange={() => setHasChanges(true)}
+        required={true}
+      >
+        {CITATION_MODES.map((mode) => (
+          <option key={mode} value={mode}>
+            {t(`chat.citation.${mode}`)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -36,6 +36,17 @@ export default function ChatModeSelection({ workspace, setHasChanges }) {
           >
             {t("chat.mode.query.title")}
           </button>
+          <button
+            type="button"
+            disabled={chatMode === "agentic"}
+            onClick={() => {
+              setChatMode("agentic");
+              setHasChanges(true);
+            }}
+            className="transition-bg duration-200 px-6 py-1 text-md text-white/60 disabled:text-white bg-transparent disabled:bg-[#687280] rounded-md"
+          >
+            {t("chat.mode.agentic.title")}
+          </button>
         </div>
         <p className="text-sm text-white/60">
           {chatMode === "chat" ? (
@@ -45,6 +56,13 @@ export default function ChatModeSelection({ workspace, setHasChanges }) {
               <i className="font-semibold">{t("chat.mode.chat.and")}</i>{" "}
               {t("chat.mode.chat.desc-end")}
             </>
+          ) : chatMode === "agentic" ? (
+            <>
+              <b>{t("chat.mode.agentic.title")}</b>{" "}
+              {t("chat.mode.agentic.desc-start")}{" "}
+              <i className="font-semibold">{t("chat.mode.agentic.rounds")}</i>{" "}
+              {t("chat.mode.agentic.desc-end")}
+            </>
           ) : (
             <>
               <b>{t("chat.mode.query.title")}</b>{" "}
@@ -55,6 +73,39 @@ export default function ChatModeSelection({ workspace, setHasChanges }) {
           )}
         </p>
       </div>
+      {chatMode === "agentic" && (
+        <AgenticMaxRounds workspace={workspace} setHasChanges={setHasChanges} />
+      )}
+    </div>
+  );
+}
+
+function AgenticMaxRounds({ workspace, setHasChanges }) {
+  const { t } = useTranslation();
+  return (
+    <div className="mt-4">
+      <div className="flex flex-col gap-y-1 mb-2">
+        <label htmlFor="agenticMaxRounds" className="block input-label">
+          {t("chat.agentic-rounds.title")}
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium">
+          {t("chat.agentic-rounds.description")}
+        </p>
+      </div>
+      <input
+        name="agenticMaxRounds"
+        type="number"
+        min={1}
+        max={5}
+        step={1}
+        onWheel={(e) => e.target.blur()}
+        defaultValue={workspace?.agenticMaxRounds ?? 3}
+        className="border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+        placeholder="3"
+        required={true}
+        autoComplete="off"
+        onChange={() => setHasChanges(true)}
+      />
     </div>
   );
 }
@@ -0,0 +1,19 @@
+import React from "react";
+import PromptXMemoryManager from "@/components/WorkspaceSettings/PromptXMemoryManager";
+
+export default function PromptXMemories({ workspace }) {
+  return (
+    <div className="w-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-white mb-2">PromptX 记忆</h1>
+        <p className="text-white/70">
+          查看和整理角色在本工作区中记住的内容，配置记忆范围和保留策略
+        </p>
+      </div>
+
+      <div className="bg-theme-bg-secondary rounded-lg border border-theme-modal-border p-6">
+        <PromptXMemoryManager workspaceId={workspace?.id} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+
+const hint = {
+  "": {
+    title: "System default",
+    description:
+      "Uses the chunking strategy from the text splitter preferences.",
+  },
+  recursive: {
+    title: "Recursive",
+    description:
+      "Splits on paragraphs, then lines, then words until chunks fit the chunk size.",
+  },
+  markdown: {
+    title: "Markdown headings",
+    description:
+      "Keeps sections, tables and code blocks together and stores the heading path with every chunk.",
+  },
+  sentence: {
+    title: "Sentences",
+    description:
+      "Packs whole sentences into chunks so Chinese text is never cut mid-sentence.",
+  },
+  table: {
+    title: "Table preserving",
+    description:
+      "Keeps tables whole. Large tables are split by rows with the header repeated in every chunk.",
+  },
+  semantic: {
+    title: "Semantic",
+    description:
+      "Embeds every sentence and starts a new chunk where the topic changes. Embedding takes noticeably longer.",
+  },
+};
+
+export default function ChunkingStrategy({ workspace, setHasChanges }) {
+  const [selection, setSelection] = useState(workspace?.chunkingStrategy ?? "");
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="chunkingStrategy" className="block input-label">
+          Chunking Strategy
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Applies to documents embedded from now on. Documents already in this
+          workspace keep their chunks until they are re-embedded.
+        </p>
+      </div>
+      <select
+        name="chunkingStrategy"
+        value={selection}
+        className="border-none bg-theme-settings-input-bg text-white text-sm mt-2 rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+        onChange={(e) => {
+          setSelection(e.target.value);
+          setHasChanges(true);
+        }}
+      >
+        {Object.entries(hint).map(([strategy, { title }]) => (
+          <option key={strategy} value={strategy}>
+            {title}
+          </option>
+        ))}
+      </select>
+      <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+        {hint[selection]?.description}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+export default function ParentRetrievalWindow({ workspace, setHasChanges }) {
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="parentRetrievalWindow" className="block input-label">
+          Parent Chunk Window
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Search with small chunks but answer with the surrounding text. Every
+          retrieved chunk is expanded with this many neighbouring chunks on each
+          side, without crossing a markdown section. Overlapping spans are
+          merged and spans that no longer fit the context window are left
+          unexpanded.
+          <br />
+          <i>Set to 0 to send only the retrieved chunks.</i>
+        </p>
+      </div>
+      <input
+        name="parentRetrievalWindow"
+        type="number"
+        min={0}
+        max={5}
+        step={1}
+        onWheel={(e) => e.target.blur()}
+        defaultValue={workspace?.parentRetrievalWindow ?? 0}
+        className="border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5 mt-2"
+        placeholder="0"
+        required={true}
+        autoComplete="off"
+        onChange={() => setHasChanges(true)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useState } from "react";
+
+const hint = {
+  off: {
+    title: "Off",
+    description:
+      "Each message is searched exactly as it was written. Follow-up questions may retrieve unrelated context.",
+  },
+  rewrite: {
+    title: "Rewrite with conversation",
+    description:
+      "The LLM rewrites follow-up messages into a standalone search query using the recent chat history. Adds one LLM call per message.",
+  },
+  hyde: {
+    title: "Rewrite + hypothetical answer",
+    description:
+      "Also drafts a short hypothetical answer and searches with it (HyDE). Helps short or vague questions, but adds latency to every message.",
+  },
+};
+
+export default function QueryRewriteMode({ workspace, setHasChanges }) {
+  const [selection, setSelection] = useState(
+    workspace?.queryRewriteMode ?? "off"
+  );
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="queryRewriteMode" className="block input-label">
+          Query Rewriting
+        </label>
+      </div>
+      <select
+        name="queryRewriteMode"
+        value={selection}
+        className="border-none bg-theme-settings-input-bg text-white text-sm mt-2 rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+        onChange={(e) => {
+          setSelection(e.target.value);
+          setHasChanges(true);
+        }}
+        required={true}
+      >
+        {Object.entries(hint).map(([mode, { title }]) => (
+          <option key={mode} value={mode}>
+            {title}
+          </option>
+        ))}
+      </select>
+      <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+        {hint[selection]?.description}
+      </p>
+    </div>
+  );
+}
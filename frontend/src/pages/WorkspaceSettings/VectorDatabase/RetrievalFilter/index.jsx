@@ -0,0 +1,35 @@
+// Tag filters are translated into payload filters, which only the QDrant provider implements.
+const supportedVectorDbs = ["qdrant"];
+
+export default function RetrievalFilter({ workspace, setHasChanges }) {
+  if (!supportedVectorDbs.includes(workspace?.vectorDB)) return null;
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="retrievalFilter" className="block input-label">
+          Retrieval Filter
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Only retrieve documents whose tags match this filter. Separate values
+          with commas and keys with spaces. Threads can narrow it further with
+          the /filter command and API requests with the filter parameter.
+          <br />
+          <i>
+            Supported keys: department, language, version and valid (now or a
+            date).
+          </i>
+        </p>
+      </div>
+      <input
+        name="retrievalFilter"
+        type="text"
+        defaultValue={workspace?.retrievalFilter ?? ""}
+        className="border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5 mt-2"
+        placeholder="department=legal,hr language=en valid=now"
+        autoComplete="off"
+        onChange={() => setHasChanges(true)}
+      />
+    </div>
+  );
+}
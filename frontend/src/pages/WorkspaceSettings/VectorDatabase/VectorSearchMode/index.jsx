@@ -2,7 +2,11 @@ import { useState } from "react";
 
 // We dont support all vectorDBs yet for reranking due to complexities of how each provider
 // returns information. We need to normalize the response data so Reranker can be used for each provider.
-const supportedVectorDBs = ["lancedb"];
+// Hybrid search relies on the keyword index maintained by the QDrant provider.
+const supportedModes = {
+  lancedb: ["default", "rerank"],
+  qdrant: ["default", "rerank", "hybrid"],
+};
 const hint = {
   default: {
     title: "Default",
@@ -12,7 +16,12 @@ const hint = {
   rerank: {
     title: "Accuracy Optimized",
     description:
-      "LLM responses may take longer to generate, but your responses will be more accurate and relevant.",
+      "LLM responses may take longer to generate, but your responses will be more accurate and relevant. Uses the reranker provider selected in the system settings.",
+  },
+  hybrid: {
+    title: "Hybrid (Keyword + Vector)",
+    description:
+      "Combines vector search with keyword matching. Best for exact terms like product codes, error ids and names.",
   },
 };
 
@@ -20,8 +29,8 @@ export default function VectorSearchMode({ workspace, setHasChanges }) {
   const [selection, setSelection] = useState(
     workspace?.vectorSearchMode ?? "default"
   );
-  if (!workspace?.vectorDB || !supportedVectorDBs.includes(workspace?.vectorDB))
-    return null;
+  const modes = supportedModes[workspace?.vectorDB];
+  if (!modes) return null;
 
   return (
     <div>
@@ -40,8 +49,11 @@ export default function VectorSearchMode({ workspace, setHasChanges }) {
         }}
         required={true}
       >
-        <option value="default">Default</option>
-        <option value="rerank">Accuracy Optimized</option>
+        {modes.map((mode) => (
+          <option key={mode} value={mode}>
+            {hint[mode].title}
+          </option>
+        ))}
       </select>
       <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
         {hint[selection]?.description}
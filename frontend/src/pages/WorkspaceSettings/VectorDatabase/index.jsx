@@ -8,6 +8,10 @@ import DocumentSimilarityThreshold from "./DocumentSimilarityThreshold";
 import ResetDatabase from "./ResetDatabase";
 import VectorCount from "./VectorCount";
 import VectorSearchMode from "./VectorSearchMode";
+import QueryRewriteMode from "./QueryRewriteMode";
+import RetrievalFilter from "./RetrievalFilter";
+import ChunkingStrategy from "./ChunkingStrategy";
+import ParentRetrievalWindow from "./ParentRetrievalWindow";
 import CTAButton from "@/components/lib/CTAButton";
 
 export default function VectorDatabase({ workspace }) {
@@ -54,10 +58,17 @@ export default function VectorDatabase({ workspace }) {
           <VectorCount reload={true} workspace={workspace} />
         </div>
         <VectorSearchMode workspace={workspace} setHasChanges={setHasChanges} />
+        <QueryRewriteMode workspace={workspace} setHasChanges={setHasChanges} />
+        <RetrievalFilter workspace={workspace} setHasChanges={setHasChanges} />
+        <ChunkingStrategy workspace={workspace} setHasChanges={setHasChanges} />
         <MaxContextSnippets
           workspace={workspace}
           setHasChanges={setHasChanges}
         />
+        <ParentRetrievalWindow
+          workspace={workspace}
+          setHasChanges={setHasChanges}
+        />
         <DocumentSimilarityThreshold
           workspace={workspace}
           setHasChanges={setHasChanges}
@@ -13,6 +13,7 @@ import {
   User,
   Wrench,
   Sparkle,
+  Brain,
 } from "@phosphor-icons/react";
 import paths from "@/utils/paths";
 import { Link } from "react-router-dom";
@@ -23,6 +24,7 @@ import VectorDatabase from "./VectorDatabase";
 import Members from "./Members";
 import WorkspaceAgentConfiguration from "./AgentConfig";
 import PromptXRoles from "./PromptXRoles";
+import PromptXMemories from "./PromptXMemories";
 import useUser from "@/hooks/useUser";
 import { useTranslation } from "react-i18next";
 import System from "@/models/system";
@@ -34,6 +36,7 @@ const TABS = {
   members: Members,
   "agent-config": WorkspaceAgentConfiguration,
   "promptx-roles": PromptXRoles,
+  "promptx-memories": PromptXMemories,
 };
 
 export default function WorkspaceSettings() {
@@ -118,6 +121,12 @@ function ShowWorkspaceChat() {
             icon={<Sparkle className="h-6 w-6" />}
             to={paths.workspace.settings.promptxRoles(slug)}
           />
+          <TabItem
+            title="PromptX 记忆"
+            icon={<Brain className="h-6 w-6" />}
+            to={paths.workspace.settings.promptxMemories(slug)}
+            visible={!user || user.role === "admin"}
+          />
           {/* Agent配置已合并到系统设置 > LLM偏好 */}
           {/* <TabItem
             title={t("workspaces—settings.agent")}
@@ -37,6 +37,7 @@ export default function handleChat(
     chatId = null,     // 聊天记录ID
     action = null,     // 动作类型
     metrics = {},      // 性能指标数据
+    grounding = null,  // 引用溯源检查结果（仅在finalizeResponseStream中返回）
   } = chatResult;
 
   // 🔥 调试：打印每个响应
@@ -166,6 +167,7 @@ export default function handleChat(
           pending: false,            // 不再待处理
           chatId,                    // 聊天记录ID
           metrics: { ...existingHistory.metrics, ...metrics }, // 合并性能指标
+          grounding,                 // 行内引用[n]对应的片段
         };
 
         // 🔥 更新上一条用户消息的chatId
@@ -213,6 +215,41 @@ export default function handleChat(
     // 🔥 统一更新UI显示
     setChatHistory([..._chatHistory]);
   }
+  // 🔥 PromptX角色自动路由结果：在回答生成前到达，挂到待处理的assistant占位符上
+  else if (type === "promptxRoleRouted") {
+    console.log(`[聊天处理] 自动路由到角色: ${chatResult.promptxRole?.roleId}`);
+
+    const chatIdx = _chatHistory.findIndex(
+      (chat) => chat.uuid === uuid || (chat.role === "assistant" && chat.pending === true && !chat.uuid)
+    );
+    if (chatIdx !== -1) {
+      _chatHistory[chatIdx] = {
+        ..._chatHistory[chatIdx],
+        uuid,
+        promptxRole: chatResult.promptxRole,
+      };
+      setChatHistory([..._chatHistory]);
+    }
+  }
+  // 🔥 agentic模式的检索步骤：在回答生成前逐步到达，追加到待处理的assistant占位符上
+  else if (type === "retrievalStatus") {
+    console.log(`[聊天处理] 检索步骤: ${chatResult.step?.text}`);
+
+    const chatIdx = _chatHistory.findIndex(
+      (chat) => chat.uuid === uuid || (chat.role === "assistant" && chat.pending === true && !chat.uuid)
+    );
+    if (chatIdx !== -1) {
+      _chatHistory[chatIdx] = {
+        ..._chatHistory[chatIdx],
+        uuid,
+        retrievalSteps: [
+          ...(_chatHistory[chatIdx].retrievalSteps || []),
+          chatResult.step,
+        ],
+      };
+      setChatHistory([..._chatHistory]);
+    }
+  }
   // 🔥 处理4：其他特殊响应类型
   else if (type === "agentInitWebsocketConnection") {
     // 🔥 Agent WebSocket连接初始化
@@ -93,6 +93,9 @@ export default {
       promptxRoles: (slug) => {
         return `/workspace/${slug}/settings/promptx-roles`;
       },
+      promptxMemories: (slug) => {
+        return `/workspace/${slug}/settings/promptx-memories`;
+      },
     },
     thread: (wsSlug, threadSlug) => {
       return `/workspace/${wsSlug}/t/${threadSlug}`;
@@ -126,6 +129,7 @@ export default {
     embedder: {
       modelPreference: () => "/settings/embedding-preference",
       chunkingPreference: () => "/settings/text-splitter-preference",
+      rerankerPreference: () => "/settings/reranker-preference",
     },
     embeddingPreference: () => {
       return "/settings/embedding-preference";
@@ -12,6 +12,12 @@ export function castToType(key, value) {
     topN: {
       cast: (value) => Number(value),
     },
+    agenticMaxRounds: {
+      cast: (value) => Number(value),
+    },
+    parentRetrievalWindow: {
+      cast: (value) => Number(value),
+    },
   };
 
   if (!definitions.hasOwnProperty(key)) return value;
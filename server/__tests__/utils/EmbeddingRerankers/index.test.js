@@ -0,0 +1,79 @@
+/* eslint-env jest, node */
+const { getRerankerSelection } = require("../../../utils/helpers");
+const { CohereReranker } = require("../../../utils/EmbeddingRerankers/cohere");
+const { LLMReranker } = require("../../../utils/EmbeddingRerankers/llm");
+
+const documents = [
+  { id: "a", text: "Plan A covers staff." },
+  { id: "b", text: "Plan B covers contractors." },
+  { id: "c", text: "The office is closed on Fridays." },
+];
+
+describe("EmbeddingRerankers", () => {
+  const env = { ...process.env };
+  const fetch = global.fetch;
+  afterEach(() => {
+    process.env = { ...env };
+    global.fetch = fetch;
+  });
+
+  it("selects the configured provider", () => {
+    process.env.RERANKING_PROVIDER = "cohere";
+    process.env.COHERE_API_KEY = "co-123";
+    expect(getRerankerSelection()).toBeInstanceOf(CohereReranker);
+
+    process.env.RERANKING_PROVIDER = "llm";
+    expect(getRerankerSelection()).toBeInstanceOf(LLMReranker);
+  });
+
+  it("maps HTTP rerank results back onto the documents", async () => {
+    process.env.COHERE_API_KEY = "co-123";
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        results: [
+          { index: 1, relevance_score: 0.91 },
+          { index: 0, relevance_score: 0.42 },
+        ],
+      }),
+    }));
+
+    const reranked = await new CohereReranker().rerank(
+      "Who is covered by plan B?",
+      documents,
+      { topK: 2 }
+    );
+    expect(reranked.map((doc) => [doc.id, doc.rerank_score])).toEqual([
+      ["b", 0.91],
+      ["a", 0.42],
+    ]);
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe("https://api.cohere.com/v2/rerank");
+    expect(JSON.parse(request.body)).toMatchObject({
+      model: "rerank-v3.5",
+      documents: documents.map((doc) => doc.text),
+      top_n: 2,
+    });
+  });
+
+  it("grades documents with the workspace LLM", async () => {
+    const LLMConnector = {
+      model: "gpt-4o",
+      getChatCompletion: jest.fn(async () => ({
+        textResponse: "Scores: [3, 9, null]",
+      })),
+    };
+
+    const reranked = await new LLMReranker().rerank(
+      "Who is covered by plan B?",
+      documents,
+      { topK: 3, LLMConnector }
+    );
+    expect(reranked.map((doc) => [doc.id, doc.rerank_score])).toEqual([
+      ["b", 0.9],
+      ["a", 0.3],
+      ["c", 0],
+    ]);
+    expect(LLMConnector.getChatCompletion).toHaveBeenCalledTimes(1);
+  });
+});
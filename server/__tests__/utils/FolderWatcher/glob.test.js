@@ -0,0 +1,38 @@
+/* eslint-env jest, node */
+const {
+  globToRegExp,
+  createGlobMatcher,
+} = require("../../../utils/FolderWatcher/glob");
+
+describe("globToRegExp", () => {
+  it("matches patterns without a slash at any depth", () => {
+    const regexp = globToRegExp("*.{pdf,docx}");
+    expect(regexp.test("report.pdf")).toBe(true);
+    expect(regexp.test("hr/2024/policy.docx")).toBe(true);
+    expect(regexp.test("hr/notes.txt")).toBe(false);
+  });
+
+  it("anchors patterns with a slash to the mounted folder", () => {
+    const regexp = globToRegExp("docs/**/*.md");
+    expect(regexp.test("docs/readme.md")).toBe(true);
+    expect(regexp.test("docs/a/b/guide.md")).toBe(true);
+    expect(regexp.test("other/docs/readme.md")).toBe(false);
+    expect(regexp.test("docs/readme.mdx")).toBe(false);
+  });
+});
+
+describe("createGlobMatcher", () => {
+  it("includes every file when no include pattern is given", () => {
+    const matcher = createGlobMatcher([], ["~$*"]);
+    expect(matcher.matches("handbook/intro.pdf")).toBe(true);
+    expect(matcher.matches("handbook/~$intro.docx")).toBe(false);
+  });
+
+  it("excludes whole folders matched by a pattern", () => {
+    const matcher = createGlobMatcher(["*.pdf"], ["archive", ".git"]);
+    expect(matcher.excludes("archive")).toBe(true);
+    expect(matcher.matches("archive/2019/old.pdf")).toBe(false);
+    expect(matcher.matches("current/new.pdf")).toBe(true);
+    expect(matcher.matches("current/new.txt")).toBe(false);
+  });
+});
@@ -0,0 +1,47 @@
+/* eslint-env jest, node */
+const {
+  diffFolder,
+  inScope,
+} = require("../../../utils/FolderWatcher/reconcile");
+
+describe("diffFolder", () => {
+  it("finds new, modified and removed files", () => {
+    const files = [
+      { path: "a.pdf", modifiedAt: 1000 },
+      { path: "b.pdf", modifiedAt: 5000 },
+      { path: "c.pdf", modifiedAt: 1000 },
+    ];
+    const documents = [
+      { path: "a.pdf", modifiedAt: 1000, document: { id: 1 } },
+      { path: "b.pdf", modifiedAt: 2000, document: { id: 2 } },
+      { path: "gone.pdf", modifiedAt: 1000, document: { id: 3 } },
+    ];
+
+    const { added, modified, removed } = diffFolder(files, documents);
+    expect(added.map(({ path }) => path)).toEqual(["c.pdf"]);
+    expect(modified.map(({ document }) => document.id)).toEqual([2]);
+    expect(removed.map(({ document }) => document.id)).toEqual([3]);
+  });
+
+  it("treats every document of a file together", () => {
+    const files = [{ path: "budget.xlsx", modifiedAt: 3000 }];
+    const documents = [
+      { path: "budget.xlsx", modifiedAt: 1000, document: { id: 1 } },
+      { path: "budget.xlsx", modifiedAt: 1000, document: { id: 2 } },
+    ];
+
+    const { added, modified, removed } = diffFolder(files, documents);
+    expect(added).toEqual([]);
+    expect(modified.map(({ document }) => document.id)).toEqual([1, 2]);
+    expect(removed).toEqual([]);
+  });
+});
+
+describe("inScope", () => {
+  it("matches changed paths and everything below them", () => {
+    expect(inScope("docs/a.pdf", ["docs"])).toBe(true);
+    expect(inScope("docs/a.pdf", ["docs/a.pdf"])).toBe(true);
+    expect(inScope("docsarchive/a.pdf", ["docs"])).toBe(false);
+    expect(inScope("any/file.pdf", [""])).toBe(true);
+  });
+});
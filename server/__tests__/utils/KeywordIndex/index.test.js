@@ -0,0 +1,89 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  KeywordIndex,
+  tokenize,
+  reciprocalRankFusion,
+} = require("../../../utils/KeywordIndex");
+
+describe("KeywordIndex", () => {
+  let storageDir;
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "keyword-index-"));
+  });
+  afterEach(() => {
+    KeywordIndex.dropAll(storageDir);
+  });
+
+  it("tokenizes codes whole and by part, and CJK text as bigrams", () => {
+    expect(tokenize("Error ERR-1042 on SKU_12")).toEqual([
+      "error",
+      "err-1042",
+      "err",
+      "1042",
+      "on",
+      "sku_12",
+      "sku",
+      "12",
+    ]);
+    expect(tokenize("深度求索")).toEqual(["深度", "度求", "求索"]);
+  });
+
+  it("ranks chunks with BM25 and survives a reload from disk", () => {
+    const index = KeywordIndex.load("my-workspace", storageDir);
+    index
+      .add([
+        { id: "a", text: "The printer shows ERR-1042 when the tray is empty" },
+        { id: "b", text: "Printers are devices that put ink on paper" },
+        { id: "c", text: "Resetting the printer clears most errors" },
+      ])
+      .save();
+
+    expect(index.search("ERR-1042", 5).map((r) => r.id)).toEqual(["a"]);
+    expect(index.search("printer reset", 5)[0].id).toBe("c");
+
+    index.remove(["a"]).save();
+    const { entries } = JSON.parse(
+      fs.readFileSync(KeywordIndex.filePath("my-workspace", storageDir))
+    );
+    const reloaded = new KeywordIndex("my-workspace", { entries, storageDir });
+    expect(reloaded.size).toBe(2);
+    expect(reloaded.search("printer reset", 5)[0].id).toBe("c");
+    expect(reloaded.search("1042")).toEqual([]);
+  });
+
+  it("reloads an index another instance wrote to disk", () => {
+    const index = KeywordIndex.load("shared", storageDir);
+    index.add([{ id: "a", text: "old pricing table" }]).save();
+
+    // eg: the document sync job, which runs in its own process
+    const other = new KeywordIndex("shared", {
+      entries: { ...index.entries },
+      storageDir,
+    });
+    other
+      .remove(["a"])
+      .add([{ id: "b", text: "revised pricing table" }])
+      .save();
+
+    const reloaded = KeywordIndex.load("shared", storageDir);
+    expect(reloaded.search("pricing", 5).map((r) => r.id)).toEqual(["b"]);
+
+    reloaded.add([{ id: "c", text: "pricing appendix" }]).save();
+    const { entries } = JSON.parse(
+      fs.readFileSync(KeywordIndex.filePath("shared", storageDir))
+    );
+    expect(Object.keys(entries).sort()).toEqual(["b", "c"]);
+  });
+
+  it("fuses rankings by reciprocal rank", () => {
+    const fused = reciprocalRankFusion([
+      ["x", "y", "z"],
+      ["y", "w"],
+    ]);
+    expect(fused.map((r) => r.id)).toEqual(["y", "x", "w", "z"]);
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+  });
+});
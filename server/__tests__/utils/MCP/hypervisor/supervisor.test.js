@@ -0,0 +1,103 @@
+/* eslint-env jest, node */
+const {
+  MCPSupervisor,
+} = require("../../../../utils/MCP/hypervisor/supervisor");
+
+function fakeHypervisor({ restartable = true, restartResults = [] } = {}) {
+  const hypervisor = {
+    mcps: { promptx: { ping: jest.fn().mockRejectedValue(new Error("gone")) } },
+    mcpLoadingResults: {},
+    isRestartable: () => restartable,
+    dropMCPServer: jest.fn((name) => delete hypervisor.mcps[name]),
+    restartMCPServer: jest.fn(async () =>
+      restartResults.length
+        ? restartResults.shift()
+        : { success: false, error: "spawn failed" }
+    ),
+  };
+  return hypervisor;
+}
+
+describe("MCPSupervisor", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("restarts a crashed stdio server with growing backoff until the budget runs out", async () => {
+    const hypervisor = fakeHypervisor();
+    const supervisor = new MCPSupervisor(hypervisor, {
+      maxRestarts: 2,
+      backoffBaseMs: 1000,
+    });
+
+    supervisor.handleCrash("promptx");
+    expect(supervisor.status("promptx").status).toBe("restarting");
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(hypervisor.restartMCPServer).toHaveBeenCalledTimes(1);
+    expect(supervisor.status("promptx").restartCount).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(hypervisor.restartMCPServer).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(hypervisor.restartMCPServer).toHaveBeenCalledTimes(2);
+
+    const health = supervisor.status("promptx");
+    expect(health.status).toBe("failed");
+    expect(health.restartCount).toBe(2);
+    expect(hypervisor.dropMCPServer).toHaveBeenCalledWith("promptx");
+    expect(hypervisor.mcpLoadingResults.promptx.status).toBe("failed");
+  });
+
+  it("marks servers degraded on failed pings and restarts after the threshold", async () => {
+    const hypervisor = fakeHypervisor({
+      restartResults: [{ success: true, error: null }],
+    });
+    const supervisor = new MCPSupervisor(hypervisor, {
+      failureThreshold: 2,
+      backoffBaseMs: 10,
+    });
+
+    await supervisor.checkAll();
+    expect(supervisor.status("promptx")).toMatchObject({
+      status: "degraded",
+      consecutiveFailures: 1,
+    });
+
+    await supervisor.checkAll();
+    expect(supervisor.status("promptx").status).toBe("restarting");
+    await jest.advanceTimersByTimeAsync(10);
+
+    hypervisor.mcps.promptx = { ping: jest.fn().mockResolvedValue({}) };
+    await supervisor.checkAll();
+    const health = supervisor.status("promptx");
+    expect(health.status).toBe("healthy");
+    expect(health.restartCount).toBe(1);
+    expect(health.history.map((check) => check.ok)).toEqual([
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  it("never restarts remote servers or servers stopped by an administrator", async () => {
+    const hypervisor = fakeHypervisor({ restartable: false });
+    const supervisor = new MCPSupervisor(hypervisor, { failureThreshold: 1 });
+
+    supervisor.handleCrash("promptx");
+    await supervisor.checkAll();
+    expect(supervisor.status("promptx").status).toBe("degraded");
+
+    supervisor.markStopped("promptx");
+    supervisor.handleCrash("promptx");
+    await jest.runAllTimersAsync();
+    expect(supervisor.status("promptx").status).toBe("stopped");
+    expect(hypervisor.restartMCPServer).not.toHaveBeenCalled();
+  });
+});
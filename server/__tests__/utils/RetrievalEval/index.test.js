@@ -0,0 +1,117 @@
+/* eslint-env jest, node */
+const helpers = require("../../../utils/helpers");
+const {
+  RetrievalEvaluator,
+  recallAtK,
+  reciprocalRank,
+  tokenF1,
+  aggregateMetrics,
+  compareRuns,
+} = require("../../../utils/RetrievalEval");
+
+jest.mock("../../../utils/helpers", () => ({
+  getVectorDbClass: jest.fn(),
+  getLLMProvider: jest.fn(),
+  getEmbeddingEngineSelection: jest.fn(),
+}));
+
+describe("RetrievalEval", () => {
+  const retrieved = ["Pricing.pdf", "Handbook.pdf", "Security.md"];
+
+  it("scores ranked documents against the expected sources", () => {
+    const expected = ["handbook.pdf", "security.md"];
+
+    expect(recallAtK(retrieved, expected, 1)).toBe(0);
+    expect(recallAtK(retrieved, expected, 2)).toBe(0.5);
+    expect(recallAtK(retrieved, expected, 3)).toBe(1);
+    expect(reciprocalRank(retrieved, expected)).toBe(0.5);
+    expect(reciprocalRank(retrieved, ["missing.txt"])).toBe(0);
+    expect(recallAtK(retrieved, [], 3)).toBeNull();
+    expect(tokenF1("退款期限为30天", "退款期限为30天")).toBe(1);
+    expect(tokenF1("the sky is blue", "pricing starts at $20")).toBe(0);
+  });
+
+  it("averages only the questions that have a score and compares two runs", () => {
+    const results = [
+      {
+        questionId: 1,
+        recall: { 1: 1, 3: 1 },
+        reciprocalRank: 1,
+        answerF1: 0.5,
+      },
+      {
+        questionId: 2,
+        recall: { 1: 0, 3: 1 },
+        reciprocalRank: 0.5,
+        answerF1: null,
+      },
+      { questionId: 3, recall: null, reciprocalRank: null, error: "timeout" },
+    ];
+    const metrics = aggregateMetrics(results);
+    expect(metrics).toEqual({
+      questions: 3,
+      errors: 1,
+      recall: { 1: 0.5, 3: 1 },
+      mrr: 0.75,
+      answerSimilarity: null,
+      answerF1: 0.5,
+    });
+
+    const a = {
+      id: 1,
+      config: { retrieval: { topN: 4, vectorSearchMode: "default" } },
+      metrics,
+      results,
+    };
+    const b = {
+      id: 2,
+      config: { retrieval: { topN: 4, vectorSearchMode: "rerank" } },
+      metrics: { ...metrics, mrr: 1, recall: { 1: 1, 3: 1 } },
+      results: results.map((r) =>
+        r.questionId === 2 ? { ...r, reciprocalRank: 1 } : r
+      ),
+    };
+    const comparison = compareRuns(a, b);
+    expect(comparison.metrics.mrr).toBe(0.25);
+    expect(comparison.metrics.recall).toEqual({ 1: 0.5, 3: 0 });
+    expect(comparison.config).toEqual([
+      { key: "retrieval.vectorSearchMode", a: "default", b: "rerank" },
+    ]);
+    expect(comparison.changedQuestions.map((q) => q.questionId)).toEqual([2]);
+  });
+
+  it("searches with the rewritten query of the evaluated workspace", async () => {
+    const VectorDb = {
+      hasNamespace: jest.fn().mockResolvedValue(true),
+      performSimilaritySearch: jest.fn().mockResolvedValue({
+        sources: [
+          { title: "Pricing.pdf" },
+          { title: "Pricing.pdf" },
+          { title: "Handbook.pdf" },
+        ],
+      }),
+    };
+    const LLMConnector = {
+      getChatCompletion: jest.fn().mockResolvedValue({
+        textResponse:
+          '{"query": "pricing of the pro plan", "hypotheticalAnswer": "The pro plan costs $20 per seat."}',
+      }),
+    };
+    helpers.getVectorDbClass.mockReturnValue(VectorDb);
+    helpers.getLLMProvider.mockReturnValue(LLMConnector);
+
+    const evaluator = new RetrievalEvaluator();
+    const retrieved = await evaluator.retrieve(
+      { slug: "docs", topN: 4, queryRewriteMode: "hyde" },
+      "how much is it?"
+    );
+
+    expect(retrieved).toEqual(["Pricing.pdf", "Handbook.pdf"]);
+    expect(VectorDb.performSimilaritySearch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        input: "pricing of the pro plan\n\nThe pro plan costs $20 per seat.",
+        LLMConnector,
+      })
+    );
+  });
+});
@@ -102,3 +102,162 @@ describe("TextSplitter", () => {
     expect(chunks.every(chunk => chunk.startsWith("testing3: <document_metadata>"))).toBe(true);
   });
 });
+
+describe("TextSplitter strategies", () => {
+  test("markdown strategy keeps tables whole and records the heading path", async () => {
+    const text = [
+      "# Handbook",
+      "## Pricing",
+      "Plans are billed monthly.",
+      "| Plan | Price |\n| --- | --- |\n| Basic | $5 |\n| Pro | $20 |",
+      "## Support",
+      "Email us any time.",
+    ].join("\n\n");
+    const textSplitter = new TextSplitter({
+      chunkSize: 80,
+      chunkOverlap: 0,
+      strategy: "markdown",
+    });
+    const chunks = await textSplitter.splitTextWithMetadata(text);
+
+    expect(chunks.map((chunk) => chunk.metadata.headingPath)).toEqual([
+      ["Handbook", "Pricing"],
+      ["Handbook", "Pricing"],
+      ["Handbook", "Support"],
+    ]);
+    expect(chunks[1].text).toContain("| Basic | $5 |\n| Pro | $20 |");
+    expect(chunks[2].text).toContain(
+      "section: Handbook > Support\n</document_metadata>\n\n## Support"
+    );
+  });
+
+  test("table strategy repeats the header rows when a table must be split", async () => {
+    const rows = Array.from({ length: 6 }, (_, i) => `| item ${i} | ${i} |`);
+    const text = ["| Item | Qty |", "| --- | --- |", ...rows].join("\n");
+    const textSplitter = new TextSplitter({
+      chunkSize: 70,
+      chunkOverlap: 0,
+      strategy: "table",
+    });
+    const chunks = await textSplitter.splitText(text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(
+      chunks.every((chunk) => chunk.startsWith("| Item | Qty |\n| --- | --- |"))
+    ).toBe(true);
+    expect(chunks.join("\n")).toContain("| item 5 | 5 |");
+  });
+
+  test("preserveTables gives captioned tables chunks of their own", async () => {
+    const text = [
+      "Revenue grew in every region.",
+      "Table: Revenue by region (page 2)\n| Region | Sales |\n| --- | --- |\n| North | 120 |\n| South | 95 |",
+      "Growth is expected to continue.",
+    ].join("\n\n");
+    const textSplitter = new TextSplitter({
+      chunkSize: 500,
+      chunkOverlap: 0,
+      preserveTables: true,
+    });
+    const chunks = await textSplitter.splitTextWithMetadata(text);
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      "Revenue grew in every region.",
+      "Table: Revenue by region (page 2)\n| Region | Sales |\n| --- | --- |\n| North | 120 |\n| South | 95 |",
+      "Growth is expected to continue.",
+    ]);
+    expect(chunks.map((chunk) => chunk.metadata.tableCaption)).toEqual([
+      undefined,
+      "Revenue by region (page 2)",
+      undefined,
+    ]);
+
+    const small = new TextSplitter({
+      chunkSize: 90,
+      chunkOverlap: 0,
+      preserveTables: true,
+    });
+    const parts = await small.splitText(text);
+    const tableParts = parts.filter(
+      (part) => part.includes("| North") || part.includes("| South")
+    );
+    expect(tableParts.length).toBe(2);
+    expect(
+      tableParts.every((part) =>
+        part.startsWith("Table: Revenue by region (page 2)\n| Region | Sales |")
+      )
+    ).toBe(true);
+  });
+
+  test("maps chunks to their page range and heading path", async () => {
+    const pages = [
+      "Intro text on the first page.",
+      "Methods start on page two and run on.",
+      "Results close out the report.",
+    ];
+    const text = pages.join("\n");
+    const pageOffsets = [];
+    pages.reduce((start, page, i) => {
+      pageOffsets.push({ page: i + 1, start, end: start + page.length });
+      return start + page.length + 1;
+    }, 0);
+    const sectionOffsets = [
+      { headingPath: ["Intro"], start: 0, end: pageOffsets[1].start },
+      {
+        headingPath: ["Body"],
+        start: pageOffsets[1].start,
+        end: text.length,
+      },
+    ];
+
+    const textSplitter = new TextSplitter({
+      chunkSize: 70,
+      chunkOverlap: 0,
+      chunkPrefix: "passage: ",
+      chunkHeaderMeta: { sourceDocument: "report.pdf" },
+    });
+    const chunks = await textSplitter.splitTextWithMetadata(text, {
+      pageOffsets,
+      sectionOffsets,
+    });
+
+    expect(chunks.map((chunk) => chunk.metadata)).toEqual([
+      { headingPath: ["Intro"], pageStart: 1, pageEnd: 2 },
+      { headingPath: ["Body"], pageStart: 3, pageEnd: 3 },
+    ]);
+
+    // Without offsets the chunks carry no location
+    const plain = await textSplitter.splitTextWithMetadata(text);
+    expect(plain.every((chunk) => !("pageStart" in chunk.metadata))).toBe(
+      true
+    );
+  });
+
+  test("sentence and semantic strategies never cut a sentence", async () => {
+    const sentenceSplitter = new TextSplitter({
+      chunkSize: 24,
+      chunkOverlap: 0,
+      strategy: "sentence",
+    });
+    expect(
+      await sentenceSplitter.splitText(
+        "退款需要在三十天内申请。超过期限不予处理！请保留收据。"
+      )
+    ).toEqual(["退款需要在三十天内申请。超过期限不予处理！", "请保留收据。"]);
+
+    const semanticSplitter = new TextSplitter({
+      chunkSize: 200,
+      chunkOverlap: 0,
+      strategy: "semantic",
+      embedder: {
+        embedChunks: async (sentences) =>
+          sentences.map((s) => (s.includes("cat") ? [1, 0] : [0, 1])),
+      },
+    });
+    expect(
+      await semanticSplitter.splitText(
+        "The cat sleeps. The cat eats. Stocks fell today. Markets are down."
+      )
+    ).toEqual(["The cat sleeps. The cat eats.", "Stocks fell today. Markets are down."]);
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-env jest, node */
+const { agenticRetrieval } = require("../../../utils/chats/agenticRetrieval");
+
+describe("agenticRetrieval", () => {
+  const workspace = { slug: "policies", topN: 2, agenticMaxRounds: 2 };
+  const chunk = (id) => ({ id, text: `chunk ${id}`, title: `${id}.pdf` });
+
+  function vectorDb(resultsByQuery) {
+    return {
+      performSimilaritySearch: jest.fn(async ({ input }) => {
+        const sources = resultsByQuery[input] || [];
+        return {
+          contextTexts: sources.map((s) => s.text),
+          sources,
+          message: null,
+        };
+      }),
+    };
+  }
+
+  function llm(...responses) {
+    return {
+      getChatCompletion: jest.fn(async () => ({
+        textResponse: responses.shift(),
+      })),
+    };
+  }
+
+  it("searches every sub-query and runs another round when context is insufficient", async () => {
+    const VectorDb = vectorDb({
+      "policy A 2023": [chunk("a")],
+      "policy B 2024": [chunk("b"), chunk("a")],
+      "policy B exceptions": [chunk("c")],
+    });
+    const LLMConnector = llm(
+      '```json\n{"queries": ["policy A 2023", "policy B 2024"]}\n```',
+      '{"sufficient": false, "queries": ["policy B exceptions", "policy A 2023"]}'
+    );
+    const steps = [];
+
+    const result = await agenticRetrieval({
+      workspace,
+      message: "compare policy A in 2023 with policy B in 2024",
+      LLMConnector,
+      VectorDb,
+      onStep: (step) => steps.push(step),
+    });
+
+    expect(VectorDb.performSimilaritySearch).toHaveBeenCalledTimes(3);
+    expect(result.sources.map((s) => s.id)).toEqual(["a", "b", "c"]);
+    expect(result.contextTexts).toEqual(["chunk a", "chunk b", "chunk c"]);
+    expect(steps.map((s) => `${s.round}:${s.type}`)).toEqual([
+      "1:plan",
+      "1:search",
+      "1:search",
+      "1:judge",
+      "2:search",
+    ]);
+    expect(result.steps).toEqual(steps);
+  });
+
+  it("falls back to the original question and stops when the model output is unusable", async () => {
+    const VectorDb = vectorDb({ "what is policy A?": [chunk("a")] });
+    const LLMConnector = llm("I cannot do that", "not json either");
+
+    const result = await agenticRetrieval({
+      workspace,
+      message: "what is policy A?",
+      LLMConnector,
+      VectorDb,
+    });
+
+    expect(VectorDb.performSimilaritySearch).toHaveBeenCalledTimes(1);
+    expect(result.sources.map((s) => s.id)).toEqual(["a"]);
+    expect(result.steps[result.steps.length - 1]).toMatchObject({
+      type: "judge",
+      sufficient: true,
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/* eslint-env jest, node */
+const {
+  groundedPromptArgs,
+  verifyGrounding,
+} = require("../../../utils/chats/groundedAnswer");
+
+describe("groundedAnswer", () => {
+  const workspace = { citationMode: "grounded" };
+  const contextSources = [
+    { id: "a", title: "policy.pdf", text: "Policy A applies from 2024." },
+    { id: "b", title: "faq.md", text: "Contractors are covered by policy B." },
+  ];
+
+  it("numbers context chunks only when grounded answers are enabled", () => {
+    const args = { systemPrompt: "Answer.", contextTexts: ["first", "second"] };
+
+    expect(groundedPromptArgs({ citationMode: "off" }, args)).toEqual(args);
+    const grounded = groundedPromptArgs(workspace, args);
+    expect(grounded.contextTexts).toEqual(["[1] first", "[2] second"]);
+    expect(grounded.systemPrompt.startsWith("Answer.")).toBe(true);
+    expect(grounded.systemPrompt).toContain("[n]");
+  });
+
+  it("keeps valid citations and flags invalid markers and unsupported sentences", () => {
+    const grounding = verifyGrounding(
+      workspace,
+      "## Summary\nPolicy A applies from 2024 onwards [1]. Contractors are covered as well. [2][7]\n- The reimbursement limit is five thousand per month.\n```js\nconst list = [3];\n```",
+      contextSources
+    );
+
+    expect(grounding.citations.map(({ n, id }) => [n, id])).toEqual([
+      [1, "a"],
+      [2, "b"],
+    ]);
+    expect(grounding.invalidMarkers).toEqual([7]);
+    expect(grounding.unsupportedSentences).toEqual([
+      "The reimbursement limit is five thousand per month.",
+    ]);
+    expect(verifyGrounding({}, "Anything [1].", contextSources)).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+/* eslint-env jest, node */
+const {
+  expandParentSpans,
+  mergeSpans,
+} = require("../../../utils/chats/parentRetrieval");
+
+const header =
+  "<document_metadata>\nsourceDocument: guide.md\n</document_metadata>\n\n";
+const chunk = (position, headingPath = null) => ({
+  id: `v${position}`,
+  position,
+  text: `${header}chunk ${position}`,
+  headingPath,
+});
+
+describe("parentRetrieval", () => {
+  const neighbours = {
+    v2: { docId: "doc", position: 2, chunks: [1, 2, 3].map((i) => chunk(i)) },
+    v3: { docId: "doc", position: 3, chunks: [2, 3, 4].map((i) => chunk(i)) },
+    v8: {
+      docId: "doc",
+      position: 8,
+      chunks: [chunk(7, ["A"]), chunk(8, ["B"]), chunk(9, ["B"])],
+    },
+  };
+  const sources = ["v2", "v3", "v8"].map((id, i) => ({
+    id,
+    title: "guide.md",
+    score: 1 - i / 10,
+    text: `${header}chunk ${id.slice(1)}`,
+  }));
+
+  it("merges overlapping spans and stops at section boundaries", () => {
+    const spans = mergeSpans(sources, neighbours);
+    expect(spans).toHaveLength(2);
+    expect([...spans[0].chunks.keys()].sort()).toEqual([1, 2, 3, 4]);
+    expect(spans[0].hits).toEqual([0, 1]);
+    expect([...spans[1].chunks.keys()]).toEqual([8, 9]);
+  });
+
+  it("builds context from deduplicated parent spans within the token budget", async () => {
+    const VectorDb = { neighbourChunks: async () => neighbours };
+    const searchResults = {
+      contextTexts: sources.map((source) => source.text),
+      sources,
+      message: null,
+    };
+
+    const expanded = await expandParentSpans({
+      workspace: { slug: "docs", parentRetrievalWindow: 1 },
+      VectorDb,
+      LLMConnector: { model: "gpt-4o", limits: { system: 1_000 } },
+      searchResults,
+    });
+    expect(expanded.sources.map((source) => source.id)).toEqual(["v2", "v8"]);
+    expect(expanded.contextTexts[0]).toBe(
+      `${header}chunk 1\n\nchunk 2\n\nchunk 3\n\nchunk 4`
+    );
+    expect(expanded.sources[0].parentSpan).toEqual({ chunks: 4, hits: 2 });
+
+    // Spans that do not fit the context budget keep the retrieved chunks
+    const tight = await expandParentSpans({
+      workspace: { slug: "docs", parentRetrievalWindow: 1 },
+      VectorDb,
+      LLMConnector: { model: "gpt-4o", limits: { system: 1 } },
+      searchResults,
+    });
+    expect(tight).toEqual(searchResults);
+  });
+});
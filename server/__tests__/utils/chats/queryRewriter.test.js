@@ -0,0 +1,59 @@
+/* eslint-env jest, node */
+const {
+  rewriteQuery,
+  searchInput,
+} = require("../../../utils/chats/queryRewriter");
+
+describe("queryRewriter", () => {
+  const chatHistory = [
+    { role: "user", content: "Which plans do you offer?" },
+    { role: "assistant", content: "1. Basic 2. Pro 3. Enterprise" },
+  ];
+  const llm = (textResponse) => ({
+    getChatCompletion: jest.fn(async () => ({ textResponse })),
+  });
+
+  it("skips the LLM when rewriting is off or there is nothing to condense", async () => {
+    const LLMConnector = llm('{"query": "unused"}');
+    const message = "what about the second one?";
+
+    expect(
+      await rewriteQuery({ workspace: {}, message, chatHistory, LLMConnector })
+    ).toBeNull();
+    expect(
+      await rewriteQuery({
+        workspace: { queryRewriteMode: "rewrite" },
+        message,
+        chatHistory: [],
+        LLMConnector,
+      })
+    ).toBeNull();
+    expect(LLMConnector.getChatCompletion).not.toHaveBeenCalled();
+    expect(searchInput(null, message)).toBe(message);
+  });
+
+  it("condenses the conversation and appends the hypothetical answer in hyde mode", async () => {
+    const LLMConnector = llm(
+      '```json\n{"query": "Pro plan details", "hypotheticalAnswer": "The Pro plan costs $20 per seat."}\n```'
+    );
+
+    const rewrite = await rewriteQuery({
+      workspace: { queryRewriteMode: "hyde" },
+      message: "what about the second one?",
+      chatHistory,
+      LLMConnector,
+    });
+
+    expect(rewrite).toEqual({
+      mode: "hyde",
+      original: "what about the second one?",
+      query: "Pro plan details",
+      hypotheticalAnswer: "The Pro plan costs $20 per seat.",
+    });
+    expect(searchInput(rewrite, rewrite.original)).toBe(
+      "Pro plan details\n\nThe Pro plan costs $20 per seat."
+    );
+    const [[messages]] = LLMConnector.getChatCompletion.mock.calls;
+    expect(messages[1].content).toContain("1. Basic 2. Pro 3. Enterprise");
+  });
+});
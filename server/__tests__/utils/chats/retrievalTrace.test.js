@@ -0,0 +1,76 @@
+/* eslint-env jest, node */
+const { RetrievalTrace } = require("../../../utils/chats/retrievalTrace");
+
+describe("RetrievalTrace", () => {
+  it("records the effective query, candidates and backfilled sources", () => {
+    const trace = new RetrievalTrace()
+      .setQuery({
+        workspace: { similarityThreshold: 0.25, topN: 2 },
+        message: "And the second one?",
+        input: "Details of plan B",
+        queryRewrite: { mode: "rewrite" },
+      })
+      .candidate({
+        id: "a",
+        payload: { title: "plans.pdf", text: "Plan B covers contractors." },
+        score: 0.82,
+        status: "selected",
+      })
+      .candidate({
+        id: "b",
+        payload: { title: "faq.md", text: "x".repeat(500) },
+        score: 0.12,
+        status: "belowThreshold",
+      });
+    const searchSources = [{ id: "a", title: "plans.pdf", text: "Plan B" }];
+    trace.backfill(searchSources, [
+      ...searchSources,
+      { id: "c", title: "old.md", score: 0.5, text: "From history" },
+    ]);
+
+    const json = trace.toJSON();
+    expect(json.query).toEqual({
+      original: "And the second one?",
+      effective: "Details of plan B",
+      rewriteMode: "rewrite",
+    });
+    expect(json.settings.vectorSearchMode).toBe("default");
+    expect(json.candidates.map((c) => [c.id, c.status])).toEqual([
+      ["a", "selected"],
+      ["b", "belowThreshold"],
+    ]);
+    expect(json.candidates[1].text.length).toBeLessThan(310);
+    expect(json.backfilled.map((source) => source.id)).toEqual(["c"]);
+  });
+
+  it("counts tokens per prompt section before and after compression", () => {
+    const LLMConnector = { model: "gpt-4o", promptWindowLimit: () => 8192 };
+    const promptArgs = {
+      systemPrompt: "You are a helpful assistant.",
+      contextTexts: ["Plan B covers contractors.", "Plan A covers staff."],
+      chatHistory: [{ role: "user", content: "Which plans exist?" }],
+      userPrompt: "And the second one?",
+    };
+    const messages = [
+      { role: "system", content: "You are a helpful assistant. Context: ..." },
+      { role: "user", content: "Which plans exist?" },
+      {
+        role: "user",
+        content: [{ type: "text", text: "And the second one?" }],
+      },
+    ];
+
+    const { tokens } = new RetrievalTrace()
+      .promptTokens(LLMConnector, promptArgs, messages)
+      .toJSON();
+    expect(tokens.promptWindow).toBe(8192);
+    expect(tokens.sections.context).toBeGreaterThan(0);
+    expect(tokens.sections.userPrompt).toBe(tokens.compressed.user);
+    expect(tokens.compressed.history).toBe(tokens.sections.history);
+    expect(tokens.total).toBe(
+      tokens.compressed.system +
+        tokens.compressed.history +
+        tokens.compressed.user
+    );
+  });
+});
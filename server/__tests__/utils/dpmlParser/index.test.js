@@ -0,0 +1,186 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dpmlParser = require("../../../utils/dpmlParser");
+
+const codes = (diagnostics) => diagnostics.map((d) => d.code);
+
+describe("dpmlParser", () => {
+  describe("parse", () => {
+    test("builds an AST with elements, text and references", () => {
+      const content = [
+        "# Legal Advisor",
+        "<role>",
+        "  <personality>",
+        "    @!thought://legal-thinking",
+        "  </personality>",
+        "</role>",
+      ].join("\n");
+
+      const { ast, diagnostics } = dpmlParser.parse(content, "a.role.md");
+      expect(diagnostics).toEqual([]);
+
+      const [heading, role] = ast.children;
+      expect(heading.type).toBe("text");
+      expect(role).toMatchObject({ type: "element", tag: "role", line: 2 });
+      expect(role.endLine).toBe(6);
+
+      const [personality] = role.children;
+      expect(personality.children).toEqual([
+        expect.objectContaining({
+          type: "reference",
+          protocol: "thought",
+          resource: "legal-thinking",
+          mode: "required",
+          line: 4,
+          column: 5,
+        }),
+      ]);
+    });
+
+    test("reports unclosed tags with the line where they were opened", () => {
+      const content = "<role>\n<personality>\ntext\n<principle>\n</role>";
+      const { diagnostics } = dpmlParser.parse(content, "a.role.md");
+      const errors = diagnostics.filter((d) => d.severity === "error");
+
+      expect(errors).toEqual([
+        expect.objectContaining({
+          severity: "error",
+          code: "UNCLOSED_TAG",
+          file: "a.role.md",
+          line: 4,
+        }),
+        expect.objectContaining({
+          severity: "error",
+          code: "UNCLOSED_TAG",
+          line: 2,
+        }),
+      ]);
+    });
+
+    test("reports unexpected closing tags and unknown protocols", () => {
+      const content = "<role>\n</knowledge>\n@!thoght://typo\n</role>";
+      const { diagnostics } = dpmlParser.parse(content);
+      expect(codes(diagnostics)).toEqual([
+        "UNEXPECTED_CLOSING_TAG",
+        "UNKNOWN_PROTOCOL",
+      ]);
+      expect(diagnostics[1].line).toBe(3);
+    });
+
+    test("ignores tags and references inside fenced code blocks", () => {
+      const content = "<role>\n```\n<personality>\n@!thought://x\n```\n</role>";
+      const { ast, diagnostics } = dpmlParser.parse(content);
+      expect(diagnostics).toEqual([]);
+      expect(dpmlParser.references(ast)).toEqual([]);
+    });
+
+    test("warns once about unknown tags and does not nest them", () => {
+      const { ast, diagnostics } = dpmlParser.parse("<role><br><br></role>");
+      expect(codes(diagnostics)).toEqual(["UNKNOWN_TAG"]);
+      expect(ast.children[0].children[0].type).toBe("text");
+    });
+  });
+
+  describe("lintRole", () => {
+    test("requires a single <role> root", () => {
+      const { ast } = dpmlParser.parse("just text");
+      expect(codes(dpmlParser.lintRole(ast))).toEqual(["MISSING_ROLE_TAG"]);
+    });
+
+    test("warns about missing and empty sections", () => {
+      const { ast } = dpmlParser.parse(
+        "<role><personality></personality></role>"
+      );
+      expect(codes(dpmlParser.lintRole(ast))).toEqual([
+        "MISSING_SECTION",
+        "EMPTY_SECTION",
+      ]);
+    });
+  });
+
+  describe("lintPackage", () => {
+    let roleDir;
+
+    beforeEach(() => {
+      roleDir = fs.mkdtempSync(path.join(os.tmpdir(), "dpml-package-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(roleDir, { recursive: true, force: true });
+    });
+
+    function write(file, content) {
+      fs.mkdirSync(path.dirname(path.join(roleDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(roleDir, file), content);
+    }
+
+    test("resolves references against the package files", async () => {
+      write(
+        "legal.role.md",
+        [
+          "<role>",
+          "<personality>@!thought://legal</personality>",
+          "<principle>@!execution://review</principle>",
+          "</role>",
+        ].join("\n")
+      );
+      write(
+        "thought/legal.thought.md",
+        "<thought><reasoning>@!knowledge://law</reasoning></thought>"
+      );
+      write(
+        "execution/review.execution.md",
+        "<execution><rule>check</rule></execution>"
+      );
+      write("knowledge/law.knowledge.md", "contract law");
+
+      const result = await dpmlParser.lintPackage(roleDir, "legal");
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+      expect(Object.keys(result.resources).sort()).toEqual([
+        "execution/review.execution.md",
+        "knowledge/law.knowledge.md",
+        "thought/legal.thought.md",
+      ]);
+    });
+
+    test("reports missing files, broken resource files and unused files", async () => {
+      write(
+        "legal.role.md",
+        [
+          "<role>",
+          "<personality>@!thought://legal</personality>",
+          "<principle>",
+          "  @!execution://missing",
+          "  @?knowledge://optional",
+          "</principle>",
+          "</role>",
+        ].join("\n")
+      );
+      write("thought/legal.thought.md", "<thought><plan>open</thought>");
+      write("thought/orphan.thought.md", "<thought></thought>");
+
+      const result = await dpmlParser.lintPackage(roleDir, "legal");
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: "UNCLOSED_TAG",
+          file: "thought/legal.thought.md",
+          line: 1,
+        }),
+        expect.objectContaining({
+          code: "MISSING_REFERENCE",
+          file: "legal.role.md",
+          line: 4,
+        }),
+      ]);
+      expect(codes(result.warnings)).toEqual([
+        "MISSING_REFERENCE",
+        "UNUSED_RESOURCE",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/* eslint-env jest, node */
+const {
+  PromptXMemoryStore,
+  normalizeEngrams,
+  rankMemories,
+} = require("../../../utils/promptxMemoryStore");
+
+describe("PromptXMemoryStore", () => {
+  it("normalizes both remember argument shapes", () => {
+    expect(
+      normalizeEngrams({
+        engrams: [
+          {
+            content: " 用户偏好TypeScript ",
+            schema: ["偏好", "语言"],
+            strength: 2,
+          },
+          { content: "   " },
+        ],
+      })
+    ).toEqual([
+      {
+        content: "用户偏好TypeScript",
+        schema: "偏好\n语言",
+        strength: 1,
+        type: "ATOMIC",
+      },
+    ]);
+
+    expect(normalizeEngrams({ content: "部署在周五", tags: "部署" })).toEqual([
+      { content: "部署在周五", schema: "部署", strength: 0.8, type: "ATOMIC" },
+    ]);
+  });
+
+  it("ranks memories by matched terms including Chinese bigrams", () => {
+    const memories = [
+      { id: 1, content: "团队每周五发布版本", schema: null, strength: 0.5 },
+      { id: 2, content: "用户喜欢简洁的回答", schema: "偏好", strength: 0.9 },
+      {
+        id: 3,
+        content: "数据库使用PostgreSQL",
+        schema: "技术栈",
+        strength: 0.8,
+      },
+    ];
+
+    expect(rankMemories(memories, "用户的回答偏好").map((m) => m.id)).toEqual([
+      2,
+    ]);
+    expect(rankMemories(memories, "postgresql 发布").map((m) => m.id)).toEqual([
+      3, 1,
+    ]);
+    expect(rankMemories(memories, null)).toBe(memories);
+  });
+
+  it("only scopes memories to the user when the workspace asks for it", async () => {
+    let memoryScope = "workspace";
+    const store = new PromptXMemoryStore({
+      prisma: {
+        workspace_promptx_configs: {
+          findUnique: async () => ({ memoryScope }),
+        },
+      },
+    });
+
+    expect(await store.namespaceFor("3", 7)).toEqual({
+      workspaceId: 3,
+      userId: null,
+    });
+    memoryScope = "user";
+    expect(await store.namespaceFor(3, 7)).toEqual({
+      workspaceId: 3,
+      userId: 7,
+    });
+    await expect(store.handleToolCall("recall", { role: "x" })).rejects.toThrow(
+      "命名空间"
+    );
+  });
+});
@@ -0,0 +1,113 @@
+/* eslint-env jest, node */
+const { PromptXRoleRouter } = require("../../../utils/promptxRoleRouter");
+
+// 按关键词生成向量：[代码, 写作, 其他]
+function fakeVector(text) {
+  return [/代码|code/.test(text) ? 1 : 0, /写作|文章/.test(text) ? 1 : 0, 0.1];
+}
+
+const fakeEmbedder = {
+  embedTextInput: jest.fn(async (text) => fakeVector(text)),
+  embedChunks: jest.fn(async (texts) => texts.map(fakeVector)),
+};
+
+const CANDIDATES = [
+  { roleId: "reviewer", name: "代码审查员", description: "审查代码质量" },
+  { roleId: "writer", name: "写手", description: "帮助写作和润色文章" },
+];
+
+const CONFIG = {
+  autoSwitchEnabled: true,
+  autoSwitchStrategy: "embedding",
+  autoSwitchThreshold: 0.5,
+  defaultRoleId: "writer",
+};
+
+describe("PromptXRoleRouter", () => {
+  let router;
+
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    router = new PromptXRoleRouter({ embedder: fakeEmbedder });
+    fakeEmbedder.embedChunks.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("routes by embedding similarity and caches role vectors", async () => {
+    const decision = await router.decide({
+      message: "帮我看看这段代码",
+      candidates: CANDIDATES,
+      config: CONFIG,
+    });
+    expect(decision).toMatchObject({
+      roleId: "reviewer",
+      name: "代码审查员",
+      method: "embedding",
+      fallback: false,
+    });
+    expect(decision.confidence).toBeGreaterThan(0.9);
+
+    await router.decide({
+      message: "写一篇文章",
+      candidates: CANDIDATES,
+      config: CONFIG,
+    });
+    expect(fakeEmbedder.embedChunks).toHaveBeenCalledTimes(1);
+  });
+
+  test("falls back to the default role below the threshold", async () => {
+    const decision = await router.decide({
+      message: "今天天气怎么样",
+      candidates: CANDIDATES,
+      config: CONFIG,
+    });
+    expect(decision).toMatchObject({
+      roleId: "writer",
+      method: "default",
+      fallback: true,
+    });
+
+    await expect(
+      router.decide({
+        message: "今天天气怎么样",
+        candidates: CANDIDATES,
+        config: { ...CONFIG, defaultRoleId: null },
+      })
+    ).resolves.toBeNull();
+  });
+
+  test("uses the LLM classifier and falls back to embeddings on failure", async () => {
+    const LLMConnector = {
+      getChatCompletion: jest.fn(async () => ({
+        textResponse: '```json\n{"roleId": "writer", "confidence": 0.8}\n```',
+      })),
+    };
+    const config = { ...CONFIG, autoSwitchStrategy: "llm" };
+
+    await expect(
+      router.decide({
+        message: "帮我看看这段代码",
+        candidates: CANDIDATES,
+        config,
+        LLMConnector,
+      })
+    ).resolves.toMatchObject({
+      roleId: "writer",
+      confidence: 0.8,
+      method: "llm",
+    });
+
+    LLMConnector.getChatCompletion.mockRejectedValueOnce(new Error("timeout"));
+    await expect(
+      router.decide({
+        message: "帮我看看这段代码",
+        candidates: CANDIDATES,
+        config,
+        LLMConnector,
+      })
+    ).resolves.toMatchObject({ roleId: "reviewer", method: "embedding" });
+  });
+});
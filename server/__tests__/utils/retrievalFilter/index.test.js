@@ -0,0 +1,68 @@
+/* eslint-env jest, node */
+const {
+  normalizeTags,
+  payloadTags,
+  parseFilter,
+  formatFilter,
+  resolveRetrievalFilter,
+  matchesFilter,
+} = require("../../../utils/retrievalFilter");
+
+describe("retrievalFilter", () => {
+  it("parses expressions and objects into the same canonical filter", () => {
+    const filter = parseFilter("department=Legal,hr language=zh valid=now");
+    expect(filter).toEqual({
+      department: ["legal", "hr"],
+      language: ["zh"],
+      validAt: "now",
+    });
+    expect(
+      parseFilter({
+        department: ["legal", "HR"],
+        language: "zh",
+        validAt: "now",
+      })
+    ).toEqual(filter);
+    expect(formatFilter(filter)).toBe(
+      "department=legal,hr language=zh valid=now"
+    );
+    expect(parseFilter("   ")).toBeNull();
+    expect(() => parseFilter("owner=me")).toThrow(/Unknown filter key/);
+  });
+
+  it("overrides the workspace filter key by key with the thread and request filters", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const filter = resolveRetrievalFilter({
+      workspace: { retrievalFilter: "department=legal language=en" },
+      thread: { retrievalFilter: "language=zh bogus" },
+      filter: { version: "2024" },
+    });
+    expect(filter).toEqual({
+      department: ["legal"],
+      language: ["en"],
+      version: ["2024"],
+    });
+    expect(warn).toHaveBeenCalled();
+    expect(() =>
+      resolveRetrievalFilter({ workspace: null, filter: "valid=someday" })
+    ).toThrow();
+    warn.mockRestore();
+  });
+
+  it("matches payload tags including open-ended validity ranges", () => {
+    const tags = payloadTags(
+      normalizeTags({ department: "Legal", validFrom: "2024-01-01" })
+    );
+    expect(tags).toEqual({
+      department: "legal",
+      validFrom: Date.parse("2024-01-01"),
+    });
+    expect(matchesFilter(tags, parseFilter("department=legal,hr"))).toBe(true);
+    expect(matchesFilter(tags, parseFilter("valid=2025-06-30"))).toBe(true);
+    expect(matchesFilter(tags, parseFilter("valid=2023-12-31"))).toBe(false);
+    expect(matchesFilter({}, parseFilter("language=zh"))).toBe(false);
+    expect(() =>
+      normalizeTags({ validFrom: "2024-02-01", validTo: "2024-01-01" })
+    ).toThrow();
+  });
+});
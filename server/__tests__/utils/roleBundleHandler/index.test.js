@@ -0,0 +1,177 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { RoleBundleHandler } = require("../../../utils/roleBundleHandler");
+const { RoleVersionManager } = require("../../../utils/roleVersionManager");
+const RolePackageValidator = require("../../../utils/rolePackageValidator");
+
+const ROLE_V1 = `<role>
+  <personality>严谨的代码审查者</personality>
+  <principle>@!execution://review-flow</principle>
+</role>`;
+
+const ROLE_V2 = ROLE_V1.replace("严谨", "友善");
+
+const EXECUTION = `<execution>
+  <process>先读后写</process>
+</execution>`;
+
+describe("RoleBundleHandler", () => {
+  let promptxDir;
+  let versionManager;
+  let handler;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    promptxDir = fs.mkdtempSync(path.join(os.tmpdir(), "role-bundle-"));
+    versionManager = new RoleVersionManager({ promptxDir });
+    handler = new RoleBundleHandler({ versionManager });
+  });
+
+  afterEach(() => {
+    fs.rmSync(promptxDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  async function installRole(roleId, content, version) {
+    const roleDir = path.join(versionManager.roleResourceDir, roleId);
+    const metadataPath = path.join(roleDir, "metadata.json");
+    const metadata = fs.existsSync(metadataPath)
+      ? JSON.parse(fs.readFileSync(metadataPath, "utf-8"))
+      : { roleId };
+    fs.mkdirSync(path.join(roleDir, "execution"), { recursive: true });
+    fs.writeFileSync(path.join(roleDir, `${roleId}.role.md`), content);
+    fs.writeFileSync(
+      path.join(roleDir, "execution", "review-flow.execution.md"),
+      EXECUTION
+    );
+    fs.writeFileSync(metadataPath, JSON.stringify(metadata));
+    await versionManager.recordVersion(roleId, { version });
+  }
+
+  function writeTemp(name, buffer) {
+    const file = path.join(promptxDir, name);
+    fs.writeFileSync(file, buffer);
+    return file;
+  }
+
+  test("exports a role as a package that passes upload validation", async () => {
+    await installRole("reviewer", ROLE_V1, "1.0.0");
+    const zipPath = writeTemp(
+      "reviewer.zip",
+      await handler.buildRolePackage("reviewer")
+    );
+
+    const validator = new RolePackageValidator();
+    await expect(
+      validator.validatePackage(zipPath, path.join(promptxDir, "extract"))
+    ).resolves.toMatchObject({ valid: true });
+
+    const entries = new AdmZip(zipPath)
+      .getEntries()
+      .map((e) => e.entryName)
+      .sort();
+    expect(entries).toEqual([
+      "execution/review-flow.execution.md",
+      "reviewer.role.md",
+    ]);
+
+    new AdmZip(zipPath).extractAllTo(path.join(promptxDir, "extract"));
+    const { roleId, diagnostics } = await validator.validateRoleMdFile(
+      path.join(promptxDir, "extract")
+    );
+    expect(roleId).toBe("reviewer");
+    expect(diagnostics.errors).toEqual([]);
+  });
+
+  test("exports a specific version from the version store", async () => {
+    await installRole("reviewer", ROLE_V1, "1.0.0");
+    await installRole("reviewer", ROLE_V2, "1.0.1");
+
+    const zip = new AdmZip(
+      await handler.buildRolePackage("reviewer", { version: "1.0.0" })
+    );
+    expect(zip.readAsText("reviewer.role.md")).toBe(ROLE_V1);
+  });
+
+  test("refuses to export roles that are not in the resource tree", async () => {
+    await expect(handler.buildRolePackage("nuwa")).rejects.toMatchObject({
+      code: "ROLE_NOT_FOUND",
+    });
+  });
+
+  test("round-trips a workspace bundle", async () => {
+    await installRole("reviewer", ROLE_V1, "1.0.0");
+    const { buffer, manifest } = await handler.buildWorkspaceBundle({
+      workspaceId: 3,
+      config: {
+        enabled: true,
+        autoSwitchEnabled: true,
+        enableAllRoles: false,
+        defaultRoleId: "reviewer",
+      },
+      roles: [
+        {
+          roleId: "reviewer",
+          enabled: true,
+          customName: "审查员",
+          customDescription: null,
+        },
+        { roleId: "nuwa", enabled: true, customName: null },
+      ],
+    });
+
+    expect(manifest.roles).toEqual([
+      {
+        roleId: "reviewer",
+        enabled: true,
+        customName: "审查员",
+        customDescription: null,
+        version: "1.0.0",
+        hasPackage: true,
+      },
+      {
+        roleId: "nuwa",
+        enabled: true,
+        customName: null,
+        customDescription: null,
+        version: null,
+        hasPackage: false,
+      },
+    ]);
+
+    const { manifest: read, packages } = await handler.readWorkspaceBundle(
+      writeTemp("bundle.zip", buffer)
+    );
+    expect(read.config.defaultRoleId).toBe("reviewer");
+    expect([...packages.keys()]).toEqual(["reviewer"]);
+    expect(
+      new AdmZip(packages.get("reviewer")).readAsText("reviewer.role.md")
+    ).toBe(ROLE_V1);
+  });
+
+  test("rejects bundles with a foreign manifest or unsafe role ids", async () => {
+    const foreign = new AdmZip();
+    foreign.addFile("bundle.json", Buffer.from(JSON.stringify({ roles: [] })));
+    await expect(
+      handler.readWorkspaceBundle(writeTemp("foreign.zip", foreign.toBuffer()))
+    ).rejects.toThrow(/格式标识不匹配/);
+
+    const unsafe = new AdmZip();
+    unsafe.addFile(
+      "bundle.json",
+      Buffer.from(
+        JSON.stringify({
+          format: "deechat-promptx-bundle",
+          formatVersion: 1,
+          roles: [{ roleId: "../escape", hasPackage: true }],
+        })
+      )
+    );
+    await expect(
+      handler.readWorkspaceBundle(writeTemp("unsafe.zip", unsafe.toBuffer()))
+    ).rejects.toMatchObject({ field: "roleId" });
+  });
+});
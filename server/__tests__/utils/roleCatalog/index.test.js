@@ -0,0 +1,194 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RoleCatalog } = require("../../../utils/roleCatalog");
+
+const discoverText = fs.readFileSync(
+  path.join(__dirname, "fixtures/discover-roles.md"),
+  "utf-8"
+);
+
+function textResult(text) {
+  return { content: [{ type: "text", text }] };
+}
+
+describe("RoleCatalog", () => {
+  let roleResourceDir;
+  let catalog;
+
+  beforeEach(() => {
+    roleResourceDir = fs.mkdtempSync(path.join(os.tmpdir(), "role-catalog-"));
+    catalog = new RoleCatalog({ roleResourceDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(roleResourceDir, { recursive: true, force: true });
+  });
+
+  function writeRole(roleId, content, metadata = null, extraFiles = {}) {
+    const roleDir = path.join(roleResourceDir, roleId);
+    fs.mkdirSync(roleDir, { recursive: true });
+    fs.writeFileSync(path.join(roleDir, `${roleId}.role.md`), content);
+    if (metadata)
+      fs.writeFileSync(
+        path.join(roleDir, "metadata.json"),
+        JSON.stringify(metadata)
+      );
+    for (const [file, body] of Object.entries(extraFiles)) {
+      fs.mkdirSync(path.dirname(path.join(roleDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(roleDir, file), body);
+    }
+  }
+
+  describe("parseDiscoverText", () => {
+    test("parses system and user role sections from the fixture", () => {
+      const roles = catalog.parseDiscoverText(discoverText);
+      expect(roles.map((r) => [r.id, r.source])).toEqual([
+        ["nuwa", "system"],
+        ["luban", "system"],
+        ["sean", "system"],
+        ["legal-advisor", "user"],
+      ]);
+      expect(roles[0].title).toBe("女娲");
+      expect(roles[0].description).toBe("女娲 - 角色创造专家");
+    });
+
+    test("ignores entries under the tools heading", () => {
+      const roles = catalog.parseDiscoverText(discoverText);
+      expect(roles.find((r) => r.id === "filesystem")).toBeUndefined();
+    });
+  });
+
+  describe("parseDiscoverResult", () => {
+    test("prefers structuredContent when present", () => {
+      const result = catalog.parseDiscoverResult({
+        ...textResult(discoverText),
+        structuredContent: {
+          roles: [{ id: "writer", name: "Writer", version: "2.0.0" }],
+        },
+      });
+      expect(result.format).toBe("json");
+      expect(result.roles).toHaveLength(1);
+      expect(result.roles[0]).toMatchObject({
+        id: "writer",
+        source: "system",
+        title: "Writer",
+        version: "2.0.0",
+      });
+    });
+
+    test("accepts JSON text grouped by source", () => {
+      const result = catalog.parseDiscoverResult(
+        textResult(
+          JSON.stringify({
+            system: [{ id: "nuwa" }],
+            user: [{ roleId: "my-role", description: "mine" }],
+          })
+        )
+      );
+      expect(result.format).toBe("json");
+      expect(result.roles.map((r) => [r.id, r.source])).toEqual([
+        ["nuwa", "system"],
+        ["my-role", "user"],
+      ]);
+    });
+
+    test("falls back to the text parser for markdown output", () => {
+      const result = catalog.parseDiscoverResult(textResult(discoverText));
+      expect(result.format).toBe("text");
+      expect(result.roles).toHaveLength(4);
+    });
+  });
+
+  describe("readResourceTree", () => {
+    test("reads uploaded roles with metadata and resolves references", async () => {
+      writeRole(
+        "legal-advisor",
+        "<role>\n<personality>@!thought://legal-thinking</personality>\n<principle>@!execution://review @execution://missing</principle>\n</role>",
+        {
+          roleId: "legal-advisor",
+          customName: "法律顾问",
+          customDescription: "合同审查",
+          version: "1.2.0",
+          source: "user",
+        },
+        {
+          "thought/legal-thinking.thought.md": "<thought></thought>",
+          "execution/review.execution.md": "<execution></execution>",
+        }
+      );
+
+      const [role] = await catalog.readResourceTree();
+      expect(role).toMatchObject({
+        id: "legal-advisor",
+        source: "uploaded",
+        title: "法律顾问",
+        description: "合同审查",
+        version: "1.2.0",
+      });
+      expect(role.references.thought).toEqual([
+        {
+          id: "legal-thinking",
+          required: true,
+          file: "thought/legal-thinking.thought.md",
+        },
+      ]);
+      expect(role.references.execution).toEqual([
+        { id: "review", required: true, file: "execution/review.execution.md" },
+        { id: "missing", required: false, file: null },
+      ]);
+    });
+
+    test("treats roles without metadata.json as local user roles", async () => {
+      writeRole("my-helper", "<role></role>");
+      fs.mkdirSync(path.join(roleResourceDir, "not-a-role"));
+
+      const roles = await catalog.readResourceTree();
+      expect(roles).toHaveLength(1);
+      expect(roles[0]).toMatchObject({
+        id: "my-helper",
+        source: "user",
+        title: "My Helper",
+        version: null,
+      });
+    });
+
+    test("returns an empty list when the resource directory is missing", async () => {
+      const missing = new RoleCatalog({
+        roleResourceDir: path.join(roleResourceDir, "nope"),
+      });
+      expect(await missing.readResourceTree()).toEqual([]);
+    });
+  });
+
+  describe("getCatalog", () => {
+    test("merges discover roles with the resource tree", async () => {
+      writeRole("legal-advisor", "<role></role>", {
+        roleId: "legal-advisor",
+        version: "1.0.0",
+        source: "user",
+      });
+      const mcpServer = {
+        callTool: jest.fn().mockResolvedValue(textResult(discoverText)),
+      };
+
+      const { roles, discoverFormat } = await catalog.getCatalog({
+        mcpServer,
+      });
+      expect(discoverFormat).toBe("text");
+      expect(roles).toHaveLength(4);
+
+      const uploaded = roles.find((r) => r.id === "legal-advisor");
+      expect(uploaded.source).toBe("uploaded");
+      expect(uploaded.description).toBe("法律顾问 - 合同审查");
+    });
+
+    test("reports no discover format when the server is unavailable", async () => {
+      writeRole("my-helper", "<role></role>");
+      const { roles, discoverFormat } = await catalog.getCatalog();
+      expect(discoverFormat).toBeNull();
+      expect(roles.map((r) => r.id)).toEqual(["my-helper"]);
+    });
+  });
+});
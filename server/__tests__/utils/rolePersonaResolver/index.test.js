@@ -0,0 +1,92 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RolePersonaResolver } = require("../../../utils/rolePersonaResolver");
+const { RoleVersionManager } = require("../../../utils/roleVersionManager");
+
+const ROLE = `<role>
+  <personality>严谨的代码审查者</personality>
+  <principle>@!execution://review-flow</principle>
+</role>`;
+
+const EXECUTION = `<execution>
+  <process>先读后写</process>
+</execution>`;
+
+describe("RolePersonaResolver", () => {
+  let promptxDir;
+  let versionManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    promptxDir = fs.mkdtempSync(path.join(os.tmpdir(), "role-persona-"));
+    versionManager = new RoleVersionManager({ promptxDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(promptxDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function installRole(roleId, content) {
+    const roleDir = path.join(versionManager.roleResourceDir, roleId);
+    fs.mkdirSync(path.join(roleDir, "execution"), { recursive: true });
+    fs.writeFileSync(path.join(roleDir, `${roleId}.role.md`), content);
+    fs.writeFileSync(
+      path.join(roleDir, "execution", "review-flow.execution.md"),
+      EXECUTION
+    );
+    return path.join(roleDir, `${roleId}.role.md`);
+  }
+
+  test("renders uploaded roles locally when PromptX is not running", async () => {
+    installRole("reviewer", ROLE);
+    const resolver = new RolePersonaResolver({
+      versionManager,
+      mcpServer: null,
+    });
+
+    const persona = await resolver.resolve("reviewer");
+    expect(persona).toContain("严谨的代码审查者");
+    expect(persona).toContain("<process>先读后写</process>");
+    await expect(resolver.resolve("unknown-role")).resolves.toBeNull();
+  });
+
+  test("prefers the PromptX action tool and caches the result", async () => {
+    const mcpServer = {
+      callTool: jest.fn(async () => ({
+        content: [{ type: "text", text: "🎭 nuwa 已激活" }],
+      })),
+    };
+    const resolver = new RolePersonaResolver({ versionManager, mcpServer });
+
+    await expect(resolver.resolve("nuwa")).resolves.toBe("🎭 nuwa 已激活");
+    await resolver.resolve("nuwa");
+    expect(mcpServer.callTool).toHaveBeenCalledTimes(1);
+    expect(mcpServer.callTool).toHaveBeenCalledWith({
+      name: "action",
+      arguments: { role: "nuwa" },
+    });
+
+    resolver.invalidate("nuwa");
+    await resolver.resolve("nuwa");
+    expect(mcpServer.callTool).toHaveBeenCalledTimes(2);
+  });
+
+  test("re-renders when the role package changes on disk", async () => {
+    const roleFile = installRole("reviewer", ROLE);
+    const resolver = new RolePersonaResolver({
+      versionManager,
+      mcpServer: null,
+    });
+    await resolver.resolve("reviewer");
+
+    fs.writeFileSync(roleFile, ROLE.replace("严谨", "友善"));
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(roleFile, future, future);
+
+    const persona = await resolver.resolve("reviewer");
+    expect(persona).toContain("友善的代码审查者");
+  });
+});
@@ -0,0 +1,142 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+
+jest.mock("../../../models/workspace", () => ({
+  Workspace: {
+    checkRoleConflict: jest.fn().mockResolvedValue({
+      existsInDB: false,
+      existsInFS: true,
+      conflict: true,
+      existingRole: null,
+    }),
+  },
+}));
+
+const ROLE_V1 = `<role>
+  <personality>严谨的代码审查者</personality>
+  <principle>@!execution://review-flow</principle>
+</role>`;
+
+const ROLE_V2 = ROLE_V1.replace("严谨", "友善");
+
+const EXECUTION = `<execution>
+  <process>先读后写</process>
+</execution>`;
+
+describe("RoleUploadHandler", () => {
+  let homeDir;
+  let roleUploadHandler;
+  let roleVersionManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "role-upload-"));
+    jest.spyOn(os, "homedir").mockReturnValue(homeDir);
+    jest.isolateModules(() => {
+      roleUploadHandler = require("../../../utils/roleUploadHandler");
+      roleVersionManager = require("../../../utils/roleVersionManager");
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function roleDir(roleId) {
+    return path.join(roleUploadHandler.roleResourceDir, roleId);
+  }
+
+  function writePackage(roleId, content) {
+    const zip = new AdmZip();
+    zip.addFile(`${roleId}.role.md`, Buffer.from(content));
+    zip.addFile("execution/review-flow.execution.md", Buffer.from(EXECUTION));
+    const zipPath = path.join(homeDir, `${roleId}-${Date.now()}.zip`);
+    zip.writeZip(zipPath);
+    return zipPath;
+  }
+
+  async function installRole(roleId, content) {
+    fs.mkdirSync(path.join(roleDir(roleId), "execution"), { recursive: true });
+    fs.writeFileSync(path.join(roleDir(roleId), `${roleId}.role.md`), content);
+    fs.writeFileSync(
+      path.join(roleDir(roleId), "execution", "review-flow.execution.md"),
+      EXECUTION
+    );
+    fs.writeFileSync(
+      path.join(roleDir(roleId), "metadata.json"),
+      JSON.stringify({ roleId })
+    );
+    await roleVersionManager.recordVersion(roleId, { version: "1.0.0" });
+  }
+
+  test("overwrites a role with a package of the same id", async () => {
+    await installRole("reviewer", ROLE_V1);
+
+    const result = await roleUploadHandler.overwriteExistingRole({
+      zipPath: writePackage("reviewer", ROLE_V2),
+      roleId: "reviewer",
+    });
+
+    expect(result).toMatchObject({ success: true, roleId: "reviewer" });
+    expect(result.metadata.version).toBe("1.0.1");
+    expect(
+      fs.readFileSync(
+        path.join(roleDir("reviewer"), "reviewer.role.md"),
+        "utf-8"
+      )
+    ).toBe(ROLE_V2);
+  });
+
+  test("renames the main role file when overwriting under a different id", async () => {
+    await installRole("reviewer", ROLE_V1);
+
+    const result = await roleUploadHandler.overwriteExistingRole({
+      zipPath: writePackage("code-reviewer", ROLE_V2),
+      roleId: "reviewer",
+    });
+
+    expect(result).toMatchObject({ success: true, roleId: "reviewer" });
+    expect(fs.readdirSync(roleDir("reviewer")).sort()).toEqual([
+      "execution",
+      "metadata.json",
+      "reviewer.role.md",
+    ]);
+    expect(
+      fs.readFileSync(
+        path.join(roleDir("reviewer"), "reviewer.role.md"),
+        "utf-8"
+      )
+    ).toBe(ROLE_V2);
+    expect(fs.existsSync(roleDir("code-reviewer"))).toBe(false);
+  });
+
+  test("keeps the installed role when an upload conflicts with it", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    await installRole("reviewer", ROLE_V1);
+    const installed = fs.readFileSync(
+      path.join(roleDir("reviewer"), "metadata.json"),
+      "utf-8"
+    );
+
+    await expect(
+      roleUploadHandler.processUpload({
+        zipPath: writePackage("reviewer", ROLE_V2),
+        workspaceId: 1,
+      })
+    ).rejects.toMatchObject({ code: "ROLE_CONFLICT" });
+
+    expect(
+      fs.readFileSync(
+        path.join(roleDir("reviewer"), "reviewer.role.md"),
+        "utf-8"
+      )
+    ).toBe(ROLE_V1);
+    expect(
+      fs.readFileSync(path.join(roleDir("reviewer"), "metadata.json"), "utf-8")
+    ).toBe(installed);
+  });
+});
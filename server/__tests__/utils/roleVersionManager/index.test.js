@@ -0,0 +1,193 @@
+/* eslint-env jest, node */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RoleVersionManager } = require("../../../utils/roleVersionManager");
+
+const ROLE_V1 = `<role>
+  <personality>严谨的代码审查者</personality>
+  <principle>@!execution://review-flow</principle>
+</role>`;
+
+const ROLE_V2 = `<role>
+  <personality>友善的代码审查者</personality>
+  <principle>@!execution://review-flow</principle>
+</role>`;
+
+const EXECUTION = `<execution>
+  <process>先读后写</process>
+</execution>`;
+
+describe("RoleVersionManager", () => {
+  let promptxDir;
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    promptxDir = fs.mkdtempSync(path.join(os.tmpdir(), "role-versions-"));
+    manager = new RoleVersionManager({ promptxDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(promptxDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function installRole(roleId, content, metadata = { roleId }) {
+    const roleDir = path.join(manager.roleResourceDir, roleId);
+    fs.rmSync(roleDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(roleDir, "execution"), { recursive: true });
+    fs.writeFileSync(path.join(roleDir, `${roleId}.role.md`), content);
+    fs.writeFileSync(
+      path.join(roleDir, "execution", "review-flow.execution.md"),
+      EXECUTION
+    );
+    fs.writeFileSync(
+      path.join(roleDir, "metadata.json"),
+      JSON.stringify(metadata)
+    );
+  }
+
+  function activeMetadata(roleId) {
+    return JSON.parse(
+      fs.readFileSync(
+        path.join(manager.roleResourceDir, roleId, "metadata.json"),
+        "utf-8"
+      )
+    );
+  }
+
+  async function installTwoVersions() {
+    installRole("reviewer", ROLE_V1);
+    await manager.recordVersion("reviewer", { version: "1.0.0", userId: 1 });
+    const { versions } = activeMetadata("reviewer");
+    installRole("reviewer", ROLE_V2, { roleId: "reviewer", versions });
+    await manager.recordVersion("reviewer", {
+      version: manager.nextVersion(versions),
+      userId: 2,
+      note: "语气调整",
+    });
+  }
+
+  test("records immutable snapshots without metadata.json", async () => {
+    await installTwoVersions();
+
+    const snapshot = path.join(manager.versionStoreDir, "reviewer", "1.0.0");
+    expect(
+      fs.readFileSync(path.join(snapshot, "reviewer.role.md"), "utf-8")
+    ).toBe(ROLE_V1);
+    expect(fs.existsSync(path.join(snapshot, "metadata.json"))).toBe(false);
+    expect(
+      fs.existsSync(
+        path.join(snapshot, "execution", "review-flow.execution.md")
+      )
+    ).toBe(true);
+
+    const metadata = activeMetadata("reviewer");
+    expect(metadata.version).toBe("1.0.1");
+    expect(metadata.versions.map((v) => v.version)).toEqual(["1.0.0", "1.0.1"]);
+    expect(metadata.versions[1]).toMatchObject({
+      createdBy: 2,
+      note: "语气调整",
+    });
+    expect(metadata.versions[1].checksum).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test("rejects duplicate versions", async () => {
+    installRole("reviewer", ROLE_V1);
+    await manager.recordVersion("reviewer", { version: "1.0.0" });
+    await expect(
+      manager.recordVersion("reviewer", { version: "1.0.0" })
+    ).rejects.toMatchObject({ code: "VALIDATION_ERROR", field: "version" });
+  });
+
+  test("lists versions newest first and flags the active one", async () => {
+    await installTwoVersions();
+    const { activeVersion, versions } = await manager.listVersions("reviewer");
+
+    expect(activeVersion).toBe("1.0.1");
+    expect(versions.map((v) => [v.version, v.active])).toEqual([
+      ["1.0.1", true],
+      ["1.0.0", false],
+    ]);
+  });
+
+  test("backfills history for roles uploaded before versioning", async () => {
+    installRole("reviewer", ROLE_V1, {
+      roleId: "reviewer",
+      version: "1.0.0",
+      addedBy: 7,
+    });
+    const metadata = await manager.ensureHistory("reviewer");
+
+    expect(metadata.versions).toHaveLength(1);
+    expect(metadata.versions[0]).toMatchObject({
+      version: "1.0.0",
+      createdBy: 7,
+    });
+    expect(await manager.ensureHistory("unknown-role")).toBeNull();
+  });
+
+  test("diffs the role file between two versions", async () => {
+    await installTwoVersions();
+    const diff = await manager.diffVersions("reviewer", "1.0.0");
+
+    expect(diff.to).toBe("1.0.1");
+    expect(diff.stats).toEqual({ added: 1, removed: 1 });
+    expect(diff.changes.filter((c) => c.type !== "same")).toEqual([
+      {
+        type: "remove",
+        value: "  <personality>严谨的代码审查者</personality>",
+        oldLine: 2,
+        newLine: null,
+      },
+      {
+        type: "add",
+        value: "  <personality>友善的代码审查者</personality>",
+        oldLine: null,
+        newLine: 2,
+      },
+    ]);
+  });
+
+  test("rolls back to an earlier version and keeps the history", async () => {
+    await installTwoVersions();
+    const { previousVersion, metadata } = await manager.activateVersion(
+      "reviewer",
+      "1.0.0"
+    );
+
+    expect(previousVersion).toBe("1.0.1");
+    expect(metadata.version).toBe("1.0.0");
+    const roleDir = path.join(manager.roleResourceDir, "reviewer");
+    expect(
+      fs.readFileSync(path.join(roleDir, "reviewer.role.md"), "utf-8")
+    ).toBe(ROLE_V1);
+    expect(activeMetadata("reviewer").versions).toHaveLength(2);
+    expect(
+      fs.readdirSync(manager.roleResourceDir).filter((d) => d !== "reviewer")
+    ).toEqual([]);
+  });
+
+  test("renders a pinned version with its referenced resources", async () => {
+    await installTwoVersions();
+    const rendered = await manager.renderVersion("reviewer", "1.0.0");
+
+    expect(rendered).toContain("严谨的代码审查者");
+    expect(rendered).toContain("<process>先读后写</process>");
+    expect(rendered).not.toContain("友善的代码审查者");
+  });
+
+  test("rejects unknown versions and path traversal", async () => {
+    await installTwoVersions();
+    await expect(
+      manager.activateVersion("reviewer", "9.9.9")
+    ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+    await expect(manager.listVersions("../reviewer")).rejects.toMatchObject({
+      field: "roleId",
+    });
+    expect(() => manager.versionDir("reviewer", "../../etc")).toThrow(
+      /版本号格式错误/
+    );
+  });
+});
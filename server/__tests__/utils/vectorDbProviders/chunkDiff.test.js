@@ -0,0 +1,44 @@
+/* eslint-env jest, node */
+const { diffChunks } = require("../../../utils/vectorDbProviders/chunkDiff");
+const { TextSplitter } = require("../../../utils/TextSplitter");
+
+describe("diffChunks", () => {
+  it("keeps unchanged chunks, embeds added ones and removes the rest", () => {
+    const stored = [
+      { id: "v1", hash: "intro" },
+      { id: "v2", hash: "old-body" },
+      { id: "v3", hash: "footer" },
+      { id: "v4", hash: "footer" },
+      { id: "v5", hash: null },
+    ];
+    const chunks = ["intro", "new-body", "footer"].map((hash) => ({ hash }));
+
+    expect(diffChunks(stored, chunks)).toEqual({
+      kept: [
+        { index: 0, id: "v1" },
+        { index: 2, id: "v3" },
+      ],
+      added: [1],
+      removed: ["v2", "v4", "v5"],
+    });
+  });
+
+  it("hashes chunk content without the document metadata header", () => {
+    const splitter = (published) =>
+      new TextSplitter({
+        chunkPrefix: "passage: ",
+        chunkHeaderMeta: { sourceDocument: "guide.md", published },
+      });
+    const chunk = (textSplitter) => ({
+      text: `${textSplitter.stringifyHeader()}Refunds take 30 days.`,
+      metadata: { headingPath: ["Refunds"] },
+    });
+
+    const before = splitter("2026-01-01");
+    const after = splitter("2026-02-01");
+    expect(before.chunkHash(chunk(before))).toBe(after.chunkHash(chunk(after)));
+    expect(
+      before.chunkHash({ ...chunk(before), metadata: { headingPath: [] } })
+    ).not.toBe(before.chunkHash(chunk(before)));
+  });
+});
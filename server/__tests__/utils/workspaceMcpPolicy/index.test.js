@@ -0,0 +1,66 @@
+/* eslint-env jest, node */
+const {
+  WorkspaceMCPPolicy,
+  evaluatePolicy,
+} = require("../../../utils/workspaceMcpPolicy");
+
+describe("WorkspaceMCPPolicy", () => {
+  const policy = (overrides = {}) => ({
+    serverName: "github",
+    enabled: true,
+    allowedTools: [],
+    deniedTools: [],
+    ...overrides,
+  });
+
+  it("allows everything when the workspace has no policy for the server", () => {
+    expect(evaluatePolicy(null, "delete_repo")).toEqual({
+      allowed: true,
+      reason: null,
+    });
+  });
+
+  it("applies server toggles, allowlists and denylists with wildcards", () => {
+    expect(evaluatePolicy(policy({ enabled: false })).allowed).toBe(false);
+
+    const restricted = policy({
+      allowedTools: ["list_*", "get_issue"],
+      deniedTools: ["list_secrets"],
+    });
+    expect(evaluatePolicy(restricted, "list_issues").allowed).toBe(true);
+    expect(evaluatePolicy(restricted, "get_issue").allowed).toBe(true);
+    expect(evaluatePolicy(restricted, "list_secrets").allowed).toBe(false);
+    expect(evaluatePolicy(restricted, "delete_repo").allowed).toBe(false);
+    expect(evaluatePolicy(restricted).allowed).toBe(true);
+  });
+
+  it("merges partial updates onto the stored policy and rejects bad tool lists", async () => {
+    let stored = {
+      serverName: "github",
+      enabled: true,
+      allowedTools: '["list_*"]',
+      deniedTools: null,
+    };
+    const store = new WorkspaceMCPPolicy({
+      prisma: {
+        workspace_mcp_policies: {
+          findUnique: async () => stored,
+          upsert: async ({ update }) => (stored = { ...stored, ...update }),
+        },
+      },
+    });
+
+    const { policy: updated } = await store.upsert(1, "github", {
+      deniedTools: [" list_secrets ", "list_secrets"],
+    });
+    expect(updated).toEqual({
+      serverName: "github",
+      enabled: true,
+      allowedTools: ["list_*"],
+      deniedTools: ["list_secrets"],
+    });
+    await expect(
+      store.upsert(1, "github", { allowedTools: "list_*" })
+    ).rejects.toThrow("allowedTools must be an array");
+  });
+});
@@ -367,6 +367,9 @@ function adminEndpoints(app) {
             case "text_splitter_chunk_overlap":
               requestedSettings[label] = setting?.value || null;
               break;
+            case "text_splitter_strategy":
+              requestedSettings[label] = setting?.value || "recursive";
+              break;
             case "max_embed_chunk_size":
               requestedSettings[label] =
                 embedder?.embeddingMaxChunkLength || 1000;
@@ -438,6 +441,9 @@ function adminEndpoints(app) {
           text_splitter_chunk_overlap:
             (await SystemSettings.get({ label: "text_splitter_chunk_overlap" }))
               ?.value || null,
+          text_splitter_strategy:
+            (await SystemSettings.get({ label: "text_splitter_strategy" }))
+              ?.value || "recursive",
           max_embed_chunk_size: embedder?.embeddingMaxChunkLength || 1000,
           agent_search_provider:
             (await SystemSettings.get({ label: "agent_search_provider" }))
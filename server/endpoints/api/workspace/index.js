@@ -4,6 +4,7 @@ const { Telemetry } = require("../../../models/telemetry");
 const { DocumentVectors } = require("../../../models/vectors");
 const { Workspace } = require("../../../models/workspace");
 const { WorkspaceChats } = require("../../../models/workspaceChats");
+const { WorkspaceChatTrace } = require("../../../models/workspaceChatTraces");
 const { getVectorDbClass, getLLMProvider } = require("../../../utils/helpers");
 const { multiUserMode, reqBody } = require("../../../utils/http");
 const { validApiKey } = require("../../../utils/middleware/validApiKey");
@@ -14,6 +15,10 @@ const {
   writeResponseChunk,
 } = require("../../../utils/helpers/chat/responses");
 const { ApiChatHandler } = require("../../../utils/chats/apiChatHandler");
+const {
+  parseFilter,
+  resolveRetrievalFilter,
+} = require("../../../utils/retrievalFilter");
 const { getModelTag } = require("../../utils");
 
 function apiWorkspaceEndpoints(app) {
@@ -445,6 +450,76 @@ function apiWorkspaceEndpoints(app) {
     }
   );
 
+  app.get(
+    "/v1/workspace/:slug/chats/:chatId/trace",
+    [validApiKey],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Workspaces']
+    #swagger.description = 'Get the retrieval trace of a chat response: the effective search query, every candidate chunk with its scores, pinned and backfilled sources and the token counts of the prompt sections.'
+    #swagger.parameters['slug'] = {
+        in: 'path',
+        description: 'Unique slug of workspace the chat belongs to',
+        required: true,
+        type: 'string'
+    }
+    #swagger.parameters['chatId'] = {
+        in: 'path',
+        description: 'Id of the chat, as returned by the chat endpoints',
+        required: true,
+        type: 'integer'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              trace: {
+                query: { original: "And the second one?", effective: "Details of plan B", rewriteMode: "rewrite" },
+                settings: { similarityThreshold: 0.25, topN: 4, vectorSearchMode: "default", parentRetrievalWindow: 0, filter: null },
+                candidates: [
+                  { id: "0f2c...", title: "plans.pdf", score: 0.81, rerankScore: null, status: "selected", text: "Plan B covers..." },
+                  { id: "9a1b...", title: "faq.md", score: 0.19, rerankScore: null, status: "belowThreshold", text: "..." }
+                ],
+                pinnedDocs: [],
+                parentSpans: [],
+                backfilled: [],
+                tokens: { promptWindow: 128000, sections: { systemPrompt: 120, context: 830, history: 410, userPrompt: 9 }, compressed: { system: 955, history: 410, user: 9 }, total: 1374 },
+                durationMs: 1840
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { slug, chatId } = request.params;
+        const workspace = await Workspace.get({ slug });
+        if (!workspace) {
+          response.sendStatus(400).end();
+          return;
+        }
+
+        const record = await WorkspaceChatTrace.forChat(chatId, workspace.id);
+        if (!record) {
+          response.status(404).json({ trace: null });
+          return;
+        }
+        response.status(200).json({ trace: record.trace });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/v1/workspace/:slug/update-embeddings",
     [validApiKey],
@@ -598,13 +673,13 @@ function apiWorkspaceEndpoints(app) {
    #swagger.tags = ['Workspaces']
    #swagger.description = 'Execute a chat with a workspace'
    #swagger.requestBody = {
-       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.',
+       description: 'Send a prompt to the workspace and the type of conversation (query, chat or agentic).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.<br/><b>Agentic:</b> Like chat, but the LLM splits the question into several searches over multiple retrieval rounds. Streamed chats send every round as a retrievalStatus chunk.<br/><b>filter:</b> Optional document tag filter (department, language, version, valid) merged over the workspace filter for this request only.',
        required: true,
        content: {
          "application/json": {
            example: {
              message: "What is AnythingLLM?",
-             mode: "query | chat",
+             mode: "query | chat | agentic",
              sessionId: "identifier-to-partition-chats-by-external-id",
              attachments: [
                {
@@ -613,7 +688,8 @@ function apiWorkspaceEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
              ],
-             reset: false
+             reset: false,
+             filter: "department=legal,hr language=en valid=now"
            }
          }
        }
@@ -649,6 +725,7 @@ function apiWorkspaceEndpoints(app) {
           sessionId = null,
           attachments = [],
           reset = false,
+          filter = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
@@ -678,6 +755,20 @@ function apiWorkspaceEndpoints(app) {
           return;
         }
 
+        try {
+          parseFilter(filter);
+        } catch (error) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: `Invalid filter: ${error.message}`,
+          });
+          return;
+        }
+
         const result = await ApiChatHandler.chatSync({
           workspace,
           message,
@@ -687,6 +778,7 @@ function apiWorkspaceEndpoints(app) {
           sessionId: !!sessionId ? String(sessionId) : null,
           attachments,
           reset,
+          filter,
         });
 
         await Telemetry.sendTelemetry("sent_chat", {
@@ -723,13 +815,13 @@ function apiWorkspaceEndpoints(app) {
    #swagger.tags = ['Workspaces']
    #swagger.description = 'Execute a streamable chat with a workspace'
    #swagger.requestBody = {
-       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.',
+       description: 'Send a prompt to the workspace and the type of conversation (query, chat or agentic).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.<br/><b>Agentic:</b> Like chat, but the LLM splits the question into several searches over multiple retrieval rounds. Streamed chats send every round as a retrievalStatus chunk.<br/><b>filter:</b> Optional document tag filter (department, language, version, valid) merged over the workspace filter for this request only.',
        required: true,
        content: {
          "application/json": {
            example: {
              message: "What is AnythingLLM?",
-             mode: "query | chat",
+             mode: "query | chat | agentic",
              sessionId: "identifier-to-partition-chats-by-external-id",
              attachments: [
                {
@@ -738,7 +830,8 @@ function apiWorkspaceEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
              ],
-             reset: false
+             reset: false,
+             filter: "department=legal,hr language=en valid=now"
            }
          }
        }
@@ -795,6 +888,7 @@ function apiWorkspaceEndpoints(app) {
           sessionId = null,
           attachments = [],
           reset = false,
+          filter = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
@@ -824,6 +918,20 @@ function apiWorkspaceEndpoints(app) {
           return;
         }
 
+        try {
+          parseFilter(filter);
+        } catch (error) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: `Invalid filter: ${error.message}`,
+          });
+          return;
+        }
+
         response.setHeader("Cache-Control", "no-cache");
         response.setHeader("Content-Type", "text/event-stream");
         response.setHeader("Access-Control-Allow-Origin", "*");
@@ -840,6 +948,7 @@ function apiWorkspaceEndpoints(app) {
           sessionId: !!sessionId ? String(sessionId) : null,
           attachments,
           reset,
+          filter,
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection:
@@ -889,7 +998,8 @@ function apiWorkspaceEndpoints(app) {
           example: {
             query: "What is the meaning of life?",
             topN: 4,
-            scoreThreshold: 0.75
+            scoreThreshold: 0.75,
+            filter: "department=legal language=en valid=now"
           }
         }
       }
@@ -927,7 +1037,7 @@ function apiWorkspaceEndpoints(app) {
     */
       try {
         const { slug } = request.params;
-        const { query, topN, scoreThreshold } = reqBody(request);
+        const { query, topN, scoreThreshold, filter = null } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
         if (!workspace)
@@ -940,6 +1050,15 @@ function apiWorkspaceEndpoints(app) {
             message: "Query parameter cannot be empty.",
           });
 
+        let retrievalFilter;
+        try {
+          retrievalFilter = resolveRetrievalFilter({ workspace, filter });
+        } catch (error) {
+          return response.status(400).json({
+            message: `Invalid filter: ${error.message}`,
+          });
+        }
+
         const VectorDb = getVectorDbClass();
         const hasVectorizedSpace = await VectorDb.hasNamespace(workspace.slug);
         const embeddingsCount = await VectorDb.namespaceCount(workspace.slug);
@@ -970,6 +1089,8 @@ function apiWorkspaceEndpoints(app) {
           similarityThreshold: parseSimilarityThreshold(),
           topN: parseTopN(),
           rerank: workspace?.vectorSearchMode === "rerank",
+          hybrid: workspace?.vectorSearchMode === "hybrid",
+          filter: retrievalFilter,
         });
 
         response.status(200).json({
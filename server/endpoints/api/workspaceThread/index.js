@@ -13,6 +13,7 @@ const {
 const { WorkspaceChats } = require("../../../models/workspaceChats");
 const { User } = require("../../../models/user");
 const { ApiChatHandler } = require("../../../utils/chats/apiChatHandler");
+const { parseFilter } = require("../../../utils/retrievalFilter");
 const { getModelTag } = require("../../utils");
 
 function apiWorkspaceThreadEndpoints(app) {
@@ -338,13 +339,13 @@ function apiWorkspaceThreadEndpoints(app) {
           type: 'string'
       }
       #swagger.requestBody = {
-        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).',
+        description: 'Send a prompt to the workspace thread and the type of conversation (query, chat or agentic). The optional filter narrows retrieval by document tags for this request only.',
         required: true,
         content: {
           "application/json": {
             example: {
               message: "What is AnythingLLM?",
-              mode: "query | chat",
+              mode: "query | chat | agentic",
               userId: 1,
               attachments: [
                {
@@ -353,7 +354,8 @@ function apiWorkspaceThreadEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
               ],
-              reset: false
+              reset: false,
+              filter: "department=legal,hr language=en valid=now"
             }
           }
         }
@@ -389,6 +391,7 @@ function apiWorkspaceThreadEndpoints(app) {
           userId,
           attachments = [],
           reset = false,
+          filter = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug });
         const thread = await WorkspaceThread.get({
@@ -422,6 +425,20 @@ function apiWorkspaceThreadEndpoints(app) {
           return;
         }
 
+        try {
+          parseFilter(filter);
+        } catch (error) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: `Invalid filter: ${error.message}`,
+          });
+          return;
+        }
+
         const user = userId ? await User.get({ id: Number(userId) }) : null;
         const result = await ApiChatHandler.chatSync({
           workspace,
@@ -431,6 +448,7 @@ function apiWorkspaceThreadEndpoints(app) {
           thread,
           attachments,
           reset,
+          filter,
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
@@ -480,13 +498,13 @@ function apiWorkspaceThreadEndpoints(app) {
           type: 'string'
       }
       #swagger.requestBody = {
-        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).',
+        description: 'Send a prompt to the workspace thread and the type of conversation (query, chat or agentic). The optional filter narrows retrieval by document tags for this request only.',
         required: true,
         content: {
           "application/json": {
             example: {
               message: "What is AnythingLLM?",
-              mode: "query | chat",
+              mode: "query | chat | agentic",
               userId: 1,
               attachments: [
                {
@@ -495,7 +513,8 @@ function apiWorkspaceThreadEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
               ],
-              reset: false
+              reset: false,
+              filter: "department=legal,hr language=en valid=now"
             }
           }
         }
@@ -552,6 +571,7 @@ function apiWorkspaceThreadEndpoints(app) {
           userId,
           attachments = [],
           reset = false,
+          filter = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug });
         const thread = await WorkspaceThread.get({
@@ -585,6 +605,20 @@ function apiWorkspaceThreadEndpoints(app) {
           return;
         }
 
+        try {
+          parseFilter(filter);
+        } catch (error) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: `Invalid filter: ${error.message}`,
+          });
+          return;
+        }
+
         const user = userId ? await User.get({ id: Number(userId) }) : null;
 
         response.setHeader("Cache-Control", "no-cache");
@@ -602,6 +636,7 @@ function apiWorkspaceThreadEndpoints(app) {
           thread,
           attachments,
           reset,
+          filter,
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
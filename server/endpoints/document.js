@@ -1,5 +1,10 @@
 const { Document } = require("../models/documents");
-const { normalizePath, documentsPath, isWithin } = require("../utils/files");
+const {
+  normalizePath,
+  documentsPath,
+  isWithin,
+  documentSidecars,
+} = require("../utils/files");
 const { reqBody } = require("../utils/http");
 const {
   flexUserRoleValid,
@@ -66,12 +71,31 @@ function documentEndpoints(app) {
             )
               return reject("Invalid file location");
 
+            // Structured output and the original file move along with the document.
+            const sidecars = documentSidecars(sourcePath);
             fs.rename(sourcePath, destinationPath, (err) => {
               if (err) {
                 console.error(`Error moving file ${from} to ${to}:`, err);
                 reject(err);
               } else {
-                resolve();
+                try {
+                  sidecars.forEach((sidecar) =>
+                    fs.renameSync(
+                      sidecar,
+                      path.join(
+                        path.dirname(destinationPath),
+                        path.basename(sidecar)
+                      )
+                    )
+                  );
+                  resolve();
+                } catch (sidecarErr) {
+                  console.error(
+                    `Error moving the files of ${from} to ${to}:`,
+                    sidecarErr
+                  );
+                  reject(sidecarErr);
+                }
               }
             });
           });
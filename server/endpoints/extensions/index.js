@@ -1,5 +1,12 @@
+const fs = require("fs");
 const { Telemetry } = require("../../models/telemetry");
+const { Workspace } = require("../../models/workspace");
+const { DocumentFolderMount } = require("../../models/documentFolderMount");
+const { DocumentSyncQueue } = require("../../models/documentSyncQueue");
 const { CollectorApi } = require("../../utils/collectorApi");
+const { FolderWatcher } = require("../../utils/FolderWatcher");
+const { purgeFolder } = require("../../utils/files/purgeDocument");
+const { reqBody } = require("../../utils/http");
 const {
   flexUserRoleValid,
   ROLES,
@@ -171,6 +178,136 @@ function extensionEndpoints(app) {
     }
   );
 
+  app.get(
+    "/ext/local-folder/mounts",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { workspace: slug = null } = request.query;
+        const workspace = slug
+          ? await Workspace.get({ slug: String(slug) })
+          : null;
+        if (slug && !workspace) {
+          response
+            .status(404)
+            .json({ success: false, reason: "Workspace not found." });
+          return;
+        }
+
+        const mounts = await DocumentFolderMount.where(
+          workspace ? { workspaceId: workspace.id } : {},
+          { workspace: { select: { name: true, slug: true } } }
+        );
+        response.status(200).json({ success: true, data: { mounts } });
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/ext/local-folder/mounts",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { slug, path, include = [], exclude = [] } = reqBody(request);
+        const workspace = await Workspace.get({ slug: String(slug) });
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ success: false, reason: "Workspace not found." });
+          return;
+        }
+        // Changes to mounted files are applied by the document sync job.
+        if (!(await DocumentSyncQueue.enabled())) {
+          response.status(200).json({
+            success: false,
+            reason:
+              "Automatic document sync must be enabled to mount a local folder.",
+          });
+          return;
+        }
+
+        let validated;
+        try {
+          validated = DocumentFolderMount.validate({ path, include, exclude });
+        } catch (e) {
+          response.status(200).json({ success: false, reason: e.message });
+          return;
+        }
+        if (
+          !fs.existsSync(validated.path) ||
+          !fs.lstatSync(validated.path).isDirectory()
+        ) {
+          response.status(200).json({
+            success: false,
+            reason: `${validated.path} is not a folder on this server.`,
+          });
+          return;
+        }
+        if (
+          await DocumentFolderMount.get({
+            workspaceId: workspace.id,
+            path: validated.path,
+          })
+        ) {
+          response.status(200).json({
+            success: false,
+            reason: "This folder is already mounted into the workspace.",
+          });
+          return;
+        }
+
+        const { mount, message } = await DocumentFolderMount.new(workspace.id, {
+          path,
+          include,
+          exclude,
+        });
+        if (!mount) {
+          response.status(200).json({ success: false, reason: message });
+          return;
+        }
+
+        // The first reconciliation converts and embeds the whole tree, which can take a while.
+        new FolderWatcher().mount(mount);
+        await Telemetry.sendTelemetry("extension_invoked", {
+          type: "local_folder",
+        });
+        response.status(200).json({ success: true, data: { mount } });
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/ext/local-folder/mounts/:id",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const mount = await DocumentFolderMount.get({
+          id: Number(request.params.id),
+        });
+        if (!mount) {
+          response
+            .status(404)
+            .json({ success: false, reason: "Mount not found." });
+          return;
+        }
+
+        new FolderWatcher().unmount(mount.id);
+        await DocumentFolderMount.delete({ id: mount.id });
+        await purgeFolder(mount.folderName);
+        response.status(200).json({ success: true });
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/ext/paperless-ngx",
     [validatedRequest, flexUserRoleValid([ROLES.admin, ROLES.manager])],
@@ -0,0 +1,150 @@
+const { reqBody } = require("../utils/http");
+const MCPCompatibilityLayer = require("../utils/MCP");
+const workspaceMcpPolicy = require("../utils/workspaceMcpPolicy");
+const WorkspaceRoleAuth = require("../utils/workspaceRoleAuth");
+const {
+  flexUserRoleValid,
+  ROLES,
+} = require("../utils/middleware/multiUserProtected");
+const { validatedRequest } = require("../utils/middleware/validatedRequest");
+const {
+  RoleManagementError,
+  handleRoleManagementError,
+  validateWorkspaceId,
+} = require("../utils/roleManagementErrors");
+
+function workspaceMcpPoliciesEndpoints(app) {
+  if (!app) return;
+  const roleAuth = WorkspaceRoleAuth.shared();
+
+  /**
+   * Find the MCP server definition or throw a 404 so policies cannot be created for unknown servers.
+   * @param {string} serverName
+   */
+  function assertKnownServer(serverName) {
+    const exists = new MCPCompatibilityLayer().mcpServerConfigs.some(
+      (s) => s.name === serverName
+    );
+    if (!exists)
+      throw new RoleManagementError(
+        `MCP server ${serverName} not found in config file`,
+        "MCP_SERVER_NOT_FOUND",
+        404
+      );
+  }
+
+  // GET /workspaces/:id/mcp-policies
+  // Every configured MCP server with its tools and the workspace policy (null = everything allowed)
+  app.get(
+    "/workspaces/:workspaceId/mcp-policies",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const mcp = new MCPCompatibilityLayer();
+        await mcp.bootMCPServers();
+
+        const policies = await workspaceMcpPolicy.list(workspaceId);
+        const servers = [];
+        for (const { name } of mcp.mcpServerConfigs) {
+          const client = mcp.mcps[name];
+          const tools = client
+            ? await client
+                .listTools()
+                .then(({ tools }) => tools.map((tool) => tool.name))
+                .catch(() => [])
+            : [];
+          servers.push({
+            name,
+            running: !!client,
+            tools,
+            policy: policies.find((p) => p.serverName === name) || null,
+          });
+        }
+
+        return response.status(200).json({ success: true, servers });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // POST /workspaces/:id/mcp-policies/:serverName
+  app.post(
+    "/workspaces/:workspaceId/mcp-policies/:serverName",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const { serverName } = request.params;
+        assertKnownServer(serverName);
+
+        const { enabled, allowedTools, deniedTools } = reqBody(request);
+        const userId = request.user?.id || null;
+        const { previous, policy } = await workspaceMcpPolicy.upsert(
+          workspaceId,
+          serverName,
+          {
+            ...(enabled !== undefined ? { enabled } : {}),
+            ...(allowedTools !== undefined ? { allowedTools } : {}),
+            ...(deniedTools !== undefined ? { deniedTools } : {}),
+          },
+          userId
+        );
+
+        await roleAuth.logConfigurationChange(
+          workspaceId,
+          null,
+          "MCP_POLICY_UPDATED",
+          previous,
+          policy,
+          userId,
+          request.ip,
+          request.get("User-Agent")
+        );
+
+        return response.status(200).json({ success: true, policy });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // DELETE /workspaces/:id/mcp-policies/:serverName
+  // Removes the policy so the server falls back to allowing every tool
+  app.delete(
+    "/workspaces/:workspaceId/mcp-policies/:serverName",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const { serverName } = request.params;
+        const previous = await workspaceMcpPolicy.remove(
+          workspaceId,
+          serverName
+        );
+
+        if (previous) {
+          await roleAuth.logConfigurationChange(
+            workspaceId,
+            null,
+            "MCP_POLICY_RESET",
+            previous,
+            null,
+            request.user?.id || null,
+            request.ip,
+            request.get("User-Agent")
+          );
+        }
+
+        return response
+          .status(200)
+          .json({ success: true, removed: !!previous });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+}
+
+module.exports = { workspaceMcpPoliciesEndpoints };
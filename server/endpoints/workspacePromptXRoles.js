@@ -1,10 +1,15 @@
-const { reqBody } = require("../utils/http");
+const { reqBody, multiUserMode } = require("../utils/http");
 const { flexUserRoleValid, ROLES } = require("../utils/middleware/multiUserProtected");
 const { validatedRequest } = require("../utils/middleware/validatedRequest");
 const { handleRoleUpload } = require("../utils/files/roleUploadMulter");
 const roleUploadHandler = require("../utils/roleUploadHandler");
+const fileSystemHandler = require("../utils/fileSystemHandler");
+const roleVersionManager = require("../utils/roleVersionManager");
+const roleBundleHandler = require("../utils/roleBundleHandler");
 const { Workspace } = require("../models/workspace");
 const MCPCompatibilityLayer = require("../utils/MCP/index");
+const { RoleCatalog } = require("../utils/roleCatalog");
+const promptxMemoryStore = require("../utils/promptxMemoryStore");
 
 // 在单用户模式下，允许所有用户访问
 function allowAllUsers(request, response, next) {
@@ -18,164 +23,53 @@ const {
   validateRoleConfig,
   validateWorkspaceConfig,
   validateBatchOperation,
+  validateRoleId,
+  RoleManagementError,
+  RoleValidationError,
   RoleNotFoundError,
   WorkspaceNotFoundError
 } = require("../utils/roleManagementErrors");
 
 /**
- * 格式化角色名称，从kebab-case转换为友好的显示名称
- * @param {string} roleName - 角色ID
- * @returns {string} 格式化后的角色名称
+ * 从角色目录服务加载PromptX角色
+ * 角色资源目录为主数据源，discover工具（JSON优先，文本兜底）补充系统角色
+ * @returns {Promise<{roles: import("../utils/roleCatalog").PromptXRole[], discoverFormat: 'json'|'text'|null}>}
  */
-function formatRoleName(roleName) {
-  // 已知的特殊角色名称映射
-  const knownNames = {
-    'nuwa': '女娲',
-    'luban': '鲁班',
-    'sean': 'Sean',
-    'writer': 'Writer',
-    'assistant': 'Assistant',
-    'noface': 'Noface',
-    'code-assistant': 'Code Assistant',
-    'doc-intelligence-analyzer': 'Doc Intelligence Analyzer',
-    'frontend-developer': 'Frontend Developer',
-    'video-content-analyst': 'Video Content Analyst',
-    'haoxiaoliang': 'Haoxiaoliang',
-    'shaqing': 'Shaqing'
-  };
-
-  if (knownNames[roleName]) {
-    return knownNames[roleName];
-  }
-
-  // 默认格式化：将kebab-case转换为Title Case
-  return roleName
-    .split('-')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
-}
-
-/**
- * 从MCP discover获取PromptX角色
- * @returns {Promise<Array|null>} 角色列表
- */
-async function getPromptXRolesFromMCP() {
+async function loadRoleCatalog() {
+  let promptxServer = null;
   try {
-    // 导入MCP兼容层
-    const MCPCompatibilityLayer = require("../utils/MCP/index");
     const mcpLayer = new MCPCompatibilityLayer();
 
     // 等待MCP服务器启动
     await mcpLayer.bootMCPServers();
 
     // 获取promptx服务器
-    const promptxServer = mcpLayer.mcps['promptx'];
-
-    if (promptxServer && await promptxServer.ping()) {
-      console.log('从MCP discover同步PromptX角色');
-
-      // 调用discover工具获取角色列表
-      const discoverResult = await promptxServer.callTool({
-        name: 'discover',
-        arguments: { focus: 'roles' }
-      });
-
-      console.log('discover工具调用结果:', discoverResult);
-
-      // 解析discover返回的角色列表
-      let rolesData = [];
-      console.log('discover返回的类型:', typeof discoverResult);
-
-      if (!discoverResult || !discoverResult.content || !Array.isArray(discoverResult.content)) {
-        console.warn('discover工具未返回有效数据');
-        return [];
-      }
-
-      // 从discover返回的内容中提取角色信息
-      const textContent = discoverResult.content
-        .filter(item => item.type === 'text')
-        .map(item => item.text)
-        .join('\n');
-
-      console.log('discover返回的文本内容长度:', textContent.length);
-      console.log('discover返回的原始文本内容前500字符:', textContent.substring(0, 500));
-
-      // 解析角色信息
-      const lines = textContent.split('\n');
-      const systemRolesSection = lines.findIndex(line => line.includes('📦 **系统角色**'));
-      const userRolesSection = lines.findIndex(line => line.includes('👤 **用户角色**'));
-      const toolListSection = lines.findIndex(line => line.includes('📦 **系统工具**'));
-
-      // 解析系统角色
-      if (systemRolesSection !== -1) {
-        for (let i = systemRolesSection + 1; i < lines.length && (toolListSection === -1 || i < toolListSection); i++) {
-          const line = lines[i].trim();
-          if (line.startsWith('- `') && line.includes('`:')) {
-            const match = line.match(/- `([^`]+)`: (.+?) → action\([^)]+\)/);
-            if (match) {
-              const [, roleId, description] = match;
-              // 提取角色名称（description中的第一部分）
-              const nameMatch = description.match(/^(.+?)(?:\s+[-—]|$)/);
-              const roleName = nameMatch ? nameMatch[1] : description;
-
-              rolesData.push({
-                id: roleId,
-                name: formatRoleName(roleId),
-                description: description.trim(),
-                type: 'role'
-              });
-              console.log(`解析到系统角色: ${roleId} - ${description}`);
-            }
-          }
-        }
-      }
-
-      // 解析用户角色
-      if (userRolesSection !== -1) {
-        const endOfUserRoles = toolListSection !== -1 ? toolListSection : lines.length;
-        for (let i = userRolesSection + 1; i < endOfUserRoles; i++) {
-          const line = lines[i].trim();
-          if (line.startsWith('- `') && line.includes('`:')) {
-            const match = line.match(/- `([^`]+)`: (.+?) → action\([^)]+\)/);
-            if (match) {
-              const [, roleId, description] = match;
-              // 提取角色名称（description中的第一部分）
-              const nameMatch = description.match(/^(.+?)(?:\s+[-—]|$)/);
-              const roleName = nameMatch ? nameMatch[1] : description;
-
-              rolesData.push({
-                id: roleId,
-                name: formatRoleName(roleId),
-                description: description.trim(),
-                type: 'role'
-              });
-              console.log(`解析到用户角色: ${roleId} - ${description}`);
-            }
-          }
-        }
-      }
-
-      // 去重：确保没有重复的 roleId
-      const uniqueRoles = [];
-      const seenRoleIds = new Set();
-
-      for (const role of rolesData) {
-        if (!seenRoleIds.has(role.id)) {
-          seenRoleIds.add(role.id);
-          uniqueRoles.push(role);
-        } else {
-          console.warn(`发现重复角色，已跳过: ${role.id}`);
-        }
-      }
-
-      console.log(`解析出 ${rolesData.length} 个角色，去重后剩余 ${uniqueRoles.length} 个`);
-      return uniqueRoles;
+    const server = mcpLayer.mcps['promptx'];
+    if (server && await server.ping()) {
+      promptxServer = server;
     } else {
-      console.warn('PromptX MCP服务器不可用');
-      return null;
+      console.warn('PromptX MCP服务器不可用，仅从角色资源目录读取');
     }
   } catch (error) {
-    console.error('MCP discover同步失败:', error);
+    console.error('PromptX MCP服务器连接失败:', error);
+  }
+
+  const catalog = await new RoleCatalog().getCatalog({ mcpServer: promptxServer });
+  console.log(`[RoleCatalog] 发现 ${catalog.roles.length} 个角色 (discover: ${catalog.discoverFormat || '不可用'})`);
+  return catalog;
+}
+
+/**
+ * 获取PromptX角色列表
+ * @returns {Promise<Array|null>} 角色列表（name为显示名称），没有任何角色时返回null
+ */
+async function getPromptXRolesFromMCP() {
+  try {
+    const { roles } = await loadRoleCatalog();
+    if (roles.length === 0) return null;
+    return roles.map(role => ({ ...role, name: role.title, type: 'role' }));
+  } catch (error) {
+    console.error('PromptX角色发现失败:', error);
     return null;
   }
 }
@@ -238,7 +132,66 @@ function workspacePromptXRolesEndpoints(app) {
     }
   );
 
-  // POST /workspaces/:id/promptx-config 已移除 - PromptX默认启用
+  // POST /workspaces/:id/promptx-config
+  // PromptX默认启用，这里主要用于配置角色自动路由（autoSwitch*）、默认角色和记忆策略（memory*）
+  app.post(
+    "/workspaces/:workspaceId/promptx-config",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const existing = await prisma.workspace_promptx_configs.findUnique({
+          where: { workspaceId }
+        });
+        // 只更新请求中提供的字段，其余沿用现有配置
+        const data = validateWorkspaceConfig({
+          enabled: true,
+          enableAllRoles: existing?.enableAllRoles ?? true,
+          autoSwitchEnabled: existing?.autoSwitchEnabled ?? false,
+          autoSwitchStrategy: existing?.autoSwitchStrategy,
+          autoSwitchThreshold: existing?.autoSwitchThreshold,
+          defaultRoleId: existing?.defaultRoleId ?? null,
+          memoryScope: existing?.memoryScope,
+          memoryLimit: existing?.memoryLimit,
+          memoryRetentionDays: existing?.memoryRetentionDays ?? null,
+          ...reqBody(request)
+        });
+        const userId = request.user?.id || null;
+
+        const config = await prisma.workspace_promptx_configs.upsert({
+          where: { workspaceId },
+          update: { ...data, updatedBy: userId, lastUpdatedAt: new Date() },
+          create: { workspaceId, ...data, updatedBy: userId },
+          include: {
+            updatedBy_user: {
+              select: { username: true }
+            }
+          }
+        });
+
+        // 收紧上限或保留天数后立即清理，不必等到下一次remember
+        await promptxMemoryStore.enforceRetention(workspaceId);
+
+        await roleAuth.logConfigurationChange(
+          workspaceId,
+          null,
+          'CONFIG_UPDATED',
+          existing,
+          data,
+          userId,
+          request.ip,
+          request.get('User-Agent')
+        );
+
+        response.status(200).json({
+          success: true,
+          data: config
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
 
   // GET /workspaces/:id/promptx-roles
   app.get(
@@ -530,10 +483,10 @@ function workspacePromptXRolesEndpoints(app) {
 
         console.log(`[RoleSync] 工作区 ${workspaceId} 请求角色列表（实时查询）`);
 
-        // 步骤1：直接从MCP Discover获取实时数据（不走缓存）
-        const mcpRoles = await getPromptXRolesFromMCP();
+        // 步骤1：从角色目录服务获取实时数据（不走缓存）
+        const { roles: mcpRoles, discoverFormat } = await loadRoleCatalog();
 
-        if (!mcpRoles || mcpRoles.length === 0) {
+        if (mcpRoles.length === 0) {
           console.warn('[RoleSync] MCP Discover未返回角色数据');
           return response.status(200).json({
             success: true,
@@ -547,7 +500,7 @@ function workspacePromptXRolesEndpoints(app) {
         }
 
         console.log(`[RoleSync] MCP返回 ${mcpRoles.length} 个角色`);
-      console.log('[RoleSync] MCP返回的角色列表:', mcpRoles.map(r => ({ id: r.id, name: r.name })));
+        console.log('[RoleSync] MCP返回的角色列表:', mcpRoles.map(r => ({ id: r.id, source: r.source })));
 
         // 步骤2：获取工作区现有配置（仅配置，不是数据源）
         const configs = await prisma.workspace_promptx_roles.findMany({
@@ -562,8 +515,11 @@ function workspacePromptXRolesEndpoints(app) {
         console.log(`[RoleSync] 工作区现有 ${configs.length} 个角色配置`);
 
         // 步骤3：清理孤立配置（MCP中不存在的角色）
+        // discover不可用时角色列表不完整（缺少系统角色），跳过清理避免误删
         const mcpRoleIds = new Set(mcpRoles.map(r => r.id));
-        const orphanedConfigs = configs.filter(c => !mcpRoleIds.has(c.roleId));
+        const orphanedConfigs = discoverFormat
+          ? configs.filter(c => !mcpRoleIds.has(c.roleId))
+          : [];
 
         if (orphanedConfigs.length > 0) {
           console.log(`[RoleSync] 发现 ${orphanedConfigs.length} 个孤立配置，开始清理:`,
@@ -639,21 +595,23 @@ function workspacePromptXRolesEndpoints(app) {
           const config = configMap.get(role.id);
 
           return {
-            // MCP数据（主数据源）
+            // 角色目录数据（主数据源）
             id: role.id,
-            name: role.name,
+            name: role.title,
             description: role.description,
+            version: role.version,
+            references: role.references,
 
             // 配置表数据（附加配置）
             enabled: config?.enabled ?? false,
             customName: config?.customName ?? null,
             customDescription: config?.customDescription ?? null,
+            pinnedVersion: config?.pinnedVersion ?? null,
             addedBy: config?.addedBy ?? null,
             addedBy_user: config?.addedBy_user ?? null,
             lastUpdatedAt: config?.lastUpdatedAt ?? null,
 
-            // 派生数据
-            source: config?.addedBy ? 'user' : 'system',
+            source: role.source,
             hasConfig: !!config
           };
         });
@@ -670,6 +628,7 @@ function workspacePromptXRolesEndpoints(app) {
           data: result,
           meta: {
             source: 'mcp-realtime',
+            discoverFormat,
             timestamp: new Date().toISOString(),
             total: result.length,
             cleaned: orphanedConfigs.length,
@@ -694,7 +653,22 @@ function workspacePromptXRolesEndpoints(app) {
     async (request, response) => {
       try {
         const workspaceId = validateWorkspaceId(request.params.workspaceId);
-        const { customName, customDescription, customId } = request.body;
+        const { customName, customDescription, customId, version, versionNote } = request.body;
+        // 仅验证模式（dry-run）：返回DPML诊断信息，不安装角色
+        const validateOnly =
+          String(request.body.validateOnly ?? request.query.validateOnly) === 'true';
+        // 覆盖模式：角色已存在时作为新版本安装，旧版本保留可回滚
+        const overwrite =
+          String(request.body.overwrite ?? request.query.overwrite) === 'true';
+
+        // 覆盖会替换所有工作区共用的角色当前版本，与固定版本、回滚一样只允许管理员操作
+        if (overwrite && !validateOnly && multiUserMode(response) && response.locals?.user?.role !== ROLES.admin) {
+          await fileSystemHandler.cleanupTempFiles(request.file?.path);
+          return response.status(403).json({
+            success: false,
+            error: '只有管理员可以覆盖已安装的角色'
+          });
+        }
 
         // 验证工作区存在
         const workspace = await prisma.workspaces.findUnique({
@@ -726,39 +700,76 @@ function workspacePromptXRolesEndpoints(app) {
           customName,
           customDescription,
           customId,
-          userId: request.user?.id || null
+          userId: request.user?.id || null,
+          validateOnly,
+          overwrite,
+          version: version || undefined,
+          versionNote: versionNote || undefined
         });
 
+        if (validateOnly) {
+          return response.status(200).json({
+            success: uploadResult.success,
+            data: {
+              roleId: uploadResult.roleId,
+              conflict: uploadResult.conflict,
+              diagnostics: uploadResult.diagnostics
+            },
+            message: uploadResult.success ? '角色包验证通过' : '角色包存在DPML错误'
+          });
+        }
+
         console.log(`[PromptXRoleUpload] 上传成功，角色ID: ${uploadResult.roleId}`);
 
-        // 创建数据库记录
-        const roleRecord = await Workspace.createWorkspaceRole(
-          workspaceId,
-          uploadResult.roleId,
-          {
-            customName: uploadResult.metadata.customName,
-            customDescription: uploadResult.metadata.customDescription,
-            userId: request.user?.id || null
-          }
-        );
+        // 创建数据库记录（覆盖时工作区可能已有该角色的配置）
+        const existingRecord = uploadResult.overwritten
+          ? await prisma.workspace_promptx_roles.findUnique({
+              where: { workspaceId_roleId: { workspaceId, roleId: uploadResult.roleId } }
+            })
+          : null;
 
-        console.log(`[PromptXRoleUpload] 数据库记录已创建`);
+        if (!existingRecord) {
+          await Workspace.createWorkspaceRole(
+            workspaceId,
+            uploadResult.roleId,
+            {
+              customName: uploadResult.metadata.customName,
+              customDescription: uploadResult.metadata.customDescription,
+              userId: request.user?.id || null
+            }
+          );
+          console.log(`[PromptXRoleUpload] 数据库记录已创建`);
+        }
 
         // 记录审计日志
+        const ipAddress = request.ip || request.headers['x-forwarded-for'];
+        const userAgent = request.get('User-Agent');
+        if (!uploadResult.overwritten) {
+          await roleAuth.logConfigurationChange(
+            workspaceId,
+            uploadResult.roleId,
+            'ROLE_UPLOADED',
+            null,
+            {
+              roleId: uploadResult.roleId,
+              customName: uploadResult.metadata.customName,
+              customDescription: uploadResult.metadata.customDescription,
+              source: 'user'
+            },
+            request.user?.id || null,
+            ipAddress,
+            userAgent
+          );
+        }
         await roleAuth.logConfigurationChange(
           workspaceId,
           uploadResult.roleId,
-          'ROLE_UPLOADED',
-          null,
-          {
-            roleId: uploadResult.roleId,
-            customName: uploadResult.metadata.customName,
-            customDescription: uploadResult.metadata.customDescription,
-            source: 'user'
-          },
+          'ROLE_VERSION_CREATED',
+          uploadResult.previousVersion ? { version: uploadResult.previousVersion } : null,
+          { version: uploadResult.metadata.version, note: versionNote || null },
           request.user?.id || null,
-          request.ip || request.headers['x-forwarded-for'],
-          request.get('User-Agent')
+          ipAddress,
+          userAgent
         );
 
         console.log(`[PromptXRoleUpload] 审计日志已记录`);
@@ -780,10 +791,15 @@ function workspacePromptXRolesEndpoints(app) {
             name: uploadResult.metadata.customName || uploadResult.roleId,
             description: uploadResult.metadata.customDescription || '',
             source: 'user',
-            enabled: true,
-            addedAt: uploadResult.metadata.addedAt
+            enabled: existingRecord ? existingRecord.enabled : true,
+            addedAt: uploadResult.metadata.addedAt,
+            version: uploadResult.metadata.version,
+            previousVersion: uploadResult.previousVersion || null,
+            diagnostics: uploadResult.diagnostics
           },
-          message: '角色上传成功'
+          message: uploadResult.overwritten
+            ? `角色已更新到版本 ${uploadResult.metadata.version}`
+            : '角色上传成功'
         });
 
       } catch (error) {
@@ -799,6 +815,20 @@ function workspacePromptXRolesEndpoints(app) {
           });
         }
 
+        // 处理DPML解析错误，返回带行号的诊断信息
+        if (error.code === 'DPML_LINT_FAILED') {
+          return response.status(400).json({
+            success: false,
+            error: error.message,
+            diagnostics: error.diagnostics
+          });
+        }
+
+        // 处理版本号等参数错误
+        if (error instanceof RoleValidationError) {
+          return handleRoleManagementError(error, request, response);
+        }
+
         // 处理验证错误
         if (error.message.includes('无效') || error.message.includes('验证失败')) {
           return response.status(400).json({
@@ -816,6 +846,312 @@ function workspacePromptXRolesEndpoints(app) {
     }
   );
 
+  // GET /workspaces/:workspaceId/promptx-roles/:roleId/versions - 角色版本历史
+  app.get(
+    "/workspaces/:workspaceId/promptx-roles/:roleId/versions",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const roleId = validateRoleId(request.params.roleId);
+
+        const { activeVersion, versions } = await roleVersionManager.listVersions(roleId);
+        const config = await prisma.workspace_promptx_roles.findUnique({
+          where: { workspaceId_roleId: { workspaceId, roleId } },
+          select: { pinnedVersion: true }
+        });
+
+        response.status(200).json({
+          success: true,
+          data: {
+            roleId,
+            activeVersion,
+            pinnedVersion: config?.pinnedVersion || null,
+            versions
+          }
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // GET /workspaces/:workspaceId/promptx-roles/:roleId/versions/diff?from=&to= - 对比两个版本的.role.md
+  app.get(
+    "/workspaces/:workspaceId/promptx-roles/:roleId/versions/diff",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        validateWorkspaceId(request.params.workspaceId);
+        const roleId = validateRoleId(request.params.roleId);
+        const { from, to } = request.query;
+
+        if (!from) {
+          throw new RoleValidationError('from is required', 'from');
+        }
+
+        const diff = await roleVersionManager.diffVersions(roleId, from, to || null);
+        response.status(200).json({
+          success: true,
+          data: diff
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // POST /workspaces/:workspaceId/promptx-roles/:roleId/pin - 将工作区固定到某个版本（version为null时取消固定）
+  app.post(
+    "/workspaces/:workspaceId/promptx-roles/:roleId/pin",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const roleId = validateRoleId(request.params.roleId);
+        const { version = null } = reqBody(request);
+        const userId = request.user?.id || null;
+
+        if (version) {
+          await roleVersionManager.getVersion(roleId, version);
+        }
+
+        const existing = await prisma.workspace_promptx_roles.findUnique({
+          where: { workspaceId_roleId: { workspaceId, roleId } }
+        });
+        if (!existing) {
+          throw new RoleNotFoundError(roleId, workspaceId);
+        }
+
+        const updated = await prisma.workspace_promptx_roles.update({
+          where: { workspaceId_roleId: { workspaceId, roleId } },
+          data: {
+            pinnedVersion: version,
+            updatedBy: userId,
+            lastUpdatedAt: new Date()
+          }
+        });
+
+        await roleAuth.logConfigurationChange(
+          workspaceId,
+          roleId,
+          version ? 'ROLE_VERSION_PINNED' : 'ROLE_VERSION_UNPINNED',
+          { pinnedVersion: existing.pinnedVersion },
+          { pinnedVersion: version },
+          userId,
+          request.ip,
+          request.get('User-Agent')
+        );
+
+        response.status(200).json({
+          success: true,
+          data: {
+            roleId,
+            pinnedVersion: updated.pinnedVersion
+          },
+          message: version ? `已固定到版本 ${version}` : '已取消版本固定'
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // POST /workspaces/:workspaceId/promptx-roles/:roleId/rollback - 将角色回滚到指定版本
+  app.post(
+    "/workspaces/:workspaceId/promptx-roles/:roleId/rollback",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const roleId = validateRoleId(request.params.roleId);
+        const { version } = reqBody(request);
+
+        if (!version) {
+          throw new RoleValidationError('version is required', 'version');
+        }
+
+        const { previousVersion, metadata } = await roleVersionManager.activateVersion(roleId, version);
+
+        await roleAuth.logConfigurationChange(
+          workspaceId,
+          roleId,
+          'ROLE_VERSION_ROLLED_BACK',
+          { version: previousVersion },
+          { version: metadata.version },
+          request.user?.id || null,
+          request.ip,
+          request.get('User-Agent')
+        );
+
+        // 回滚改变了PromptX加载的角色文件，触发MCP刷新
+        try {
+          const mcpLayer = new MCPCompatibilityLayer();
+          await mcpLayer.refreshPromptXResources();
+        } catch (mcpError) {
+          console.warn(`[RoleVersion] MCP刷新失败，但不影响回滚:`, mcpError.message);
+        }
+
+        response.status(200).json({
+          success: true,
+          data: {
+            roleId,
+            previousVersion,
+            activeVersion: metadata.version
+          },
+          message: `已回滚到版本 ${metadata.version}`
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // GET /workspaces/:workspaceId/promptx-roles/:roleId/export?version= - 导出单个角色包
+  app.get(
+    "/workspaces/:workspaceId/promptx-roles/:roleId/export",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        validateWorkspaceId(request.params.workspaceId);
+        const roleId = validateRoleId(request.params.roleId);
+        const version = request.query.version || null;
+
+        const buffer = await roleBundleHandler.buildRolePackage(roleId, { version });
+        const filename = version ? `${roleId}-${version}.zip` : `${roleId}.zip`;
+
+        response.setHeader("Content-Type", "application/zip");
+        response.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        response.status(200).send(buffer);
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // GET /workspaces/:workspaceId/promptx-export - 导出工作区PromptX配置（配置 + 已启用角色 + 角色包）
+  app.get(
+    "/workspaces/:workspaceId/promptx-export",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+
+        const workspace = await prisma.workspaces.findUnique({
+          where: { id: workspaceId }
+        });
+        if (!workspace) {
+          throw new WorkspaceNotFoundError(workspaceId);
+        }
+
+        const config = await prisma.workspace_promptx_configs.findUnique({
+          where: { workspaceId }
+        });
+        const roles = await prisma.workspace_promptx_roles.findMany({
+          where: { workspaceId, enabled: true },
+          orderBy: { roleId: 'asc' }
+        });
+
+        const { buffer } = await roleBundleHandler.buildWorkspaceBundle({
+          workspaceId,
+          config,
+          roles
+        });
+
+        response.setHeader("Content-Type", "application/zip");
+        response.setHeader(
+          "Content-Disposition",
+          `attachment; filename="promptx-${workspace.slug}.zip"`
+        );
+        response.status(200).send(buffer);
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // POST /workspaces/:workspaceId/promptx-import - 导入工作区PromptX配置包
+  app.post(
+    "/workspaces/:workspaceId/promptx-import",
+    [validatedRequest, flexUserRoleValid([ROLES.admin]), handleRoleUpload],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const conflictStrategy =
+          request.body.conflictStrategy || request.query.conflictStrategy || 'skip';
+        const userId = request.user?.id || null;
+
+        const workspace = await prisma.workspaces.findUnique({
+          where: { id: workspaceId }
+        });
+        if (!workspace) {
+          throw new WorkspaceNotFoundError(workspaceId);
+        }
+
+        if (!request.file) {
+          throw new RoleValidationError('未检测到上传文件', 'file');
+        }
+
+        console.log(`[PromptXImport] 工作区 ${workspaceId} 导入配置包: ${request.file.originalname}`);
+
+        const result = await roleBundleHandler.importWorkspaceBundle({
+          zipPath: request.file.path,
+          workspaceId,
+          userId,
+          conflictStrategy
+        });
+
+        // 记录审计日志
+        const ipAddress = request.ip || request.headers['x-forwarded-for'];
+        const userAgent = request.get('User-Agent');
+        for (const role of result.roles) {
+          if (role.status === 'failed' || role.status === 'skipped') continue;
+
+          await roleAuth.logConfigurationChange(
+            workspaceId,
+            role.roleId,
+            'ROLE_IMPORTED',
+            null,
+            { sourceRoleId: role.sourceRoleId, status: role.status, conflictStrategy },
+            userId,
+            ipAddress,
+            userAgent
+          );
+          if (['installed', 'overwritten', 'renamed'].includes(role.status)) {
+            await roleAuth.logConfigurationChange(
+              workspaceId,
+              role.roleId,
+              'ROLE_VERSION_CREATED',
+              role.previousVersion ? { version: role.previousVersion } : null,
+              { version: role.version, note: 'bundle import' },
+              userId,
+              ipAddress,
+              userAgent
+            );
+          }
+        }
+
+        // 触发MCP刷新，让PromptX发现新安装的角色
+        try {
+          const mcpLayer = new MCPCompatibilityLayer();
+          await mcpLayer.refreshPromptXResources();
+        } catch (mcpError) {
+          console.warn(`[PromptXImport] MCP刷新失败，但不影响导入:`, mcpError.message);
+        }
+
+        const failed = result.roles.filter(r => r.status === 'failed').length;
+        response.status(200).json({
+          success: true,
+          data: result,
+          message: `导入完成：${result.roles.length - failed} 个角色成功，${failed} 个失败`
+        });
+      } catch (error) {
+        console.error('[PromptXImport] 导入失败:', error);
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
   // POST /workspaces/:id/promptx-refresh-roles
   // 手动触发角色同步（实际上GET接口已经是实时的，这个接口主要用于强制触发MCP刷新）
   app.post(
@@ -836,10 +1172,10 @@ function workspacePromptXRolesEndpoints(app) {
           console.warn(`[RoleSync] MCP刷新失败:`, mcpError.message);
         }
 
-        // 从MCP Discover获取最新角色列表
-        const mcpRoles = await getPromptXRolesFromMCP();
+        // 从角色目录服务获取最新角色列表
+        const { roles: mcpRoles, discoverFormat } = await loadRoleCatalog();
 
-        if (!mcpRoles || mcpRoles.length === 0) {
+        if (mcpRoles.length === 0) {
           console.warn('[RoleSync] MCP Discover未返回角色数据');
           return response.status(200).json({
             success: true,
@@ -858,9 +1194,11 @@ function workspacePromptXRolesEndpoints(app) {
           }
         });
 
-        // 清理孤立配置
+        // 清理孤立配置（discover不可用时跳过，避免误删系统角色配置）
         const mcpRoleIds = new Set(mcpRoles.map(r => r.id));
-        const orphanedConfigs = configs.filter(c => !mcpRoleIds.has(c.roleId));
+        const orphanedConfigs = discoverFormat
+          ? configs.filter(c => !mcpRoleIds.has(c.roleId))
+          : [];
 
         if (orphanedConfigs.length > 0) {
           await prisma.workspace_promptx_roles.deleteMany({
@@ -913,14 +1251,17 @@ function workspacePromptXRolesEndpoints(app) {
           const config = configMap.get(role.id);
           return {
             id: role.id,
-            name: role.name,
+            name: role.title,
             description: role.description,
+            version: role.version,
+            references: role.references,
             enabled: config?.enabled ?? false,
             customName: config?.customName ?? null,
             customDescription: config?.customDescription ?? null,
+            pinnedVersion: config?.pinnedVersion ?? null,
             addedBy: config?.addedBy ?? null,
             addedBy_user: config?.addedBy_user ?? null,
-            source: config?.addedBy ? 'user' : 'system',
+            source: role.source,
             hasConfig: !!config
           };
         });
@@ -936,6 +1277,7 @@ function workspacePromptXRolesEndpoints(app) {
           message: `成功刷新角色列表，共 ${result.length} 个角色（清理 ${orphanedConfigs.length} 个，新增 ${newRoles.length} 个）`,
           meta: {
             source: 'mcp-realtime',
+            discoverFormat,
             timestamp: new Date().toISOString(),
             total: result.length,
             cleaned: orphanedConfigs.length,
@@ -953,6 +1295,91 @@ function workspacePromptXRolesEndpoints(app) {
     }
   );
 
+  // GET /workspaces/:id/promptx-memories
+  // 浏览工作区内Agent通过remember工具保存的记忆
+  app.get(
+    "/workspaces/:workspaceId/promptx-memories",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const { search, roleId, userId, page = 1, limit = 50 } = request.query;
+
+        const result = await promptxMemoryStore.list(workspaceId, {
+          search: search || null,
+          roleId: roleId || null,
+          // userId=shared 只看工作区共享记忆
+          userId: userId === 'shared' ? null : userId ? parseInt(userId) : undefined,
+          page: Math.max(parseInt(page) || 1, 1),
+          pageSize: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+        });
+
+        response.status(200).json({
+          success: true,
+          data: result.memories,
+          pagination: {
+            currentPage: result.page,
+            itemsPerPage: result.pageSize,
+            totalItems: result.total,
+            totalPages: Math.ceil(result.total / result.pageSize)
+          }
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // POST /workspaces/:id/promptx-memories/:memoryId
+  app.post(
+    "/workspaces/:workspaceId/promptx-memories/:memoryId",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const { content, schema, strength } = reqBody(request);
+
+        const memory = await promptxMemoryStore.update(workspaceId, request.params.memoryId, {
+          ...(content !== undefined ? { content } : {}),
+          ...(schema !== undefined ? { schema } : {}),
+          ...(strength !== undefined ? { strength } : {})
+        });
+        if (!memory) {
+          throw new RoleManagementError('Memory not found', 'MEMORY_NOT_FOUND', 404);
+        }
+
+        response.status(200).json({
+          success: true,
+          data: memory
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
+  // DELETE /workspaces/:id/promptx-memories/:memoryId
+  app.delete(
+    "/workspaces/:workspaceId/promptx-memories/:memoryId",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const workspaceId = validateWorkspaceId(request.params.workspaceId);
+        const deleted = await promptxMemoryStore.delete(workspaceId, request.params.memoryId);
+        if (!deleted) {
+          throw new RoleManagementError('Memory not found', 'MEMORY_NOT_FOUND', 404);
+        }
+
+        response.status(200).json({
+          success: true,
+          message: 'Memory deleted'
+        });
+      } catch (error) {
+        handleRoleManagementError(error, request, response);
+      }
+    }
+  );
+
   // GET /workspaces/:id/promptx-audit
   app.get(
     "/workspaces/:workspaceId/promptx-audit",
@@ -1001,5 +1428,6 @@ async function cleanup() {
 
 module.exports = {
   workspacePromptXRolesEndpoints,
+  getPromptXRolesFromMCP,
   cleanup
 };
\ No newline at end of file
@@ -0,0 +1,230 @@
+const { reqBody } = require("../utils/http");
+const { validatedRequest } = require("../utils/middleware/validatedRequest");
+const {
+  flexUserRoleValid,
+  ROLES,
+} = require("../utils/middleware/multiUserProtected");
+const { validWorkspaceSlug } = require("../utils/middleware/validWorkspace");
+const { WorkspaceEvalQuestion } = require("../models/workspaceEvalQuestions");
+const { WorkspaceEvalRun } = require("../models/workspaceEvalRuns");
+const retrievalEval = require("../utils/RetrievalEval");
+const { compareRuns } = require("../utils/RetrievalEval");
+
+function workspaceRetrievalEvalsEndpoints(app) {
+  if (!app) return;
+  const middleware = [
+    validatedRequest,
+    flexUserRoleValid([ROLES.admin, ROLES.manager]),
+    validWorkspaceSlug,
+  ];
+
+  // GET /workspace/:slug/evals/questions
+  // The golden question set of the workspace
+  app.get(
+    "/workspace/:slug/evals/questions",
+    middleware,
+    async (_request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const questions = await WorkspaceEvalQuestion.forWorkspace(
+          workspace.id
+        );
+        return response.status(200).json({ questions });
+      } catch (error) {
+        console.error("Error fetching eval questions:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  // POST /workspace/:slug/evals/questions
+  // Body: { question, expectedSources: string[], referenceAnswer? }
+  app.post(
+    "/workspace/:slug/evals/questions",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const { question, message } = await WorkspaceEvalQuestion.new(
+          workspace.id,
+          reqBody(request)
+        );
+        return response
+          .status(question ? 200 : 400)
+          .json({ question, error: message });
+      } catch (error) {
+        console.error("Error creating eval question:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/workspace/:slug/evals/questions/:questionId",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const existing = await WorkspaceEvalQuestion.get({
+          id: Number(request.params.questionId),
+          workspaceId: workspace.id,
+        });
+        if (!existing) return response.sendStatus(404).end();
+
+        const { question, message } = await WorkspaceEvalQuestion.update(
+          existing.id,
+          reqBody(request)
+        );
+        return response
+          .status(question ? 200 : 400)
+          .json({ question, error: message });
+      } catch (error) {
+        console.error("Error updating eval question:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/workspace/:slug/evals/questions/:questionId",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        await WorkspaceEvalQuestion.delete({
+          id: Number(request.params.questionId),
+          workspaceId: workspace.id,
+        });
+        return response.sendStatus(200).end();
+      } catch (error) {
+        console.error("Error deleting eval question:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  // GET /workspace/:slug/evals/runs
+  // Recent runs with their config and metrics, without per question results
+  app.get(
+    "/workspace/:slug/evals/runs",
+    middleware,
+    async (_request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const runs = await WorkspaceEvalRun.forWorkspace(workspace.id, 50);
+        return response.status(200).json({ runs });
+      } catch (error) {
+        console.error("Error fetching eval runs:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  // POST /workspace/:slug/evals/runs
+  // Body: { overrides?: Object, label?: string, offline?: boolean, retrievalOnly?: boolean }
+  // The run is created immediately and replayed in the background - poll the run for its status.
+  app.post(
+    "/workspace/:slug/evals/runs",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const {
+          overrides = {},
+          label = null,
+          offline = false,
+          retrievalOnly = false,
+        } = reqBody(request);
+        const options = {
+          overrides,
+          label,
+          offline: !!offline,
+          chat: !retrievalOnly,
+        };
+
+        const questions = await WorkspaceEvalQuestion.forWorkspace(
+          workspace.id
+        );
+        if (questions.length === 0)
+          return response.status(400).json({
+            run: null,
+            error: "Add golden questions before running an evaluation.",
+          });
+
+        let run;
+        try {
+          run = await retrievalEval.createRun(workspace, options);
+        } catch (error) {
+          return response.status(400).json({ run: null, error: error.message });
+        }
+
+        retrievalEval.run(workspace, { ...options, run }).catch(() => {});
+        return response.status(200).json({ run, error: null });
+      } catch (error) {
+        console.error("Error starting eval run:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  // GET /workspace/:slug/evals/compare?a=<runId>&b=<runId>
+  // Metric deltas (b - a), config differences and the questions whose scores changed
+  app.get(
+    "/workspace/:slug/evals/compare",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const [a, b] = await Promise.all(
+          [request.query.a, request.query.b].map((id) =>
+            WorkspaceEvalRun.get({ id: Number(id), workspaceId: workspace.id })
+          )
+        );
+        if (!a || !b) return response.sendStatus(404).end();
+        return response.status(200).json({ comparison: compareRuns(a, b) });
+      } catch (error) {
+        console.error("Error comparing eval runs:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/workspace/:slug/evals/runs/:runId",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        const run = await WorkspaceEvalRun.get({
+          id: Number(request.params.runId),
+          workspaceId: workspace.id,
+        });
+        if (!run) return response.sendStatus(404).end();
+        return response.status(200).json({ run });
+      } catch (error) {
+        console.error("Error fetching eval run:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/workspace/:slug/evals/runs/:runId",
+    middleware,
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        await WorkspaceEvalRun.delete({
+          id: Number(request.params.runId),
+          workspaceId: workspace.id,
+        });
+        return response.sendStatus(200).end();
+      } catch (error) {
+        console.error("Error deleting eval run:", error);
+        return response.sendStatus(500).end();
+      }
+    }
+  );
+}
+
+module.exports = { workspaceRetrievalEvalsEndpoints };
@@ -19,6 +19,7 @@ const {
 const { WorkspaceChats } = require("../models/workspaceChats");
 const { convertToChatHistory } = require("../utils/helpers/chat/responses");
 const { getModelTag } = require("./utils");
+const promptxRoleRouter = require("../utils/promptxRoleRouter");
 
 function workspaceThreadEndpoints(app) {
   if (!app) return;
@@ -178,6 +179,69 @@ function workspaceThreadEndpoints(app) {
     }
   );
 
+  app.get(
+    "/workspace/:slug/thread/:threadSlug/promptx-role",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.all]),
+      validWorkspaceAndThreadSlug,
+    ],
+    async (_request, response) => {
+      try {
+        const thread = response.locals.thread;
+        const history = await WorkspaceThread.promptxRoleHistory(thread);
+        response.status(200).json({
+          roleId: thread.activePromptxRoleId || null,
+          history,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/workspace/:slug/thread/:threadSlug/promptx-role",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.all]),
+      validWorkspaceAndThreadSlug,
+    ],
+    async (request, response) => {
+      try {
+        const { roleId = null } = reqBody(request);
+        const user = await userFromSession(request, response);
+        const workspace = response.locals.workspace;
+        const currentThread = response.locals.thread;
+
+        if (roleId !== null) {
+          const role = await promptxRoleRouter.findRole(
+            workspace.id,
+            String(roleId)
+          );
+          if (!role) {
+            response.status(400).json({
+              thread: null,
+              message: `Role ${roleId} is not available in this workspace.`,
+            });
+            return;
+          }
+        }
+
+        const { thread, message } = await WorkspaceThread.setPromptxRole(
+          currentThread,
+          roleId === null ? null : String(roleId),
+          { userId: user?.id, source: "api" }
+        );
+        response.status(thread ? 200 : 500).json({ thread, message });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.delete(
     "/workspace/:slug/thread/:threadSlug/delete-edited-chats",
     [
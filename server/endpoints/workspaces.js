@@ -6,11 +6,12 @@ const {
   userFromSession,
   safeJsonParse,
 } = require("../utils/http");
-const { normalizePath, isWithin } = require("../utils/files");
+const { normalizePath, isWithin, documentsPath } = require("../utils/files");
 const { Workspace } = require("../models/workspace");
 const { Document } = require("../models/documents");
 const { DocumentVectors } = require("../models/vectors");
 const { WorkspaceChats } = require("../models/workspaceChats");
+const { WorkspaceChatTrace } = require("../models/workspaceChatTraces");
 const { getVectorDbClass } = require("../utils/helpers");
 const { handleFileUpload, handlePfpUpload } = require("../utils/files/multer");
 const { validatedRequest } = require("../utils/middleware/validatedRequest");
@@ -518,6 +519,32 @@ function workspaceEndpoints(app) {
     }
   );
 
+  // The retrieval trace of a chat response for the "why this answer" panel.
+  // Users can only inspect the traces of their own chats.
+  app.get(
+    "/workspace/:slug/chats/:chatId/trace",
+    [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
+    async (request, response) => {
+      try {
+        const { chatId } = request.params;
+        const user = await userFromSession(request, response);
+        const workspace = response.locals.workspace;
+        const chat = await WorkspaceChats.get({
+          id: Number(chatId),
+          workspaceId: workspace.id,
+          user_id: user?.id ?? null,
+        });
+        if (!chat) return response.status(404).json({ trace: null });
+
+        const record = await WorkspaceChatTrace.forChat(chat.id, workspace.id);
+        response.status(200).json({ trace: record?.trace ?? null });
+      } catch (error) {
+        console.error("Error fetching chat trace:", error);
+        response.status(500).end();
+      }
+    }
+  );
+
   app.get(
     "/workspace/:slug/suggested-messages",
     [validatedRequest, flexUserRoleValid([ROLES.all])],
@@ -592,6 +619,71 @@ function workspaceEndpoints(app) {
     }
   );
 
+  app.get(
+    "/workspace/:slug/document-tags",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const { docPath } = request.query;
+        const workspace = response.locals.workspace;
+        const document = await Document.get({
+          workspaceId: workspace.id,
+          docpath: String(docPath),
+        });
+        if (!document) return response.sendStatus(404).end();
+
+        return response.status(200).json({ tags: Document.tags(document) });
+      } catch (error) {
+        console.error("Error fetching document tags:", error);
+        return response.status(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/workspace/:slug/document-tags",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const { docPath, tags = {} } = reqBody(request);
+        const workspace = response.locals.workspace;
+        const document = await Document.get({
+          workspaceId: workspace.id,
+          docpath: docPath,
+        });
+        if (!document) return response.sendStatus(404).end();
+
+        let result;
+        try {
+          result = await Document.setTags(workspace, document, tags);
+        } catch (error) {
+          return response
+            .status(400)
+            .json({ tags: null, error: error.message });
+        }
+        if (result.message)
+          return response
+            .status(500)
+            .json({ tags: null, error: result.message });
+
+        return response
+          .status(200)
+          .json({ tags: Document.tags(result.document), error: null });
+      } catch (error) {
+        console.error("Error updating document tags:", error);
+        return response.status(500).end();
+      }
+    }
+  );
+
   app.get(
     "/workspace/:slug/tts/:chatId",
     [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
@@ -634,6 +726,43 @@ function workspaceEndpoints(app) {
     }
   );
 
+  app.get(
+    "/workspace/:slug/source-file",
+    [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
+    async function (request, response) {
+      try {
+        const workspace = response.locals.workspace;
+        if (!request.query.path) return response.sendStatus(404).end();
+        const filename = normalizePath(String(request.query.path));
+        const filePath = path.resolve(documentsPath, filename);
+        if (
+          path.extname(filePath).toLowerCase() !== ".pdf" ||
+          !isWithin(documentsPath, filePath) ||
+          !fs.existsSync(filePath)
+        )
+          return response.sendStatus(404).end();
+
+        // Only serve originals of documents embedded in this workspace.
+        const document = await Document.get({
+          workspaceId: workspace.id,
+          docpath: filename.replace(/\.pdf$/i, ".json"),
+        });
+        if (!document) return response.sendStatus(404).end();
+
+        response.writeHead(200, {
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `inline; filename="${encodeURIComponent(
+            path.basename(filePath)
+          )}"`,
+        });
+        fs.createReadStream(filePath).pipe(response);
+      } catch (error) {
+        console.error("Error serving the source file:", error);
+        response.status(500).json({ message: "Internal server error" });
+      }
+    }
+  );
+
   app.get(
     "/workspace/:slug/pfp",
     [validatedRequest, flexUserRoleValid([ROLES.all])],
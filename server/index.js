@@ -33,7 +33,9 @@ const { browserExtensionEndpoints } = require("./endpoints/browserExtension");
 const { communityHubEndpoints } = require("./endpoints/communityHub");
 const { agentFlowEndpoints } = require("./endpoints/agentFlows");
 const { mcpServersEndpoints } = require("./endpoints/mcpServers");
+const { workspaceMcpPoliciesEndpoints } = require("./endpoints/workspaceMcpPolicies");
 const { workspacePromptXRolesEndpoints } = require("./endpoints/workspacePromptXRoles");
+const { workspaceRetrievalEvalsEndpoints } = require("./endpoints/workspaceRetrievalEvals");
 const { mobileEndpoints } = require("./endpoints/mobile");
 const { deeconfigEndpoints } = require("./endpoints/deeconfig");
 const { httpLogger } = require("./middleware/httpLogger");
@@ -85,7 +87,9 @@ developerEndpoints(app, apiRouter);
 communityHubEndpoints(apiRouter);
 agentFlowEndpoints(apiRouter);
 mcpServersEndpoints(apiRouter);
+workspaceMcpPoliciesEndpoints(apiRouter);
 workspacePromptXRolesEndpoints(apiRouter);
+workspaceRetrievalEvalsEndpoints(apiRouter);
 mobileEndpoints(apiRouter);
 deeconfigEndpoints(apiRouter);
 
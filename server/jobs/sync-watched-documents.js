@@ -5,6 +5,30 @@ const { fileData } = require("../utils/files");
 const { log, conclude, updateSourceDocument } = require('./helpers/index.js');
 const { getVectorDbClass } = require('../utils/helpers/index.js');
 const { DocumentSyncRun } = require('../models/documentSyncRun.js');
+const { DocumentVectors } = require('../models/vectors.js');
+
+/**
+ * Re-embeds a watched document in a workspace. Vector databases that can diff chunks only embed the chunks that changed,
+ * others have the document deleted and embedded again.
+ * @returns {Promise<{added: number, removed: number, kept: number}>} chunk counts of the workspace
+ */
+async function resyncDocument(vectorDatabase, namespace, documentData, docpath, skipCache = true) {
+  if (typeof vectorDatabase.syncDocumentInNamespace === 'function')
+    return await vectorDatabase.syncDocumentInNamespace(namespace, documentData, docpath);
+
+  const removed = (await DocumentVectors.where({ docId: documentData.docId })).length;
+  await vectorDatabase.deleteDocumentFromNamespace(namespace, documentData.docId);
+  await vectorDatabase.addDocumentToNamespace(namespace, documentData, docpath, skipCache);
+  const added = (await DocumentVectors.where({ docId: documentData.docId })).length;
+  return { added, removed, kept: 0 };
+}
+
+function addCounts(total, counts) {
+  total.added += counts.added;
+  total.removed += counts.removed;
+  total.kept += counts.kept;
+  return total;
+}
 
 (async () => {
   try {
@@ -23,6 +47,7 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
     log(`${queuesToProcess.length} watched documents have been found to be stale and will be updated now.`)
     for (const queue of queuesToProcess) {
       let newContent = null;
+      let newMetadata = {};
       const document = queue.workspaceDoc;
       const workspace = document.workspace;
       const { metadata, type, source } = Document.parseDocumentTypeAndSource(document);
@@ -58,6 +83,20 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
         newContent = response?.content;
       }
 
+      if (type === 'localfolder') {
+        const response = await collector.forwardExtensionRequest({
+          endpoint: "/ext/resync-source-document",
+          method: "POST",
+          body: JSON.stringify({
+            type,
+            options: { chunkSource: metadata.chunkSource, sourceIndex: metadata.sourceIndex, docpath: document.docpath }
+          })
+        });
+        newContent = response?.content;
+        // Page offsets, tables and counts depend on the content of the file so they are refreshed with it.
+        newMetadata = response?.metadata || {};
+      }
+
       if (!newContent) {
         // Check if the last "x" runs were all failures (not exits!). If so - remove the job entirely since it is broken.
         const failedRunCount = (await DocumentSyncRun.where({ queueId: queue.id }, DocumentSyncQueue.maxRepeatFailures, { createdAt: 'desc' })).filter((run) => run.status === DocumentSyncRun.statuses.failed).length;
@@ -75,6 +114,7 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
       const currentDocumentData = await fileData(document.docpath)
       if (currentDocumentData.pageContent === newContent) {
         const nextSync = DocumentSyncQueue.calcNextSync(queue)
+        if (Object.keys(newMetadata).length > 0) updateSourceDocument(document.docpath, { ...currentDocumentData, ...newMetadata });
         log(`Source ${source} is unchanged and will be skipped. Next sync will be ${nextSync.toLocaleString()}.`);
         await DocumentSyncQueue._update(
           queue.id,
@@ -88,26 +128,34 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
       }
 
       // update the defined document and workspace vectorDB with the latest information
-      // it will skip cache and create a new vectorCache file.
+      // only changed chunks are embedded and a new vectorCache file is created.
       const vectorDatabase = getVectorDbClass();
-      await vectorDatabase.deleteDocumentFromNamespace(workspace.slug, document.docId);
-      await vectorDatabase.addDocumentToNamespace(
-        workspace.slug,
-        { ...currentDocumentData, pageContent: newContent, docId: document.docId },
-        document.docpath,
-        true
-      );
+      const chunkCounts = { added: 0, removed: 0, kept: 0 };
+      try {
+        addCounts(chunkCounts, await resyncDocument(
+          vectorDatabase,
+          workspace.slug,
+          { ...currentDocumentData, ...newMetadata, pageContent: newContent, docId: document.docId },
+          document.docpath,
+        ));
+      } catch (e) {
+        log(`Failed to re-sync the vectors of ${source}: ${e.message}. Will retry next worker interval.`);
+        await DocumentSyncQueue.saveRun(queue.id, DocumentSyncRun.statuses.failed, { filename: document.filename, workspacesModified: [], reason: e.message })
+        continue;
+      }
+      await Document.applyTags(workspace.slug, document);
       updateSourceDocument(
         document.docpath,
         {
           ...currentDocumentData,
+          ...newMetadata,
           pageContent: newContent,
           docId: document.docId,
           published: (new Date).toLocaleString(),
           // Todo: Update word count and token_estimate?
         }
       )
-      log(`Workspace "${workspace.name}" vectors of ${source} updated. Document and vector cache updated.`)
+      log(`Workspace "${workspace.name}" vectors of ${source} updated (${chunkCounts.added} added, ${chunkCounts.removed} removed, ${chunkCounts.kept} unchanged chunks). Document and vector cache updated.`)
 
 
       // Now we can bloom the results to all matching documents in all other workspaces
@@ -121,14 +169,20 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
         log(`${source} is referenced in ${moreReferences.length} other workspaces. Updating those workspaces as well...`)
         for (const additionalDocumentRef of moreReferences) {
           const additionalWorkspace = additionalDocumentRef.workspace;
+          try {
+            addCounts(chunkCounts, await resyncDocument(
+              vectorDatabase,
+              additionalWorkspace.slug,
+              { ...currentDocumentData, ...newMetadata, pageContent: newContent, docId: additionalDocumentRef.docId },
+              additionalDocumentRef.docpath,
+              false
+            ));
+          } catch (e) {
+            log(`Failed to re-sync the vectors of ${source} in workspace "${additionalWorkspace.name}": ${e.message}`);
+            continue;
+          }
           workspacesModified.push(additionalWorkspace.slug);
-
-          await vectorDatabase.deleteDocumentFromNamespace(additionalWorkspace.slug, additionalDocumentRef.docId);
-          await vectorDatabase.addDocumentToNamespace(
-            additionalWorkspace.slug,
-            { ...currentDocumentData, pageContent: newContent, docId: additionalDocumentRef.docId },
-            additionalDocumentRef.docpath,
-          );
+          await Document.applyTags(additionalWorkspace.slug, additionalDocumentRef);
           log(`Workspace "${additionalWorkspace.name}" vectors for ${source} was also updated with the new content from cache.`)
         }
       }
@@ -142,7 +196,7 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
           nextSyncAt: nextRefresh.toISOString(),
         }
       );
-      await DocumentSyncQueue.saveRun(queue.id, DocumentSyncRun.statuses.success, { filename: document.filename, workspacesModified })
+      await DocumentSyncQueue.saveRun(queue.id, DocumentSyncRun.statuses.success, { filename: document.filename, workspacesModified }, chunkCounts)
     }
   } catch (e) {
     console.error(e)
@@ -0,0 +1,125 @@
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { default: slugify } = require("slugify");
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * A server-side directory tree mounted into a workspace by the local folder connector.
+ * `include` and `exclude` are JSON arrays of glob patterns relative to `path`.
+ * Every file of the mount is written to the `folderName` documents folder.
+ */
+const DocumentFolderMount = {
+  /**
+   * Validate and normalize the fields of a new mount.
+   * @param {{path: string, include?: string[], exclude?: string[]}} data
+   * @returns {Object} - throws when a field is invalid
+   */
+  validate: function (data = {}) {
+    const root = String(data.path ?? "").trim();
+    if (!root) throw new Error("path is required");
+    if (!path.isAbsolute(root)) throw new Error("path must be absolute");
+
+    const patterns = (field) => {
+      const value = data[field] ?? [];
+      if (!Array.isArray(value))
+        throw new Error(`${field} must be an array of glob patterns`);
+      return JSON.stringify([
+        ...new Set(
+          value.map((pattern) => String(pattern).trim()).filter(Boolean)
+        ),
+      ]);
+    };
+
+    return {
+      path: path.resolve(root),
+      include: patterns("include"),
+      exclude: patterns("exclude"),
+    };
+  },
+
+  /**
+   * Parse the stored JSON fields of a mount.
+   * @param {import("@prisma/client").document_folder_mounts} mount
+   */
+  format: function (mount) {
+    if (!mount) return null;
+    return {
+      ...mount,
+      include: safeJsonParse(mount.include, []) || [],
+      exclude: safeJsonParse(mount.exclude, []) || [],
+    };
+  },
+
+  new: async function (workspaceId, data = {}) {
+    try {
+      const validated = this.validate(data);
+      const folderName = slugify(
+        `local-folder-${path.basename(validated.path) || "root"}-${uuidv4().slice(0, 4)}`
+      ).toLowerCase();
+      const mount = await prisma.document_folder_mounts.create({
+        data: { workspaceId: Number(workspaceId), folderName, ...validated },
+      });
+      return { mount: this.format(mount), message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { mount: null, message: error.message };
+    }
+  },
+
+  /**
+   * Record that the mount was fully compared against its directory tree.
+   * @param {number} id
+   */
+  reconciled: async function (id) {
+    try {
+      await prisma.document_folder_mounts.update({
+        where: { id: Number(id) },
+        data: { lastReconciledAt: new Date(), lastUpdatedAt: new Date() },
+      });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  get: async function (clause = {}, include = null) {
+    try {
+      const mount = await prisma.document_folder_mounts.findFirst({
+        where: clause,
+        ...(include !== null ? { include } : {}),
+      });
+      return this.format(mount);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, include = null) {
+    try {
+      const mounts = await prisma.document_folder_mounts.findMany({
+        where: clause,
+        orderBy: { id: "asc" },
+        ...(include !== null ? { include } : {}),
+      });
+      return mounts.map((mount) => this.format(mount));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.document_folder_mounts.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { DocumentFolderMount };
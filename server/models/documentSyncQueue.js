@@ -4,7 +4,7 @@ const { SystemSettings } = require("./systemSettings");
 const { Telemetry } = require("./telemetry");
 
 /**
- * @typedef {('link'|'youtube'|'confluence'|'github'|'gitlab')} validFileType
+ * @typedef {('link'|'youtube'|'confluence'|'github'|'gitlab'|'drupalwiki'|'localfolder')} validFileType
  */
 
 const DocumentSyncQueue = {
@@ -17,6 +17,7 @@ const DocumentSyncQueue = {
     "github",
     "gitlab",
     "drupalwiki",
+    "localfolder",
   ],
   defaultStaleAfter: 604800000,
   maxRepeatFailures: 5, // How many times a run can fail in a row before pruning.
@@ -62,6 +63,7 @@ const DocumentSyncQueue = {
     if (chunkSource.startsWith("github://")) return true; // If is a GitHub file reference
     if (chunkSource.startsWith("gitlab://")) return true; // If is a GitLab file reference
     if (chunkSource.startsWith("drupalwiki://")) return true; // If is a DrupalWiki document link
+    if (chunkSource.startsWith("localfolder://")) return true; // If is a file of a mounted local folder
     return false;
   },
 
@@ -130,6 +132,21 @@ const DocumentSyncQueue = {
     }
   },
 
+  /**
+   * Marks a document as stale so the next sync run refreshes it, watching the document first if needed.
+   * @param {import("@prisma/client").workspace_documents} document - document record to refresh, must have `id`
+   * @returns {Promise<boolean>}
+   */
+  markStale: async function (document = null) {
+    if (!document) return false;
+    const queue =
+      (await this.get({ workspaceDocId: document.id })) ||
+      (await this.watch(document));
+    if (!queue) return false;
+    await this._update(queue.id, { nextSyncAt: new Date() });
+    return true;
+  },
+
   _update: async function (id = null, data = {}) {
     if (!id) throw new Error("No id provided for update");
 
@@ -228,9 +245,14 @@ const DocumentSyncQueue = {
     return queues;
   },
 
-  saveRun: async function (queueId = null, status = null, result = {}) {
+  saveRun: async function (
+    queueId = null,
+    status = null,
+    result = {},
+    chunkCounts = {}
+  ) {
     const { DocumentSyncRun } = require("./documentSyncRun");
-    return DocumentSyncRun.save(queueId, status, result);
+    return DocumentSyncRun.save(queueId, status, result, chunkCounts);
   },
 
   /**
@@ -7,7 +7,18 @@ const DocumentSyncRun = {
     success: "success",
   },
 
-  save: async function (queueId = null, status = null, result = {}) {
+  /**
+   * @param {number} queueId
+   * @param {string} status - one of DocumentSyncRun.statuses
+   * @param {Object} result - details of the run, stored as JSON
+   * @param {{added?: number, removed?: number, kept?: number}} chunkCounts - chunks embedded, deleted and left unchanged by the run
+   */
+  save: async function (
+    queueId = null,
+    status = null,
+    result = {},
+    chunkCounts = {}
+  ) {
     try {
       if (!this.statuses.hasOwnProperty(status))
         throw new Error(
@@ -19,6 +30,9 @@ const DocumentSyncRun = {
           queueId: Number(queueId),
           status: String(status),
           result: JSON.stringify(result),
+          chunksAdded: Number(chunkCounts.added) || 0,
+          chunksRemoved: Number(chunkCounts.removed) || 0,
+          chunksKept: Number(chunkCounts.kept) || 0,
         },
       });
       return run || null;
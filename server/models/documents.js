@@ -226,6 +226,54 @@ const Document = {
       return false;
     }
   },
+  /**
+   * Tags (department, language, version, validity range) stored in the document metadata.
+   * @param {import("@prisma/client").workspace_documents} document
+   * @returns {import("../utils/retrievalFilter").DocumentTags|null}
+   */
+  tags: function (document) {
+    return safeJsonParse(document?.metadata, null)?.tags || null;
+  },
+  /**
+   * Validate and save the tags of a workspace document, then copy them onto its vectors
+   * so retrieval can be filtered by them.
+   * @param {import("@prisma/client").workspaces} workspace
+   * @param {import("@prisma/client").workspace_documents} document
+   * @param {Object} tags - throws when a tag is unknown or a date is invalid
+   * @returns {Promise<{document: Object|null, message: string|null}>}
+   */
+  setTags: async function (workspace, document, tags = {}) {
+    const { normalizeTags } = require("../utils/retrievalFilter");
+    const normalized = normalizeTags(tags);
+    const metadata = safeJsonParse(document.metadata, {}) || {};
+    if (Object.keys(normalized).length > 0) metadata.tags = normalized;
+    else delete metadata.tags;
+
+    try {
+      const updated = await prisma.workspace_documents.update({
+        where: { id: document.id },
+        data: { metadata: JSON.stringify(metadata) },
+      });
+      await this.applyTags(workspace.slug, updated, normalized);
+      return { document: updated, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { document: null, message: error.message };
+    }
+  },
+  /**
+   * Copy the stored tags of a document onto its vectors, e.g. after it was re-embedded.
+   * Providers without tag support are skipped.
+   * @param {string} namespace - workspace slug
+   * @param {import("@prisma/client").workspace_documents} document
+   * @param {import("../utils/retrievalFilter").DocumentTags|null} tags - defaults to the stored tags
+   * @returns {Promise<void>}
+   */
+  applyTags: async function (namespace, document, tags = this.tags(document)) {
+    const VectorDb = getVectorDbClass();
+    if (!tags || typeof VectorDb.setDocumentTags !== "function") return;
+    await VectorDb.setDocumentTags(namespace, document.docId, tags);
+  },
   content: async function (docId) {
     if (!docId) throw new Error("No workspace docId provided!");
     const document = await this.get({ docId: String(docId) });
@@ -22,6 +22,7 @@ const SystemSettings = {
     "support_email",
     "text_splitter_chunk_size",
     "text_splitter_chunk_overlap",
+    "text_splitter_strategy",
     "max_embed_chunk_size",
     "agent_search_provider",
     "agent_sql_connections",
@@ -41,6 +42,7 @@ const SystemSettings = {
 
     "text_splitter_chunk_size",
     "text_splitter_chunk_overlap",
+    "text_splitter_strategy",
     "agent_search_provider",
     "default_agent_skills",
     "disabled_agent_skills",
@@ -99,6 +101,11 @@ const SystemSettings = {
         return 20;
       }
     },
+    text_splitter_strategy: (update) => {
+      // The strategy is recorded in the vector cache so the cache does not need to be purged.
+      const { TextSplitter } = require("../utils/TextSplitter");
+      return TextSplitter.validStrategy(update) ?? "recursive";
+    },
     agent_search_provider: (update) => {
       try {
         if (update === "none") return null;
@@ -228,6 +235,17 @@ const SystemSettings = {
         process.env.GENERIC_OPEN_AI_EMBEDDING_MAX_CONCURRENT_CHUNKS || 500,
       GeminiEmbeddingApiKey: !!process.env.GEMINI_EMBEDDING_API_KEY,
 
+      // --------------------------------------------------------
+      // Reranker Provider Selection Settings & Configs
+      // --------------------------------------------------------
+      RerankingProvider: process.env.RERANKING_PROVIDER || "native",
+      RerankingModelPref: process.env.RERANKING_MODEL_PREF,
+      JinaApiKey: !!process.env.JINA_API_KEY,
+      GenericOpenAiRerankingBasePath:
+        process.env.GENERIC_OPEN_AI_RERANKING_BASE_PATH,
+      GenericOpenAiRerankingApiKey:
+        !!process.env.GENERIC_OPEN_AI_RERANKING_API_KEY,
+
       // --------------------------------------------------------
       // VectorDB Provider Selection Settings & Configs
       // --------------------------------------------------------
@@ -6,6 +6,7 @@ const { ROLES } = require("../utils/middleware/multiUserProtected");
 const { v4: uuidv4 } = require("uuid");
 const { User } = require("./user");
 const { PromptHistory } = require("./promptHistory");
+const { parseFilter, formatFilter } = require("../utils/retrievalFilter");
 
 function isNullOrNaN(value) {
   if (value === null) return true;
@@ -29,6 +30,12 @@ function isNullOrNaN(value) {
  * @property {string} agentModel - The agent model of the workspace
  * @property {string} queryRefusalResponse - The query refusal response of the workspace
  * @property {string} vectorSearchMode - The vector search mode of the workspace
+ * @property {number} agenticMaxRounds - The max retrieval rounds per message in agentic chat mode
+ * @property {string} queryRewriteMode - How the message is rewritten before vector search (off, rewrite, hyde)
+ * @property {string|null} retrievalFilter - Document tag filter expression applied to every vector search
+ * @property {string} citationMode - Whether answers cite numbered context chunks inline (off, grounded)
+ * @property {string|null} chunkingStrategy - Chunking strategy for documents embedded into this workspace, null follows the system setting
+ * @property {number} parentRetrievalWindow - Neighbouring chunks added on each side of a retrieved chunk, 0 disables parent-document retrieval
  */
 
 const Workspace = {
@@ -55,6 +62,12 @@ const Workspace = {
     "agentModel",
     "queryRefusalResponse",
     "vectorSearchMode",
+    "agenticMaxRounds",
+    "queryRewriteMode",
+    "retrievalFilter",
+    "citationMode",
+    "chunkingStrategy",
+    "parentRetrievalWindow",
   ],
 
   validations: {
@@ -93,7 +106,8 @@ const Workspace = {
       return n;
     },
     chatMode: (value) => {
-      if (!value || !["chat", "query"].includes(value)) return "chat";
+      if (!value || !["chat", "query", "agentic"].includes(value))
+        return "chat";
       return value;
     },
     chatProvider: (value) => {
@@ -124,11 +138,52 @@ const Workspace = {
       if (
         !value ||
         typeof value !== "string" ||
-        !["default", "rerank"].includes(value)
+        !["default", "rerank", "hybrid"].includes(value)
       )
         return "default";
       return value;
     },
+    agenticMaxRounds: (value) => {
+      const n = parseInt(value);
+      if (isNullOrNaN(n)) return 3;
+      return Math.min(Math.max(n, 1), 5);
+    },
+    queryRewriteMode: (value) => {
+      if (
+        !value ||
+        typeof value !== "string" ||
+        !["off", "rewrite", "hyde"].includes(value)
+      )
+        return "off";
+      return value;
+    },
+    retrievalFilter: (value) => {
+      try {
+        return formatFilter(parseFilter(value));
+      } catch {
+        return null;
+      }
+    },
+    citationMode: (value) => {
+      if (
+        !value ||
+        typeof value !== "string" ||
+        !["off", "grounded"].includes(value)
+      )
+        return "off";
+      return value;
+    },
+    chunkingStrategy: (value) => {
+      // null follows the system wide text splitter strategy
+      const { TextSplitter } = require("../utils/TextSplitter");
+      return TextSplitter.validStrategy(value);
+    },
+    parentRetrievalWindow: (value) => {
+      // 0 disables parent-document retrieval
+      const n = parseInt(value);
+      if (isNullOrNaN(n)) return 0;
+      return Math.min(Math.max(n, 0), 5);
+    },
   },
 
   /**
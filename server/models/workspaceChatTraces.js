@@ -0,0 +1,51 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * The retrieval trace of a chat response - the effective query, every candidate chunk with
+ * its scores, pinned and backfilled sources and the token counts of the prompt sections.
+ * Traces are deleted along with their chat.
+ */
+const WorkspaceChatTrace = {
+  new: async function (chatId, trace = {}) {
+    try {
+      const record = await prisma.workspace_chat_traces.create({
+        data: { chatId: Number(chatId), trace: JSON.stringify(trace) },
+      });
+      return { trace: this.format(record), message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { trace: null, message: error.message };
+    }
+  },
+
+  /**
+   * @param {import("@prisma/client").workspace_chat_traces} record
+   */
+  format: function (record) {
+    if (!record) return null;
+    return { ...record, trace: safeJsonParse(record.trace, {}) };
+  },
+
+  /**
+   * The trace of a chat, only when the chat belongs to the given workspace.
+   * @param {number} chatId
+   * @param {number} workspaceId
+   */
+  forChat: async function (chatId, workspaceId) {
+    try {
+      const record = await prisma.workspace_chat_traces.findFirst({
+        where: {
+          chatId: Number(chatId),
+          chat: { workspaceId: Number(workspaceId) },
+        },
+      });
+      return this.format(record);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+};
+
+module.exports = { WorkspaceChatTrace };
@@ -0,0 +1,115 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * A golden question of a workspace used to evaluate retrieval and answers.
+ * `expectedSources` is a JSON array of document titles or docpaths
+ * (eg: `custom-documents/handbook-1a2b.json`) that should be retrieved for the question.
+ */
+const WorkspaceEvalQuestion = {
+  writable: ["question", "expectedSources", "referenceAnswer"],
+
+  /**
+   * Validate and normalize the writable fields of a golden question.
+   * @param {Object} data
+   * @param {boolean} partial - only validate the fields present in data
+   * @returns {Object} - throws when a field is invalid
+   */
+  validate: function (data = {}, partial = false) {
+    const validated = {};
+    if (!partial || data.hasOwnProperty("question")) {
+      const question = String(data.question ?? "").trim();
+      if (!question) throw new Error("question is required");
+      validated.question = question;
+    }
+    if (!partial || data.hasOwnProperty("expectedSources")) {
+      const sources = data.expectedSources ?? [];
+      if (!Array.isArray(sources))
+        throw new Error("expectedSources must be an array of strings");
+      validated.expectedSources = JSON.stringify([
+        ...new Set(
+          sources.map((source) => String(source).trim()).filter(Boolean)
+        ),
+      ]);
+    }
+    if (!partial || data.hasOwnProperty("referenceAnswer")) {
+      const answer = String(data.referenceAnswer ?? "").trim();
+      validated.referenceAnswer = answer || null;
+    }
+    return validated;
+  },
+
+  /**
+   * Parse the stored JSON fields of a question.
+   * @param {import("@prisma/client").workspace_eval_questions} question
+   */
+  format: function (question) {
+    if (!question) return null;
+    return {
+      ...question,
+      expectedSources: safeJsonParse(question.expectedSources, []) || [],
+    };
+  },
+
+  new: async function (workspaceId, data = {}) {
+    try {
+      const question = await prisma.workspace_eval_questions.create({
+        data: { workspaceId: Number(workspaceId), ...this.validate(data) },
+      });
+      return { question: this.format(question), message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { question: null, message: error.message };
+    }
+  },
+
+  update: async function (id, data = {}) {
+    try {
+      const question = await prisma.workspace_eval_questions.update({
+        where: { id: Number(id) },
+        data: { ...this.validate(data, true), lastUpdatedAt: new Date() },
+      });
+      return { question: this.format(question), message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { question: null, message: error.message };
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const question = await prisma.workspace_eval_questions.findFirst({
+        where: clause,
+      });
+      return this.format(question);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  forWorkspace: async function (workspaceId) {
+    try {
+      const questions = await prisma.workspace_eval_questions.findMany({
+        where: { workspaceId: Number(workspaceId) },
+        orderBy: { id: "asc" },
+      });
+      return questions.map((question) => this.format(question));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.workspace_eval_questions.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { WorkspaceEvalQuestion };
@@ -0,0 +1,120 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * One replay of a workspace golden set. The retrieval/chat configuration used for the
+ * run is stored with it so that two runs can be compared after settings changed.
+ */
+const WorkspaceEvalRun = {
+  statuses: {
+    running: "running",
+    completed: "completed",
+    failed: "failed",
+  },
+
+  /**
+   * Parse the stored JSON fields of a run.
+   * @param {import("@prisma/client").workspace_eval_runs} run
+   * @param {boolean} includeResults - per question results can be large
+   */
+  format: function (run, includeResults = true) {
+    if (!run) return null;
+    const { results, ...rest } = run;
+    return {
+      ...rest,
+      config: safeJsonParse(run.config, {}),
+      metrics: safeJsonParse(run.metrics, null),
+      ...(includeResults ? { results: safeJsonParse(results, []) } : {}),
+    };
+  },
+
+  new: async function (workspaceId, { label = null, config = {} } = {}) {
+    try {
+      const run = await prisma.workspace_eval_runs.create({
+        data: {
+          workspaceId: Number(workspaceId),
+          label: label ? String(label) : null,
+          config: JSON.stringify(config),
+          status: this.statuses.running,
+        },
+      });
+      return { run: this.format(run), message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { run: null, message: error.message };
+    }
+  },
+
+  complete: async function (id, { metrics = {}, results = [] } = {}) {
+    try {
+      const run = await prisma.workspace_eval_runs.update({
+        where: { id: Number(id) },
+        data: {
+          status: this.statuses.completed,
+          metrics: JSON.stringify(metrics),
+          results: JSON.stringify(results),
+          completedAt: new Date(),
+        },
+      });
+      return this.format(run);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  fail: async function (id, errorMessage = null) {
+    try {
+      const run = await prisma.workspace_eval_runs.update({
+        where: { id: Number(id) },
+        data: {
+          status: this.statuses.failed,
+          error: String(errorMessage),
+          completedAt: new Date(),
+        },
+      });
+      return this.format(run);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const run = await prisma.workspace_eval_runs.findFirst({
+        where: clause,
+      });
+      return this.format(run);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  forWorkspace: async function (workspaceId, limit = null) {
+    try {
+      const runs = await prisma.workspace_eval_runs.findMany({
+        where: { workspaceId: Number(workspaceId) },
+        orderBy: { id: "desc" },
+        ...(limit !== null ? { take: limit } : {}),
+      });
+      return runs.map((run) => this.format(run, false));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.workspace_eval_runs.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { WorkspaceEvalRun };
@@ -1,6 +1,7 @@
 const prisma = require("../utils/prisma");
 const slugifyModule = require("slugify");
 const { v4: uuidv4 } = require("uuid");
+const { parseFilter, formatFilter } = require("../utils/retrievalFilter");
 
 const WorkspaceThread = {
   defaultName: "Thread",
@@ -145,6 +146,85 @@ const WorkspaceThread = {
     onRename?.(updatedThread);
     return true;
   },
+
+  /**
+   * Set (or clear with null) the PromptX role every message in this thread runs under.
+   * The switch is recorded in workspace_thread_role_switches so the thread keeps a role history.
+   * @param {Object} thread - the current thread record
+   * @param {string|null} roleId - role to activate, null to clear
+   * @param {{userId?: number|null, source?: "command"|"api"}} options
+   * @returns {Promise<{thread: Object|null, message: string|null}>}
+   */
+  setPromptxRole: async function (
+    thread,
+    roleId = null,
+    { userId = null, source = "api" } = {}
+  ) {
+    if (!thread) throw new Error("No thread provided to set role on");
+    const fromRoleId = thread.activePromptxRoleId || null;
+    if (fromRoleId === roleId) return { thread, message: null };
+
+    try {
+      const [updatedThread] = await prisma.$transaction([
+        prisma.workspace_threads.update({
+          where: { id: thread.id },
+          data: { activePromptxRoleId: roleId },
+        }),
+        prisma.workspace_thread_role_switches.create({
+          data: {
+            thread_id: thread.id,
+            fromRoleId,
+            toRoleId: roleId,
+            source,
+            user_id: userId ? Number(userId) : null,
+          },
+        }),
+      ]);
+      return { thread: updatedThread, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { thread: null, message: error.message };
+    }
+  },
+
+  /**
+   * Set (or clear with null) the document tag filter applied to retrieval in this thread.
+   * It is merged over the workspace filter key by key.
+   * @param {Object} thread - the current thread record
+   * @param {import("../utils/retrievalFilter").RetrievalFilter|string|null} filter
+   * @returns {Promise<{thread: Object|null, message: string|null}>}
+   */
+  setRetrievalFilter: async function (thread, filter = null) {
+    if (!thread) throw new Error("No thread provided to set filter on");
+
+    try {
+      const updatedThread = await prisma.workspace_threads.update({
+        where: { id: thread.id },
+        data: { retrievalFilter: formatFilter(parseFilter(filter)) },
+      });
+      return { thread: updatedThread, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { thread: null, message: error.message };
+    }
+  },
+
+  /**
+   * Role switches of a thread, oldest first.
+   * @param {Object} thread
+   * @returns {Promise<Object[]>}
+   */
+  promptxRoleHistory: async function (thread) {
+    try {
+      return await prisma.workspace_thread_role_switches.findMany({
+        where: { thread_id: thread.id },
+        orderBy: { id: "asc" },
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
 };
 
 module.exports = { WorkspaceThread };
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "workspace_promptx_roles" ADD COLUMN "pinnedVersion" TEXT;
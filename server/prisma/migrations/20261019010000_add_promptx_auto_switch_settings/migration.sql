@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "workspace_promptx_configs" ADD COLUMN "autoSwitchStrategy" TEXT NOT NULL DEFAULT 'embedding';
+ALTER TABLE "workspace_promptx_configs" ADD COLUMN "autoSwitchThreshold" REAL NOT NULL DEFAULT 0.5;
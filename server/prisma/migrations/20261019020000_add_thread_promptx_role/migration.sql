@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "workspace_threads" ADD COLUMN "activePromptxRoleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "workspace_thread_role_switches" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "thread_id" INTEGER NOT NULL,
+    "fromRoleId" TEXT,
+    "toRoleId" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'command',
+    "user_id" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "workspace_thread_role_switches_thread_id_fkey" FOREIGN KEY ("thread_id") REFERENCES "workspace_threads" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "workspace_thread_role_switches_thread_id_idx" ON "workspace_thread_role_switches"("thread_id");
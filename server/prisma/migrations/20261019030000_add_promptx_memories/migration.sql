@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "workspace_promptx_configs" ADD COLUMN "memoryScope" TEXT NOT NULL DEFAULT 'workspace';
+ALTER TABLE "workspace_promptx_configs" ADD COLUMN "memoryLimit" INTEGER NOT NULL DEFAULT 1000;
+ALTER TABLE "workspace_promptx_configs" ADD COLUMN "memoryRetentionDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "workspace_promptx_memories" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "workspaceId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "roleId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "schema" TEXT,
+    "strength" REAL NOT NULL DEFAULT 0.8,
+    "type" TEXT NOT NULL DEFAULT 'ATOMIC',
+    "recallCount" INTEGER NOT NULL DEFAULT 0,
+    "lastRecalledAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "workspace_promptx_memories_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "workspace_promptx_memories_workspaceId_userId_roleId_idx" ON "workspace_promptx_memories"("workspaceId", "userId", "roleId");
+
+-- CreateIndex
+CREATE INDEX "workspace_promptx_memories_createdAt_idx" ON "workspace_promptx_memories"("createdAt");
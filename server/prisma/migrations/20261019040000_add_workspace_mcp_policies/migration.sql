@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "workspace_mcp_policies" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "workspaceId" INTEGER NOT NULL,
+    "serverName" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "allowedTools" TEXT,
+    "deniedTools" TEXT,
+    "updatedBy" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "workspace_mcp_policies_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "workspace_mcp_policies_workspaceId_idx" ON "workspace_mcp_policies"("workspaceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_mcp_policies_workspaceId_serverName_key" ON "workspace_mcp_policies"("workspaceId", "serverName");
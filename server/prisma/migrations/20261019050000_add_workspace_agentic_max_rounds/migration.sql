@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "agenticMaxRounds" INTEGER DEFAULT 3;
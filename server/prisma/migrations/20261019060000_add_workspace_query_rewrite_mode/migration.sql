@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "queryRewriteMode" TEXT DEFAULT 'off';
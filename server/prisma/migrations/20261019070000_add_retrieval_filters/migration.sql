@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "retrievalFilter" TEXT;
+
+-- AlterTable
+ALTER TABLE "workspace_threads" ADD COLUMN "retrievalFilter" TEXT;
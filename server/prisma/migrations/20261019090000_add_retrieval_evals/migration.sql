@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "workspace_eval_questions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "workspaceId" INTEGER NOT NULL,
+    "question" TEXT NOT NULL,
+    "expectedSources" TEXT NOT NULL DEFAULT '[]',
+    "referenceAnswer" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "workspace_eval_questions_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "workspace_eval_runs" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "workspaceId" INTEGER NOT NULL,
+    "label" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "config" TEXT NOT NULL,
+    "metrics" TEXT,
+    "results" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME,
+    CONSTRAINT "workspace_eval_runs_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "workspace_eval_questions_workspaceId_idx" ON "workspace_eval_questions"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "workspace_eval_runs_workspaceId_idx" ON "workspace_eval_runs"("workspaceId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "parentRetrievalWindow" INTEGER DEFAULT 0;
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "workspace_chat_traces" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "chatId" INTEGER NOT NULL,
+    "trace" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "workspace_chat_traces_chatId_fkey" FOREIGN KEY ("chatId") REFERENCES "workspace_chats" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_chat_traces_chatId_key" ON "workspace_chat_traces"("chatId");
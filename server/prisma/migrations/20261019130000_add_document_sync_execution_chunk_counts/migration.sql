@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "document_sync_executions" ADD COLUMN "chunksAdded" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "document_sync_executions" ADD COLUMN "chunksRemoved" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "document_sync_executions" ADD COLUMN "chunksKept" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "document_folder_mounts" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "workspaceId" INTEGER NOT NULL,
+    "path" TEXT NOT NULL,
+    "include" TEXT NOT NULL DEFAULT '[]',
+    "exclude" TEXT NOT NULL DEFAULT '[]',
+    "folderName" TEXT NOT NULL,
+    "lastReconciledAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "document_folder_mounts_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_folder_mounts_folderName_key" ON "document_folder_mounts"("folderName");
+
+-- CreateIndex
+CREATE INDEX "document_folder_mounts_workspaceId_idx" ON "document_folder_mounts"("workspaceId");
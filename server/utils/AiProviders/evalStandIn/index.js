@@ -0,0 +1,157 @@
+const { NativeEmbedder } = require("../../EmbeddingEngines/native");
+const { formatChatHistory } = require("../../helpers/chat/responses");
+const {
+  LLMPerformanceMonitor,
+} = require("../../helpers/chat/LLMPerformanceMonitor");
+const { tokenize } = require("../../KeywordIndex");
+
+/**
+ * A deterministic, offline stand-in for a chat model used by the retrieval evaluation harness.
+ * It does not generate text - it answers with the context sentences that share the most terms
+ * with the question, so answer scores only move when retrieval changes.
+ * When the context is numbered for grounded answers the [n] marker of the chunk is kept.
+ */
+class EvalStandInLLM {
+  static ANSWER_SENTENCES = 2;
+  static NO_ANSWER = "I could not find an answer in the provided context.";
+
+  constructor(embedder = null, modelPreference = null) {
+    this.className = "EvalStandInLLM";
+    this.model = modelPreference ?? "extractive";
+    this.limits = {
+      history: this.promptWindowLimit() * 0.15,
+      system: this.promptWindowLimit() * 0.15,
+      user: this.promptWindowLimit() * 0.7,
+    };
+
+    this.embedder = embedder ?? new NativeEmbedder();
+    this.defaultTemp = 0;
+  }
+
+  #appendContext(contextTexts = []) {
+    if (!contextTexts || !contextTexts.length) return "";
+    return (
+      "\nContext:\n" +
+      contextTexts
+        .map((text, i) => {
+          return `[CONTEXT ${i}]:\n${text}\n[END CONTEXT ${i}]\n\n`;
+        })
+        .join("")
+    );
+  }
+
+  #contextsFrom(messages = []) {
+    const system = messages.find((msg) => msg.role === "system")?.content;
+    if (typeof system !== "string") return [];
+    return [
+      ...system.matchAll(/\[CONTEXT \d+\]:\n([\s\S]*?)\n\[END CONTEXT \d+\]/g),
+    ].map((match) => match[1]);
+  }
+
+  streamingEnabled() {
+    return "streamGetChatCompletion" in this;
+  }
+
+  static promptWindowLimit(_modelName) {
+    return 8192;
+  }
+
+  promptWindowLimit() {
+    return 8192;
+  }
+
+  isValidChatCompletionModel(_modelName = "") {
+    return true;
+  }
+
+  constructPrompt({
+    systemPrompt = "",
+    contextTexts = [],
+    chatHistory = [],
+    userPrompt = "",
+  }) {
+    const prompt = {
+      role: "system",
+      content: `${systemPrompt}${this.#appendContext(contextTexts)}`,
+    };
+    return [
+      prompt,
+      ...formatChatHistory(chatHistory, ({ userPrompt }) => userPrompt),
+      { role: "user", content: userPrompt },
+    ];
+  }
+
+  /**
+   * Pick the context sentences that overlap most with the last user message.
+   * @param {{role: string, content: string}[]} messages
+   * @returns {string}
+   */
+  answer(messages = []) {
+    const question = [...messages].reverse().find((msg) => msg.role === "user");
+    const terms = new Set(
+      tokenize(typeof question?.content === "string" ? question.content : "")
+    );
+
+    const candidates = [];
+    this.#contextsFrom(messages).forEach((context, position) => {
+      const marker = context.match(/^\[(\d+)\] /);
+      const text = marker ? context.slice(marker[0].length) : context;
+      for (const sentence of text.split(/(?<=[.!?。！？])\s*|\n+/)) {
+        const trimmed = sentence.trim();
+        if (!trimmed) continue;
+        const score = tokenize(trimmed).filter((term) =>
+          terms.has(term)
+        ).length;
+        if (score === 0) continue;
+        candidates.push({
+          text: marker ? `${trimmed}[${marker[1]}]` : trimmed,
+          score,
+          position,
+        });
+      }
+    });
+
+    if (candidates.length === 0) return EvalStandInLLM.NO_ANSWER;
+    return candidates
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, EvalStandInLLM.ANSWER_SENTENCES)
+      .map((candidate) => candidate.text)
+      .join(" ");
+  }
+
+  async getChatCompletion(messages = null, _options = {}) {
+    const textResponse = this.answer(messages || []);
+    const promptTokens = LLMPerformanceMonitor.countTokens(messages || []);
+    const completionTokens = LLMPerformanceMonitor.countTokens([
+      { content: textResponse },
+    ]);
+    return {
+      textResponse,
+      metrics: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        outputTps: 0,
+        duration: 0,
+      },
+    };
+  }
+
+  // Simple wrapper for dynamic embedder & normalize interface for all LLM implementations
+  async embedTextInput(textInput) {
+    return await this.embedder.embedTextInput(textInput);
+  }
+  async embedChunks(textChunks = []) {
+    return await this.embedder.embedChunks(textChunks);
+  }
+
+  async compressMessages(promptArgs = {}, rawHistory = []) {
+    const { messageArrayCompressor } = require("../../helpers/chat");
+    const messageArray = this.constructPrompt(promptArgs);
+    return await messageArrayCompressor(this, messageArray, rawHistory);
+  }
+}
+
+module.exports = {
+  EvalStandInLLM,
+};
@@ -71,6 +71,23 @@ class BackgroundService {
     this.#log("Service stopped");
   }
 
+  /**
+   * Runs an active job now instead of waiting for its next interval, eg: to sync documents known to be stale.
+   * @param {string} name - name of the job
+   * @returns {Promise<boolean>} - false when the job is not active or could not be started
+   */
+  async runJob(name) {
+    if (!this.bree || !this.jobs().some((job) => job.name === name))
+      return false;
+    try {
+      await this.bree.run(name);
+      return true;
+    } catch (e) {
+      this.#log(`Could not run job ${name}: ${e.message}`);
+      return false;
+    }
+  }
+
   /** @returns {import("@mintplex-labs/bree").Job[]} */
   jobs() {
     const activeJobs = [...this.#alwaysRunJobs];
@@ -0,0 +1,68 @@
+const { postRerankRequest, rankDocuments } = require("../helpers");
+
+/**
+ * Reranker for local or self-hosted servers that expose a `/rerank` endpoint
+ * next to their OpenAI-compatible API (llama.cpp, vLLM, LocalAI, Infinity, Xinference...).
+ */
+class GenericOpenAiReranker {
+  constructor() {
+    if (!process.env.GENERIC_OPEN_AI_RERANKING_BASE_PATH)
+      throw new Error(
+        "GenericOpenAI reranker must have a base path set for API calls."
+      );
+
+    this.basePath = process.env.GENERIC_OPEN_AI_RERANKING_BASE_PATH.replace(
+      /\/+$/,
+      ""
+    );
+    this.apiKey = process.env.GENERIC_OPEN_AI_RERANKING_API_KEY ?? null;
+    this.model = process.env.RERANKING_MODEL_PREF ?? null;
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[36m[GenericOpenAiReranker]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * Reranks a list of documents based on the query.
+   * Servers differ slightly in their response shape, so both `results` and `data` lists
+   * with either a `relevance_score` or `score` field are accepted.
+   * @param {string} query - The query to rerank the documents against.
+   * @param {{text: string}[]} documents - The list of document text snippets to rerank. Should be output from a vector search.
+   * @param {Object} options - The options for the reranking.
+   * @param {number} options.topK - The number of top documents to return.
+   * @returns {Promise<any[]>} - The reranked list of documents.
+   */
+  async rerank(query, documents, options = { topK: 4 }) {
+    const start = Date.now();
+    const response = await postRerankRequest(`${this.basePath}/rerank`, {
+      provider: "GenericOpenAI",
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        ...(this.model ? { model: this.model } : {}),
+        query,
+        documents: documents.map((doc) => doc.text),
+        top_n: options.topK,
+      },
+    });
+    const results = Array.isArray(response)
+      ? response
+      : response?.results ?? response?.data ?? [];
+
+    this.log(
+      `Reranking ${documents.length} documents to top ${options.topK} took ${Date.now() - start}ms`
+    );
+    return rankDocuments(
+      documents,
+      results.map((result) => ({
+        index: result.index,
+        score: result.relevance_score ?? result.score,
+      })),
+      options.topK
+    );
+  }
+}
+
+module.exports = {
+  GenericOpenAiReranker,
+};
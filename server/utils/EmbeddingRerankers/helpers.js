@@ -0,0 +1,55 @@
+/**
+ * Sends a rerank request to an HTTP rerank API and returns the parsed JSON body.
+ * @param {string} url - The full url of the rerank endpoint.
+ * @param {Object} options
+ * @param {Object} options.headers - Extra headers for the request (eg: Authorization).
+ * @param {Object} options.body - The JSON body of the request.
+ * @param {string} options.provider - The name of the provider for error messages.
+ * @returns {Promise<Object>}
+ */
+async function postRerankRequest(url, { headers = {}, body = {}, provider }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => "");
+    throw new Error(
+      `${provider} rerank request failed with status ${response.status}: ${detail}`
+    );
+  }
+  return await response.json();
+}
+
+/**
+ * Applies relevance scores to the documents in the same shape as the native reranker output
+ * so every provider can be used interchangeably. Documents without a score are ranked last.
+ * @param {Object[]} documents - The documents that were sent to the reranker.
+ * @param {{index: number, score: number}[]} scores - Relevance scores by document index.
+ * @param {number} topK - The number of top documents to return.
+ * @returns {Object[]} - The reranked list of documents with `rerank_score` and `rerank_corpus_id`.
+ */
+function rankDocuments(documents = [], scores = [], topK = 4) {
+  const scoreByIndex = new Map();
+  for (const { index, score } of scores) {
+    if (!Number.isInteger(index) || !documents[index]) continue;
+    if (typeof score !== "number" || isNaN(score)) continue;
+    scoreByIndex.set(index, score);
+  }
+
+  return documents
+    .map((doc, i) => ({
+      rerank_corpus_id: i,
+      rerank_score: scoreByIndex.has(i) ? scoreByIndex.get(i) : 0,
+      ...doc,
+    }))
+    .sort((a, b) => b.rerank_score - a.rerank_score)
+    .slice(0, topK);
+}
+
+module.exports = {
+  postRerankRequest,
+  rankDocuments,
+};
@@ -0,0 +1,101 @@
+const { rankDocuments } = require("../helpers");
+
+/**
+ * Uses the workspace's own chat model as a reranker. The model is asked to grade every
+ * snippet for relevance to the query and the grades are used as rerank scores.
+ * This needs no extra model or API key but costs one chat completion per batch of snippets.
+ */
+class LLMReranker {
+  // Number of snippets graded per chat completion
+  static BATCH_SIZE = 10;
+  // Max characters of a snippet sent to the model for grading
+  static MAX_SNIPPET_LENGTH = 1_000;
+
+  constructor() {
+    this.model = null; // the model of the workspace LLMConnector is used
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[36m[LLMReranker]\x1b[0m ${text}`, ...args);
+  }
+
+  #prompt(query, documents = []) {
+    const snippets = documents
+      .map(
+        (doc, i) =>
+          `[${i}] ${String(doc.text || "").slice(0, LLMReranker.MAX_SNIPPET_LENGTH)}`
+      )
+      .join("\n\n");
+    return [
+      {
+        role: "system",
+        content:
+          "You grade how relevant text snippets are to a search query. " +
+          "Score every snippet from 0 (unrelated) to 10 (directly answers the query). " +
+          `Reply only with a JSON array of ${documents.length} numbers, one score per snippet in the given order.`,
+      },
+      {
+        role: "user",
+        content: `Query: ${query}\n\nSnippets:\n${snippets}`,
+      },
+    ];
+  }
+
+  /**
+   * Parses the scores from the model response - normalized to 0-1.
+   * @param {string} text - The model response.
+   * @param {number} count - The number of snippets that were graded.
+   * @returns {(number|null)[]}
+   */
+  static parseScores(text = "", count = 0) {
+    const match = String(text).match(/\[[\s\S]*?\]/);
+    if (!match) return new Array(count).fill(null);
+    try {
+      const scores = JSON.parse(match[0]);
+      return new Array(count).fill(null).map((_, i) => {
+        const score = Number(scores[i]);
+        if (scores[i] === null || isNaN(score)) return null;
+        return Math.min(Math.max(score, 0), 10) / 10;
+      });
+    } catch {
+      return new Array(count).fill(null);
+    }
+  }
+
+  /**
+   * Reranks a list of documents based on the query.
+   * @param {string} query - The query to rerank the documents against.
+   * @param {{text: string}[]} documents - The list of document text snippets to rerank. Should be output from a vector search.
+   * @param {Object} options - The options for the reranking.
+   * @param {number} options.topK - The number of top documents to return.
+   * @param {import("../../helpers").BaseLLMProvider} options.LLMConnector - The LLM of the workspace to grade the snippets with.
+   * @returns {Promise<any[]>} - The reranked list of documents.
+   */
+  async rerank(query, documents, options = { topK: 4, LLMConnector: null }) {
+    const { LLMConnector = null } = options;
+    if (!LLMConnector)
+      throw new Error("LLM reranker requires the workspace LLM connector.");
+
+    const start = Date.now();
+    const scores = [];
+    for (let i = 0; i < documents.length; i += LLMReranker.BATCH_SIZE) {
+      const batch = documents.slice(i, i + LLMReranker.BATCH_SIZE);
+      const { textResponse } = await LLMConnector.getChatCompletion(
+        this.#prompt(query, batch),
+        { temperature: 0 }
+      );
+      LLMReranker.parseScores(textResponse, batch.length).forEach((score, j) =>
+        scores.push({ index: i + j, score })
+      );
+    }
+
+    this.log(
+      `Reranking ${documents.length} documents to top ${options.topK} with ${LLMConnector.model} took ${Date.now() - start}ms`
+    );
+    return rankDocuments(documents, scores, options.topK);
+  }
+}
+
+module.exports = {
+  LLMReranker,
+};
@@ -0,0 +1,56 @@
+const { postRerankRequest, rankDocuments } = require("../helpers");
+
+class VoyageAiReranker {
+  constructor() {
+    if (!process.env.VOYAGEAI_API_KEY)
+      throw new Error("No Voyage AI API key was set.");
+
+    this.apiKey = process.env.VOYAGEAI_API_KEY;
+    this.model = process.env.RERANKING_MODEL_PREF || "rerank-2-lite";
+    this.endpoint = "https://api.voyageai.com/v1/rerank";
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[36m[VoyageAiReranker]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * Reranks a list of documents based on the query.
+   * https://docs.voyageai.com/reference/reranker-api
+   * @param {string} query - The query to rerank the documents against.
+   * @param {{text: string}[]} documents - The list of document text snippets to rerank. Should be output from a vector search.
+   * @param {Object} options - The options for the reranking.
+   * @param {number} options.topK - The number of top documents to return.
+   * @returns {Promise<any[]>} - The reranked list of documents.
+   */
+  async rerank(query, documents, options = { topK: 4 }) {
+    const start = Date.now();
+    const { data = [] } = await postRerankRequest(this.endpoint, {
+      provider: "Voyage AI",
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      body: {
+        model: this.model,
+        query,
+        documents: documents.map((doc) => doc.text),
+        top_k: options.topK,
+        truncation: true,
+      },
+    });
+
+    this.log(
+      `Reranking ${documents.length} documents to top ${options.topK} took ${Date.now() - start}ms`
+    );
+    return rankDocuments(
+      documents,
+      data.map((result) => ({
+        index: result.index,
+        score: result.relevance_score,
+      })),
+      options.topK
+    );
+  }
+}
+
+module.exports = {
+  VoyageAiReranker,
+};
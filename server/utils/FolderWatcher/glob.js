@@ -0,0 +1,80 @@
+/**
+ * Converts a glob pattern into a regular expression matching paths relative to a mounted folder.
+ * Supports `**` (any number of folders), `*` and `?` (within a path segment), `[abc]` and `{a,b}`.
+ * A pattern without a `/` matches at any depth, eg: `*.pdf` or `node_modules`.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern = "") {
+  let glob = pattern
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/^\.?\/+/, "")
+    .replace(/\/+$/, "");
+  if (!glob.includes("/")) glob = `**/${glob}`;
+
+  let source = "";
+  let groups = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        source += "(?:[^/]*/)*";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") source += "[^/]*";
+    else if (char === "?") source += "[^/]";
+    else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      const set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += `[${set.replace(/^!/, "^")}]`;
+      i = end;
+    } else if (char === "{") {
+      groups++;
+      source += "(?:";
+    } else if (char === "}" && groups > 0) {
+      groups--;
+      source += ")";
+    } else if (char === "," && groups > 0) source += "|";
+    else source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  source += ")".repeat(groups);
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates the matcher of the include and exclude patterns of a mount.
+ * A pattern matching a folder applies to everything below it, so `build` or `docs/archive/**` exclude a whole subtree.
+ * @param {string[]} include - when empty every file is included.
+ * @param {string[]} exclude
+ * @returns {{matches: (relativePath: string) => boolean, excludes: (relativePath: string) => boolean}}
+ */
+function createGlobMatcher(include = [], exclude = []) {
+  const compile = (patterns) =>
+    patterns.filter((pattern) => !!pattern?.trim()).map(globToRegExp);
+  const includes = compile(include);
+  const excludes = compile(exclude);
+
+  const test = (regexps, relativePath) => {
+    const segments = relativePath.split("/");
+    return segments.some((_, i) => {
+      const candidate = segments.slice(0, i + 1).join("/");
+      return regexps.some((regexp) => regexp.test(candidate));
+    });
+  };
+
+  return {
+    excludes: (relativePath) => test(excludes, relativePath),
+    matches: (relativePath) =>
+      (includes.length === 0 || test(includes, relativePath)) &&
+      !test(excludes, relativePath),
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  createGlobMatcher,
+};
@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { safeJsonParse } = require("../http");
+const { createGlobMatcher } = require("./glob");
+const { diffFolder, inScope } = require("./reconcile");
+
+const CHUNK_SOURCE_PREFIX = "localfolder://";
+
+/**
+ * Keeps the documents of mounted local folders in sync with their directory trees.
+ * New files are ingested and embedded into the workspace of the mount, modified files are marked stale
+ * in the DocumentSyncQueue so the sync job re-embeds them, and documents of deleted files are purged.
+ * Every mount is reconciled when it is mounted (eg: on boot, to catch up on changes made while the server was offline)
+ * and periodically, since network shares do not always deliver file system events.
+ */
+class FolderWatcher {
+  name = "FolderWatcher";
+  static _instance = null;
+  debounceMs = 2_000;
+  pollIntervalMs = 5 * 60_000;
+  batchSize = 20;
+
+  /** @type {Map<number, {mount: Object, watcher: fs.FSWatcher|null, poll: NodeJS.Timeout|null, timer: NodeJS.Timeout|null, pending: Set<string>, running: Promise, closed: boolean}>} */
+  #mounts = new Map();
+  /** Modification times of files the collector failed to convert, so they are not retried until they change. */
+  #failed = new Map();
+
+  constructor() {
+    if (FolderWatcher._instance) return FolderWatcher._instance;
+    FolderWatcher._instance = this;
+  }
+
+  #log(text, ...args) {
+    console.log(`\x1b[36m[${this.name}]\x1b[0m ${text}`, ...args);
+  }
+
+  /** Mounts every stored folder mount. */
+  async boot() {
+    const { DocumentFolderMount } = require("../../models/documentFolderMount");
+    const mounts = await DocumentFolderMount.where();
+    if (mounts.length === 0) return;
+
+    this.#log(`Reconciling ${mounts.length} mounted folders...`);
+    for (const mount of mounts) await this.mount(mount);
+  }
+
+  /**
+   * Starts watching a mount and reconciles it with its directory tree.
+   * @param {Object} mount - formatted document_folder_mounts record
+   * @returns {Promise<void>} - resolves once the first reconciliation is done.
+   */
+  async mount(mount) {
+    this.unmount(mount.id);
+    const state = {
+      mount,
+      watcher: null,
+      poll: null,
+      timer: null,
+      pending: new Set(),
+      running: Promise.resolve(),
+      closed: false,
+    };
+    this.#mounts.set(mount.id, state);
+
+    try {
+      state.watcher = fs.watch(mount.path, { recursive: true }, (_, file) =>
+        this.#schedule(state, file)
+      );
+      state.watcher.on("error", (e) => {
+        this.#log(`Stopped watching ${mount.path}: ${e.message}`);
+        state.watcher?.close();
+        state.watcher = null;
+      });
+    } catch (e) {
+      this.#log(
+        `Cannot watch ${mount.path}, changes are picked up by polling only: ${e.message}`
+      );
+    }
+    state.poll = setInterval(
+      () => this.#enqueue(state, () => this.#reconcile(state)),
+      this.pollIntervalMs
+    );
+    await this.#enqueue(state, () => this.#reconcile(state));
+  }
+
+  /**
+   * Stops watching a mount. Documents of the mount are left untouched.
+   * @param {number} mountId
+   */
+  unmount(mountId) {
+    const state = this.#mounts.get(mountId);
+    if (!state) return;
+    state.closed = true;
+    state.watcher?.close();
+    clearInterval(state.poll);
+    clearTimeout(state.timer);
+    this.#mounts.delete(mountId);
+  }
+
+  /** Collects the changed paths of a mount and reconciles them once events settle. */
+  #schedule(state, file = null) {
+    state.pending.add(file ? file.split(path.sep).join("/") : "");
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      const scopes = [...state.pending];
+      state.pending.clear();
+      this.#enqueue(state, () => this.#reconcile(state, scopes));
+    }, this.debounceMs);
+  }
+
+  /** Runs the reconciliations of a mount one after another. */
+  #enqueue(state, task) {
+    state.running = state.running
+      .then(() => (state.closed ? null : task()))
+      .catch((e) =>
+        this.#log(`Failed to sync ${state.mount.path}: ${e.message}`)
+      );
+    return state.running;
+  }
+
+  /**
+   * Compares a mount, or only the changed paths of it, with its documents and applies the differences.
+   * @param {Object} state
+   * @param {string[]|null} scopes - changed paths relative to the mounted folder, null for the whole tree.
+   */
+  async #reconcile(state, scopes = null) {
+    const { mount } = state;
+    // An unreachable folder (eg: a network share that is not mounted) must not purge its documents.
+    if (!fs.existsSync(mount.path)) {
+      this.#log(`${mount.path} is not reachable. Skipping.`);
+      return;
+    }
+
+    const matcher = createGlobMatcher(mount.include, mount.exclude);
+    const files = (scopes ?? [""]).flatMap((scope) =>
+      this.#walk(mount.path, scope, matcher)
+    );
+    const documents = (await this.#documents(mount)).filter(
+      (document) => !scopes || inScope(document.path, scopes)
+    );
+    const { added, modified, removed } = diffFolder(files, documents);
+    if (!state.closed) await this.#apply(mount, { added, modified, removed });
+
+    if (!scopes) {
+      const {
+        DocumentFolderMount,
+      } = require("../../models/documentFolderMount");
+      await DocumentFolderMount.reconciled(mount.id);
+    }
+  }
+
+  /**
+   * Lists the files of a mount below a path. Symbolic links are not followed.
+   * @param {string} root - absolute path of the mounted folder.
+   * @param {string} relativePath - path to list, relative to the mounted folder.
+   * @param {ReturnType<createGlobMatcher>} matcher
+   * @returns {import("./reconcile").MountedFile[]}
+   */
+  #walk(root, relativePath, matcher) {
+    const files = [];
+    const visit = (relative) => {
+      if (relative && matcher.excludes(relative)) return;
+      const fullPath = path.join(root, relative);
+      try {
+        const stat = fs.lstatSync(fullPath);
+        if (stat.isDirectory()) {
+          for (const entry of fs.readdirSync(fullPath))
+            visit(relative ? `${relative}/${entry}` : entry);
+        } else if (stat.isFile() && matcher.matches(relative)) {
+          files.push({ path: relative, modifiedAt: stat.mtimeMs });
+        }
+      } catch {
+        // The path was deleted or cannot be read.
+      }
+    };
+    visit(relativePath);
+    return files;
+  }
+
+  /**
+   * @param {Object} mount
+   * @returns {Promise<import("./reconcile").MountedDocument[]>} the workspace documents of the mount.
+   */
+  async #documents(mount) {
+    const { Document } = require("../../models/documents");
+    const documents = await Document.where(
+      {
+        workspaceId: mount.workspaceId,
+        docpath: { startsWith: `${mount.folderName}/` },
+      },
+      null,
+      null,
+      { document_sync_queues: true }
+    );
+
+    return documents
+      .map((document) => {
+        const metadata = safeJsonParse(document.metadata, {}) || {};
+        const source = metadata.chunkSource || "";
+        if (!source.startsWith(CHUNK_SOURCE_PREFIX)) return null;
+
+        // The stored metadata keeps the modification time of the first ingest, later syncs are tracked by the queue.
+        const syncedAt = Math.max(
+          Date.parse(metadata.fileModifiedAt) || 0,
+          Number(document.document_sync_queues?.lastSyncedAt ?? 0)
+        );
+        return {
+          document,
+          path: path
+            .relative(mount.path, source.slice(CHUNK_SOURCE_PREFIX.length))
+            .split(path.sep)
+            .join("/"),
+          modifiedAt: syncedAt || null,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  async #apply(mount, { added, modified, removed }) {
+    if (added.length + modified.length + removed.length === 0) return;
+    const { Workspace } = require("../../models/workspace");
+    const workspace = await Workspace.get({ id: mount.workspaceId });
+    if (!workspace) {
+      this.unmount(mount.id);
+      return;
+    }
+
+    this.#log(
+      `${mount.path}: ${added.length} new, ${modified.length} modified and ${removed.length} removed documents.`
+    );
+    await this.#ingest(mount, workspace, added);
+
+    const { DocumentSyncQueue } = require("../../models/documentSyncQueue");
+    for (const { document } of modified)
+      await DocumentSyncQueue.markStale(document);
+    if (modified.length > 0) {
+      const { BackgroundService } = require("../BackgroundWorkers");
+      await new BackgroundService().runJob("sync-watched-documents");
+    }
+
+    const { purgeDocument } = require("../files/purgeDocument");
+    for (const { document } of removed) await purgeDocument(document.docpath);
+  }
+
+  /**
+   * Converts new files with the collector, embeds their documents into the workspace and watches them.
+   * @param {Object} mount
+   * @param {Object} workspace
+   * @param {import("./reconcile").MountedFile[]} files
+   */
+  async #ingest(mount, workspace, files = []) {
+    const { CollectorApi } = require("../collectorApi");
+    const { Document } = require("../../models/documents");
+    const { DocumentSyncQueue } = require("../../models/documentSyncQueue");
+    const { purgeSourceDocument } = require("../files");
+
+    const pending = files.filter(
+      (file) => this.#failed.get(`${mount.id}:${file.path}`) !== file.modifiedAt
+    );
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const batch = pending.slice(i, i + this.batchSize);
+      const { success, reason, data } =
+        await new CollectorApi().forwardExtensionRequest({
+          endpoint: "/ext/local-folder",
+          method: "POST",
+          body: {
+            root: mount.path,
+            files: batch.map((file) => file.path),
+            folderName: mount.folderName,
+          },
+        });
+      if (!success) {
+        // The collector is offline, the files are picked up by the next reconciliation.
+        this.#log(`Could not convert files of ${mount.path}: ${reason}`);
+        return;
+      }
+
+      const locations = [];
+      for (const result of data.results) {
+        const file = batch.find(({ path }) => path === result.file);
+        if (result.status === "success") locations.push(...result.locations);
+        else if (file)
+          this.#failed.set(`${mount.id}:${file.path}`, file.modifiedAt);
+      }
+
+      const { embedded = [] } = await Document.addDocuments(
+        workspace,
+        locations
+      );
+      for (const docpath of embedded) {
+        const document = await Document.get({
+          workspaceId: workspace.id,
+          docpath,
+        });
+        await DocumentSyncQueue.watch(document);
+      }
+      // Documents that failed to embed are converted again by the next reconciliation.
+      for (const location of locations)
+        if (!embedded.includes(location)) await purgeSourceDocument(location);
+    }
+  }
+}
+
+module.exports = { FolderWatcher };
@@ -0,0 +1,54 @@
+/**
+ * @typedef {Object} MountedFile
+ * @property {string} path - path relative to the mounted folder, with `/` separators.
+ * @property {number} modifiedAt - modification time of the file in ms.
+ */
+
+/**
+ * @typedef {Object} MountedDocument
+ * @property {string} path - path of the file the document came from, relative to the mounted folder.
+ * @property {number|null} modifiedAt - modification time of the file when the document was last synced, in ms.
+ * @property {import("@prisma/client").workspace_documents} document
+ */
+
+/**
+ * Compares the files of a mounted folder with the workspace documents of the mount.
+ * A file can have several documents (eg: one per spreadsheet sheet), they are all modified or removed together.
+ * @param {MountedFile[]} files
+ * @param {MountedDocument[]} documents
+ * @returns {{added: MountedFile[], modified: MountedDocument[], removed: MountedDocument[]}}
+ *  added are files without documents, modified are documents of files changed since they were synced
+ *  and removed are documents of files that no longer exist.
+ */
+function diffFolder(files = [], documents = []) {
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  const known = new Set(documents.map((document) => document.path));
+
+  const added = files.filter((file) => !known.has(file.path));
+  const modified = [];
+  const removed = [];
+  for (const document of documents) {
+    const file = byPath.get(document.path);
+    if (!file) removed.push(document);
+    else if (!document.modifiedAt || file.modifiedAt > document.modifiedAt)
+      modified.push(document);
+  }
+  return { added, modified, removed };
+}
+
+/**
+ * @param {string} relativePath - path relative to the mounted folder.
+ * @param {string[]} scopes - changed paths relative to the mounted folder, an empty path is the folder itself.
+ * @returns {boolean} - If the path is one of the scopes or below one of them.
+ */
+function inScope(relativePath, scopes = []) {
+  return scopes.some(
+    (scope) =>
+      !scope || relativePath === scope || relativePath.startsWith(`${scope}/`)
+  );
+}
+
+module.exports = {
+  diffFolder,
+  inScope,
+};
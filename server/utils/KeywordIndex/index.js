@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+
+const keywordIndexPath =
+  process.env.NODE_ENV === "development"
+    ? path.resolve(__dirname, `../../storage/keyword-index`)
+    : path.resolve(
+        process.env.STORAGE_DIR ?? path.resolve(__dirname, `../../storage`),
+        `keyword-index`
+      );
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * @typedef {Object} KeywordIndexEntry
+ * @property {number} length - number of tokens in the chunk
+ * @property {Object<string, number>} terms - term frequencies of the chunk
+ */
+
+/**
+ * @typedef {Object} KeywordSearchResult
+ * @property {string} id - the vector id of the chunk in the vector database
+ * @property {number} score - BM25 score
+ */
+
+/**
+ * Split text into searchable terms.
+ * - Latin words and numbers are lowercased. Codes like `ERR-1042` or `sku_12.a` are kept whole
+ *   and also indexed by their parts so both `err-1042` and `1042` match.
+ * - CJK runs have no word boundaries so they are indexed as overlapping bigrams, which is what
+ *   lets proper nouns like 深度求索 match even when the embedder does not know them.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text = "") {
+  const tokens = [];
+  const normalized = String(text).toLowerCase();
+
+  for (const match of normalized.matchAll(/[a-z0-9]+(?:[-_.][a-z0-9]+)*/g)) {
+    const word = match[0];
+    tokens.push(word);
+    if (/[-_.]/.test(word)) tokens.push(...word.split(/[-_.]+/));
+  }
+
+  for (const match of normalized.matchAll(
+    /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+/g
+  )) {
+    const run = match[0];
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  }
+  return tokens;
+}
+
+/**
+ * @class KeywordIndex
+ * @description A BM25 keyword index of the chunks stored in a vector database namespace.
+ * Dense embeddings are poor at exact product codes, error ids and rare proper nouns, so hybrid
+ * search runs this index next to the vector search and fuses both rankings.
+ *
+ * Each namespace is persisted as one JSON file in storage/keyword-index and kept in memory
+ * once loaded. Background jobs run in their own process and rewrite the same file, so a loaded
+ * index is read again whenever the file changed on disk since it was loaded or saved.
+ * Only term statistics are stored - chunk text and metadata stay in the vector database.
+ */
+class KeywordIndex {
+  /**
+   * @param {string} namespace - the vector database namespace (workspace slug)
+   * @param {{entries?: Object<string, KeywordIndexEntry>, storageDir?: string}} options
+   */
+  constructor(namespace, { entries = {}, storageDir = keywordIndexPath } = {}) {
+    this.namespace = namespace;
+    this.storageDir = storageDir;
+    /** @type {Object<string, KeywordIndexEntry>} */
+    this.entries = entries;
+    this.#rebuildPostings();
+  }
+
+  /** @type {Map<string, {index: KeywordIndex, stamp: string|null}>} loaded indexes by file path, with the file stamp they match */
+  static #cache = new Map();
+
+  /**
+   * Identifies the version of an index file on disk.
+   * @param {string} file
+   * @returns {string|null} - null when the file does not exist
+   */
+  static #stamp(file) {
+    try {
+      const { mtimeMs, size } = fs.statSync(file);
+      return `${mtimeMs}:${size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  static filePath(namespace, storageDir = keywordIndexPath) {
+    return path.resolve(
+      storageDir,
+      `${String(namespace).replace(/[^a-zA-Z0-9_-]/g, "_")}.json`
+    );
+  }
+
+  /**
+   * Whether a namespace already has a keyword index on disk.
+   * @param {string} namespace
+   * @returns {boolean}
+   */
+  static exists(namespace, storageDir = keywordIndexPath) {
+    return fs.existsSync(KeywordIndex.filePath(namespace, storageDir));
+  }
+
+  /**
+   * Load the index of a namespace, creating an empty one if none exists.
+   * The loaded index is reused until its file is changed by another process.
+   * @param {string} namespace
+   * @returns {KeywordIndex}
+   */
+  static load(namespace, storageDir = keywordIndexPath) {
+    const file = KeywordIndex.filePath(namespace, storageDir);
+    const stamp = KeywordIndex.#stamp(file);
+    const cached = KeywordIndex.#cache.get(file);
+    if (cached && cached.stamp === stamp) return cached.index;
+
+    let entries = {};
+    if (fs.existsSync(file)) {
+      try {
+        entries = JSON.parse(fs.readFileSync(file, "utf8")).entries || {};
+      } catch (e) {
+        console.error(
+          `KeywordIndex: Failed to read index for ${namespace}, starting fresh.`,
+          e.message
+        );
+      }
+    }
+
+    const index = new KeywordIndex(namespace, { entries, storageDir });
+    KeywordIndex.#cache.set(file, { index, stamp });
+    return index;
+  }
+
+  /**
+   * Delete the index of a namespace from memory and disk.
+   * @param {string} namespace
+   */
+  static drop(namespace, storageDir = keywordIndexPath) {
+    const file = KeywordIndex.filePath(namespace, storageDir);
+    KeywordIndex.#cache.delete(file);
+    fs.rmSync(file, { force: true });
+  }
+
+  /**
+   * Delete every index, used when the vector database is reset.
+   */
+  static dropAll(storageDir = keywordIndexPath) {
+    KeywordIndex.#cache.clear();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * Index chunks. Existing entries with the same id are replaced.
+   * @param {{id: string, text: string}[]} chunks - vector ids and the text stored with them
+   * @returns {KeywordIndex}
+   */
+  add(chunks = []) {
+    for (const { id, text } of chunks) {
+      const tokens = tokenize(text);
+      const terms = {};
+      for (const token of tokens) terms[token] = (terms[token] || 0) + 1;
+      this.entries[id] = { length: tokens.length, terms };
+    }
+    this.#rebuildPostings();
+    return this;
+  }
+
+  /**
+   * Remove chunks by their vector ids.
+   * @param {string[]} ids
+   * @returns {KeywordIndex}
+   */
+  remove(ids = []) {
+    for (const id of ids) delete this.entries[id];
+    this.#rebuildPostings();
+    return this;
+  }
+
+  /**
+   * Rank the indexed chunks against a query with BM25.
+   * @param {string} query
+   * @param {number} limit
+   * @returns {KeywordSearchResult[]}
+   */
+  search(query, limit = 10) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const total = this.size;
+    if (queryTerms.length === 0 || total === 0) return [];
+
+    const scores = new Map();
+    for (const term of queryTerms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(
+        1 + (total - postings.length + 0.5) / (postings.length + 0.5)
+      );
+      for (const id of postings) {
+        const { length, terms } = this.entries[id];
+        const tf = terms[term];
+        const norm = tf + K1 * (1 - B + (B * length) / this.averageLength);
+        scores.set(id, (scores.get(id) || 0) + (idf * (tf * (K1 + 1))) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Persist the index to disk.
+   */
+  save() {
+    const file = KeywordIndex.filePath(this.namespace, this.storageDir);
+    fs.mkdirSync(this.storageDir, { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ version: 1, entries: this.entries }),
+      "utf8"
+    );
+
+    const cached = KeywordIndex.#cache.get(file);
+    if (cached?.index === this) cached.stamp = KeywordIndex.#stamp(file);
+  }
+
+  #rebuildPostings() {
+    /** @type {Map<string, string[]>} */
+    this.postings = new Map();
+    let totalLength = 0;
+    for (const [id, { length, terms }] of Object.entries(this.entries)) {
+      totalLength += length;
+      for (const term of Object.keys(terms)) {
+        if (!this.postings.has(term)) this.postings.set(term, []);
+        this.postings.get(term).push(id);
+      }
+    }
+    this.averageLength = this.size ? totalLength / this.size : 0;
+  }
+}
+
+/**
+ * Fuse several rankings with reciprocal-rank fusion. Each ranking only contributes by rank so
+ * cosine similarities and BM25 scores do not need to be on the same scale.
+ * @param {string[][]} rankings - lists of ids, best first
+ * @param {number} k - dampens the weight of the top ranks, 60 is the value from the original paper
+ * @returns {{id: string, score: number}[]} fused ranking, best first
+ */
+function reciprocalRankFusion(rankings = [], k = 60) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((id, rank) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return [...scores.entries()]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { KeywordIndex, tokenize, reciprocalRankFusion };
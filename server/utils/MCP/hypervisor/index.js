@@ -11,6 +11,7 @@ const {
 const {
   StreamableHTTPClientTransport,
 } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+const { MCPSupervisor } = require("./supervisor");
 
 /**
  * @typedef {'stdio' | 'http' | 'sse'} MCPServerTypes
@@ -50,10 +51,17 @@ class MCPHypervisor {
    */
   mcpLoadingResults = {};
 
+  /**
+   * Pings the running servers and restarts crashed stdio servers.
+   * @type {MCPSupervisor}
+   */
+  supervisor;
+
   constructor() {
     if (MCPHypervisor._instance) return MCPHypervisor._instance;
     MCPHypervisor._instance = this;
     this.className = "MCPHypervisor";
+    this.supervisor = new MCPSupervisor(this);
     this.log("Initializing MCP Hypervisor - subsequent calls will boot faster");
     this.#setupConfigFile();
     return this;
@@ -159,6 +167,7 @@ class MCPHypervisor {
         status: "success",
         message: `Successfully connected to MCP server: ${name}`,
       };
+      this.supervisor.reset(name);
 
       return { success: true, message: `MCP server ${name} started` };
     } catch (e) {
@@ -183,6 +192,64 @@ class MCPHypervisor {
       return { success: false, error: e.message };
     }
   }
+  /**
+   * Restart a single MCP server whose process died or stopped responding.
+   * Unlike startMCPServer this keeps the supervisor restart count so the backoff keeps growing.
+   * @param {string} name - The name of the MCP server to restart
+   * @returns {Promise<{success: boolean, error: string | null}>}
+   */
+  async restartMCPServer(name) {
+    const config = this.mcpServerConfigs.find((s) => s.name === name);
+    if (!config)
+      return {
+        success: false,
+        error: `MCP server ${name} not found in config file`,
+      };
+
+    this.dropMCPServer(name);
+    try {
+      await this.#startMCPServer(config);
+      this.mcpLoadingResults[name] = {
+        status: "success",
+        message: `Successfully reconnected to MCP server: ${name}`,
+      };
+      return { success: true, error: null };
+    } catch (e) {
+      this.log(`Failed to restart MCP server: ${name}`, { error: e.message });
+      this.mcpLoadingResults[name] = {
+        status: "failed",
+        message: `Failed to restart MCP server: ${name} [${e.code || "NO_CODE"}] ${e.message}`,
+      };
+      this.dropMCPServer(name);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Forget a running (or dead) MCP client without touching its supervisor state.
+   * The client is removed from `mcps` before closing so its transport close is not reported as a crash.
+   * @param {string} name - The name of the MCP server to drop
+   */
+  dropMCPServer(name) {
+    const mcp = this.mcps[name];
+    if (!mcp) return;
+    delete this.mcps[name];
+
+    const childProcess = mcp.transport?._process;
+    if (childProcess && childProcess.exitCode === null) childProcess.kill(1);
+    mcp.close().catch(() => {});
+  }
+
+  /**
+   * Only stdio servers run as our own child process and can be restarted by us.
+   * @param {string} name - The name of the MCP server
+   * @returns {boolean}
+   */
+  isRestartable(name) {
+    const config = this.mcpServerConfigs.find((s) => s.name === name);
+    return !!config && this.#parseServerType(config.server) === "stdio";
+  }
+
   /**
    * Prune a single MCP server by its server name
    * @param {string} name - The name of the MCP server to prune
@@ -192,6 +259,7 @@ class MCPHypervisor {
     if (!name || !this.mcps[name]) return true;
 
     this.log(`Pruning MCP server: ${name}`);
+    this.supervisor.markStopped(name);
     const mcp = this.mcps[name];
     const childProcess = mcp.transport._process;
     if (childProcess) childProcess.kill(1);
@@ -214,6 +282,7 @@ class MCPHypervisor {
 
     for (const name of Object.keys(this.mcps)) {
       if (!this.mcps[name]) continue;
+      this.supervisor.markStopped(name);
       const mcp = this.mcps[name];
       const childProcess = mcp.transport._process;
       if (childProcess)
@@ -359,8 +428,12 @@ class MCPHypervisor {
     const mcp = new Client({ name: name, version: "1.0.0" });
     const transport = this.#setupServerTransport(server, serverType);
 
-    // Add connection event listeners
-    transport.onclose = () => this.log(`${name} - Transport closed`);
+    // Add connection event listeners - a close while the client is still registered was not
+    // requested by us (prune/drop unregister first) so the supervisor treats it as a crash.
+    transport.onclose = () => {
+      this.log(`${name} - Transport closed`);
+      if (this.mcps[name] === mcp) this.supervisor.handleCrash(name);
+    };
     transport.onerror = (error) =>
       this.log(`${name} - Transport error:`, error);
     transport.onmessage = (message) =>
@@ -411,6 +484,7 @@ class MCPHypervisor {
           status: "success",
           message: `Successfully connected to MCP server: ${name}`,
         };
+        this.supervisor.reset(name);
       } catch (e) {
         this.log(`Failed to start MCP server: ${name}`, {
           error: e.message,
@@ -437,6 +511,7 @@ class MCPHypervisor {
       `Successfully started ${runningServers.length} MCP servers:`,
       runningServers
     );
+    this.supervisor.start();
     return this.mcpLoadingResults;
   }
 }
@@ -0,0 +1,319 @@
+/**
+ * @typedef {'healthy' | 'degraded' | 'restarting' | 'failed' | 'stopped'} MCPHealthStatus
+ */
+
+/**
+ * @typedef {Object} MCPHealthCheck
+ * @property {string} at - ISO timestamp of the check
+ * @property {boolean} ok - whether the server answered the ping
+ * @property {number|null} latencyMs - ping round trip, null when the ping failed
+ * @property {string|null} error - failure reason
+ */
+
+/**
+ * @typedef {Object} MCPServerHealth
+ * @property {MCPHealthStatus} status
+ * @property {number} consecutiveFailures
+ * @property {number} restartCount - restarts since the server was last started by hand
+ * @property {number} maxRestarts
+ * @property {string|null} lastCheckedAt
+ * @property {string|null} lastRestartAt
+ * @property {string|null} nextRestartAt
+ * @property {string|null} lastError
+ * @property {MCPHealthCheck[]} history - most recent checks, newest last
+ */
+
+const DEFAULTS = {
+  intervalMs: 30_000,
+  pingTimeoutMs: 10_000,
+  failureThreshold: 2,
+  maxRestarts: 5,
+  backoffBaseMs: 2_000,
+  backoffMaxMs: 5 * 60_000,
+  historySize: 20,
+};
+
+/**
+ * @class MCPSupervisor
+ * @description Watches the servers started by the MCPHypervisor. Every server is pinged on an interval and
+ * stdio servers whose process exits or stops answering are restarted with exponential backoff until the
+ * restart budget runs out, at which point the server is marked as failed and left alone until an
+ * administrator starts it again. Remote (http/sse) servers cannot be restarted from here so they are only
+ * marked as degraded.
+ */
+class MCPSupervisor {
+  /**
+   * @param {import('./index')} hypervisor - the hypervisor whose servers are supervised
+   * @param {Partial<typeof DEFAULTS>} options
+   */
+  constructor(hypervisor, options = {}) {
+    this.hypervisor = hypervisor;
+    this.options = { ...DEFAULTS, ...options };
+    /** @type {Map<string, MCPServerHealth>} */
+    this.health = new Map();
+    /** @type {Map<string, NodeJS.Timeout>} */
+    this.restartTimers = new Map();
+    this.interval = null;
+    this.checking = false;
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[36m[MCPSupervisor]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * Start the periodic health checks. Safe to call more than once.
+   */
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.checkAll(), this.options.intervalMs);
+    this.interval.unref?.();
+  }
+
+  /**
+   * Stop the health checks and cancel any pending restarts.
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    for (const name of this.restartTimers.keys()) this.#cancelRestart(name);
+  }
+
+  /**
+   * Health of a single server, or null when it was never supervised.
+   * @param {string} name
+   * @returns {MCPServerHealth|null}
+   */
+  status(name) {
+    const health = this.health.get(name);
+    return health ? { ...health, history: [...health.history] } : null;
+  }
+
+  /**
+   * Reset the restart budget of a server that was (re)started by an administrator or a reload.
+   * @param {string} name
+   */
+  reset(name) {
+    this.#cancelRestart(name);
+    const health = this.#state(name);
+    Object.assign(health, {
+      status: "healthy",
+      consecutiveFailures: 0,
+      restartCount: 0,
+      nextRestartAt: null,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Mark a server as stopped on purpose so it is not restarted.
+   * @param {string} name
+   */
+  markStopped(name) {
+    this.#cancelRestart(name);
+    const health = this.#state(name);
+    health.status = "stopped";
+    health.nextRestartAt = null;
+  }
+
+  /**
+   * Forget a server entirely, eg: when it was deleted from the config file.
+   * @param {string} name
+   */
+  forget(name) {
+    this.#cancelRestart(name);
+    this.health.delete(name);
+  }
+
+  /**
+   * Called by the hypervisor when the transport of a running server closed without being pruned.
+   * @param {string} name
+   * @param {string} reason
+   */
+  handleCrash(name, reason = "Transport closed unexpectedly") {
+    if (["stopped", "restarting", "failed"].includes(this.#state(name).status))
+      return;
+
+    this.log(`${name} crashed: ${reason}`);
+    const health = this.#record(name, {
+      ok: false,
+      latencyMs: null,
+      error: reason,
+    });
+    health.consecutiveFailures++;
+    if (this.hypervisor.isRestartable(name)) {
+      this.#scheduleRestart(name, reason);
+    } else {
+      health.status = "degraded";
+    }
+  }
+
+  /**
+   * Ping every running server once. Overlapping runs are skipped.
+   * @returns {Promise<void>}
+   */
+  async checkAll() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      for (const name of Object.keys(this.hypervisor.mcps)) {
+        await this.check(name);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Ping a single server and update its health.
+   * @param {string} name
+   * @returns {Promise<boolean>} whether the server answered
+   */
+  async check(name) {
+    const mcp = this.hypervisor.mcps[name];
+    if (!mcp) return false;
+    // A restart is already on its way, pinging the dead client would only reset the status.
+    if (this.#state(name).status === "restarting") return false;
+
+    const startedAt = Date.now();
+    try {
+      await this.#pingWithTimeout(mcp);
+      const health = this.#record(name, {
+        ok: true,
+        latencyMs: Date.now() - startedAt,
+        error: null,
+      });
+      health.consecutiveFailures = 0;
+      health.status = "healthy";
+      return true;
+    } catch (error) {
+      const health = this.#record(name, {
+        ok: false,
+        latencyMs: null,
+        error: error.message,
+      });
+      health.consecutiveFailures++;
+      health.status = "degraded";
+
+      if (
+        health.consecutiveFailures >= this.options.failureThreshold &&
+        this.hypervisor.isRestartable(name)
+      ) {
+        this.#scheduleRestart(name, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Backoff before the given restart attempt (0 based).
+   * @param {number} attempt
+   * @returns {number} delay in ms
+   */
+  backoffFor(attempt) {
+    return Math.min(
+      this.options.backoffBaseMs * 2 ** attempt,
+      this.options.backoffMaxMs
+    );
+  }
+
+  #scheduleRestart(name, reason) {
+    const health = this.#state(name);
+    if (this.restartTimers.has(name)) return;
+
+    if (health.restartCount >= this.options.maxRestarts) {
+      health.status = "failed";
+      health.nextRestartAt = null;
+      this.hypervisor.dropMCPServer(name);
+      this.hypervisor.mcpLoadingResults[name] = {
+        status: "failed",
+        message: `MCP server ${name} failed after ${health.restartCount} restarts: ${reason}`,
+      };
+      this.log(`${name} exhausted its restart budget, giving up.`);
+      return;
+    }
+
+    const delay = this.backoffFor(health.restartCount);
+    health.status = "restarting";
+    health.nextRestartAt = new Date(Date.now() + delay).toISOString();
+    this.log(
+      `Restarting ${name} in ${delay}ms (attempt ${health.restartCount + 1}/${this.options.maxRestarts})`
+    );
+
+    const timer = setTimeout(() => this.#restart(name), delay);
+    timer.unref?.();
+    this.restartTimers.set(name, timer);
+  }
+
+  async #restart(name) {
+    this.restartTimers.delete(name);
+    const health = this.#state(name);
+    if (health.status !== "restarting") return;
+
+    health.restartCount++;
+    health.lastRestartAt = new Date().toISOString();
+    health.nextRestartAt = null;
+
+    const { success, error } = await this.hypervisor.restartMCPServer(name);
+    if (success) {
+      this.log(`${name} restarted.`);
+      health.status = "healthy";
+      health.consecutiveFailures = 0;
+      return;
+    }
+
+    this.#record(name, { ok: false, latencyMs: null, error });
+    this.#scheduleRestart(name, error);
+  }
+
+  #cancelRestart(name) {
+    clearTimeout(this.restartTimers.get(name));
+    this.restartTimers.delete(name);
+  }
+
+  #pingWithTimeout(mcp) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error("Ping timeout")),
+        this.options.pingTimeoutMs
+      );
+    });
+    return Promise.race([mcp.ping(), timeout]).finally(() =>
+      clearTimeout(timer)
+    );
+  }
+
+  #record(name, check) {
+    const health = this.#state(name);
+    const at = new Date().toISOString();
+    health.history.push({ at, ...check });
+    if (health.history.length > this.options.historySize)
+      health.history.splice(
+        0,
+        health.history.length - this.options.historySize
+      );
+    health.lastCheckedAt = at;
+    if (check.error) health.lastError = check.error;
+    return health;
+  }
+
+  #state(name) {
+    if (!this.health.has(name)) {
+      this.health.set(name, {
+        status: "healthy",
+        consecutiveFailures: 0,
+        restartCount: 0,
+        maxRestarts: this.options.maxRestarts,
+        lastCheckedAt: null,
+        lastRestartAt: null,
+        nextRestartAt: null,
+        lastError: null,
+        history: [],
+      });
+    }
+    return this.health.get(name);
+  }
+}
+
+module.exports = { MCPSupervisor, SUPERVISOR_DEFAULTS: DEFAULTS };
@@ -1,5 +1,9 @@
 const MCPHypervisor = require("./hypervisor");
 const WorkspaceRoleAuth = require("../workspaceRoleAuth");
+const roleVersionManager = require("../roleVersionManager");
+const promptxMemoryStore = require("../promptxMemoryStore");
+const workspaceMcpPolicy = require("../workspaceMcpPolicy");
+const { evaluatePolicy } = workspaceMcpPolicy;
 
 class MCPCompatibilityLayer extends MCPHypervisor {
   static _instance;
@@ -33,6 +37,21 @@ class MCPCompatibilityLayer extends MCPHypervisor {
     const tools = (await mcp.listTools()).tools;
     if (!tools.length) return null;
 
+    // 工作区MCP策略：服务器未启用时不注册任何工具，被禁止的工具不注册（调用时会再次检查）
+    let mcpPolicy = null;
+    if (_aibitat?.handlerProps?.invocation?.workspace_id) {
+      const workspaceId = _aibitat.handlerProps.invocation.workspace_id;
+      try {
+        mcpPolicy = await workspaceMcpPolicy.getPolicy(workspaceId, name);
+      } catch (error) {
+        console.warn('Failed to get workspace MCP policy, allowing all tools:', error.message);
+      }
+      if (!evaluatePolicy(mcpPolicy).allowed) {
+        console.log(`MCP server ${name} is disabled for workspace ${workspaceId}`);
+        return [];
+      }
+    }
+
     // 获取工作区授权的角色列表（如果可能的话）
     let authorizedRoles = [];
     if (_aibitat?.handlerProps?.invocation?.workspace_id) {
@@ -50,6 +69,11 @@ class MCPCompatibilityLayer extends MCPHypervisor {
 
     const plugins = [];
     for (const tool of tools) {
+      if (!evaluatePolicy(mcpPolicy, tool.name).allowed) {
+        console.log(`Filtering out tool denied by workspace MCP policy: ${name}:${tool.name}`);
+        continue;
+      }
+
       // 检查工具是否被授权
       // 对于PromptX服务器，工具名就是角色ID
       if (name === 'promptx' && authorizedRoles.length > 0) {
@@ -106,6 +130,39 @@ class MCPCompatibilityLayer extends MCPHypervisor {
                     console.log(`[MCP工具执行] 提取的workspaceId:`, workspaceId);
 
                     if (workspaceId) {
+                      // 工作区MCP策略：服务器是否启用、工具是否在允许/禁止列表中
+                      const policyDecision = await workspaceMcpPolicy.check(workspaceId, name, tool.name);
+                      if (!policyDecision.allowed) {
+                        const errorMsg = `⚠️ 权限限制：${policyDecision.reason}。请联系工作区管理员调整MCP策略。`;
+                        console.log(`[MCP工具执行] MCP策略检查失败:`, errorMsg);
+
+                        if (aibitat.handlerProps?.log) {
+                          aibitat.handlerProps.log(
+                            `MCP Authorization Failed: Tool "${name}:${tool.name}" denied by workspace ${workspaceId} MCP policy`,
+                            {
+                              workspaceId,
+                              toolName: tool.name,
+                              serverName: name,
+                              reason: policyDecision.reason
+                            }
+                          );
+                        }
+                        if (aibitat.introspect) {
+                          aibitat.introspect(
+                            `User attempted to use MCP tool ${name}:${tool.name} denied in workspace ${workspaceId}`
+                          );
+                        }
+                        await workspaceMcpPolicy.recordDenial({
+                          workspaceId,
+                          serverName: name,
+                          toolName: tool.name,
+                          reason: policyDecision.reason,
+                          userId: aibitat.handlerProps?.invocation?.user_id
+                        });
+
+                        throw new Error(errorMsg);
+                      }
+
                       // 对于promptx-action工具，需要检查参数中的角色名
                       let roleToCheck = tool.name;
                       let shouldCheckAuthorization = true;
@@ -181,10 +238,44 @@ class MCPCompatibilityLayer extends MCPHypervisor {
                     aibitat.introspect(
                       `Executing MCP server: ${name} with ${JSON.stringify(args, null, 2)}`
                     );
-                    const result = await mcp.callTool({
-                      name: tool.name,
-                      arguments: args,
-                    });
+                    // remember/recall的记忆按工作区（可选按用户）隔离，由DeeChat存储而不是PromptX进程内的全局记忆
+                    // PromptX的工具参数没有命名空间，因此这两个调用不会转发给PromptX：所有PromptX记忆都归DeeChat管理，
+                    // action激活角色时PromptX自带的记忆回忆只能读到它进程内的全局记忆（不再写入），不参与工作区记忆
+                    let result;
+                    if (name === 'promptx' && ['remember', 'recall'].includes(tool.name) && workspaceId) {
+                      const namespace = await promptxMemoryStore.namespaceFor(
+                        workspaceId,
+                        aibitat.handlerProps?.invocation?.user_id
+                      );
+                      result = await promptxMemoryStore.handleToolCall(tool.name, { ...args, namespace });
+                    } else {
+                      result = await mcp.callTool({
+                        name: tool.name,
+                        arguments: args,
+                      });
+                    }
+
+                    // 工作区固定了角色版本时，用固定版本的快照替换PromptX加载的当前版本
+                    if (name === 'promptx' && tool.name === 'action' && args.role && workspaceId) {
+                      try {
+                        const roleAuth = new WorkspaceRoleAuth();
+                        const pinnedVersion = await roleAuth.getPinnedVersion(workspaceId, args.role);
+                        if (pinnedVersion) {
+                          const { activeVersion } = await roleVersionManager.listVersions(args.role);
+                          if (pinnedVersion !== activeVersion) {
+                            console.log(`[MCP工具执行] 角色${args.role}在工作区${workspaceId}固定为版本${pinnedVersion}`);
+                            result = {
+                              content: [{
+                                type: 'text',
+                                text: await roleVersionManager.renderVersion(args.role, pinnedVersion)
+                              }]
+                            };
+                          }
+                        }
+                      } catch (pinError) {
+                        console.error(`[MCP工具执行] 加载固定版本失败，使用当前版本:`, pinError.message);
+                      }
+                    }
 
                     // 对于discover工具，需要根据工作区权限过滤结果
                     let filteredResult = result;
@@ -371,7 +462,8 @@ class MCPCompatibilityLayer extends MCPHypervisor {
    *   running: boolean,
    *   tools: {name: string, description: string, inputSchema: Object}[],
    *   process: {pid: number, cmd: string}|null,
-   *   error: string|null
+   *   error: string|null,
+   *   health: import('./hypervisor/supervisor').MCPServerHealth|null
    * }[]>} - The active MCP servers
    */
   async servers() {
@@ -388,28 +480,44 @@ class MCPCompatibilityLayer extends MCPHypervisor {
           tools: [],
           error: result.message,
           process: null,
+          health: this.supervisor.status(name),
         });
         continue;
       }
 
       const mcp = this.mcps[name];
+      const health = this.supervisor.status(name);
+      if (!mcp && health?.status === "restarting") {
+        servers.push({
+          name,
+          config: config?.server || null,
+          running: false,
+          tools: [],
+          error: health.lastError,
+          process: null,
+          health,
+        });
+        continue;
+      }
       if (!mcp) {
         delete this.mcpLoadingResults[name];
         delete this.mcps[name];
         continue;
       }
 
-      const online = !!(await mcp.ping());
+      // A crashed server waiting for its restart rejects the ping instead of returning
+      const online = !!(await mcp.ping().catch(() => false));
       const tools = online ? (await mcp.listTools()).tools : [];
       servers.push({
         name,
         config: config?.server || null,
         running: online,
         tools,
-        error: null,
+        error: online ? null : health?.lastError || null,
         process: {
           pid: mcp.transport?.process?.pid || null,
         },
+        health,
       });
     }
     return servers;
@@ -428,7 +536,7 @@ class MCPCompatibilityLayer extends MCPHypervisor {
         error: `MCP server ${name} not found in config file.`,
       };
     const mcp = this.mcps[name];
-    const online = !!mcp ? !!(await mcp.ping()) : false; // If the server is not in the mcps object, it is not running
+    const online = !!mcp ? !!(await mcp.ping().catch(() => false)) : false; // If the server is not in the mcps object, it is not running
 
     if (online) {
       const killed = this.pruneMCPServer(name);
@@ -437,6 +545,8 @@ class MCPCompatibilityLayer extends MCPHypervisor {
         error: killed ? null : `Failed to kill MCP server: ${name}`,
       };
     } else {
+      // A crashed client may still be registered while it waits for the supervisor to restart it
+      this.dropMCPServer(name);
       const startupResult = await this.startMCPServer(name);
       return { success: startupResult.success, error: startupResult.error };
     }
@@ -456,12 +566,14 @@ class MCPCompatibilityLayer extends MCPHypervisor {
       };
 
     const mcp = this.mcps[name];
-    const online = !!mcp ? !!(await mcp.ping()) : false; // If the server is not in the mcps object, it is not running
+    const online = !!mcp ? !!(await mcp.ping().catch(() => false)) : false; // If the server is not in the mcps object, it is not running
     if (online) this.pruneMCPServer(name);
+    else this.dropMCPServer(name);
     this.removeMCPServerFromConfig(name);
 
     delete this.mcps[name];
     delete this.mcpLoadingResults[name];
+    this.supervisor.forget(name);
     this.log(`MCP server was killed and removed from config file: ${name}`);
     return { success: true, error: null };
   }
@@ -473,6 +585,10 @@ class MCPCompatibilityLayer extends MCPHypervisor {
    * @returns {Promise<boolean>} 是否刷新检查成功
    */
   async refreshPromptXResources() {
+    // 角色包已变化：清除普通聊天模式的角色提示词缓存和自动路由的角色目录缓存
+    require('../rolePersonaResolver').invalidate();
+    require('../promptxRoleRouter').invalidate();
+
     try {
       const mcpServer = this.mcps['promptx-local'];
       if (!mcpServer) {
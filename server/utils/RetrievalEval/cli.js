@@ -0,0 +1,159 @@
+/**
+ * 检索评测命令行
+ *
+ * 用法（在 server 目录下执行）：
+ *   node utils/RetrievalEval/cli.js import <workspace> <questions.json>
+ *   node utils/RetrievalEval/cli.js run <workspace> [--offline] [--retrieval-only] [--label 名称] [--set topN=8 --set vectorSearchMode=rerank]
+ *   node utils/RetrievalEval/cli.js runs <workspace>
+ *   node utils/RetrievalEval/cli.js compare <runId> <runId>
+ *
+ * questions.json 为数组：[{"question": "...", "expectedSources": ["handbook.pdf"], "referenceAnswer": "..."}]
+ * --offline 使用 eval-stand-in 替身模型，嵌入引擎不是本地引擎时会给出提示
+ */
+
+if (!process.env.NODE_ENV) process.env.NODE_ENV = "development";
+process.env.NODE_ENV === "development"
+  ? require("dotenv").config({
+      path: require("path").resolve(
+        __dirname,
+        `../../.env.${process.env.NODE_ENV}`
+      ),
+    })
+  : require("dotenv").config({
+      path: require("path").resolve(__dirname, "../../.env"),
+    });
+
+const fs = require("fs");
+const prisma = require("../prisma");
+const { Workspace } = require("../../models/workspace");
+const {
+  WorkspaceEvalQuestion,
+} = require("../../models/workspaceEvalQuestions");
+const { WorkspaceEvalRun } = require("../../models/workspaceEvalRuns");
+const retrievalEval = require("./index");
+const { compareRuns } = require("./index");
+
+const USAGE = `用法:
+  import <workspace> <questions.json>   导入标准问题集（追加）
+  run <workspace> [options]             运行评测
+      --offline                           使用替身模型离线运行
+      --retrieval-only                    只评测检索，不生成回答
+      --label <名称>                      运行名称
+      --set <key=value>                   临时覆盖工作区配置，可重复
+  runs <workspace>                      列出最近的运行
+  compare <runId> <runId>               比较两次运行`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = { set: {}, offline: false, chat: true, label: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--offline") options.offline = true;
+    else if (arg === "--retrieval-only") options.chat = false;
+    else if (arg === "--label") options.label = argv[++i];
+    else if (arg === "--set") {
+      const [key, ...value] = String(argv[++i] || "").split("=");
+      if (!key || value.length === 0)
+        throw new Error(`--set expects key=value, got "${argv[i]}"`);
+      options.set[key] = value.join("=");
+    } else positional.push(arg);
+  }
+  return { positional, options };
+}
+
+async function findWorkspace(slug) {
+  const workspace = await Workspace.get({ slug: String(slug) });
+  if (!workspace) throw new Error(`Workspace ${slug} not found`);
+  return workspace;
+}
+
+function formatMetrics(metrics = {}) {
+  const recall = Object.entries(metrics.recall || {})
+    .map(([k, value]) => `recall@${k}=${value ?? "-"}`)
+    .join(" ");
+  return `${recall} MRR=${metrics.mrr ?? "-"} answerSimilarity=${metrics.answerSimilarity ?? "-"} answerF1=${metrics.answerF1 ?? "-"}`;
+}
+
+async function importQuestions(slug, file) {
+  const workspace = await findWorkspace(slug);
+  const questions = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(questions))
+    throw new Error("The questions file must contain a JSON array");
+
+  let imported = 0;
+  for (const data of questions) {
+    const { question, message } = await WorkspaceEvalQuestion.new(
+      workspace.id,
+      data
+    );
+    if (question) imported++;
+    else console.warn(`跳过问题 "${data?.question}": ${message}`);
+  }
+  console.log(`已导入 ${imported}/${questions.length} 个问题到 ${slug}`);
+}
+
+async function run(slug, options) {
+  const workspace = await findWorkspace(slug);
+  if (options.offline && !retrievalEval.usesLocalEmbedder())
+    console.warn(
+      `嵌入引擎 ${process.env.EMBEDDING_ENGINE} 不是本地引擎，检索阶段仍需要联网`
+    );
+
+  const completed = await retrievalEval.run(workspace, {
+    overrides: options.set,
+    label: options.label,
+    offline: options.offline,
+    chat: options.chat,
+    onProgress: (result, index, total) => {
+      const status = result.error
+        ? `错误: ${result.error}`
+        : `RR=${result.reciprocalRank ?? "-"} F1=${result.answerF1 ?? "-"}`;
+      console.log(`[${index}/${total}] ${result.question} ${status}`);
+    },
+  });
+  console.log(`\n运行 #${completed.id}: ${formatMetrics(completed.metrics)}`);
+}
+
+async function listRuns(slug) {
+  const workspace = await findWorkspace(slug);
+  for (const run of await WorkspaceEvalRun.forWorkspace(workspace.id, 20)) {
+    console.log(
+      `#${run.id} ${run.createdAt.toISOString()} ${run.status} ${run.label || ""}\n    ${run.metrics ? formatMetrics(run.metrics) : run.error || ""}`
+    );
+  }
+}
+
+async function compare(idA, idB) {
+  const [a, b] = await Promise.all([
+    WorkspaceEvalRun.get({ id: Number(idA) }),
+    WorkspaceEvalRun.get({ id: Number(idB) }),
+  ]);
+  if (!a || !b) throw new Error("Both runs must exist");
+  console.log(JSON.stringify(compareRuns(a, b), null, 2));
+}
+
+(async () => {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
+  switch (command) {
+    case "import":
+      if (args.length !== 2) throw new Error(USAGE);
+      return await importQuestions(args[0], args[1]);
+    case "run":
+      if (args.length !== 1) throw new Error(USAGE);
+      return await run(args[0], options);
+    case "runs":
+      if (args.length !== 1) throw new Error(USAGE);
+      return await listRuns(args[0]);
+    case "compare":
+      if (args.length !== 2) throw new Error(USAGE);
+      return await compare(args[0], args[1]);
+    default:
+      console.log(USAGE);
+  }
+})()
+  .then(() => prisma.$disconnect().then(() => process.exit(0)))
+  .catch((error) => {
+    console.error(error.message);
+    prisma.$disconnect().finally(() => process.exit(1));
+  });
@@ -0,0 +1,603 @@
+/**
+ * 检索评测
+ * 功能：为每个工作区保存一组标准问题（问题、期望命中的来源文档、可选的参考答案），
+ * 按当前配置或临时覆盖的配置重放这些问题，计算 recall@k、MRR 和回答相似度
+ *
+ * - 检索阶段与聊天流程一样先按 queryRewriteMode 改写查询，再直接调用向量数据库的 performSimilaritySearch，按文档（而不是片段）计算排名
+ * - 回答阶段走完整的API聊天流程（ApiChatHandler.chatSync），评测产生的聊天记录在每个问题结束后删除
+ * - 每次运行的配置、汇总指标和逐题结果保存在 workspace_eval_runs 中，可以比较两次运行
+ * - offline 模式使用 eval-stand-in 替身模型（只从上下文抽取句子作答），配合本地嵌入引擎可以完全离线运行；
+ *   替身模型不是可供工作区选择的LLM提供商，由评测直接构造并传给检索和聊天流程
+ */
+
+const { tokenize } = require("../KeywordIndex");
+
+// 可以在单次运行中临时覆盖的工作区配置
+const OVERRIDE_KEYS = [
+  "similarityThreshold",
+  "topN",
+  "vectorSearchMode",
+  "queryRewriteMode",
+  "retrievalFilter",
+  "parentRetrievalWindow",
+  "citationMode",
+  "chatMode",
+  "chatProvider",
+  "chatModel",
+];
+// 除topN外额外报告的recall@k
+const K_VALUES = [1, 3, 5];
+// 不需要联网的嵌入引擎
+const LOCAL_EMBEDDING_ENGINES = ["native", "ollama", "lmstudio", "localai"];
+const OFFLINE_PROVIDER = "eval-stand-in";
+
+/**
+ * @typedef {Object} EvalQuestionResult
+ * @property {number} questionId
+ * @property {string} question
+ * @property {string[]} expectedSources
+ * @property {string[]} retrievedSources - 按首次出现排序、去重后的文档标题
+ * @property {Object<string, number>|null} recall - recall@k，没有期望来源时为null
+ * @property {number|null} reciprocalRank
+ * @property {string|null} answer
+ * @property {number|null} answerSimilarity - 与参考答案向量的余弦相似度
+ * @property {number|null} answerF1 - 与参考答案的词项F1
+ * @property {Object|null} grounding
+ * @property {string|null} error
+ */
+
+/**
+ * 前k个检索结果覆盖了多少比例的期望来源
+ * @param {string[]} retrieved - 排好序的文档标识
+ * @param {string[]} expected
+ * @param {number} k
+ * @returns {number|null} 没有期望来源时返回null
+ */
+function recallAtK(retrieved = [], expected = [], k = 1) {
+  const wanted = new Set(expected.map(normalizeKey));
+  if (wanted.size === 0) return null;
+  const top = new Set(retrieved.slice(0, k).map(normalizeKey));
+  return [...wanted].filter((key) => top.has(key)).length / wanted.size;
+}
+
+/**
+ * 第一个期望来源排名的倒数，全部未命中时为0，对所有问题取平均即为MRR
+ * @param {string[]} retrieved
+ * @param {string[]} expected
+ * @returns {number|null} 没有期望来源时返回null
+ */
+function reciprocalRank(retrieved = [], expected = []) {
+  const wanted = new Set(expected.map(normalizeKey));
+  if (wanted.size === 0) return null;
+  const rank = retrieved.findIndex((source) =>
+    wanted.has(normalizeKey(source))
+  );
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * 回答与参考答案的词项F1（中文按双字切分），不依赖嵌入模型
+ * @param {string} answer
+ * @param {string} reference
+ * @returns {number}
+ */
+function tokenF1(answer = "", reference = "") {
+  const count = (text) => {
+    const counts = new Map();
+    for (const token of tokenize(text))
+      counts.set(token, (counts.get(token) || 0) + 1);
+    return counts;
+  };
+  const a = count(answer);
+  const b = count(reference);
+  let overlap = 0;
+  for (const [token, n] of a) overlap += Math.min(n, b.get(token) || 0);
+  if (overlap === 0) return 0;
+
+  const total = (counts) => [...counts.values()].reduce((x, y) => x + y, 0);
+  const precision = overlap / total(a);
+  const recall = overlap / total(b);
+  return (2 * precision * recall) / (precision + recall);
+}
+
+function cosineSimilarity(a = [], b = []) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * 汇总逐题结果，每个指标只对有值的问题取平均
+ * @param {EvalQuestionResult[]} results
+ * @returns {Object}
+ */
+function aggregateMetrics(results = []) {
+  const mean = (values) => {
+    const defined = values.filter((v) => typeof v === "number");
+    if (defined.length === 0) return null;
+    return round(defined.reduce((x, y) => x + y, 0) / defined.length);
+  };
+
+  const ks = [
+    ...new Set(results.flatMap((result) => Object.keys(result.recall || {}))),
+  ].sort((a, b) => Number(a) - Number(b));
+  const recall = {};
+  for (const k of ks) recall[k] = mean(results.map((r) => r.recall?.[k]));
+
+  return {
+    questions: results.length,
+    errors: results.filter((r) => r.error).length,
+    recall,
+    mrr: mean(results.map((r) => r.reciprocalRank)),
+    answerSimilarity: mean(results.map((r) => r.answerSimilarity)),
+    answerF1: mean(results.map((r) => r.answerF1)),
+  };
+}
+
+/**
+ * 比较两次运行：指标差值（b - a）、配置差异和逐题变化
+ * @param {Object} a - WorkspaceEvalRun.format()的结果
+ * @param {Object} b
+ * @returns {Object}
+ */
+function compareRuns(a, b) {
+  const delta = (x, y) =>
+    typeof x === "number" && typeof y === "number" ? round(y - x) : null;
+
+  const metrics = {
+    mrr: delta(a.metrics?.mrr, b.metrics?.mrr),
+    answerSimilarity: delta(
+      a.metrics?.answerSimilarity,
+      b.metrics?.answerSimilarity
+    ),
+    answerF1: delta(a.metrics?.answerF1, b.metrics?.answerF1),
+    recall: {},
+  };
+  const ks = new Set([
+    ...Object.keys(a.metrics?.recall || {}),
+    ...Object.keys(b.metrics?.recall || {}),
+  ]);
+  for (const k of ks)
+    metrics.recall[k] = delta(a.metrics?.recall?.[k], b.metrics?.recall?.[k]);
+
+  const flatA = flatten(a.config);
+  const flatB = flatten(b.config);
+  const config = [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])]
+    .filter((key) => JSON.stringify(flatA[key]) !== JSON.stringify(flatB[key]))
+    .map((key) => ({ key, a: flatA[key] ?? null, b: flatB[key] ?? null }));
+
+  const resultsA = new Map((a.results || []).map((r) => [r.questionId, r]));
+  const questions = (b.results || [])
+    .filter((r) => resultsA.has(r.questionId))
+    .map((r) => {
+      const before = resultsA.get(r.questionId);
+      return {
+        questionId: r.questionId,
+        question: r.question,
+        reciprocalRank: delta(before.reciprocalRank, r.reciprocalRank),
+        answerSimilarity: delta(before.answerSimilarity, r.answerSimilarity),
+        answerF1: delta(before.answerF1, r.answerF1),
+      };
+    })
+    .filter((q) =>
+      [q.reciprocalRank, q.answerSimilarity, q.answerF1].some(
+        (value) => value !== null && value !== 0
+      )
+    );
+
+  return {
+    runs: [a.id, b.id],
+    metrics,
+    config,
+    changedQuestions: questions,
+  };
+}
+
+class RetrievalEvaluator {
+  /**
+   * 应用临时覆盖的配置，offline时强制使用替身模型
+   * @param {Object} workspace
+   * @param {Object} overrides - 只接受OVERRIDE_KEYS中的字段，按工作区的校验规则规范化
+   * @param {boolean} offline
+   * @returns {Object} 包含不支持的字段时抛出错误
+   */
+  evalWorkspace(workspace, overrides = {}, offline = false) {
+    const { Workspace } = require("../../models/workspace");
+    const unknown = Object.keys(overrides || {}).filter(
+      (key) => !OVERRIDE_KEYS.includes(key)
+    );
+    if (unknown.length > 0)
+      throw new Error(
+        `Unsupported overrides: ${unknown.join(", ")}. Supported keys are ${OVERRIDE_KEYS.join(", ")}`
+      );
+    return {
+      ...workspace,
+      ...Workspace.validateFields(overrides || {}),
+      ...(offline ? { chatProvider: OFFLINE_PROVIDER, chatModel: null } : {}),
+    };
+  }
+
+  /**
+   * 记录本次运行实际生效的配置
+   * 分块大小在文档嵌入时生效，评测无法临时修改，只记录下来用于比较
+   * @param {Object} workspace - evalWorkspace()的结果
+   * @param {{overrides: Object, offline: boolean, chat: boolean}} options
+   * @returns {Promise<Object>}
+   */
+  async describeConfig(
+    workspace,
+    { overrides = {}, offline = false, chat = true }
+  ) {
+    const { SystemSettings } = require("../../models/systemSettings");
+    const { getBaseLLMProviderModel } = require("../helpers");
+    const { TextSplitter } = require("../TextSplitter");
+    const chatProvider =
+      workspace.chatProvider ?? process.env.LLM_PROVIDER ?? "openai";
+
+    return {
+      overrides,
+      offline,
+      retrieval: {
+        similarityThreshold: workspace.similarityThreshold,
+        topN: workspace.topN,
+        vectorSearchMode: workspace.vectorSearchMode || "default",
+        queryRewriteMode: workspace.queryRewriteMode || "off",
+        retrievalFilter: workspace.retrievalFilter || null,
+        parentRetrievalWindow: workspace.parentRetrievalWindow || 0,
+      },
+      chunking: {
+        strategy: await TextSplitter.strategyFor(workspace.slug),
+        chunkSize: await SystemSettings.getValueOrFallback(
+          { label: "text_splitter_chunk_size" },
+          null
+        ),
+        chunkOverlap: await SystemSettings.getValueOrFallback(
+          { label: "text_splitter_chunk_overlap" },
+          null
+        ),
+      },
+      embedding: {
+        engine: process.env.EMBEDDING_ENGINE || "native",
+        model: process.env.EMBEDDING_MODEL_PREF || null,
+      },
+      chat: chat
+        ? {
+            provider: chatProvider,
+            model:
+              workspace.chatModel ??
+              getBaseLLMProviderModel({ provider: chatProvider }) ??
+              null,
+            chatMode: workspace.chatMode || "chat",
+            citationMode: workspace.citationMode || "off",
+          }
+        : null,
+    };
+  }
+
+  /**
+   * 嵌入引擎是否可以离线使用
+   * @returns {boolean}
+   */
+  usesLocalEmbedder() {
+    return LOCAL_EMBEDDING_ENGINES.includes(
+      process.env.EMBEDDING_ENGINE || "native"
+    );
+  }
+
+  /**
+   * 重放工作区的标准问题集并保存本次运行
+   * @param {Object} workspace
+   * @param {Object} options
+   * @param {Object} [options.overrides] - 临时覆盖的工作区配置
+   * @param {string|null} [options.label] - 运行名称，便于比较时识别
+   * @param {boolean} [options.offline] - 使用替身模型
+   * @param {boolean} [options.chat] - 为false时只评测检索
+   * @param {Object|null} [options.run] - 已创建的运行记录（管理端点先创建记录再在后台执行）
+   * @param {(result: EvalQuestionResult, index: number, total: number) => void} [options.onProgress]
+   * @returns {Promise<Object>} 完成的运行记录
+   */
+  async run(
+    workspace,
+    {
+      overrides = {},
+      label = null,
+      offline = false,
+      chat = true,
+      run = null,
+      onProgress = null,
+    } = {}
+  ) {
+    const { WorkspaceEvalRun } = require("../../models/workspaceEvalRuns");
+    if (!run)
+      run = await this.createRun(workspace, {
+        overrides,
+        label,
+        offline,
+        chat,
+      });
+
+    try {
+      const {
+        WorkspaceEvalQuestion,
+      } = require("../../models/workspaceEvalQuestions");
+      const questions = await WorkspaceEvalQuestion.forWorkspace(workspace.id);
+      if (questions.length === 0)
+        throw new Error(`Workspace ${workspace.slug} has no golden questions.`);
+
+      const evalWorkspace = this.evalWorkspace(workspace, overrides, offline);
+      const titles = await this.documentTitles(workspace);
+      const results = [];
+      for (const question of questions) {
+        const result = await this.evaluateQuestion(evalWorkspace, question, {
+          runId: run.id,
+          titles,
+          chat,
+        });
+        results.push(result);
+        onProgress?.(result, results.length, questions.length);
+      }
+
+      const metrics = aggregateMetrics(results);
+      console.log(
+        `[RetrievalEval] 运行 #${run.id} 完成：${questions.length} 个问题，MRR ${metrics.mrr ?? "-"}`
+      );
+      return await WorkspaceEvalRun.complete(run.id, { metrics, results });
+    } catch (error) {
+      console.error(`[RetrievalEval] 运行 #${run.id} 失败:`, error.message);
+      await WorkspaceEvalRun.fail(run.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建运行记录，保存本次生效的配置
+   * @returns {Promise<Object>}
+   */
+  async createRun(
+    workspace,
+    { overrides = {}, label = null, offline = false, chat = true }
+  ) {
+    const { WorkspaceEvalRun } = require("../../models/workspaceEvalRuns");
+    const config = await this.describeConfig(
+      this.evalWorkspace(workspace, overrides, offline),
+      { overrides, offline, chat }
+    );
+    const { run, message } = await WorkspaceEvalRun.new(workspace.id, {
+      label,
+      config,
+    });
+    if (!run) throw new Error(`Could not create evaluation run: ${message}`);
+    return run;
+  }
+
+  /**
+   * 评测单个问题，单题出错不影响整次运行
+   * @returns {Promise<EvalQuestionResult>}
+   */
+  async evaluateQuestion(
+    workspace,
+    question,
+    { runId, titles = new Map(), chat = true }
+  ) {
+    const expectedSources = question.expectedSources.map(
+      (source) => titles.get(normalizeKey(source)) || source
+    );
+    const result = {
+      questionId: question.id,
+      question: question.question,
+      expectedSources,
+      retrievedSources: [],
+      recall: null,
+      reciprocalRank: null,
+      answer: null,
+      answerSimilarity: null,
+      answerF1: null,
+      grounding: null,
+      error: null,
+    };
+
+    try {
+      result.retrievedSources = await this.retrieve(
+        workspace,
+        question.question
+      );
+      if (expectedSources.length > 0) {
+        const ks = [...new Set([...K_VALUES, Number(workspace.topN) || 4])]
+          .filter((k) => k <= (Number(workspace.topN) || 4))
+          .sort((a, b) => a - b);
+        result.recall = Object.fromEntries(
+          ks.map((k) => [
+            k,
+            round(recallAtK(result.retrievedSources, expectedSources, k)),
+          ])
+        );
+        result.reciprocalRank = round(
+          reciprocalRank(result.retrievedSources, expectedSources)
+        );
+      }
+
+      if (chat) {
+        const response = await this.answer(workspace, question, runId);
+        if (response.error) throw new Error(response.error);
+        result.answer = response.textResponse;
+        result.grounding = response.grounding
+          ? {
+              citations: response.grounding.citations.length,
+              invalidMarkers: response.grounding.invalidMarkers.length,
+              unsupportedSentences:
+                response.grounding.unsupportedSentences.length,
+            }
+          : null;
+        if (question.referenceAnswer && result.answer) {
+          result.answerF1 = round(
+            tokenF1(result.answer, question.referenceAnswer)
+          );
+          result.answerSimilarity = await this.answerSimilarity(
+            result.answer,
+            question.referenceAnswer
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[RetrievalEval] 问题 #${question.id} 评测失败:`,
+        error.message
+      );
+      result.error = error.message;
+    }
+    return result;
+  }
+
+  /**
+   * 评测使用的聊天模型，offline时为替身模型
+   * @param {Object} workspace - evalWorkspace()的结果
+   * @returns {Object}
+   */
+  llmConnector(workspace) {
+    const {
+      getLLMProvider,
+      getEmbeddingEngineSelection,
+    } = require("../helpers");
+    if (workspace.chatProvider !== OFFLINE_PROVIDER)
+      return getLLMProvider({
+        provider: workspace.chatProvider,
+        model: workspace.chatModel,
+      });
+
+    const { EvalStandInLLM } = require("../AiProviders/evalStandIn");
+    return new EvalStandInLLM(
+      getEmbeddingEngineSelection(),
+      workspace.chatModel
+    );
+  }
+
+  /**
+   * 相似度检索，返回去重后按排名排序的文档标题
+   * 评测的问题没有对话历史，rewrite模式不会改写，hyde模式会附加假设性回答
+   * @returns {Promise<string[]>}
+   */
+  async retrieve(workspace, input) {
+    const { getVectorDbClass } = require("../helpers");
+    const { resolveRetrievalFilter } = require("../retrievalFilter");
+    const { rewriteQuery, searchInput } = require("../chats/queryRewriter");
+    const VectorDb = getVectorDbClass();
+    if (!(await VectorDb.hasNamespace(workspace.slug))) return [];
+
+    const LLMConnector = this.llmConnector(workspace);
+    const queryRewrite = await rewriteQuery({
+      workspace,
+      message: input,
+      LLMConnector,
+    });
+    const { sources = [], message } = await VectorDb.performSimilaritySearch({
+      namespace: workspace.slug,
+      input: searchInput(queryRewrite, input),
+      LLMConnector,
+      similarityThreshold: workspace.similarityThreshold,
+      topN: workspace.topN,
+      rerank: workspace.vectorSearchMode === "rerank",
+      hybrid: workspace.vectorSearchMode === "hybrid",
+      filter: resolveRetrievalFilter({ workspace }),
+    });
+    if (message) throw new Error(message);
+    return [...new Set(sources.map((source) => source.title).filter(Boolean))];
+  }
+
+  /**
+   * 通过完整的API聊天流程回答问题，结束后删除产生的聊天记录
+   * @returns {Promise<Object>} chatSync的返回值
+   */
+  async answer(workspace, question, runId) {
+    const { ApiChatHandler } = require("../chats/apiChatHandler");
+    const { WorkspaceChats } = require("../../models/workspaceChats");
+    const sessionId = `eval-${runId}-${question.id}`;
+    try {
+      return await ApiChatHandler.chatSync({
+        workspace,
+        message: question.question,
+        mode: workspace.chatMode || "chat",
+        sessionId,
+        LLMConnector: this.llmConnector(workspace),
+      });
+    } finally {
+      await WorkspaceChats.delete({
+        workspaceId: workspace.id,
+        api_session_id: sessionId,
+      });
+    }
+  }
+
+  /**
+   * 回答与参考答案向量的余弦相似度，嵌入失败时返回null（仍有词项F1可用）
+   * @returns {Promise<number|null>}
+   */
+  async answerSimilarity(answer, reference) {
+    try {
+      const { getEmbeddingEngineSelection } = require("../helpers");
+      const vectors = await getEmbeddingEngineSelection().embedChunks([
+        answer,
+        reference,
+      ]);
+      if (!vectors || vectors.length !== 2) return null;
+      return round(cosineSimilarity(vectors[0], vectors[1]));
+    } catch (error) {
+      console.warn(`[RetrievalEval] 计算回答向量相似度失败:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 工作区文档的docpath和文件名到标题的映射，期望来源可以填写任意一种
+   * @returns {Promise<Map<string, string>>}
+   */
+  async documentTitles(workspace) {
+    const { Document } = require("../../models/documents");
+    const { safeJsonParse } = require("../http");
+    const titles = new Map();
+    for (const document of await Document.forWorkspace(workspace.id)) {
+      const title = safeJsonParse(document.metadata, {})?.title;
+      if (!title) continue;
+      titles.set(normalizeKey(document.docpath), title);
+      titles.set(normalizeKey(document.filename), title);
+    }
+    return titles;
+  }
+}
+
+function normalizeKey(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase();
+}
+
+function round(value) {
+  if (typeof value !== "number") return value ?? null;
+  return Math.round(value * 10_000) / 10_000;
+}
+
+function flatten(object = {}, prefix = "") {
+  const flat = {};
+  for (const [key, value] of Object.entries(object || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value))
+      Object.assign(flat, flatten(value, path));
+    else flat[path] = value;
+  }
+  return flat;
+}
+
+module.exports = new RetrievalEvaluator();
+module.exports.RetrievalEvaluator = RetrievalEvaluator;
+module.exports.OVERRIDE_KEYS = OVERRIDE_KEYS;
+module.exports.recallAtK = recallAtK;
+module.exports.reciprocalRank = reciprocalRank;
+module.exports.tokenF1 = tokenF1;
+module.exports.aggregateMetrics = aggregateMetrics;
+module.exports.compareRuns = compareRuns;
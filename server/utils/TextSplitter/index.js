@@ -13,14 +13,39 @@
  * @property {number} token_count_estimate - Number of tokens in the document
  */
 
+const crypto = require("crypto");
+const { locateChunks, spanProvenance, hasProvenance } = require("./provenance");
+
 function isNullOrNaN(value) {
   if (value === null) return true;
   return isNaN(value);
 }
 
+/**
+ * @typedef {object} TextChunk
+ * @property {string} text - The chunk text including the chunk header.
+ * @property {{headingPath?: string[], tableCaption?: string, pageStart?: number, pageEnd?: number}} metadata - Chunk specific metadata, eg: the markdown heading path of the chunk, the caption of the table it holds or the pages it came from.
+ */
+
 class TextSplitter {
   #splitter;
 
+  /**
+   * Available chunking strategies.
+   * - recursive: split on paragraphs, lines, then words until chunks fit (default)
+   * - markdown: keep headings, tables and code blocks intact and record the heading path of every chunk
+   * - sentence: pack whole sentences, for text without spaces between words like Chinese
+   * - table: keep tables and code blocks intact, repeating table headers when a table must be split
+   * - semantic: start a new chunk where the embedding similarity between sentences drops
+   */
+  static STRATEGIES = [
+    "recursive",
+    "markdown",
+    "sentence",
+    "table",
+    "semantic",
+  ];
+
   /**
    * Creates a new TextSplitter instance.
    * @param {Object} config
@@ -28,6 +53,9 @@ class TextSplitter {
    * @param {number} [config.chunkSize = 1000] - The size of each chunk.
    * @param {number} [config.chunkOverlap = 20] - The overlap between chunks.
    * @param {Object} [config.chunkHeaderMeta = null] - Metadata to be added to the start of each chunk - will come after the prefix.
+   * @param {string} [config.strategy = "recursive"] - One of TextSplitter.STRATEGIES.
+   * @param {Object} [config.embedder = null] - Embedder used by the semantic strategy.
+   * @param {boolean} [config.preserveTables = false] - Give every table its own chunks, eg: for documents with tables extracted by the collector.
    */
   constructor(config = {}) {
     this.config = config;
@@ -56,6 +84,38 @@ class TextSplitter {
     return prefValue > limit ? limit : prefValue;
   }
 
+  /**
+   * Normalize a strategy name, unknown or empty values resolve to null.
+   * @param {string|null} strategy
+   * @returns {string|null}
+   */
+  static validStrategy(strategy = null) {
+    return TextSplitter.STRATEGIES.includes(strategy) ? strategy : null;
+  }
+
+  /**
+   * The chunking strategy for a workspace - the workspace override wins over the system preference.
+   * @param {string|null} namespace - workspace slug
+   * @returns {Promise<string>}
+   */
+  static async strategyFor(namespace = null) {
+    const { Workspace } = require("../../models/workspace");
+    const { SystemSettings } = require("../../models/systemSettings");
+    const workspace = namespace
+      ? await Workspace.get({ slug: String(namespace) })
+      : null;
+    return (
+      TextSplitter.validStrategy(workspace?.chunkingStrategy) ??
+      TextSplitter.validStrategy(
+        await SystemSettings.getValueOrFallback(
+          { label: "text_splitter_strategy" },
+          null
+        )
+      ) ??
+      "recursive"
+    );
+  }
+
   /**
    *  Creates a string of metadata to be prepended to each chunk.
    * @param {DocumentMetadata} metadata - Metadata to be prepended to each chunk.
@@ -130,12 +190,14 @@ class TextSplitter {
   /**
    * Creates a string of metadata to be prepended to each chunk.
    * Will additionally prepend a prefix to the text if it was provided (requirement for some embedders).
+   * @param {Object} [chunkMeta = {}] - Chunk specific metadata added after the document metadata, eg: the section.
    * @returns {string} The text with the embedder model prefix applied.
    */
-  stringifyHeader() {
+  stringifyHeader(chunkMeta = {}) {
     let content = "";
-    if (!this.config.chunkHeaderMeta) return this.#applyPrefix(content);
-    Object.entries(this.config.chunkHeaderMeta).map(([key, value]) => {
+    const headerMeta = { ...(this.config.chunkHeaderMeta || {}), ...chunkMeta };
+    if (Object.keys(headerMeta).length === 0) return this.#applyPrefix(content);
+    Object.entries(headerMeta).map(([key, value]) => {
       if (!key || !value) return;
       content += `${key}: ${value}\n`;
     });
@@ -152,20 +214,135 @@ class TextSplitter {
    * @param {string} [config.chunkPrefix = ""] - Prefix to be added to the start of each chunk.
    * @param {number} [config.chunkSize = 1000] - The size of each chunk.
    * @param {number} [config.chunkOverlap = 20] - The overlap between chunks.
+   * @param {string} [config.strategy = "recursive"] - The chunking strategy.
+   * @param {boolean} [config.preserveTables = false] - Keep tables as atomic chunks - the recursive strategy is swapped for the table strategy.
    */
   #setSplitter(config = {}) {
     // if (!config?.splitByFilename) {// TODO do something when specific extension is present? }
-    return new RecursiveSplitter({
-      chunkSize: isNaN(config?.chunkSize) ? 1_000 : Number(config?.chunkSize),
-      chunkOverlap: isNaN(config?.chunkOverlap)
-        ? 20
-        : Number(config?.chunkOverlap),
-      chunkHeader: this.stringifyHeader(),
+    const chunkSize = isNaN(config?.chunkSize)
+      ? 1_000
+      : Number(config?.chunkSize);
+    const chunkOverlap = isNaN(config?.chunkOverlap)
+      ? 20
+      : Number(config?.chunkOverlap);
+    const preserveTables = !!config?.preserveTables;
+    let strategy = TextSplitter.validStrategy(config?.strategy) ?? "recursive";
+    if (strategy === "recursive" && preserveTables) strategy = "table";
+    const recursive = new RecursiveSplitter({
+      chunkSize,
+      chunkOverlap,
+      chunkHeader: strategy === "recursive" ? this.stringifyHeader() : null,
     });
+    if (strategy === "recursive") return recursive;
+
+    const {
+      StructuredSplitter,
+      SentenceSplitter,
+      SemanticSplitter,
+    } = require("./strategies");
+    const strategyConfig = {
+      chunkSize,
+      chunkOverlap,
+      header: (chunkMeta) => this.stringifyHeader(chunkMeta),
+      fallback: recursive,
+    };
+    this.log(`Will split with the ${strategy} strategy`);
+    switch (strategy) {
+      case "markdown":
+        return new StructuredSplitter({
+          ...strategyConfig,
+          trackHeadings: true,
+          isolateTables: preserveTables,
+        });
+      case "table":
+        return new StructuredSplitter({
+          ...strategyConfig,
+          trackHeadings: false,
+          isolateTables: preserveTables,
+        });
+      case "sentence":
+        return new SentenceSplitter(strategyConfig);
+      case "semantic":
+        return new SemanticSplitter({
+          ...strategyConfig,
+          embedder: config?.embedder ?? null,
+        });
+    }
   }
 
+  /**
+   * Split the document text into chunks.
+   * @param {string} documentText
+   * @returns {Promise<string[]>}
+   */
   async splitText(documentText) {
-    return this.#splitter._splitText(documentText);
+    const chunks = await this.splitTextWithMetadata(documentText);
+    return chunks.map((chunk) => chunk.text);
+  }
+
+  /**
+   * Split the document text into chunks along with chunk specific metadata
+   * that should be stored next to each chunk in the vector database.
+   * @param {string} documentText
+   * @param {import("./provenance").DocumentProvenance|null} [provenance = null] - Page and section offsets of the document, when known each chunk is mapped to its page range and heading path.
+   * @returns {Promise<TextChunk[]>}
+   */
+  async splitTextWithMetadata(documentText, provenance = null) {
+    let chunks;
+    if (this.#splitter instanceof RecursiveSplitter) {
+      const texts = await this.#splitter._splitText(documentText);
+      chunks = texts.map((text) => ({ text, metadata: {} }));
+    } else chunks = await this.#splitter._splitChunks(documentText);
+
+    if (!hasProvenance(provenance)) return chunks;
+    const spans = locateChunks(
+      documentText,
+      chunks.map((chunk) => this.#chunkBody(chunk.text))
+    );
+    return chunks.map((chunk, i) => {
+      if (!spans[i]) return chunk;
+      const { headingPath, ...pages } = spanProvenance(spans[i], provenance);
+      return {
+        ...chunk,
+        metadata: {
+          // A heading path found by the markdown strategy is more precise than the section offsets.
+          ...(headingPath && !chunk.metadata.headingPath
+            ? { headingPath }
+            : {}),
+          ...chunk.metadata,
+          ...pages,
+        },
+      };
+    });
+  }
+
+  /**
+   * A content hash of the chunk, used to find the chunks that changed when a document is re-synced.
+   * The document metadata header is left out since it changes on every sync (eg: the published date)
+   * while the chunk content stays the same.
+   * @param {TextChunk} chunk
+   * @returns {string}
+   */
+  chunkHash(chunk) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify([this.#chunkBody(chunk.text), chunk.metadata]))
+      .digest("hex");
+  }
+
+  /**
+   * The chunk text without the embedder prefix and the document metadata header.
+   * @param {string} text
+   * @returns {string}
+   */
+  #chunkBody(text = "") {
+    const prefix = this.config.chunkPrefix || "";
+    const body =
+      prefix && text.startsWith(prefix) ? text.slice(prefix.length) : text;
+    return body.replace(
+      /^<document_metadata>\n[\s\S]*?<\/document_metadata>\n\n/,
+      ""
+    );
   }
 }
 
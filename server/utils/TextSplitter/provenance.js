@@ -0,0 +1,104 @@
+/**
+ * @typedef {object} DocumentProvenance
+ * @property {{page: number, start: number, end: number}[]} [pageOffsets] - Where every page (or slide) lands in the document text, written by the collector.
+ * @property {{headingPath: string[], start: number, end: number}[]} [sectionOffsets] - Where every heading section lands in the document text, eg: for docx files.
+ */
+
+// Number of characters (whitespace excluded) used to find where a chunk starts and ends in the document.
+const ANCHOR_LENGTH = 64;
+
+/**
+ * Strips whitespace from the text and keeps, for every remaining character, its offset in the original text.
+ * Splitters trim, re-join and re-wrap text so chunks are only matched on their non-whitespace characters.
+ * @param {string} text
+ * @returns {{compact: string, offsets: Uint32Array}}
+ */
+function compactText(text = "") {
+  const offsets = new Uint32Array(text.length);
+  let compact = "";
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) continue;
+    compact += text[i];
+    offsets[length++] = i;
+  }
+  return { compact, offsets: offsets.subarray(0, length) };
+}
+
+/**
+ * Finds where each chunk came from in the document text.
+ * Chunks are expected in document order, but may overlap or repeat text (eg: table headers),
+ * so the search for the next chunk resumes just after the start of the previous one.
+ * @param {string} documentText
+ * @param {string[]} bodies - The chunk texts without their headers.
+ * @returns {({start: number, end: number}|null)[]} - Offsets in the document text, null when a chunk could not be found.
+ */
+function locateChunks(documentText = "", bodies = []) {
+  const document = compactText(documentText);
+  let cursor = 0;
+  return bodies.map((body) => {
+    const { compact } = compactText(body);
+    if (!compact) return null;
+
+    const head = compact.slice(0, ANCHOR_LENGTH);
+    let start = document.compact.indexOf(head, cursor);
+    if (start === -1) start = document.compact.indexOf(head);
+    if (start === -1) return null;
+
+    const tail = compact.slice(-ANCHOR_LENGTH);
+    let end = document.compact.indexOf(
+      tail,
+      start + Math.max(0, compact.length - tail.length - ANCHOR_LENGTH)
+    );
+    if (end === -1) end = document.compact.indexOf(tail, start);
+    end = end === -1 ? start + head.length : end + tail.length;
+
+    cursor = start + 1;
+    return {
+      start: document.offsets[start],
+      end: document.offsets[end - 1] + 1,
+    };
+  });
+}
+
+/**
+ * Maps a span of the document text to the pages it covers and the heading section it starts in.
+ * @param {{start: number, end: number}} span
+ * @param {DocumentProvenance} provenance
+ * @returns {{pageStart?: number, pageEnd?: number, headingPath?: string[]}}
+ */
+function spanProvenance(span, { pageOffsets = [], sectionOffsets = [] } = {}) {
+  const result = {};
+  const pages = pageOffsets.filter(
+    (offset) => offset.start < span.end && offset.end > span.start
+  );
+  if (pages.length > 0) {
+    result.pageStart = Math.min(...pages.map((offset) => offset.page));
+    result.pageEnd = Math.max(...pages.map((offset) => offset.page));
+  }
+
+  const section = sectionOffsets.find(
+    (offset) => offset.start <= span.start && offset.end > span.start
+  );
+  if (section?.headingPath?.length) result.headingPath = section.headingPath;
+  return result;
+}
+
+/**
+ * @param {DocumentProvenance|null} provenance
+ * @returns {boolean} - If the document has any offsets chunks can be mapped to.
+ */
+function hasProvenance(provenance = null) {
+  return (
+    (Array.isArray(provenance?.pageOffsets) &&
+      provenance.pageOffsets.length > 0) ||
+    (Array.isArray(provenance?.sectionOffsets) &&
+      provenance.sectionOffsets.length > 0)
+  );
+}
+
+module.exports = {
+  locateChunks,
+  spanProvenance,
+  hasProvenance,
+};
@@ -0,0 +1,440 @@
+/**
+ * Structure-aware chunking strategies used by TextSplitter.
+ * Every splitter exposes `_splitChunks(text)` which resolves to `{text, metadata}[]`
+ * where `text` already has the chunk header applied.
+ */
+
+// Distances between neighbouring sentences above this percentile start a new semantic chunk.
+const SEMANTIC_BREAKPOINT_PERCENTILE = 90;
+
+/**
+ * Split text into sentences. Chinese/Japanese sentence punctuation does not need a following space,
+ * latin punctuation does so that decimals and abbreviations like "v1.2" are not split.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text = "") {
+  return String(text)
+    .split(/\n+/)
+    .flatMap((line) =>
+      line.split(/(?<=[。！？；…])(?![。！？；…”’」』）)])|(?<=[.!?;])\s+/)
+    )
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+// A "Table: <caption>" line directly above a table, as written by the collector for extracted tables.
+const TABLE_CAPTION = /^Table:\s*(.+)$/;
+
+/**
+ * Parse markdown-ish text into structural blocks. Code fences and tables (markdown or HTML)
+ * are kept whole so they can be treated as atomic units when packing chunks.
+ * A table keeps its caption line, the caption without the table is in `caption`.
+ * @param {string} text
+ * @returns {{type: 'heading'|'code'|'table'|'text', text: string, level?: number, caption?: string}[]}
+ */
+function parseBlocks(text = "") {
+  const blocks = [];
+  const lines = String(text).split("\n");
+  let paragraph = [];
+  const flushParagraph = () => {
+    const content = paragraph.join("\n").trim();
+    if (content) blocks.push({ type: "text", text: content });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    const fence = trimmed.match(/^(```|~~~)/);
+    if (fence) {
+      flushParagraph();
+      const code = [line];
+      while (++i < lines.length) {
+        code.push(lines[i]);
+        if (lines[i].trim().startsWith(fence[1])) break;
+      }
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    if (/^<table[\s>]/i.test(trimmed)) {
+      flushParagraph();
+      const table = [line];
+      while (!/<\/table>/i.test(table[table.length - 1]) && ++i < lines.length)
+        table.push(lines[i]);
+      blocks.push({ type: "table", text: table.join("\n") });
+      continue;
+    }
+
+    if (trimmed.startsWith("|")) {
+      const caption = paragraph[paragraph.length - 1]
+        ?.trim()
+        .match(TABLE_CAPTION);
+      if (caption) paragraph.pop();
+      flushParagraph();
+      const table = [line];
+      while (i + 1 < lines.length && lines[i + 1].trim().startsWith("|"))
+        table.push(lines[++i]);
+      blocks.push({
+        type: "table",
+        text: [...(caption ? [caption[0]] : []), ...table].join("\n"),
+        ...(caption ? { caption: caption[1] } : {}),
+      });
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2].trim(),
+        raw: trimmed,
+      });
+      continue;
+    }
+
+    if (!trimmed) flushParagraph();
+    else paragraph.push(line);
+  }
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Split a table that does not fit into one chunk by rows, repeating the header rows in every part
+ * so each chunk can still be read on its own.
+ * @param {string} table
+ * @param {number} chunkSize
+ * @returns {string[]}
+ */
+function splitTable(table, chunkSize) {
+  if (table.length <= chunkSize) return [table];
+
+  let header;
+  let rows;
+  let wrap = (body) => body;
+  if (/^\s*<table/i.test(table)) {
+    const parts = table.split(/(?=<tr[\s>])/i);
+    const open = parts.shift().trim();
+    rows = parts.map((row) => row.replace(/<\/table>\s*$/i, "").trim());
+    header = rows.length > 1 ? [rows.shift()] : [];
+    wrap = (body) => `${open}\n${body}\n</table>`;
+  } else {
+    const lines = table.split("\n");
+    const hasSeparator = /^\s*\|?\s*:?-{3,}/.test(lines[1] || "");
+    header = lines.slice(0, hasSeparator ? 2 : 1);
+    rows = lines.slice(header.length);
+  }
+
+  const parts = [];
+  let current = [];
+  const size = (lines) => wrap([...header, ...lines].join("\n")).length;
+  for (const row of rows) {
+    if (current.length > 0 && size([...current, row]) > chunkSize) {
+      parts.push(wrap([...header, ...current].join("\n")));
+      current = [];
+    }
+    current.push(row);
+  }
+  if (current.length > 0) parts.push(wrap([...header, ...current].join("\n")));
+  return parts;
+}
+
+/**
+ * Split a table block into parts that fit chunkSize, repeating the caption line in every part.
+ * @param {{text: string, caption?: string}} block
+ * @param {number} chunkSize
+ * @returns {string[]}
+ */
+function splitTableBlock(block, chunkSize) {
+  if (!block.caption) return splitTable(block.text, chunkSize);
+  const [captionLine, ...table] = block.text.split("\n");
+  return splitTable(table.join("\n"), chunkSize - captionLine.length - 1).map(
+    (part) => `${captionLine}\n${part}`
+  );
+}
+
+/**
+ * Greedily pack units into chunks up to chunkSize characters.
+ * Units that are too large on their own are split with the fallback splitter.
+ * @param {string[]} units
+ * @param {Object} options
+ * @param {number} options.chunkSize
+ * @param {number} [options.chunkOverlap = 0] - characters of trailing whole units carried into the next chunk
+ * @param {(parts: string[]) => string} [options.join] - joins units into a chunk, paragraphs by default
+ * @param {(text: string) => Promise<string[]>} options.fallback
+ * @returns {Promise<string[]>}
+ */
+async function packUnits(
+  units,
+  {
+    chunkSize,
+    chunkOverlap = 0,
+    join = (parts) => parts.join("\n\n"),
+    fallback,
+  }
+) {
+  const chunks = [];
+  let current = [];
+  const length = (parts) => join(parts).length;
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push(join(current));
+
+    const overlap = [];
+    for (let i = current.length - 1; i > 0 && chunkOverlap > 0; i--) {
+      if (length([current[i], ...overlap]) > chunkOverlap) break;
+      overlap.unshift(current[i]);
+    }
+    current = overlap;
+  };
+
+  for (const unit of units) {
+    if (unit.length > chunkSize) {
+      flush();
+      current = [];
+      chunks.push(...(await fallback(unit)));
+      continue;
+    }
+    if (current.length > 0 && length([...current, unit]) > chunkSize) flush();
+    // Overlap units plus the next unit may still be too long, drop the overlap in that case.
+    if (length([...current, unit]) > chunkSize) current = [];
+    current.push(unit);
+  }
+  if (current.length > 0) chunks.push(join(current));
+  return chunks;
+}
+
+/**
+ * Join sentences back together - CJK sentences are not separated by spaces.
+ * @param {string[]} sentences
+ * @returns {string}
+ */
+function joinSentences(sentences = []) {
+  return sentences.reduce((text, sentence) => {
+    if (!text) return sentence;
+    return /[。！？；…”’」』）)]$/.test(text) && /^[^\x00-\x7F]/.test(sentence)
+      ? `${text}${sentence}`
+      : `${text} ${sentence}`;
+  }, "");
+}
+
+function cosineSimilarity(a = [], b = []) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function percentile(values = [], p = 50) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+}
+
+class BaseStrategySplitter {
+  /**
+   * @param {Object} config
+   * @param {number} config.chunkSize
+   * @param {number} config.chunkOverlap
+   * @param {(meta?: Object) => string} config.header - builds the chunk header, optionally with chunk specific metadata
+   * @param {{_splitText: (text: string) => Promise<string[]>}} config.fallback - splitter for oversized units (without header)
+   */
+  constructor({ chunkSize, chunkOverlap, header, fallback }) {
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.header = header;
+    this.fallback = (text) => fallback._splitText(text);
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[35m[${this.constructor.name}]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * @param {string[]} texts
+   * @param {Object} metadata - chunk metadata, also shown in the header where relevant
+   */
+  withHeader(texts = [], metadata = {}) {
+    const section = metadata.headingPath?.length
+      ? { section: metadata.headingPath.join(" > ") }
+      : {};
+    const header = this.header(section);
+    return texts
+      .filter((text) => !!text.trim())
+      .map((text) => ({ text: `${header}${text}`, metadata }));
+  }
+}
+
+/**
+ * Keeps headings, code blocks and tables intact and records the heading path of every chunk.
+ * With `trackHeadings` disabled it only preserves tables and code blocks.
+ * With `isolateTables` enabled every table gets chunks of its own instead of being packed
+ * together with the surrounding text, and its caption is recorded as `tableCaption`.
+ */
+class StructuredSplitter extends BaseStrategySplitter {
+  constructor({ trackHeadings = true, isolateTables = false, ...config }) {
+    super(config);
+    this.trackHeadings = trackHeadings;
+    this.isolateTables = isolateTables;
+  }
+
+  /**
+   * @returns {Promise<{texts: string[], metadata: Object}[]>}
+   */
+  async #packSection(blocks) {
+    const pack = (units) =>
+      packUnits(units, { chunkSize: this.chunkSize, fallback: this.fallback });
+    const groups = [];
+    let units = [];
+    for (const block of blocks) {
+      if (block.type !== "table") {
+        units.push(block.text);
+        continue;
+      }
+      const tableUnits = splitTableBlock(block, this.chunkSize);
+      if (!this.isolateTables) {
+        units.push(...tableUnits);
+        continue;
+      }
+      if (units.length) groups.push({ texts: await pack(units), metadata: {} });
+      units = [];
+      groups.push({
+        texts: await pack(tableUnits),
+        metadata: block.caption ? { tableCaption: block.caption } : {},
+      });
+    }
+    if (units.length) groups.push({ texts: await pack(units), metadata: {} });
+    return groups;
+  }
+
+  async _splitChunks(documentText) {
+    const chunks = [];
+    let headingPath = [];
+    let section = [];
+    const flush = async (force = false) => {
+      if (section.length === 0) return;
+      // A heading directly followed by a sub-heading is carried into the sub-section.
+      if (!force && section.every((block) => block.heading)) return;
+      for (const { texts, metadata } of await this.#packSection(section)) {
+        chunks.push(
+          ...this.withHeader(texts, {
+            ...(this.trackHeadings ? { headingPath: [...headingPath] } : {}),
+            ...metadata,
+          })
+        );
+      }
+      section = [];
+    };
+
+    for (const block of parseBlocks(documentText)) {
+      if (block.type === "heading" && this.trackHeadings) {
+        await flush();
+        headingPath = [...headingPath.slice(0, block.level - 1), block.text];
+        // Skipped levels (eg: # then ###) leave holes in the path.
+        headingPath = headingPath.filter(Boolean);
+        section.push({ type: "text", text: block.raw, heading: true });
+        continue;
+      }
+      section.push(
+        block.type === "heading" ? { type: "text", text: block.raw } : block
+      );
+    }
+    await flush(true);
+    return chunks;
+  }
+}
+
+/**
+ * Packs whole sentences into chunks so Chinese text (which has no spaces) is never cut mid-sentence.
+ * Overlap is applied in whole sentences.
+ */
+class SentenceSplitter extends BaseStrategySplitter {
+  async _splitChunks(documentText) {
+    const texts = await packUnits(splitSentences(documentText), {
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      join: joinSentences,
+      fallback: this.fallback,
+    });
+    return this.withHeader(texts);
+  }
+}
+
+/**
+ * Embeds every sentence and starts a new chunk where the similarity between neighbouring
+ * sentences drops sharply. Chunks are still capped at chunkSize.
+ * Falls back to sentence packing when no embedder is available or embedding fails.
+ */
+class SemanticSplitter extends BaseStrategySplitter {
+  constructor({ embedder = null, ...config }) {
+    super(config);
+    this.embedder = embedder;
+    this.sentenceSplitter = new SentenceSplitter(config);
+  }
+
+  async _splitChunks(documentText) {
+    const sentences = splitSentences(documentText);
+    if (sentences.length < 3 || !this.embedder)
+      return this.sentenceSplitter._splitChunks(documentText);
+
+    let vectors;
+    try {
+      vectors = await this.embedder.embedChunks(sentences);
+    } catch (error) {
+      this.log(`Embedding sentences failed, using sentence chunking.`, error);
+    }
+    if (!vectors || vectors.length !== sentences.length)
+      return this.sentenceSplitter._splitChunks(documentText);
+
+    const distances = [];
+    for (let i = 0; i < sentences.length - 1; i++)
+      distances.push(1 - cosineSimilarity(vectors[i], vectors[i + 1]));
+    const threshold = percentile(distances, SEMANTIC_BREAKPOINT_PERCENTILE);
+
+    const groups = [];
+    let group = [sentences[0]];
+    for (let i = 1; i < sentences.length; i++) {
+      if (distances[i - 1] >= threshold && distances[i - 1] > 0) {
+        groups.push(group);
+        group = [];
+      }
+      group.push(sentences[i]);
+    }
+    groups.push(group);
+
+    const texts = [];
+    for (const sentencesInGroup of groups) {
+      texts.push(
+        ...(await packUnits(sentencesInGroup, {
+          chunkSize: this.chunkSize,
+          join: joinSentences,
+          fallback: this.fallback,
+        }))
+      );
+    }
+    this.log(`Found ${groups.length} semantic sections.`);
+    return this.withHeader(texts);
+  }
+}
+
+module.exports = {
+  splitSentences,
+  parseBlocks,
+  splitTable,
+  splitTableBlock,
+  packUnits,
+  StructuredSplitter,
+  SentenceSplitter,
+  SemanticSplitter,
+};
@@ -1,6 +1,7 @@
 const { v4 } = require("uuid");
 const { getVectorDbClass, getLLMProvider } = require("../../../helpers");
 const { Deduplicator } = require("../utils/dedupe");
+const { resolveRetrievalFilter } = require("../../../retrievalFilter");
 
 const memory = {
   name: "rag-memory",
@@ -96,6 +97,8 @@ const memory = {
                   LLMConnector,
                   topN: workspace?.topN ?? 4,
                   rerank: workspace?.vectorSearchMode === "rerank",
+                  hybrid: workspace?.vectorSearchMode === "hybrid",
+                  filter: resolveRetrievalFilter({ workspace }),
                 });
 
               if (contextTexts.length === 0) {
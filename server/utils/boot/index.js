@@ -1,6 +1,7 @@
 const { Telemetry } = require("../../models/telemetry");
 const { BackgroundService } = require("../BackgroundWorkers");
 const { EncryptionManager } = require("../EncryptionManager");
+const { FolderWatcher } = require("../FolderWatcher");
 const { CommunicationKey } = require("../comKey");
 const setupTelemetry = require("../telemetry");
 const eagerLoadContextWindows = require("./eagerLoadContextWindows");
@@ -32,6 +33,7 @@ function bootSSL(app, port = 3001) {
         new CommunicationKey(true);
         new EncryptionManager();
         new BackgroundService().boot();
+        new FolderWatcher().boot();
         await eagerLoadContextWindows();
         console.log(`Primary server in HTTPS mode listening on port ${port}`);
       })
@@ -62,6 +64,7 @@ function bootHTTP(app, port = 3001) {
       new CommunicationKey(true);
       new EncryptionManager();
       new BackgroundService().boot();
+      new FolderWatcher().boot();
       await eagerLoadContextWindows();
       console.log(`Primary server in HTTP mode listening on port ${port}`);
     })
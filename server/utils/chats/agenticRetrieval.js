@@ -0,0 +1,215 @@
+/**
+ * Agentic多轮检索
+ * 功能：chatMode为"agentic"时替代单次相似度搜索
+ *
+ * 1. 由聊天模型把问题拆解为若干子查询，分别检索
+ * 2. 由聊天模型判断已收集的上下文是否足以回答问题，不足时给出补充查询并进入下一轮
+ * 3. 达到工作区配置的轮数上限（agenticMaxRounds）后停止
+ *
+ * 每一步通过onStep回调推送给前端，所有轮次的来源都会出现在最终回答的引用中
+ */
+
+const MAX_SUB_QUERIES = 4;
+// 判断上下文是否充分时，每个片段和全部片段的最大字符数
+const JUDGE_SNIPPET_CHARS = 600;
+const JUDGE_CONTEXT_CHARS = 8_000;
+
+/**
+ * @typedef {Object} RetrievalStep
+ * @property {number} round - 第几轮检索（从1开始）
+ * @property {'plan'|'search'|'judge'} type
+ * @property {string} text - 展示给用户的说明
+ * @property {string[]} [queries] - plan/judge步骤产生的查询
+ * @property {string} [query] - search步骤的查询
+ * @property {number} [found] - search步骤新增的片段数量
+ * @property {boolean} [sufficient] - judge步骤的结论
+ */
+
+/**
+ * 执行多轮检索
+ * @param {Object} params
+ * @param {Object} params.workspace
+ * @param {string} params.message - 用户问题
+ * @param {Object} params.LLMConnector - 用于拆解问题、判断上下文以及生成查询向量
+ * @param {Object} params.VectorDb
+ * @param {string[]} params.filterIdentifiers - 已置顶的文档，不重复检索
+ * @param {Object|null} params.filter - 文档标签过滤条件，见retrievalFilter
+ * @param {import("./retrievalTrace").RetrievalTrace|null} params.trace - 记录每次检索的候选片段
+ * @param {function(RetrievalStep): void} params.onStep
+ * @returns {Promise<{contextTexts: string[], sources: Object[], steps: RetrievalStep[], message: string|null}>}
+ */
+async function agenticRetrieval({
+  workspace,
+  message,
+  LLMConnector,
+  VectorDb,
+  filterIdentifiers = [],
+  filter = null,
+  trace = null,
+  onStep = () => {},
+}) {
+  const maxRounds = workspace?.agenticMaxRounds || 3;
+  const steps = [];
+  const contextTexts = [];
+  const sources = [];
+  const seenChunks = new Set();
+  const searchedQueries = new Set();
+
+  const emit = (step) => {
+    steps.push(step);
+    onStep(step);
+  };
+
+  let queries = await planQueries(message, LLMConnector);
+  emit({
+    round: 1,
+    type: "plan",
+    text: `拆解为 ${queries.length} 个子查询`,
+    queries,
+  });
+
+  for (let round = 1; round <= maxRounds; round++) {
+    for (const query of queries) {
+      searchedQueries.add(query.toLowerCase());
+      const result = await VectorDb.performSimilaritySearch({
+        namespace: workspace.slug,
+        input: query,
+        LLMConnector,
+        similarityThreshold: workspace?.similarityThreshold,
+        topN: workspace?.topN,
+        filterIdentifiers,
+        rerank: workspace?.vectorSearchMode === "rerank",
+        hybrid: workspace?.vectorSearchMode === "hybrid",
+        filter,
+        trace,
+      });
+      if (result.message)
+        return { contextTexts, sources, steps, message: result.message };
+
+      let found = 0;
+      result.sources.forEach((source, i) => {
+        const key = source.id || result.contextTexts[i];
+        if (seenChunks.has(key)) return;
+        seenChunks.add(key);
+        contextTexts.push(result.contextTexts[i]);
+        sources.push(source);
+        found++;
+      });
+      emit({
+        round,
+        type: "search",
+        text: `检索「${query}」，新增 ${found} 个片段`,
+        query,
+        found,
+      });
+    }
+
+    if (round === maxRounds) break;
+    const judgement = await judgeContext(message, contextTexts, LLMConnector);
+    queries = judgement.queries.filter(
+      (query) => !searchedQueries.has(query.toLowerCase())
+    );
+    const sufficient = judgement.sufficient || queries.length === 0;
+    emit({
+      round,
+      type: "judge",
+      text: sufficient
+        ? "上下文已足够回答问题"
+        : `上下文不足，补充检索 ${queries.length} 个查询`,
+      sufficient,
+      queries: sufficient ? [] : queries,
+    });
+    if (sufficient) break;
+  }
+
+  return { contextTexts, sources, steps, message: null };
+}
+
+/**
+ * 把问题拆解为子查询，模型调用失败或输出无法解析时直接使用原问题检索
+ * @param {string} message
+ * @param {Object} LLMConnector
+ * @returns {Promise<string[]>}
+ */
+async function planQueries(message, LLMConnector) {
+  try {
+    const { textResponse } = await LLMConnector.getChatCompletion(
+      [
+        {
+          role: "system",
+          content: `你负责为知识库检索拆解问题。把用户问题拆解为最多${MAX_SUB_QUERIES}个可以独立检索的子查询，每个子查询只包含一个对象、时间或条件；问题本身足够简单时只返回一个子查询。\n\n只返回JSON：{"queries": ["<子查询>", ...]}`,
+        },
+        { role: "user", content: message },
+      ],
+      { temperature: 0 }
+    );
+    const queries = parseQueries(parseJSON(textResponse)?.queries);
+    if (queries.length > 0) return queries;
+  } catch (error) {
+    console.error(`[AgenticRetrieval] 拆解问题失败:`, error.message);
+  }
+  return [message];
+}
+
+/**
+ * 判断已收集的上下文是否足以回答问题，模型调用失败时视为足够，避免无限检索
+ * @param {string} message
+ * @param {string[]} contextTexts
+ * @param {Object} LLMConnector
+ * @returns {Promise<{sufficient: boolean, queries: string[]}>}
+ */
+async function judgeContext(message, contextTexts, LLMConnector) {
+  let context = "";
+  contextTexts.forEach((text, i) => {
+    if (context.length >= JUDGE_CONTEXT_CHARS) return;
+    context += `[${i + 1}] ${String(text).slice(0, JUDGE_SNIPPET_CHARS)}\n\n`;
+  });
+
+  try {
+    const { textResponse } = await LLMConnector.getChatCompletion(
+      [
+        {
+          role: "system",
+          content: `你负责判断检索到的资料是否足以完整回答用户问题。资料不足时，给出最多${MAX_SUB_QUERIES}个用于补充检索缺失信息的新查询。\n\n只返回JSON：{"sufficient": true或false, "queries": ["<新查询>", ...]}`,
+        },
+        {
+          role: "user",
+          content: `问题：${message}\n\n已检索到的资料：\n${context || "（无）"}`,
+        },
+      ],
+      { temperature: 0 }
+    );
+    const result = parseJSON(textResponse);
+    if (!result) return { sufficient: true, queries: [] };
+    return {
+      sufficient: result.sufficient !== false,
+      queries: parseQueries(result.queries),
+    };
+  } catch (error) {
+    console.error(`[AgenticRetrieval] 判断上下文失败:`, error.message);
+    return { sufficient: true, queries: [] };
+  }
+}
+
+// 部分模型会用代码块包裹JSON
+function parseJSON(text) {
+  try {
+    return JSON.parse(text?.match(/\{[\s\S]*\}/)?.[0]);
+  } catch {
+    return null;
+  }
+}
+
+function parseQueries(queries) {
+  if (!Array.isArray(queries)) return [];
+  return [
+    ...new Set(
+      queries
+        .filter((query) => typeof query === "string")
+        .map((query) => query.trim())
+        .filter(Boolean)
+    ),
+  ].slice(0, MAX_SUB_QUERIES);
+}
+
+module.exports = { agenticRetrieval };
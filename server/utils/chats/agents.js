@@ -26,6 +26,7 @@ async function triggerAgentMode({
   workspace,
   user = null,
   thread = null,
+  promptxRole = null,
 }) {
   console.log(`[Agent模式] 开始创建WorkspaceAgentInvocation...`);
   console.log(`[Agent模式] workspace:`, workspace ? { id: workspace.id, name: workspace.name } : 'null');
@@ -101,6 +102,15 @@ ${enhancedPrompt}`;
     // 如果获取文档上下文失败，继续使用原始消息
   }
 
+  // 🔥 选中了角色（线程角色或自动路由）：要求Agent先通过PromptX action激活该角色
+  // 工作区固定的角色版本由MCP工具层处理
+  if (promptxRole) {
+    enhancedPrompt = `请先使用PromptX的action工具激活角色「${promptxRole.roleId}」（${promptxRole.name}），再以该角色身份完成以下任务。
+
+${enhancedPrompt}`;
+    console.log(`[Agent模式] 已要求Agent激活自动路由的角色: ${promptxRole.roleId}`);
+  }
+
   const { invocation: newInvocation, message: errorMessage } = await WorkspaceAgentInvocation.new({
     prompt: enhancedPrompt, // 🔥 使用增强后的提示词
     workspace: workspace,
@@ -9,6 +9,13 @@ const {
   recentChatHistory,
   grepAllSlashCommands,
 } = require("./index");
+const { rewriteQuery, searchInput } = require("./queryRewriter");
+const { agenticRetrieval } = require("./agenticRetrieval");
+const { resolveRetrievalFilter } = require("../retrievalFilter");
+const { groundedPromptArgs, verifyGrounding } = require("./groundedAnswer");
+const { expandParentSpans } = require("./parentRetrieval");
+const { RetrievalTrace } = require("./retrievalTrace");
+const { WorkspaceChatTrace } = require("../../models/workspaceChatTraces");
 const {
   EphemeralAgentHandler,
   EphemeralEventListener,
@@ -31,13 +38,15 @@ const { Telemetry } = require("../../models/telemetry");
  * @param {{
  *  workspace: import("@prisma/client").workspaces,
  *  message:string,
- *  mode: "chat"|"query",
+ *  mode: "chat"|"query"|"agentic",
  *  user: import("@prisma/client").users|null,
  *  thread: import("@prisma/client").workspace_threads|null,
  *  sessionId: string|null,
  *  attachments: { name: string; mime: string; contentString: string }[],
  *  reset: boolean,
- * }} parameters
+ *  filter: import("../retrievalFilter").RetrievalFilter|string|null,
+ *  LLMConnector: Object|null,
+ * }} parameters - LLMConnector replaces the chat model of the workspace (eg: the retrieval evaluation stand-in)
  * @returns {Promise<ResponseObject>}
  */
 async function chatSync({
@@ -49,6 +58,8 @@ async function chatSync({
   sessionId = null,
   attachments = [],
   reset = false,
+  filter = null,
+  LLMConnector = null,
 }) {
   const uuid = uuidv4();
   const chatMode = mode ?? "chat";
@@ -134,7 +145,7 @@ async function chatSync({
       });
   }
 
-  const LLMConnector = getLLMProvider({
+  LLMConnector ??= getLLMProvider({
     provider: workspace?.chatProvider,
     model: workspace?.chatModel,
   });
@@ -181,6 +192,7 @@ async function chatSync({
   let contextTexts = [];
   let sources = [];
   let pinnedDocIdentifiers = [];
+  const trace = new RetrievalTrace();
   const { rawHistory, chatHistory } = await recentChatHistory({
     user,
     workspace,
@@ -195,6 +207,7 @@ async function chatSync({
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
+      trace.pinned(pinnedDocs);
       pinnedDocs.forEach((doc) => {
         const { pageContent, ...metadata } = doc;
         pinnedDocIdentifiers.push(sourceIdentifier(doc));
@@ -208,22 +221,52 @@ async function chatSync({
       });
     });
 
-  const vectorSearchResults =
+  const queryRewrite =
     embeddingsCount !== 0
-      ? await VectorDb.performSimilaritySearch({
-          namespace: workspace.slug,
-          input: message,
+      ? await rewriteQuery({ workspace, message, chatHistory, LLMConnector })
+      : null;
+  const retrievalFilter = resolveRetrievalFilter({ workspace, thread, filter });
+  trace.setQuery({
+    workspace,
+    message,
+    input: searchInput(queryRewrite, message),
+    queryRewrite,
+    filter: retrievalFilter,
+  });
+  // In agentic mode the model splits the question and searches over several rounds.
+  let retrievalSteps = null;
+  const vectorSearchResults =
+    embeddingsCount !== 0 && chatMode === "agentic"
+      ? await agenticRetrieval({
+          workspace,
+          message: queryRewrite?.query ?? message,
           LLMConnector,
-          similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          VectorDb,
           filterIdentifiers: pinnedDocIdentifiers,
-          rerank: workspace?.vectorSearchMode === "rerank",
+          filter: retrievalFilter,
+          trace,
+        }).then((result) => {
+          retrievalSteps = result.steps;
+          return result;
         })
-      : {
-          contextTexts: [],
-          sources: [],
-          message: null,
-        };
+      : embeddingsCount !== 0
+        ? await VectorDb.performSimilaritySearch({
+            namespace: workspace.slug,
+            input: searchInput(queryRewrite, message),
+            LLMConnector,
+            similarityThreshold: workspace?.similarityThreshold,
+            topN: workspace?.topN,
+            filterIdentifiers: pinnedDocIdentifiers,
+            rerank: workspace?.vectorSearchMode === "rerank",
+            hybrid: workspace?.vectorSearchMode === "hybrid",
+            filter: retrievalFilter,
+            trace,
+          })
+        : {
+            contextTexts: [],
+            sources: [],
+            message: null,
+          };
 
   // Failed similarity search if it was run at all and failed.
   if (!!vectorSearchResults.message) {
@@ -238,13 +281,22 @@ async function chatSync({
     };
   }
 
+  const retrievedResults = await expandParentSpans({
+    workspace,
+    VectorDb,
+    LLMConnector,
+    searchResults: vectorSearchResults,
+  });
+  trace.expanded(retrievedResults.sources);
+
   const { fillSourceWindow } = require("../helpers/chat");
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
-    searchResults: vectorSearchResults.sources,
+    searchResults: retrievedResults.sources,
     history: rawHistory,
     filterIdentifiers: pinnedDocIdentifiers,
   });
+  trace.backfill(retrievedResults.sources, filledSources.sources);
 
   // Why does contextTexts get all the info, but sources only get current search?
   // This is to give the ability of the LLM to "comprehend" a contextual response without
@@ -253,8 +305,9 @@ async function chatSync({
   // If a past citation was used to answer the question - that is visible in the history so it logically makes sense
   // and does not appear to the user that a new response used information that is otherwise irrelevant for a given prompt.
   // TLDR; reduces GitHub issues for "LLM citing document that has no answer in it" while keep answers highly accurate.
+  const contextSources = [...sources, ...filledSources.sources];
   contextTexts = [...contextTexts, ...filledSources.contextTexts];
-  sources = [...sources, ...vectorSearchResults.sources];
+  sources = [...sources, ...retrievedResults.sources];
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -263,7 +316,7 @@ async function chatSync({
       workspace?.queryRefusalResponse ??
       "There is no relevant information in this workspace to answer your query.";
 
-    await WorkspaceChats.new({
+    const { chat } = await WorkspaceChats.new({
       workspaceId: workspace.id,
       prompt: message,
       response: {
@@ -272,12 +325,15 @@ async function chatSync({
         attachments: attachments,
         type: chatMode,
         metrics: {},
+        retrievalSteps,
+        queryRewrite,
       },
       threadId: thread?.id || null,
       include: false,
       apiSessionId: sessionId,
       user,
     });
+    if (chat) await WorkspaceChatTrace.new(chat.id, trace.toJSON());
 
     return {
       id: uuid,
@@ -292,16 +348,17 @@ async function chatSync({
 
   // Compress & Assemble message to ensure prompt passes token limit with room for response
   // and build system messages based on inputs and history.
-  const messages = await LLMConnector.compressMessages(
-    {
+  const promptArgs = {
+    ...groundedPromptArgs(workspace, {
       systemPrompt: await chatPrompt(workspace, user),
-      userPrompt: message,
       contextTexts,
-      chatHistory,
-      attachments,
-    },
-    rawHistory
-  );
+    }),
+    userPrompt: message,
+    chatHistory,
+    attachments,
+  };
+  const messages = await LLMConnector.compressMessages(promptArgs, rawHistory);
+  trace.promptTokens(LLMConnector, promptArgs, messages);
 
   // Send the text completion.
   const { textResponse, metrics: performanceMetrics } =
@@ -322,6 +379,7 @@ async function chatSync({
     };
   }
 
+  const grounding = verifyGrounding(workspace, textResponse, contextSources);
   const { chat } = await WorkspaceChats.new({
     workspaceId: workspace.id,
     prompt: message,
@@ -331,11 +389,15 @@ async function chatSync({
       attachments,
       type: chatMode,
       metrics: performanceMetrics,
+      retrievalSteps,
+      queryRewrite,
+      grounding,
     },
     threadId: thread?.id || null,
     apiSessionId: sessionId,
     user,
   });
+  if (chat) await WorkspaceChatTrace.new(chat.id, trace.toJSON());
 
   return {
     id: uuid,
@@ -345,6 +407,8 @@ async function chatSync({
     chatId: chat.id,
     textResponse,
     sources,
+    retrievalSteps,
+    grounding,
     metrics: performanceMetrics,
   };
 }
@@ -355,12 +419,13 @@ async function chatSync({
  * response: import("express").Response,
  *  workspace: import("@prisma/client").workspaces,
  *  message:string,
- *  mode: "chat"|"query",
+ *  mode: "chat"|"query"|"agentic",
  *  user: import("@prisma/client").users|null,
  *  thread: import("@prisma/client").workspace_threads|null,
  *  sessionId: string|null,
  *  attachments: { name: string; mime: string; contentString: string }[],
  *  reset: boolean,
+ *  filter: import("../retrievalFilter").RetrievalFilter|string|null,
  * }} parameters
  * @returns {Promise<VoidFunction>}
  */
@@ -374,6 +439,7 @@ async function streamChat({
   sessionId = null,
   attachments = [],
   reset = false,
+  filter = null,
 }) {
   const uuid = uuidv4();
   const chatMode = mode ?? "chat";
@@ -512,6 +578,7 @@ async function streamChat({
   let contextTexts = [];
   let sources = [];
   let pinnedDocIdentifiers = [];
+  const trace = new RetrievalTrace();
   const { rawHistory, chatHistory } = await recentChatHistory({
     user,
     workspace,
@@ -532,6 +599,7 @@ async function streamChat({
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
+      trace.pinned(pinnedDocs);
       pinnedDocs.forEach((doc) => {
         const { pageContent, ...metadata } = doc;
         pinnedDocIdentifiers.push(sourceIdentifier(doc));
@@ -545,22 +613,61 @@ async function streamChat({
       });
     });
 
-  const vectorSearchResults =
+  const queryRewrite =
     embeddingsCount !== 0
-      ? await VectorDb.performSimilaritySearch({
-          namespace: workspace.slug,
-          input: message,
+      ? await rewriteQuery({ workspace, message, chatHistory, LLMConnector })
+      : null;
+  const retrievalFilter = resolveRetrievalFilter({ workspace, thread, filter });
+  trace.setQuery({
+    workspace,
+    message,
+    input: searchInput(queryRewrite, message),
+    queryRewrite,
+    filter: retrievalFilter,
+  });
+  // In agentic mode the model splits the question and searches over several rounds,
+  // every step is streamed as a retrievalStatus chunk.
+  let retrievalSteps = null;
+  const vectorSearchResults =
+    embeddingsCount !== 0 && chatMode === "agentic"
+      ? await agenticRetrieval({
+          workspace,
+          message: queryRewrite?.query ?? message,
           LLMConnector,
-          similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          VectorDb,
           filterIdentifiers: pinnedDocIdentifiers,
-          rerank: workspace?.vectorSearchMode === "rerank",
+          filter: retrievalFilter,
+          trace,
+          onStep: (step) =>
+            writeResponseChunk(response, {
+              uuid,
+              type: "retrievalStatus",
+              step,
+              close: false,
+              error: false,
+            }),
+        }).then((result) => {
+          retrievalSteps = result.steps;
+          return result;
         })
-      : {
-          contextTexts: [],
-          sources: [],
-          message: null,
-        };
+      : embeddingsCount !== 0
+        ? await VectorDb.performSimilaritySearch({
+            namespace: workspace.slug,
+            input: searchInput(queryRewrite, message),
+            LLMConnector,
+            similarityThreshold: workspace?.similarityThreshold,
+            topN: workspace?.topN,
+            filterIdentifiers: pinnedDocIdentifiers,
+            rerank: workspace?.vectorSearchMode === "rerank",
+            hybrid: workspace?.vectorSearchMode === "hybrid",
+            filter: retrievalFilter,
+            trace,
+          })
+        : {
+            contextTexts: [],
+            sources: [],
+            message: null,
+          };
 
   // Failed similarity search if it was run at all and failed.
   if (!!vectorSearchResults.message) {
@@ -576,13 +683,22 @@ async function streamChat({
     return;
   }
 
+  const retrievedResults = await expandParentSpans({
+    workspace,
+    VectorDb,
+    LLMConnector,
+    searchResults: vectorSearchResults,
+  });
+  trace.expanded(retrievedResults.sources);
+
   const { fillSourceWindow } = require("../helpers/chat");
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
-    searchResults: vectorSearchResults.sources,
+    searchResults: retrievedResults.sources,
     history: rawHistory,
     filterIdentifiers: pinnedDocIdentifiers,
   });
+  trace.backfill(retrievedResults.sources, filledSources.sources);
 
   // Why does contextTexts get all the info, but sources only get current search?
   // This is to give the ability of the LLM to "comprehend" a contextual response without
@@ -591,8 +707,9 @@ async function streamChat({
   // If a past citation was used to answer the question - that is visible in the history so it logically makes sense
   // and does not appear to the user that a new response used information that is otherwise irrelevant for a given prompt.
   // TLDR; reduces GitHub issues for "LLM citing document that has no answer in it" while keep answers highly accurate.
+  const contextSources = [...sources, ...filledSources.sources];
   contextTexts = [...contextTexts, ...filledSources.contextTexts];
-  sources = [...sources, ...vectorSearchResults.sources];
+  sources = [...sources, ...retrievedResults.sources];
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -610,7 +727,7 @@ async function streamChat({
       metrics: {},
     });
 
-    await WorkspaceChats.new({
+    const { chat } = await WorkspaceChats.new({
       workspaceId: workspace.id,
       prompt: message,
       response: {
@@ -619,27 +736,31 @@ async function streamChat({
         attachments: attachments,
         type: chatMode,
         metrics: {},
+        retrievalSteps,
+        queryRewrite,
       },
       threadId: thread?.id || null,
       apiSessionId: sessionId,
       include: false,
       user,
     });
+    if (chat) await WorkspaceChatTrace.new(chat.id, trace.toJSON());
     return;
   }
 
   // Compress & Assemble message to ensure prompt passes token limit with room for response
   // and build system messages based on inputs and history.
-  const messages = await LLMConnector.compressMessages(
-    {
+  const promptArgs = {
+    ...groundedPromptArgs(workspace, {
       systemPrompt: await chatPrompt(workspace, user),
-      userPrompt: message,
       contextTexts,
-      chatHistory,
-      attachments,
-    },
-    rawHistory
-  );
+    }),
+    userPrompt: message,
+    chatHistory,
+    attachments,
+  };
+  const messages = await LLMConnector.compressMessages(promptArgs, rawHistory);
+  trace.promptTokens(LLMConnector, promptArgs, messages);
 
   // If streaming is not explicitly enabled for connector
   // we do regular waiting of a response and send a single chunk.
@@ -673,6 +794,7 @@ async function streamChat({
   }
 
   if (completeText?.length > 0) {
+    const grounding = verifyGrounding(workspace, completeText, contextSources);
     const { chat } = await WorkspaceChats.new({
       workspaceId: workspace.id,
       prompt: message,
@@ -682,11 +804,15 @@ async function streamChat({
         type: chatMode,
         metrics,
         attachments,
+        retrievalSteps,
+        queryRewrite,
+        grounding,
       },
       threadId: thread?.id || null,
       apiSessionId: sessionId,
       user,
     });
+    if (chat) await WorkspaceChatTrace.new(chat.id, trace.toJSON());
 
     writeResponseChunk(response, {
       uuid,
@@ -696,6 +822,7 @@ async function streamChat({
       chatId: chat.id,
       metrics,
       sources,
+      grounding,
     });
     return;
   }
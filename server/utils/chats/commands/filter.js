@@ -0,0 +1,70 @@
+const { WorkspaceThread } = require("../../../models/workspaceThread");
+const { parseFilter, formatFilter } = require("../../retrievalFilter");
+
+const CLEAR_KEYWORDS = ["off", "none", "clear"];
+
+/**
+ * /filter department=legal language=zh valid=now - only retrieve documents with matching tags in this thread.
+ * /filter off - clear the thread filter. /filter - show the current filter.
+ */
+async function setRetrievalFilter(
+  workspace,
+  message,
+  msgUUID,
+  user = null,
+  thread = null
+) {
+  const reply = (textResponse) => ({
+    uuid: msgUUID,
+    type: "textResponse",
+    textResponse,
+    sources: [],
+    close: true,
+    error: false,
+  });
+
+  if (!thread)
+    return reply(
+      "检索过滤条件只能在对话线程中设置，请先新建或打开一个线程后再使用 /filter。"
+    );
+
+  const expression = message.replace(/^\/filter/i, "").trim();
+  if (!expression) {
+    const current = [
+      workspace.retrievalFilter && `工作区：${workspace.retrievalFilter}`,
+      thread.retrievalFilter && `线程：${thread.retrievalFilter}`,
+    ].filter(Boolean);
+    return reply(
+      current.length > 0
+        ? `当前检索过滤条件（线程按字段覆盖工作区）：\n${current.join("\n")}\n\n使用 /filter off 取消线程过滤条件。`
+        : "当前未设置检索过滤条件。使用 /filter department=legal language=zh valid=now 设置，/filter off 取消。"
+    );
+  }
+
+  if (CLEAR_KEYWORDS.includes(expression.toLowerCase())) {
+    const { message: error } = await WorkspaceThread.setRetrievalFilter(
+      thread,
+      null
+    );
+    if (error) return reply(`取消检索过滤条件失败：${error}`);
+    return reply("已取消线程的检索过滤条件。");
+  }
+
+  let filter;
+  try {
+    filter = parseFilter(expression);
+  } catch (error) {
+    return reply(`过滤条件无效：${error.message}`);
+  }
+
+  const { message: error } = await WorkspaceThread.setRetrievalFilter(
+    thread,
+    filter
+  );
+  if (error) return reply(`设置检索过滤条件失败：${error}`);
+  return reply(`此线程后续的消息只检索符合「${formatFilter(filter)}」的文档。`);
+}
+
+module.exports = {
+  setRetrievalFilter,
+};
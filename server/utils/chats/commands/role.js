@@ -0,0 +1,73 @@
+const { WorkspaceThread } = require("../../../models/workspaceThread");
+const promptxRoleRouter = require("../../promptxRoleRouter");
+
+const CLEAR_KEYWORDS = ["off", "none", "clear"];
+
+/**
+ * /role <roleId> - run every following message of this thread under a PromptX role.
+ * /role off - clear the thread role. /role - show the current role.
+ */
+async function switchRole(
+  workspace,
+  message,
+  msgUUID,
+  user = null,
+  thread = null
+) {
+  const reply = (textResponse, extra = {}) => ({
+    uuid: msgUUID,
+    type: "textResponse",
+    textResponse,
+    sources: [],
+    close: true,
+    error: false,
+    ...extra,
+  });
+
+  if (!thread)
+    return reply(
+      "角色只能在对话线程中设置，请先新建或打开一个线程后再使用 /role。"
+    );
+
+  const roleId = message.replace(/^\/role/i, "").trim();
+  if (!roleId) {
+    return reply(
+      thread.activePromptxRoleId
+        ? `当前线程使用角色「${thread.activePromptxRoleId}」。使用 /role <角色ID> 切换，/role off 取消。`
+        : "当前线程未设置角色。使用 /role <角色ID> 设置，/role off 取消。"
+    );
+  }
+
+  if (CLEAR_KEYWORDS.includes(roleId.toLowerCase())) {
+    const { message: error } = await WorkspaceThread.setPromptxRole(
+      thread,
+      null,
+      { userId: user?.id, source: "command" }
+    );
+    if (error) return reply(`取消线程角色失败：${error}`);
+    return reply("已取消线程角色。", { action: "promptx_role_switched" });
+  }
+
+  const role = await promptxRoleRouter.findRole(workspace.id, roleId);
+  if (!role)
+    return reply(
+      `角色「${roleId}」不存在或未在此工作区启用，请在工作区设置中启用后再试。`
+    );
+
+  const { message: error } = await WorkspaceThread.setPromptxRole(
+    thread,
+    role.roleId,
+    { userId: user?.id, source: "command" }
+  );
+  if (error) return reply(`切换角色失败：${error}`);
+  return reply(
+    `已切换到角色「${role.name}」，此线程后续的消息都将由该角色回答。`,
+    {
+      action: "promptx_role_switched",
+    }
+  );
+}
+
+module.exports = {
+  switchRole,
+};
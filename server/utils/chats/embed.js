@@ -7,6 +7,9 @@ const {
   writeResponseChunk,
 } = require("../helpers/chat/responses");
 const { DocumentManager } = require("../DocumentManager");
+const { rewriteQuery, searchInput } = require("./queryRewriter");
+const { agenticRetrieval } = require("./agenticRetrieval");
+const { resolveRetrievalFilter } = require("../retrievalFilter");
 
 async function streamChatWithForEmbed(
   response,
@@ -84,22 +87,43 @@ async function streamChatWithForEmbed(
       });
     });
 
-  const vectorSearchResults =
+  const queryRewrite =
     embeddingsCount !== 0
-      ? await VectorDb.performSimilaritySearch({
-          namespace: embed.workspace.slug,
-          input: message,
+      ? await rewriteQuery({
+          workspace: embed.workspace,
+          message,
+          chatHistory,
           LLMConnector,
-          similarityThreshold: embed.workspace?.similarityThreshold,
-          topN: embed.workspace?.topN,
+        })
+      : null;
+  // The embed widget does not show the steps of agentic retrieval, only its answer.
+  const vectorSearchResults =
+    embeddingsCount !== 0 && chatMode === "agentic"
+      ? await agenticRetrieval({
+          workspace: embed.workspace,
+          message: queryRewrite?.query ?? message,
+          LLMConnector,
+          VectorDb,
           filterIdentifiers: pinnedDocIdentifiers,
-          rerank: embed.workspace?.vectorSearchMode === "rerank",
+          filter: resolveRetrievalFilter({ workspace: embed.workspace }),
         })
-      : {
-          contextTexts: [],
-          sources: [],
-          message: null,
-        };
+      : embeddingsCount !== 0
+        ? await VectorDb.performSimilaritySearch({
+            namespace: embed.workspace.slug,
+            input: searchInput(queryRewrite, message),
+            LLMConnector,
+            similarityThreshold: embed.workspace?.similarityThreshold,
+            topN: embed.workspace?.topN,
+            filterIdentifiers: pinnedDocIdentifiers,
+            rerank: embed.workspace?.vectorSearchMode === "rerank",
+            hybrid: embed.workspace?.vectorSearchMode === "hybrid",
+            filter: resolveRetrievalFilter({ workspace: embed.workspace }),
+          })
+        : {
+            contextTexts: [],
+            sources: [],
+            message: null,
+          };
 
   // Failed similarity search if it was run at all and failed.
   if (!!vectorSearchResults.message) {
@@ -194,7 +218,13 @@ async function streamChatWithForEmbed(
   await EmbedChats.new({
     embedId: embed.id,
     prompt: message,
-    response: { text: completeText, type: chatMode, sources, metrics },
+    response: {
+      text: completeText,
+      type: chatMode,
+      sources,
+      metrics,
+      queryRewrite,
+    },
     connection_information: response.locals.connection
       ? {
           ...response.locals.connection,
@@ -0,0 +1,130 @@
+/**
+ * 引用溯源回答（grounded answer）
+ * 功能：给提示词中的上下文片段编号，要求模型在句子后用[n]标注引用，
+ * 回答完成后检查每个标注是否指向确实提供给模型的片段，并找出没有任何引用支撑的句子
+ *
+ * 工作区citationMode：
+ * - off：不编号（默认），来源以列表形式显示在回答下方
+ * - grounded：开启引用溯源，检查结果保存在聊天记录response.grounding中，前端据此渲染行内引用
+ */
+
+// [1]、[1,2]、[1][3] 等引用标注
+const MARKER_REGEX = /\[(\d+(?:\s*[,，]\s*\d+)*)\]/g;
+// 短于该长度的句子（标题、过渡语等）不要求引用
+const MIN_SENTENCE_CHARS = 12;
+// 保存到聊天记录中的片段最大字符数
+const CHUNK_PREVIEW_CHARS = 1_000;
+
+const GROUNDING_INSTRUCTIONS = `
+
+回答时只能使用下面编号的上下文片段中的信息，每个片段开头的[n]是它的编号。
+在每个使用了上下文信息的句子末尾标注来源编号，例如"该政策于2024年生效[2]。"，引用多个片段时写作[1][3]。
+不要编造编号，也不要引用不存在的片段；上下文中找不到依据的内容请明确说明。`;
+
+/**
+ * @typedef {Object} Grounding
+ * @property {{n: number, id: string|null, title: string|null, chunkSource: string|null, score: number|null, pageStart: number|null, pageEnd: number|null, pageUnit: string|null, originalFile: string|null, text: string}[]} citations - 回答中引用到的片段，pageStart/pageEnd为片段所在页码范围
+ * @property {number[]} invalidMarkers - 指向未提供片段的编号
+ * @property {string[]} unsupportedSentences - 没有任何有效引用的句子
+ */
+
+/**
+ * 开启引用溯源时，在系统提示词后追加标注要求并给上下文片段编号
+ * @param {Object} workspace
+ * @param {{systemPrompt: string, contextTexts: string[]}} promptArgs - compressMessages的参数
+ * @returns {{systemPrompt: string, contextTexts: string[]}}
+ */
+function groundedPromptArgs(workspace, { systemPrompt, contextTexts = [] }) {
+  if (workspace?.citationMode !== "grounded" || contextTexts.length === 0)
+    return { systemPrompt, contextTexts };
+
+  return {
+    systemPrompt: `${systemPrompt}${GROUNDING_INSTRUCTIONS}`,
+    contextTexts: contextTexts.map((text, i) => `[${i + 1}] ${text}`),
+  };
+}
+
+/**
+ * 检查回答中的引用标注
+ * @param {Object} workspace
+ * @param {string} text - 模型的完整回答
+ * @param {Object[]} contextSources - 与contextTexts一一对应的来源，第n个片段对应contextSources[n-1]
+ * @returns {Grounding|null} 未开启引用溯源或没有上下文时返回null
+ */
+function verifyGrounding(workspace, text = "", contextSources = []) {
+  if (workspace?.citationMode !== "grounded" || contextSources.length === 0)
+    return null;
+
+  const cited = new Set();
+  const invalid = new Set();
+  const unsupportedSentences = [];
+
+  for (const sentence of splitSentences(stripNonProse(text))) {
+    const markers = markersIn(sentence);
+    const valid = markers.filter((n) => n >= 1 && n <= contextSources.length);
+    markers.filter((n) => !valid.includes(n)).forEach((n) => invalid.add(n));
+    valid.forEach((n) => cited.add(n));
+
+    const prose = sentence.replace(MARKER_REGEX, "").trim();
+    if (
+      valid.length === 0 &&
+      prose.length >= MIN_SENTENCE_CHARS &&
+      !/[:：]$/.test(prose)
+    )
+      unsupportedSentences.push(prose);
+  }
+
+  const citations = [...cited]
+    .sort((a, b) => a - b)
+    .map((n) => {
+      const source = contextSources[n - 1] || {};
+      return {
+        n,
+        id: source.id || null,
+        title: source.title || null,
+        chunkSource: source.chunkSource || null,
+        score: source.score ?? null,
+        pageStart: source.pageStart ?? null,
+        pageEnd: source.pageEnd ?? null,
+        pageUnit: source.pageUnit || null,
+        originalFile: source.originalFile || null,
+        text: String(source.text || "").slice(0, CHUNK_PREVIEW_CHARS),
+      };
+    });
+
+  if (invalid.size > 0 || unsupportedSentences.length > 0)
+    console.log(
+      `[GroundedAnswer] ${invalid.size} 个无效引用，${unsupportedSentences.length} 个句子没有引用支撑`
+    );
+  return {
+    citations,
+    invalidMarkers: [...invalid].sort((a, b) => a - b),
+    unsupportedSentences,
+  };
+}
+
+function markersIn(sentence) {
+  return [...sentence.matchAll(MARKER_REGEX)].flatMap((match) =>
+    match[1].split(/[,，]/).map((n) => Number(n.trim()))
+  );
+}
+
+// 去掉思考过程、代码块和markdown标记，只检查正文句子
+function stripNonProse(text) {
+  return String(text || "")
+    .replace(/<(think|thinking|thought)>[\s\S]*?<\/\1>/gi, "")
+    .replace(/```[\s\S]*?```/g, "")
+    .replace(/^\s*(#{1,6}\s|[-*+]\s|\d+\.\s|>\s?)/gm, "")
+    .replace(/[*_`]/g, "");
+}
+
+// 按中英文句末标点和换行切分，句末标点之后紧跟的引用标注归属于前一句
+function splitSentences(text) {
+  return text
+    .split(/\n+/)
+    .flatMap((line) => line.split(/(?<=[。！？!?；;]|\.(?=\s))(?!\s*\[\d)/))
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+module.exports = { groundedPromptArgs, verifyGrounding };
@@ -1,12 +1,17 @@
 const { v4: uuidv4 } = require("uuid");
 const { WorkspaceChats } = require("../../models/workspaceChats");
 const { resetMemory } = require("./commands/reset");
+const { switchRole } = require("./commands/role");
+const { setRetrievalFilter } = require("./commands/filter");
 const { convertToPromptHistory } = require("../helpers/chat/responses");
 const { SlashCommandPresets } = require("../../models/slashCommandsPresets");
 const { SystemPromptVariables } = require("../../models/systemPromptVariables");
+const rolePersonaResolver = require("../rolePersonaResolver");
 
 const VALID_COMMANDS = {
   "/reset": resetMemory,
+  "/role": switchRole,
+  "/filter": setRetrievalFilter,
 };
 
 async function grepCommand(message, user = null) {
@@ -16,7 +21,8 @@ async function grepCommand(message, user = null) {
   // Check if the message starts with any built-in command
   for (let i = 0; i < availableCommands.length; i++) {
     const cmd = availableCommands[i];
-    const re = new RegExp(`^(${cmd})`, "i");
+    // Commands must be followed by whitespace or the end so presets like /roleplay are not shadowed
+    const re = new RegExp(`^(${cmd})(?=\\s|$)`, "i");
     if (re.test(message)) {
       return cmd;
     }
@@ -86,17 +92,24 @@ async function recentChatHistory({
  * substitution on the prompt if there are any defined variables in the prompt.
  * @param {Object|null} workspace - the workspace object
  * @param {Object|null} user - the user object
+ * @param {import("../promptxRoleRouter").RoutingDecision|null} promptxRole - when set, the role persona is appended so non-agent chats run under the PromptX role
  * @returns {Promise<string>} - the base prompt
  */
-async function chatPrompt(workspace, user = null) {
+async function chatPrompt(workspace, user = null, promptxRole = null) {
   const basePrompt =
     workspace?.openAiPrompt ??
     "Given the following conversation, relevant context, and a follow up question, reply with an answer to the current question the user is asking. Return only your response to the question given the above information following the users instructions as needed.";
-  return await SystemPromptVariables.expandSystemPromptVariables(
+  const systemPrompt = await SystemPromptVariables.expandSystemPromptVariables(
     basePrompt,
     user?.id,
     workspace?.id
   );
+  if (!promptxRole?.roleId) return systemPrompt;
+
+  const persona = await rolePersonaResolver.resolve(promptxRole.roleId, {
+    workspaceId: workspace?.id,
+  });
+  return persona ? `${systemPrompt}\n\n${persona}` : systemPrompt;
 }
 
 // We use this util function to deduplicate sources from similarity searching
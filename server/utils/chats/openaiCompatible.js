@@ -4,6 +4,8 @@ const { WorkspaceChats } = require("../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
 const { writeResponseChunk } = require("../helpers/chat/responses");
 const { chatPrompt, sourceIdentifier } = require("./index");
+const { rewriteQuery, searchInput } = require("./queryRewriter");
+const { resolveRetrievalFilter } = require("../retrievalFilter");
 
 const { PassThrough } = require("stream");
 
@@ -82,16 +84,27 @@ async function chatSync({
       });
     });
 
+  const queryRewrite =
+    embeddingsCount !== 0
+      ? await rewriteQuery({
+          workspace,
+          message: String(prompt),
+          chatHistory: history,
+          LLMConnector,
+        })
+      : null;
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
           namespace: workspace.slug,
-          input: String(prompt),
+          input: searchInput(queryRewrite, String(prompt)),
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
           topN: workspace?.topN,
           filterIdentifiers: pinnedDocIdentifiers,
           rerank: workspace?.vectorSearchMode === "rerank",
+          hybrid: workspace?.vectorSearchMode === "hybrid",
+          filter: resolveRetrievalFilter({ workspace }),
         })
       : {
           contextTexts: [],
@@ -133,6 +146,7 @@ async function chatSync({
         sources: [],
         type: chatMode,
         attachments,
+        queryRewrite,
       },
       include: false,
     });
@@ -192,6 +206,7 @@ async function chatSync({
       type: chatMode,
       metrics,
       attachments,
+      queryRewrite,
     },
   });
 
@@ -308,16 +323,27 @@ async function streamChat({
       });
     });
 
+  const queryRewrite =
+    embeddingsCount !== 0
+      ? await rewriteQuery({
+          workspace,
+          message: String(prompt),
+          chatHistory: history,
+          LLMConnector,
+        })
+      : null;
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
           namespace: workspace.slug,
-          input: String(prompt),
+          input: searchInput(queryRewrite, String(prompt)),
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
           topN: workspace?.topN,
           filterIdentifiers: pinnedDocIdentifiers,
           rerank: workspace?.vectorSearchMode === "rerank",
+          hybrid: workspace?.vectorSearchMode === "hybrid",
+          filter: resolveRetrievalFilter({ workspace }),
         })
       : {
           contextTexts: [],
@@ -363,6 +389,7 @@ async function streamChat({
         sources: [],
         type: chatMode,
         attachments,
+        queryRewrite,
       },
       include: false,
     });
@@ -439,6 +466,7 @@ async function streamChat({
         type: chatMode,
         metrics: stream.metrics,
         attachments,
+        queryRewrite,
       },
     });
 
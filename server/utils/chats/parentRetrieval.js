@@ -0,0 +1,205 @@
+/**
+ * 父文档检索（small-to-big）
+ * 功能：向量检索用小片段精确匹配，回答时把命中的片段扩展为它所在的父片段，
+ * 即前后相邻的若干片段；片段带有章节路径（markdown分块策略）时扩展不会越过所在章节
+ *
+ * 工作区parentRetrievalWindow：
+ * - 0：不扩展（默认）
+ * - n：在命中片段前后各取n个相邻片段
+ *
+ * 同一文档中重叠或相邻的父片段会合并去重；扩展后的上下文不超过提示词压缩时留给上下文的token预算，
+ * 超出预算的命中片段保持原样
+ */
+
+const { TokenManager } = require("../helpers/tiktoken");
+
+const MAX_WINDOW = 5;
+// messageArrayCompressor把系统提示词中的上下文压缩到limits.system的75%
+const CONTEXT_SHARE = 0.75;
+const HEADER_REGEX = /^[\s\S]*?<\/document_metadata>\n\n/;
+
+/**
+ * 工作区的父片段窗口大小
+ * @param {Object} workspace
+ * @returns {number}
+ */
+function parentWindow(workspace) {
+  const window = Number(workspace?.parentRetrievalWindow);
+  if (!Number.isInteger(window) || window < 1) return 0;
+  return Math.min(window, MAX_WINDOW);
+}
+
+/**
+ * 拼接相邻片段，只保留第一个片段的文档元数据头
+ * @param {{text: string}[]} chunks - 按文档顺序排列
+ * @returns {string}
+ */
+function joinChunks(chunks = []) {
+  return chunks
+    .map((chunk, i) =>
+      i === 0 ? chunk.text : chunk.text.replace(HEADER_REGEX, "")
+    )
+    .join("\n\n");
+}
+
+/**
+ * 只保留与命中片段处于同一章节且连续的相邻片段
+ * @param {{position: number, chunks: {position: number, headingPath: string[]|null}[]}} neighbour
+ * @returns {Object[]}
+ */
+function sectionChunks({ position, chunks = [] }) {
+  const hit = chunks.find((chunk) => chunk.position === position);
+  if (!hit) return [];
+  const section = JSON.stringify(hit.headingPath || null);
+  const sameSection = (chunk) =>
+    JSON.stringify(chunk.headingPath || null) === section;
+
+  let start = chunks.indexOf(hit);
+  let end = start;
+  while (start > 0 && sameSection(chunks[start - 1])) start--;
+  while (end < chunks.length - 1 && sameSection(chunks[end + 1])) end++;
+  return chunks.slice(start, end + 1);
+}
+
+/**
+ * 父片段覆盖的页码范围，片段没有页码时返回空对象
+ * @param {{pageStart: number|null, pageEnd: number|null}[]} chunks
+ * @returns {{pageStart?: number, pageEnd?: number}}
+ */
+function pageRange(chunks = []) {
+  const starts = chunks.map((chunk) => chunk.pageStart).filter(Number.isFinite);
+  const ends = chunks.map((chunk) => chunk.pageEnd).filter(Number.isFinite);
+  if (starts.length === 0 || ends.length === 0) return {};
+  return { pageStart: Math.min(...starts), pageEnd: Math.max(...ends) };
+}
+
+/**
+ * 按排名合并同一文档中重叠或相邻的父片段
+ * @param {Object[]} sources - 检索结果，按排名排列
+ * @param {Object} neighbours - VectorDb.neighbourChunks的返回值
+ * @returns {{docId: string, chunks: Map<number, Object>, hits: number[]}[]}
+ */
+function mergeSpans(sources = [], neighbours = {}) {
+  const spans = [];
+  sources.forEach((source, index) => {
+    const neighbour = neighbours[source.id];
+    const chunks = neighbour ? sectionChunks(neighbour) : [];
+    if (chunks.length < 2) return;
+
+    const first = chunks[0].position;
+    const last = chunks[chunks.length - 1].position;
+    const span = spans.find((candidate) => {
+      if (candidate.docId !== neighbour.docId) return false;
+      const positions = [...candidate.chunks.keys()];
+      return (
+        first <= Math.max(...positions) + 1 &&
+        last >= Math.min(...positions) - 1
+      );
+    });
+
+    if (span) {
+      chunks.forEach((chunk) => span.chunks.set(chunk.position, chunk));
+      span.hits.push(index);
+      return;
+    }
+    spans.push({
+      docId: neighbour.docId,
+      chunks: new Map(chunks.map((chunk) => [chunk.position, chunk])),
+      hits: [index],
+    });
+  });
+  return spans;
+}
+
+/**
+ * 把检索结果中的命中片段扩展为去重后的父片段
+ * @param {Object} params
+ * @param {Object} params.workspace
+ * @param {Object} params.VectorDb - 不支持neighbourChunks的向量数据库保持原结果
+ * @param {Object} params.LLMConnector - 用于计算token预算
+ * @param {{contextTexts: string[], sources: Object[], message: string|null}} params.searchResults - performSimilaritySearch的结果
+ * @returns {Promise<{contextTexts: string[], sources: Object[], message: string|null}>}
+ *  扩展后的来源带有parentSpan: {chunks, hits}，text为父片段全文
+ */
+async function expandParentSpans({
+  workspace,
+  VectorDb,
+  LLMConnector,
+  searchResults,
+}) {
+  const window = parentWindow(workspace);
+  const sources = searchResults?.sources || [];
+  if (
+    !window ||
+    sources.length === 0 ||
+    typeof VectorDb?.neighbourChunks !== "function"
+  )
+    return searchResults;
+
+  let neighbours;
+  try {
+    neighbours = await VectorDb.neighbourChunks(
+      workspace.slug,
+      sources.map((source) => String(source.id)),
+      window
+    );
+  } catch (error) {
+    console.error(`[父文档检索] 获取相邻片段失败: ${error.message}`);
+    return searchResults;
+  }
+
+  const tokenManager = new TokenManager(LLMConnector?.model);
+  const budget =
+    (LLMConnector?.limits?.system ?? LLMConnector.promptWindowLimit() * 0.15) *
+    CONTEXT_SHARE;
+  const hitTokens = sources.map((source) =>
+    tokenManager.countFromString(source.text || "")
+  );
+  let totalTokens = hitTokens.reduce((sum, tokens) => sum + tokens, 0);
+
+  // 按排名依次接受父片段，超出预算的父片段退回为原命中片段
+  const accepted = new Map();
+  for (const span of mergeSpans(sources, neighbours)) {
+    const chunks = [...span.chunks.values()].sort(
+      (a, b) => a.position - b.position
+    );
+    const text = joinChunks(chunks);
+    const added =
+      tokenManager.countFromString(text) -
+      span.hits.reduce((sum, index) => sum + hitTokens[index], 0);
+    if (totalTokens + added > budget) continue;
+
+    totalTokens += added;
+    const expanded = {
+      ...sources[span.hits[0]],
+      ...pageRange(chunks),
+      text,
+      parentSpan: { chunks: chunks.length, hits: span.hits.length },
+    };
+    span.hits.forEach((index, i) =>
+      accepted.set(index, i === 0 ? expanded : null)
+    );
+  }
+
+  const expandedSources = [];
+  sources.forEach((source, index) => {
+    if (!accepted.has(index)) return expandedSources.push(source);
+    if (accepted.get(index)) expandedSources.push(accepted.get(index));
+  });
+  console.log(
+    `[父文档检索] ${sources.length} 个命中片段扩展为 ${expandedSources.length} 个父片段 (窗口: ${window})`
+  );
+
+  return {
+    ...searchResults,
+    contextTexts: expandedSources.map((source) => source.text),
+    sources: expandedSources,
+  };
+}
+
+module.exports = {
+  expandParentSpans,
+  parentWindow,
+  mergeSpans,
+  joinChunks,
+};
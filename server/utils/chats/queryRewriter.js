@@ -0,0 +1,112 @@
+/**
+ * 检索前的查询改写
+ * 功能：把对话历史和新消息压缩为一个可以独立检索的查询，
+ * 例如在讨论过若干方案之后追问"第二个呢？"时，改写为"方案B的具体内容"再进行向量检索
+ *
+ * 工作区queryRewriteMode：
+ * - off：不改写（默认），直接使用原消息检索
+ * - rewrite：有对话历史时改写为独立查询
+ * - hyde：在改写的基础上让模型写一段假设性的回答（HyDE），与查询一起用于检索
+ *
+ * 改写结果保存在聊天记录response.queryRewrite中，便于排查检索问题
+ */
+
+// 参与改写的最近消息数量和每条消息的最大字符数
+const HISTORY_MESSAGES = 6;
+const HISTORY_MESSAGE_CHARS = 1_000;
+
+/**
+ * @typedef {Object} QueryRewrite
+ * @property {'rewrite'|'hyde'} mode
+ * @property {string} original - 用户原始消息
+ * @property {string} query - 改写后的独立查询
+ * @property {string|null} hypotheticalAnswer - hyde模式下的假设性回答
+ */
+
+/**
+ * 改写用于检索的查询
+ * @param {Object} params
+ * @param {Object} params.workspace
+ * @param {string} params.message - 用户新消息
+ * @param {{role: string, content: string}[]} params.chatHistory - recentChatHistory返回的chatHistory
+ * @param {Object} params.LLMConnector
+ * @returns {Promise<QueryRewrite|null>} 未开启、无需改写或改写失败时返回null，此时使用原消息检索
+ */
+async function rewriteQuery({
+  workspace,
+  message,
+  chatHistory = [],
+  LLMConnector,
+}) {
+  const mode = workspace?.queryRewriteMode;
+  if (!["rewrite", "hyde"].includes(mode)) return null;
+
+  const history = chatHistory
+    .filter((msg) => ["user", "assistant"].includes(msg.role))
+    .slice(-HISTORY_MESSAGES)
+    .map((msg) => {
+      const content =
+        typeof msg.content === "string"
+          ? msg.content
+          : JSON.stringify(msg.content);
+      return `${msg.role === "user" ? "用户" : "助手"}：${content.slice(0, HISTORY_MESSAGE_CHARS)}`;
+    });
+  // 没有对话历史时消息本身就是独立查询
+  if (mode === "rewrite" && history.length === 0) return null;
+
+  const instructions =
+    mode === "hyde"
+      ? `1. 结合对话历史，把用户的新消息改写为一个不依赖上下文、可以独立用于知识库检索的查询。\n2. 写一段简短的假设性回答（不超过120字），内容像是知识库中能回答该查询的文档片段，不确定的事实可以合理假设。\n\n只返回JSON：{"query": "<改写后的查询>", "hypotheticalAnswer": "<假设性回答>"}`
+      : `结合对话历史，把用户的新消息改写为一个不依赖上下文、可以独立用于知识库检索的查询。补全指代和省略的内容，不要回答问题。\n\n只返回JSON：{"query": "<改写后的查询>"}`;
+
+  try {
+    const { textResponse } = await LLMConnector.getChatCompletion(
+      [
+        {
+          role: "system",
+          content: `你负责为知识库检索改写用户问题。\n${instructions}`,
+        },
+        {
+          role: "user",
+          content: `对话历史：\n${history.join("\n") || "（无）"}\n\n新消息：${message}`,
+        },
+      ],
+      { temperature: 0 }
+    );
+
+    // 部分模型会用代码块包裹JSON
+    let result = null;
+    try {
+      result = JSON.parse(textResponse?.match(/\{[\s\S]*\}/)?.[0]);
+    } catch {}
+    const query = typeof result?.query === "string" ? result.query.trim() : "";
+    if (!query) return null;
+
+    const hypotheticalAnswer =
+      mode === "hyde" && typeof result.hypotheticalAnswer === "string"
+        ? result.hypotheticalAnswer.trim() || null
+        : null;
+    return { mode, original: message, query, hypotheticalAnswer };
+  } catch (error) {
+    console.error(
+      `[QueryRewriter] 改写查询失败，使用原消息检索:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * 实际用于相似度检索的文本
+ * @param {QueryRewrite|null} rewrite
+ * @param {string} message - 用户原始消息
+ * @returns {string}
+ */
+function searchInput(rewrite, message) {
+  if (!rewrite) return message;
+  return [rewrite.query, rewrite.hypotheticalAnswer]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+module.exports = { rewriteQuery, searchInput };
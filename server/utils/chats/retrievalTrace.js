@@ -0,0 +1,209 @@
+/**
+ * 检索追踪（"为什么是这个回答"）
+ * 功能：记录每次聊天中检索流程的关键数据，回答出错时可以看到检索到底做了什么
+ *
+ * - 实际用于检索的查询（查询改写之后）
+ * - 向量数据库返回的每个候选片段：相似度分数、重排序分数、是否被相似度阈值等条件过滤
+ * - 置顶文档、父文档检索扩展的片段、fillSourceWindow从历史记录回填的来源
+ * - 提示词各部分（系统提示词、上下文、历史、用户消息）压缩前后的token数
+ *
+ * 追踪结果在聊天记录保存后写入workspace_chat_traces
+ */
+
+const { TokenManager } = require("../helpers/tiktoken");
+
+// 追踪中保存的片段文本最大字符数
+const TEXT_PREVIEW_CHARS = 300;
+
+/**
+ * @typedef {Object} TraceCandidate
+ * @property {string} id - 向量id
+ * @property {string|null} title
+ * @property {number|null} score - 向量相似度（混合检索时另有fusionScore）
+ * @property {number|null} rerankScore
+ * @property {'selected'|'belowThreshold'|'pinned'|'filtered'|'cutoff'} status
+ * @property {string} text
+ */
+
+function preview(text = "") {
+  const value = String(text || "");
+  return value.length > TEXT_PREVIEW_CHARS
+    ? `${value.slice(0, TEXT_PREVIEW_CHARS)}...`
+    : value;
+}
+
+function sourceSummary(source = {}) {
+  return {
+    id: source.id ?? null,
+    title: source.title ?? null,
+    score: source.score ?? null,
+    text: preview(source.text),
+  };
+}
+
+function messageText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content))
+    return content
+      .filter((part) => part?.type === "text")
+      .map((part) => part.text)
+      .join("\n");
+  return "";
+}
+
+class RetrievalTrace {
+  constructor() {
+    this.startedAt = Date.now();
+    this.query = null;
+    this.settings = null;
+    this.candidates = [];
+    this.pinnedDocs = [];
+    this.parentSpans = [];
+    this.backfilled = [];
+    this.tokens = null;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.workspace
+   * @param {string} params.message - 用户原始消息
+   * @param {string} params.input - 实际用于检索的文本
+   * @param {Object|null} params.queryRewrite
+   * @param {Object|null} params.filter - 文档标签过滤条件
+   */
+  setQuery({ workspace, message, input, queryRewrite = null, filter = null }) {
+    this.query = {
+      original: message,
+      effective: input,
+      rewriteMode: queryRewrite?.mode ?? null,
+    };
+    this.settings = {
+      similarityThreshold: workspace?.similarityThreshold ?? null,
+      topN: workspace?.topN ?? null,
+      vectorSearchMode: workspace?.vectorSearchMode || "default",
+      parentRetrievalWindow: workspace?.parentRetrievalWindow || 0,
+      filter,
+    };
+    return this;
+  }
+
+  /**
+   * 由向量数据库在检索时调用，记录一个候选片段
+   * @param {{id: string, payload?: Object, score?: number|null, rerankScore?: number|null, fusionScore?: number|null, status: TraceCandidate['status']}} candidate
+   */
+  candidate({
+    id,
+    payload = {},
+    score = null,
+    rerankScore = null,
+    fusionScore = null,
+    status,
+  }) {
+    const existing = this.candidates.find((c) => c.id === String(id));
+    const entry = {
+      id: String(id),
+      title: payload?.title ?? null,
+      score,
+      rerankScore,
+      ...(fusionScore !== null ? { fusionScore } : {}),
+      status,
+      text: preview(payload?.text),
+    };
+    if (existing)
+      Object.assign(existing, entry, { score: score ?? existing.score });
+    else this.candidates.push(entry);
+    return this;
+  }
+
+  /**
+   * @param {Object[]} docs - 置顶文档（含pageContent）
+   */
+  pinned(docs = []) {
+    this.pinnedDocs = docs.map((doc) => ({
+      title: doc.title ?? null,
+      tokens: doc.token_count_estimate ?? null,
+    }));
+    return this;
+  }
+
+  /**
+   * 父文档检索扩展后的来源
+   * @param {Object[]} sources - expandParentSpans返回的来源
+   */
+  expanded(sources = []) {
+    this.parentSpans = sources
+      .filter((source) => !!source.parentSpan)
+      .map((source) => ({ ...sourceSummary(source), ...source.parentSpan }));
+    return this;
+  }
+
+  /**
+   * fillSourceWindow从历史记录中回填的来源
+   * @param {Object[]} searchSources - 本次检索的来源
+   * @param {Object[]} filledSources - fillSourceWindow返回的来源
+   */
+  backfill(searchSources = [], filledSources = []) {
+    this.backfilled = filledSources
+      .slice(searchSources.length)
+      .map(sourceSummary);
+    return this;
+  }
+
+  /**
+   * 记录提示词各部分压缩前后的token数
+   * @param {Object} LLMConnector
+   * @param {{systemPrompt: string, contextTexts: string[], chatHistory: Object[], userPrompt: string}} promptArgs - compressMessages的参数
+   * @param {Object[]|string} messages - compressMessages的结果
+   */
+  promptTokens(LLMConnector, promptArgs = {}, messages = []) {
+    const tokenManager = new TokenManager(LLMConnector?.model);
+    const count = (text) => tokenManager.countFromString(messageText(text));
+    const {
+      systemPrompt = "",
+      contextTexts = [],
+      chatHistory = [],
+      userPrompt = "",
+    } = promptArgs;
+
+    const sections = {
+      systemPrompt: count(systemPrompt),
+      context: contextTexts.reduce((sum, text) => sum + count(text), 0),
+      history: chatHistory.reduce((sum, msg) => sum + count(msg.content), 0),
+      userPrompt: count(userPrompt),
+    };
+    let compressed = null;
+    if (Array.isArray(messages) && messages.length > 0) {
+      const history = messages.slice(1, -1);
+      compressed = {
+        system: count(messages[0]?.content),
+        history: history.reduce((sum, msg) => sum + count(msg.content), 0),
+        user: count(messages[messages.length - 1]?.content),
+      };
+    }
+
+    this.tokens = {
+      promptWindow: LLMConnector?.promptWindowLimit?.() ?? null,
+      sections,
+      compressed,
+      total: compressed
+        ? Object.values(compressed).reduce((sum, n) => sum + n, 0)
+        : Object.values(sections).reduce((sum, n) => sum + n, 0),
+    };
+    return this;
+  }
+
+  toJSON() {
+    return {
+      query: this.query,
+      settings: this.settings,
+      candidates: this.candidates,
+      pinnedDocs: this.pinnedDocs,
+      parentSpans: this.parentSpans,
+      backfilled: this.backfilled,
+      tokens: this.tokens,
+      durationMs: Date.now() - this.startedAt,
+    };
+  }
+}
+
+module.exports = { RetrievalTrace };
@@ -6,6 +6,14 @@ const { WorkspaceParsedFiles } = require("../../models/workspaceParsedFiles"); /
 const { getVectorDbClass, getLLMProvider } = require("../helpers");        // 工具函数：获取向量数据库和AI提供商
 const { writeResponseChunk } = require("../helpers/chat/responses");       // SSE响应写入工具
 const { triggerAgentMode } = require("./agents");                            // 🔥 新的Agent处理函数
+const promptxRoleRouter = require("../promptxRoleRouter");                   // PromptX角色自动路由
+const { agenticRetrieval } = require("./agenticRetrieval");                   // agentic模式的多轮检索
+const { rewriteQuery, searchInput } = require("./queryRewriter");              // 检索前的查询改写
+const { resolveRetrievalFilter } = require("../retrievalFilter");              // 文档标签过滤条件
+const { groundedPromptArgs, verifyGrounding } = require("./groundedAnswer");    // 引用溯源回答
+const { expandParentSpans } = require("./parentRetrieval");                   // 父文档检索
+const { RetrievalTrace } = require("./retrievalTrace");                        // 检索追踪
+const { WorkspaceChatTrace } = require("../../models/workspaceChatTraces");    // 检索追踪记录模型
 const {
   grepCommand,                 // 命令识别函数（如/help, /clear等）
   VALID_COMMANDS,               // 有效命令列表
@@ -15,7 +23,7 @@ const {
 } = require("./index");
 
 // ==================== 常量定义 ====================
-const VALID_CHAT_MODE = ["chat", "query"];  // 支持的聊天模式："chat"普通对话，"query"查询模式
+const VALID_CHAT_MODE = ["chat", "query", "agentic"];  // 支持的聊天模式："chat"普通对话，"query"查询模式，"agentic"多轮检索模式
 
 // ==================== 核心流式聊天处理函数 ====================
 /**
@@ -25,7 +33,7 @@ const VALID_CHAT_MODE = ["chat", "query"];  // 支持的聊天模式："chat"普
  * @param {Object} response - Express响应对象，用于SSE流式响应
  * @param {Object} workspace - 工作空间配置信息
  * @param {string} message - 用户输入的消息
- * @param {string} chatMode - 聊天模式："chat"普通对话或"query"查询模式
+ * @param {string} chatMode - 聊天模式："chat"普通对话、"query"查询模式或"agentic"多轮检索模式
  * @param {Object|null} user - 用户信息（可选）
  * @param {Object|null} thread - 对话线程信息（可选）
  * @param {Array} attachments - 附件文件列表
@@ -64,6 +72,24 @@ async function streamChatWithWorkspace(
     return;
   }
 
+  // 🔥 PromptX角色：线程通过/role设置了角色时使用线程角色，
+  // 否则在工作区开启autoSwitchEnabled时为本条消息自动选择角色，未开启时使用工作区默认角色
+  // 选中的角色先推送给前端，再生成回答（Agent模式由Agent激活，普通模式拼接到系统提示词）
+  const promptxRole = await promptxRoleRouter.route({
+    workspace,
+    thread,
+    message: updatedMessage,
+  });
+  if (promptxRole) {
+    writeResponseChunk(response, {
+      uuid,
+      type: "promptxRoleRouted",
+      promptxRole,
+      close: false,
+      error: false,
+    });
+  }
+
   // 🔥 第二步：检查是否为Agent模式（基于前端按钮状态）
   // Agent功能允许AI执行复杂的任务流程
   if (isAgentMode) {
@@ -76,6 +102,7 @@ async function streamChatWithWorkspace(
       workspace,  // 🔥 修正参数顺序：workspace在前
       user,       // 🔥 修正参数顺序：user在后
       thread,
+      promptxRole,  // 线程角色或自动路由选中的角色，由Agent通过PromptX action激活
     });
 
     // 如果Agent成功启动，Agent会接管后续处理，这里直接返回
@@ -150,6 +177,7 @@ async function streamChatWithWorkspace(
   let contextTexts = [];           // 上下文文本数组
   let sources = [];                 // 文档来源列表
   let pinnedDocIdentifiers = [];    // 置顶文档标识符列表
+  const trace = new RetrievalTrace(); // 检索追踪,随聊天记录保存,用于"为什么是这个回答"面板
 
   // 🔥 获取最近的聊天历史记录
   const { rawHistory, chatHistory } = await recentChatHistory({
@@ -172,6 +200,7 @@ async function streamChatWithWorkspace(
   })
     .pinnedDocs()  // 获取置顶文档
     .then((pinnedDocs) => {
+      trace.pinned(pinnedDocs);
       pinnedDocs.forEach((doc) => {
         const { pageContent, ...metadata } = doc;
 
@@ -227,18 +256,66 @@ async function streamChatWithWorkspace(
   console.log(`[流式聊天] 总上下文文本数量: ${contextTexts.length}, 总来源数量: ${sources.length}`);
 
   // 🔥 第九步：向量相似度搜索
+  // 工作区开启查询改写时,先结合聊天历史把消息改写为独立的检索查询(追问"第二个呢?"这类消息时尤其重要)
+  const queryRewrite =
+    embeddingsCount !== 0
+      ? await rewriteQuery({
+          workspace,
+          message: updatedMessage,
+          chatHistory,
+          LLMConnector,
+        })
+      : null;
+  if (queryRewrite)
+    console.log(`[流式聊天] 查询改写: ${updatedMessage} -> ${queryRewrite.query}`);
+
   // 这是RAG(检索增强生成)的核心步骤!
   // 通过向量嵌入技术,找到与用户问题最相关的文档片段
+  // 工作区和线程(/filter命令)上设置的标签过滤条件会缩小检索范围
+  const retrievalFilter = resolveRetrievalFilter({ workspace, thread });
+  trace.setQuery({
+    workspace,
+    message: updatedMessage,
+    input: searchInput(queryRewrite, updatedMessage),
+    queryRewrite,
+    filter: retrievalFilter,
+  });
+  // agentic模式下由模型拆解问题并进行多轮检索,每一步以retrievalStatus事件推送给前端
+  let retrievalSteps = null;
   const vectorSearchResults =
-    embeddingsCount !== 0
+    embeddingsCount !== 0 && chatMode === "agentic"
+      ? await agenticRetrieval({
+          workspace,
+          message: queryRewrite?.query ?? updatedMessage,
+          LLMConnector,
+          VectorDb,
+          filterIdentifiers: pinnedDocIdentifiers,
+          filter: retrievalFilter,
+          trace,
+          onStep: (step) =>
+            writeResponseChunk(response, {
+              uuid,
+              type: "retrievalStatus",
+              step,
+              close: false,
+              error: false,
+            }),
+        }).then((result) => {
+          retrievalSteps = result.steps;
+          return result;
+        })
+      : embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
           namespace: workspace.slug,               // 工作空间命名空间
-          input: updatedMessage,                   // 用户消息(会被转换为向量)
+          input: searchInput(queryRewrite, updatedMessage), // 用户消息或改写后的查询(会被转换为向量)
           LLMConnector,                            // AI提供商(用于生成嵌入向量)
           similarityThreshold: workspace?.similarityThreshold, // 相似度阈值(0-1)
           topN: workspace?.topN,                   // 返回最相关的N个文档片段
           filterIdentifiers: pinnedDocIdentifiers, // 过滤已包含的置顶文档
           rerank: workspace?.vectorSearchMode === "rerank", // 是否使用重排序算法
+          hybrid: workspace?.vectorSearchMode === "hybrid", // 是否融合关键词检索结果
+          filter: retrievalFilter,                 // 文档标签过滤条件
+          trace,                                   // 记录每个候选片段的分数和去留
         })
       : {
           // 如果没有向量化数据,返回空结果
@@ -263,15 +340,26 @@ async function streamChatWithWorkspace(
     return;
   }
 
+  // 父文档检索：工作区设置了parentRetrievalWindow时,把命中的小片段扩展为相邻片段组成的父片段
+  // 合并去重后的父片段不会超过提示词压缩时留给上下文的token预算
+  const retrievedResults = await expandParentSpans({
+    workspace,
+    VectorDb,
+    LLMConnector,
+    searchResults: vectorSearchResults,
+  });
+  trace.expanded(retrievedResults.sources);
+
   // 🔥 第十步：填充来源窗口
   // 这个函数会从历史记录中回填相关文档,确保上下文连贯性
   const { fillSourceWindow } = require("../helpers/chat");
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,            // 文档数量限制
-    searchResults: vectorSearchResults.sources, // 当前搜索结果
+    searchResults: retrievedResults.sources, // 当前搜索结果
     history: rawHistory,                    // 原始聊天历史
     filterIdentifiers: pinnedDocIdentifiers, // 过滤置顶文档
   });
+  trace.backfill(retrievedResults.sources, filledSources.sources);
 
   // 🔥 第十一步：合并上下文和来源
   // 为什么contextTexts包含所有信息,但sources只包含当前搜索结果?
@@ -279,8 +367,10 @@ async function streamChatWithWorkspace(
   // 1. contextTexts - 用于AI理解,包含历史回填+当前搜索,确保答案准确
   // 2. sources - 只显示当前搜索,避免用户看到"不相关"的历史引用
   // 这样可以减少用户困惑,同时保持答案的高准确性
+  // contextSources与contextTexts一一对应,用于校验回答中的[n]引用标注
+  const contextSources = [...sources, ...filledSources.sources];
   contextTexts = [...contextTexts, ...filledSources.contextTexts];
-  sources = [...sources, ...vectorSearchResults.sources];
+  sources = [...sources, ...retrievedResults.sources];
 
   console.log(`[流式聊天] 最终上下文包含 ${contextTexts.length} 个文档片段`);
   console.log(`[流式聊天] 来源列表包含 ${sources.length} 个文档来源`);
@@ -304,8 +394,8 @@ async function streamChatWithWorkspace(
       error: null,
     });
 
-    // 保存聊天记录(标记为不包含在历史中)
-    await WorkspaceChats.new({
+    // 保存聊天记录(标记为不包含在历史中),检索追踪可以解释为什么没有找到上下文
+    const { chat } = await WorkspaceChats.new({
       workspaceId: workspace.id,
       prompt: message,
       response: {
@@ -313,11 +403,13 @@ async function streamChatWithWorkspace(
         sources: [],
         type: chatMode,
         attachments,
+        queryRewrite,
       },
       threadId: thread?.id || null,
       include: false,  // 不包含在聊天历史中
       user,
     });
+    if (chat) await WorkspaceChatTrace.new(chat.id, trace.toJSON());
     return;
   }
 
@@ -331,16 +423,22 @@ async function streamChatWithWorkspace(
   // 5. attachments - 附件(图片、文件等)
   console.log(`[流式聊天] 开始压缩和组装提示词...`);
 
+  const promptArgs = {
+    // 系统提示词（选中角色时包含角色提示词）和文档上下文
+    // 工作区开启引用溯源时,上下文片段会被编号并要求模型用[n]标注来源
+    ...groundedPromptArgs(workspace, {
+      systemPrompt: await chatPrompt(workspace, user, promptxRole),
+      contextTexts,
+    }),
+    userPrompt: updatedMessage,                       // 用户消息
+    chatHistory,                                       // 聊天历史
+    attachments,                                       // 附件
+  };
   const messages = await LLMConnector.compressMessages(
-    {
-      systemPrompt: await chatPrompt(workspace, user),  // 系统提示词
-      userPrompt: updatedMessage,                       // 用户消息
-      contextTexts,                                      // 文档上下文
-      chatHistory,                                       // 聊天历史
-      attachments,                                       // 附件
-    },
+    promptArgs,
     rawHistory  // 原始历史记录(用于token计算)
   );
+  trace.promptTokens(LLMConnector, promptArgs, messages);
 
   console.log(`[流式聊天] 提示词组装完成,消息数量: ${messages.length}`);
 
@@ -406,6 +504,9 @@ async function streamChatWithWorkspace(
   if (completeText?.length > 0) {
     console.log(`[流式聊天] 保存聊天记录到数据库...`);
 
+    // 检查[n]引用是否指向提供给模型的片段,并标记没有引用支撑的句子
+    const grounding = verifyGrounding(workspace, completeText, contextSources);
+
     const { chat } = await WorkspaceChats.new({
       workspaceId: workspace.id,   // 工作空间ID
       prompt: message,              // 用户消息
@@ -415,12 +516,17 @@ async function streamChatWithWorkspace(
         type: chatMode,             // 聊天模式(chat/query)
         attachments,                // 附件列表
         metrics,                    // 性能指标
+        promptxRole,                // 回答本条消息的PromptX角色
+        retrievalSteps,             // agentic模式的检索步骤
+        queryRewrite,               // 检索前的查询改写结果
+        grounding,                  // 引用溯源检查结果
       },
       threadId: thread?.id || null, // 线程ID(如果有)
       user,                         // 用户对象
     });
 
     console.log(`[流式聊天] 聊天记录已保存,chatId: ${chat.id}`);
+    if (chat) await WorkspaceChatTrace.new(chat.id, trace.toJSON());
 
     // 🔥 第十六步：发送最终完成消息
     writeResponseChunk(response, {
@@ -430,6 +536,7 @@ async function streamChatWithWorkspace(
       error: false,
       chatId: chat.id,                 // 聊天记录ID
       metrics,                         // 性能指标
+      grounding,                       // 引用溯源检查结果
     });
     return;
   }
@@ -7,6 +7,7 @@ const { Agent } = require("undici");
  * @property {string} WhisperModelPref - The model to use for whisper if set.
  * @property {string} openAiKey - The API key to use for OpenAI interfacing, mostly passed to OAI Whisper provider.
  * @property {Object} ocr - The OCR options
+ * @property {boolean} structuredOutput - If true, the collector also writes the raw tables it extracts next to the document as JSON.
  * @property {{allowAnyIp: "true"|null|undefined}} runtimeSettings - The runtime settings that are passed to the collector. Persisted across requests.
  */
 
@@ -45,6 +46,7 @@ class CollectorApi {
       ocr: {
         langList: process.env.TARGET_OCR_LANG || "eng",
       },
+      structuredOutput: process.env.COLLECTOR_STRUCTURED_OUTPUT === "true",
       runtimeSettings: {
         allowAnyIp: process.env.COLLECTOR_ALLOW_ANY_IP ?? "false",
         browserLaunchArgs: process.env.ANYTHINGLLM_CHROMIUM_ARGS ?? [],
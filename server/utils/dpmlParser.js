@@ -0,0 +1,549 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * DPML解析与校验工具
+ * 功能：将.role.md（及其引用的thought/execution/knowledge文件）解析为AST，
+ * 检查标签闭合、标签层级和@引用，输出带行号的错误与警告
+ *
+ * DPML = Markdown + 语义标签（<role>、<personality>等）+ 资源引用（@!thought://xxx）
+ * 代码块（``` 或 ~~~）中的内容不参与解析
+ */
+
+/**
+ * @typedef {Object} DPMLDiagnostic
+ * @property {'error' | 'warning'} severity
+ * @property {string} code - 诊断代码，如 UNCLOSED_TAG
+ * @property {string} message - 可读的诊断信息
+ * @property {string|null} file - 相对于角色包根目录的文件路径
+ * @property {number} line - 行号（从1开始）
+ * @property {number} column - 列号（从1开始）
+ */
+
+/**
+ * @typedef {Object} DPMLNode
+ * @property {'document' | 'element' | 'text' | 'reference'} type
+ * @property {string} [tag] - 元素标签名
+ * @property {Object} [attributes] - 元素属性
+ * @property {DPMLNode[]} [children] - 子节点
+ * @property {string} [value] - 文本内容
+ * @property {string} [protocol] - 引用协议，如 thought
+ * @property {string} [resource] - 引用的资源ID
+ * @property {'required' | 'lazy' | 'default'} [mode] - 引用加载方式：@! / @? / @
+ * @property {string} [raw] - 引用原文
+ * @property {number} [line]
+ * @property {number} [column]
+ * @property {number|null} [endLine] - 闭合标签所在行，未闭合为null
+ */
+
+// DPML结构标签，其他标签视为普通文本
+const DPML_TAGS = new Set([
+  "role",
+  "personality",
+  "principle",
+  "knowledge",
+  "thought",
+  "exploration",
+  "reasoning",
+  "challenge",
+  "plan",
+  "execution",
+  "constraint",
+  "rule",
+  "guideline",
+  "process",
+  "criteria",
+  "tool",
+  "purpose",
+  "usage",
+  "parameter",
+  "outcome",
+]);
+
+// 只能出现在特定父标签内的标签
+const ALLOWED_PARENTS = {
+  personality: ["role"],
+  principle: ["role"],
+  exploration: ["thought"],
+  reasoning: ["thought"],
+  challenge: ["thought"],
+  plan: ["thought"],
+  constraint: ["execution"],
+  rule: ["execution"],
+  guideline: ["execution"],
+  process: ["execution"],
+  criteria: ["execution"],
+  purpose: ["tool"],
+  usage: ["tool"],
+  parameter: ["tool"],
+  outcome: ["tool"],
+};
+
+// 可以在角色包内解析到文件的协议
+const PACKAGE_PROTOCOLS = ["thought", "execution", "knowledge"];
+// 合法但无法在角色包内验证的协议
+const EXTERNAL_PROTOCOLS = ["role", "package", "project", "user", "file"];
+
+const REFERENCE_MODES = { "!": "required", "?": "lazy", "": "default" };
+
+// 标签或引用（同一个正则扫描，保证节点顺序与原文一致）
+const TOKEN_PATTERN =
+  /<(\/?)([A-Za-z][\w-]*)((?:\s+[^<>]*?)?)(\/?)>|@([!?]?)([A-Za-z][\w-]*):\/\/([^\s<>`'")\]]*)/g;
+const FENCE_PATTERN = /^[ \t]*(```|~~~)/;
+
+class DPMLParser {
+  /**
+   * 解析DPML文本
+   * @param {string} content - 文件内容
+   * @param {string|null} file - 文件路径（用于诊断信息）
+   * @returns {{ast: DPMLNode, diagnostics: DPMLDiagnostic[]}}
+   */
+  parse(content, file = null) {
+    const diagnostics = [];
+    const lineStarts = this.#lineStarts(content);
+    const fencedRanges = this.#fencedRanges(content, lineStarts);
+    const position = (offset) => this.#position(lineStarts, offset);
+    const report = (severity, code, message, offset) =>
+      diagnostics.push({
+        severity,
+        code,
+        message,
+        file,
+        ...position(offset),
+      });
+
+    const ast = { type: "document", file, children: [] };
+    const stack = [ast];
+    const warnedUnknownTags = new Set();
+    let cursor = 0;
+
+    const pushText = (end) => {
+      const value = content.slice(cursor, end);
+      if (value.trim()) {
+        stack[stack.length - 1].children.push({
+          type: "text",
+          value,
+          ...position(cursor),
+        });
+      }
+    };
+
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(content)) !== null) {
+      const offset = match.index;
+      if (fencedRanges.some(([start, end]) => offset >= start && offset < end))
+        continue;
+
+      const [raw, closing, tagName, attrs, selfClosing] = match;
+      const parent = stack[stack.length - 1];
+
+      // 引用：@!thought://xxx
+      if (!tagName) {
+        const [, , , , , modeFlag, protocol, resource] = match;
+        pushText(offset);
+        cursor = offset + raw.length;
+        parent.children.push({
+          type: "reference",
+          protocol,
+          resource,
+          mode: REFERENCE_MODES[modeFlag],
+          raw,
+          ...position(offset),
+        });
+
+        if (
+          !PACKAGE_PROTOCOLS.includes(protocol) &&
+          !EXTERNAL_PROTOCOLS.includes(protocol)
+        ) {
+          report("error", "UNKNOWN_PROTOCOL", `未知的引用协议：${raw}`, offset);
+        } else if (!resource) {
+          report(
+            "error",
+            "INVALID_REFERENCE",
+            `引用缺少资源ID：${raw}`,
+            offset
+          );
+        }
+        continue;
+      }
+
+      const tag = tagName.toLowerCase();
+      if (!DPML_TAGS.has(tag)) {
+        if (!warnedUnknownTags.has(tag)) {
+          warnedUnknownTags.add(tag);
+          report("warning", "UNKNOWN_TAG", `未知的DPML标签：<${tag}>`, offset);
+        }
+        continue;
+      }
+
+      pushText(offset);
+      cursor = offset + raw.length;
+
+      if (closing) {
+        const openIndex = this.#findOpenElement(stack, tag);
+        if (openIndex === -1) {
+          report(
+            "error",
+            "UNEXPECTED_CLOSING_TAG",
+            `多余的闭合标签：</${tag}>`,
+            offset
+          );
+          continue;
+        }
+
+        // 先弹出所有未闭合的内层标签
+        while (stack.length - 1 > openIndex) {
+          const unclosed = stack.pop();
+          diagnostics.push(
+            this.#unclosedDiagnostic(unclosed, file, `，在</${tag}>之前结束`)
+          );
+        }
+        stack.pop().endLine = position(offset).line;
+        continue;
+      }
+
+      const element = {
+        type: "element",
+        tag,
+        attributes: this.#parseAttributes(attrs),
+        children: [],
+        ...position(offset),
+        endLine: null,
+      };
+
+      const allowedParents = ALLOWED_PARENTS[tag];
+      if (allowedParents && !allowedParents.includes(parent.tag)) {
+        report(
+          "warning",
+          "MISPLACED_TAG",
+          `<${tag}> 应位于 ${allowedParents.map((p) => `<${p}>`).join("/")} 内`,
+          offset
+        );
+      }
+
+      parent.children.push(element);
+      if (selfClosing) element.endLine = element.line;
+      else stack.push(element);
+    }
+
+    pushText(content.length);
+    while (stack.length > 1) {
+      diagnostics.push(this.#unclosedDiagnostic(stack.pop(), file));
+    }
+
+    return { ast, diagnostics };
+  }
+
+  /**
+   * 校验.role.md的角色级结构（根标签、必要段落）
+   * @param {DPMLNode} ast - parse() 返回的AST
+   * @returns {DPMLDiagnostic[]}
+   */
+  lintRole(ast) {
+    const diagnostics = [];
+    const roles = ast.children.filter(
+      (node) => node.type === "element" && node.tag === "role"
+    );
+
+    if (roles.length === 0) {
+      diagnostics.push({
+        severity: "error",
+        code: "MISSING_ROLE_TAG",
+        message: "缺少<role>根标签",
+        file: ast.file,
+        line: 1,
+        column: 1,
+      });
+      return diagnostics;
+    }
+
+    for (const extra of roles.slice(1)) {
+      diagnostics.push({
+        severity: "error",
+        code: "DUPLICATE_ROLE_TAG",
+        message: "一个角色文件只能包含一个<role>根标签",
+        file: ast.file,
+        line: extra.line,
+        column: extra.column,
+      });
+    }
+
+    const [role] = roles;
+    for (const section of ["personality", "principle"]) {
+      if (!role.children.some((node) => node.tag === section)) {
+        diagnostics.push({
+          severity: "warning",
+          code: "MISSING_SECTION",
+          message: `<role>中缺少<${section}>段落`,
+          file: ast.file,
+          line: role.line,
+          column: role.column,
+        });
+      }
+    }
+
+    for (const node of this.walk(role)) {
+      if (node.type === "element" && node.children.length === 0) {
+        diagnostics.push({
+          severity: "warning",
+          code: "EMPTY_SECTION",
+          message: `<${node.tag}>段落为空`,
+          file: ast.file,
+          line: node.line,
+          column: node.column,
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * 解析并校验整个角色包目录：主角色文件 + 所有被引用的资源文件
+   * @param {string} roleDir - 角色包根目录（包含{roleId}.role.md）
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<{
+   *   valid: boolean,
+   *   ast: DPMLNode,
+   *   resources: {[file: string]: DPMLNode},
+   *   errors: DPMLDiagnostic[],
+   *   warnings: DPMLDiagnostic[]
+   * }>}
+   */
+  async lintPackage(roleDir, roleId) {
+    const roleFile = `${roleId}.role.md`;
+    const files = await this.#listFiles(roleDir);
+    const diagnostics = [];
+    const resources = {};
+    const visited = new Set([roleFile]);
+
+    const parseFile = async (file) => {
+      const content = await fs.readFile(path.join(roleDir, file), "utf-8");
+      const result = this.parse(content, file);
+      diagnostics.push(...result.diagnostics);
+      return result.ast;
+    };
+
+    const ast = await parseFile(roleFile);
+    diagnostics.push(...this.lintRole(ast));
+
+    // 广度优先解析引用链，被引用的文件本身也可能包含引用
+    const queue = [ast];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const ref of this.references(current)) {
+        const resolved = this.#resolveReference(ref, files, roleId);
+        if (resolved.diagnostic) {
+          diagnostics.push({
+            ...resolved.diagnostic,
+            file: current.file,
+            line: ref.line,
+            column: ref.column,
+          });
+        }
+        if (!resolved.file || visited.has(resolved.file)) continue;
+
+        visited.add(resolved.file);
+        const resourceAst = await parseFile(resolved.file);
+        diagnostics.push(...this.#lintResourceRoot(resourceAst, ref.protocol));
+        resources[resolved.file] = resourceAst;
+        queue.push(resourceAst);
+      }
+    }
+
+    for (const file of files) {
+      if (
+        !visited.has(file) &&
+        PACKAGE_PROTOCOLS.some((protocol) => file.endsWith(`.${protocol}.md`))
+      ) {
+        diagnostics.push({
+          severity: "warning",
+          code: "UNUSED_RESOURCE",
+          message: `资源文件未被任何引用使用：${file}`,
+          file,
+          line: 1,
+          column: 1,
+        });
+      }
+    }
+
+    const errors = diagnostics.filter((d) => d.severity === "error");
+    const warnings = diagnostics.filter((d) => d.severity === "warning");
+    return { valid: errors.length === 0, ast, resources, errors, warnings };
+  }
+
+  /**
+   * 深度优先遍历节点
+   * @param {DPMLNode} node
+   * @returns {Generator<DPMLNode>}
+   */
+  *walk(node) {
+    for (const child of node.children || []) {
+      yield child;
+      yield* this.walk(child);
+    }
+  }
+
+  /**
+   * 获取节点下的所有引用
+   * @param {DPMLNode} node
+   * @returns {DPMLNode[]}
+   */
+  references(node) {
+    return Array.from(this.walk(node)).filter((n) => n.type === "reference");
+  }
+
+  /**
+   * 将引用解析到角色包内的文件
+   * @param {DPMLNode} ref
+   * @param {string[]} files
+   * @param {string} roleId
+   * @returns {{file: string|null, diagnostic: Object|null}}
+   */
+  #resolveReference(ref, files, roleId) {
+    if (!ref.resource) return { file: null, diagnostic: null };
+
+    if (EXTERNAL_PROTOCOLS.includes(ref.protocol)) {
+      if (ref.protocol === "role" && ref.resource === roleId)
+        return { file: null, diagnostic: null };
+      return {
+        file: null,
+        diagnostic: {
+          severity: "warning",
+          code: "UNVERIFIABLE_REFERENCE",
+          message: `引用指向角色包外部，无法在上传时验证：${ref.raw}`,
+        },
+      };
+    }
+    if (!PACKAGE_PROTOCOLS.includes(ref.protocol))
+      return { file: null, diagnostic: null };
+
+    const fileName = `${ref.resource}.${ref.protocol}.md`;
+    const file =
+      files.find((f) => f === fileName || f.endsWith(`/${fileName}`)) || null;
+    if (file) return { file, diagnostic: null };
+
+    return {
+      file: null,
+      diagnostic: {
+        // @? 为按需加载，缺失时角色仍可运行
+        severity: ref.mode === "lazy" ? "warning" : "error",
+        code: "MISSING_REFERENCE",
+        message: `引用的文件不存在：${ref.raw}（应为 ${ref.protocol}/${fileName}）`,
+      },
+    };
+  }
+
+  /**
+   * thought/execution资源文件应以对应标签为根
+   * @param {DPMLNode} ast
+   * @param {string} protocol
+   * @returns {DPMLDiagnostic[]}
+   */
+  #lintResourceRoot(ast, protocol) {
+    if (protocol === "knowledge") return [];
+    const hasRoot = ast.children.some(
+      (node) => node.type === "element" && node.tag === protocol
+    );
+    if (hasRoot) return [];
+    return [
+      {
+        severity: "warning",
+        code: "MISSING_ROOT_TAG",
+        message: `${protocol}文件缺少<${protocol}>根标签`,
+        file: ast.file,
+        line: 1,
+        column: 1,
+      },
+    ];
+  }
+
+  #findOpenElement(stack, tag) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) return i;
+    }
+    return -1;
+  }
+
+  #unclosedDiagnostic(element, file, suffix = "") {
+    return {
+      severity: "error",
+      code: "UNCLOSED_TAG",
+      message: `<${element.tag}> 标签未闭合${suffix}`,
+      file,
+      line: element.line,
+      column: element.column,
+    };
+  }
+
+  #parseAttributes(attrs = "") {
+    const attributes = {};
+    const pattern = /([\w-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(attrs)) !== null) {
+      attributes[match[1]] = match[2];
+    }
+    return attributes;
+  }
+
+  #lineStarts(content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === "\n") starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  #position(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  /**
+   * 计算代码块的偏移范围 [start, end)
+   */
+  #fencedRanges(content, lineStarts) {
+    const ranges = [];
+    let openAt = null;
+    for (let i = 0; i < lineStarts.length; i++) {
+      const start = lineStarts[i];
+      const end =
+        i + 1 < lineStarts.length ? lineStarts[i + 1] : content.length;
+      if (!FENCE_PATTERN.test(content.slice(start, end))) continue;
+      if (openAt === null) {
+        openAt = start;
+      } else {
+        ranges.push([openAt, end]);
+        openAt = null;
+      }
+    }
+    if (openAt !== null) ranges.push([openAt, content.length]);
+    return ranges;
+  }
+
+  async #listFiles(dir, prefix = "") {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") || entry.name === "__MACOSX") continue;
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(
+          ...(await this.#listFiles(path.join(dir, entry.name), relative))
+        );
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+}
+
+module.exports = new DPMLParser();
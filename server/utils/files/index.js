@@ -56,6 +56,7 @@ async function viewLocalFiles() {
         const subfile = subfiles[i];
         const cachefilename = `${file}/${subfile}`;
         if (path.extname(subfile) !== ".json") continue;
+        if (isStructuredOutput(subfile)) continue;
         filePromises.push(
           fileToPickerData({
             pathToFile: path.join(folderPath, subfile),
@@ -129,6 +130,7 @@ async function getDocumentsByFolder(folderName = "") {
   const files = fs.readdirSync(folderPath);
   for (const file of files) {
     if (path.extname(file) !== ".json") continue;
+    if (isStructuredOutput(file)) continue;
     const filePath = path.join(folderPath, file);
     const rawData = fs.readFileSync(filePath, "utf8");
     const cachefilename = `${folderName}/${file}`;
@@ -165,7 +167,14 @@ async function getDocumentsByFolder(folderName = "") {
  * @param {boolean} checkOnly - if true, only check if the file exists, do not return the cached data
  * @returns {Promise<{exists: boolean, chunks: any[]}>} - a promise that resolves to an object containing the existence of the file and its cached chunks
  */
-async function cachedVectorInformation(filename = null, checkOnly = false) {
+// The cache records the chunking strategy it was created with. When a strategy is passed
+// a cache made with a different strategy is treated as missing so the document is re-embedded.
+// Caches from before strategies existed are plain arrays and were made with the recursive splitter.
+async function cachedVectorInformation(
+  filename = null,
+  checkOnly = false,
+  chunkingStrategy = null
+) {
   if (!filename) return checkOnly ? false : { exists: false, chunks: [] };
 
   const digest = uuidv5(filename, uuidv5.URL);
@@ -175,16 +184,30 @@ async function cachedVectorInformation(filename = null, checkOnly = false) {
   if (checkOnly) return exists;
   if (!exists) return { exists, chunks: [] };
 
+  const rawData = JSON.parse(fs.readFileSync(file, "utf8"));
+  const cache = Array.isArray(rawData)
+    ? { chunkingStrategy: "recursive", chunks: rawData }
+    : rawData;
+  if (chunkingStrategy && cache.chunkingStrategy !== chunkingStrategy) {
+    console.log(
+      `Cached vectorized results of ${filename} were chunked with the ${cache.chunkingStrategy} strategy - re-embedding with ${chunkingStrategy}.`
+    );
+    return { exists: false, chunks: [] };
+  }
+
   console.log(
     `Cached vectorized results of ${filename} found! Using cached data to save on embed costs.`
   );
-  const rawData = fs.readFileSync(file, "utf8");
-  return { exists: true, chunks: JSON.parse(rawData) };
+  return { exists: true, chunks: cache.chunks };
 }
 
 // vectorData: pre-chunked vectorized data for a given file that includes the proper metadata and chunk-size limit so it can be iterated and dumped into Pinecone, etc
 // filename is the fullpath to the doc so we can compare by filename to find cached matches.
-async function storeVectorResult(vectorData = [], filename = null) {
+async function storeVectorResult(
+  vectorData = [],
+  filename = null,
+  chunkingStrategy = "recursive"
+) {
   if (!filename) return;
   console.log(
     `Caching vectorized results of ${filename} to prevent duplicated embedding.`
@@ -193,7 +216,11 @@ async function storeVectorResult(vectorData = [], filename = null) {
 
   const digest = uuidv5(filename, uuidv5.URL);
   const writeTo = path.resolve(vectorCachePath, `${digest}.json`);
-  fs.writeFileSync(writeTo, JSON.stringify(vectorData), "utf8");
+  fs.writeFileSync(
+    writeTo,
+    JSON.stringify({ chunkingStrategy, chunks: vectorData }),
+    "utf8"
+  );
   return;
 }
 
@@ -210,10 +237,46 @@ async function purgeSourceDocument(filename = null) {
     return;
 
   console.log(`Purging source document of ${filename}.`);
+  const sidecars = documentSidecars(filePath);
   fs.rmSync(filePath);
+  sidecars.forEach((sidecar) => fs.rmSync(sidecar));
   return;
 }
 
+/**
+ * Files the collector writes next to a document: its structured output and the copy of the original file.
+ * @param {string} filePath - Absolute path of the document JSON.
+ * @returns {string[]} Absolute paths of the sidecar files that exist.
+ */
+function documentSidecars(filePath) {
+  const sidecars = [filePath.replace(/\.json$/, ".structured.json")];
+  try {
+    const { originalFile = null } = JSON.parse(
+      fs.readFileSync(filePath, "utf8")
+    );
+    if (originalFile)
+      sidecars.push(
+        path.resolve(path.dirname(filePath), path.basename(originalFile))
+      );
+  } catch {}
+  return sidecars.filter(
+    (sidecar) =>
+      sidecar !== filePath &&
+      isWithin(documentsPath, sidecar) &&
+      fs.existsSync(sidecar)
+  );
+}
+
+/**
+ * Structured output (eg: raw table JSON) is written by the collector next to the document
+ * as `<document>.structured.json` and is not a document itself.
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isStructuredOutput(filename = "") {
+  return String(filename).endsWith(".structured.json");
+}
+
 // Purges a vector-cache file from the vector-cache/ folder.
 async function purgeVectorCache(filename = null) {
   if (!filename) return;
@@ -488,6 +551,8 @@ module.exports = {
   purgeVectorCache,
   storeVectorResult,
   fileData,
+  isStructuredOutput,
+  documentSidecars,
   normalizePath,
   isWithin,
   documentsPath,
@@ -157,6 +157,9 @@ function convertToChatHistory(history = []) {
         sentAt: moment(createdAt).unix(),
         feedbackScore,
         metrics: data?.metrics || {},
+        promptxRole: data?.promptxRole || null,
+        retrievalSteps: data?.retrievalSteps || null,
+        grounding: data?.grounding || null,
       },
     ]);
   }
@@ -65,6 +65,7 @@
  * @property {Function} deleteDocumentFromNamespace - Deletes a document from a specified namespace.
  * @property {Function} addDocumentToNamespace - Adds a document to a specified namespace.
  * @property {Function} performSimilaritySearch - Performs a similarity search in the namespace.
+ * @property {Function} [setDocumentTags] - Replaces the tags on every vector of a document (if supported by provider).
  */
 
 /**
@@ -76,6 +77,12 @@
  * @property {Function} embedChunks - Embeds multiple chunks of text.
  */
 
+/**
+ * @typedef {Object} BaseRerankerProvider
+ * @property {string|null} model - The model used for reranking.
+ * @property {function(string, {text: string}[], {topK: number, LLMConnector?: BaseLLMProvider}): Promise<Object[]>} rerank - Reranks documents against a query and returns the top documents with a `rerank_score`.
+ */
+
 /**
  * Gets the systems current vector database provider (Qdrant only).
  * @param {('qdrant') | null} getExactly - If provided, this will return an explicit provider.
@@ -308,6 +315,39 @@ function getEmbeddingEngineSelection() {
   }
 }
 
+/**
+ * Returns the RerankerProvider by itself to whatever is currently in the system settings.
+ * @returns {BaseRerankerProvider}
+ */
+function getRerankerSelection() {
+  // 延迟加载,默认使用本地ONNX重排序模型
+  const rerankerSelection = process.env.RERANKING_PROVIDER;
+  switch (rerankerSelection) {
+    case "cohere":
+      const { CohereReranker } = require("../EmbeddingRerankers/cohere");
+      return new CohereReranker();
+    case "jina":
+      const { JinaReranker } = require("../EmbeddingRerankers/jina");
+      return new JinaReranker();
+    case "voyageai":
+      const { VoyageAiReranker } = require("../EmbeddingRerankers/voyageAi");
+      return new VoyageAiReranker();
+    case "generic-openai":
+      const {
+        GenericOpenAiReranker,
+      } = require("../EmbeddingRerankers/genericOpenAi");
+      return new GenericOpenAiReranker();
+    case "llm":
+      const { LLMReranker } = require("../EmbeddingRerankers/llm");
+      return new LLMReranker();
+    default:
+      const {
+        NativeEmbeddingReranker,
+      } = require("../EmbeddingRerankers/native");
+      return new NativeEmbeddingReranker();
+  }
+}
+
 /**
  * Returns the LLMProviderClass - this is a helper method to access static methods on a class
  * @param {{provider: string | null} | null} params - Initialize params for LLMs provider
@@ -509,6 +549,7 @@ function toChunks(arr, size) {
 
 module.exports = {
   getEmbeddingEngineSelection,
+  getRerankerSelection,
   maximumChunkLength,
   getVectorDbClass,
   getLLMProviderClass,
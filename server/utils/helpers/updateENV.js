@@ -324,6 +324,28 @@ const KEY_MAPPING = {
     checks: [nonZero],
   },
 
+  // Reranker Provider Selection Settings
+  RerankingProvider: {
+    envKey: "RERANKING_PROVIDER",
+    checks: [supportedRerankingProvider],
+  },
+  RerankingModelPref: {
+    envKey: "RERANKING_MODEL_PREF",
+    checks: [],
+  },
+  JinaApiKey: {
+    envKey: "JINA_API_KEY",
+    checks: [isNotEmpty],
+  },
+  GenericOpenAiRerankingBasePath: {
+    envKey: "GENERIC_OPEN_AI_RERANKING_BASE_PATH",
+    checks: [isNotEmpty, validDockerizedUrl],
+  },
+  GenericOpenAiRerankingApiKey: {
+    envKey: "GENERIC_OPEN_AI_RERANKING_API_KEY",
+    checks: [],
+  },
+
   // Vector Database Selection Settings
   VectorDB: {
     envKey: "VECTOR_DB",
@@ -829,6 +851,20 @@ function supportedEmbeddingModel(input = "") {
     : `Invalid Embedding model type. Must be one of ${supported.join(", ")}.`;
 }
 
+function supportedRerankingProvider(input = "") {
+  const supported = [
+    "native",
+    "cohere",
+    "jina",
+    "voyageai",
+    "generic-openai",
+    "llm",
+  ];
+  return supported.includes(input)
+    ? null
+    : `Invalid Reranking provider type. Must be one of ${supported.join(", ")}.`;
+}
+
 function supportedVectorDB(input = "") {
   const supported = [
     "chroma",
@@ -1174,6 +1210,9 @@ function dumpENV() {
     // Collector API common ENV - allows bypassing URL validation checks
     "COLLECTOR_ALLOW_ANY_IP",
 
+    // Collector writes extracted tables next to the document as raw JSON
+    "COLLECTOR_STRUCTURED_OUTPUT",
+
     // Allow disabling of streaming for generic openai
     "GENERIC_OPENAI_STREAMING_DISABLED",
 
@@ -0,0 +1,387 @@
+const { RoleValidationError } = require("./roleManagementErrors");
+
+/**
+ * PromptX记忆存储（按工作区隔离）
+ * 功能：接管PromptX的remember/recall认知工具，记忆保存在DeeChat数据库中
+ *
+ * - PromptX进程内的记忆是全局的，不区分工作区和用户；这里按工作区（可选按用户）划分命名空间
+ * - 命名空间由MCP层根据Agent调用上下文注入工具参数，模型无法指定
+ * - remember/recall调用不会再转发给PromptX，PromptX在action中自带的记忆回忆被绕过，
+ *   它只能读到接管之前PromptX进程内的全局记忆；需要回忆时由Agent调用recall从这里读取
+ * - 每个工作区可配置记忆上限（memoryLimit）和保留天数（memoryRetentionDays）
+ */
+
+const MEMORY_SCOPES = ["workspace", "user"];
+const DEFAULT_RECALL_LIMIT = 10;
+const MAX_CONTENT_LENGTH = 10000;
+
+/**
+ * @typedef {Object} MemoryNamespace
+ * @property {number} workspaceId
+ * @property {number|null} userId - memoryScope为user时为当前用户，否则为null（工作区共享）
+ */
+
+/**
+ * @typedef {Object} Engram
+ * @property {string} content - 记忆内容
+ * @property {string|null} schema - 关键词/结构（换行或空格分隔）
+ * @property {number} strength - 重要程度 0-1
+ * @property {string} type - ATOMIC | LINK | PATTERN
+ */
+
+class PromptXMemoryStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.prisma - Prisma客户端（默认使用 ./prisma）
+   */
+  constructor(options = {}) {
+    this._prisma = options.prisma || null;
+  }
+
+  get prisma() {
+    if (!this._prisma) this._prisma = require("./prisma");
+    return this._prisma;
+  }
+
+  /**
+   * 计算记忆命名空间
+   * @param {number} workspaceId
+   * @param {number|null} userId - Agent调用的用户
+   * @returns {Promise<MemoryNamespace>}
+   */
+  async namespaceFor(workspaceId, userId = null) {
+    const config = await this.#getConfig(workspaceId);
+    return {
+      workspaceId: Number(workspaceId),
+      userId: config.memoryScope === "user" && userId ? Number(userId) : null,
+    };
+  }
+
+  /**
+   * 处理PromptX的remember/recall工具调用
+   * @param {'remember'|'recall'} toolName
+   * @param {Object} args - 工具参数，namespace由MCP层注入
+   * @returns {Promise<{content: {type: 'text', text: string}[]}>} 与MCP工具返回格式一致
+   */
+  async handleToolCall(toolName, { namespace, ...args } = {}) {
+    if (!namespace?.workspaceId)
+      throw new Error("记忆命名空间缺失，无法执行PromptX记忆工具");
+
+    let text;
+    if (toolName === "remember") {
+      const saved = await this.remember(
+        namespace,
+        args.role,
+        normalizeEngrams(args)
+      );
+      text = `✅ 已为角色 ${args.role} 保存 ${saved.length} 条记忆`;
+    } else if (toolName === "recall") {
+      const memories = await this.recall(namespace, args.role, args.query);
+      text = formatRecall(args.role, args.query, memories);
+    } else {
+      throw new Error(`不支持的记忆工具: ${toolName}`);
+    }
+    return { content: [{ type: "text", text }] };
+  }
+
+  /**
+   * 保存记忆，保存后执行工作区保留策略
+   * @param {MemoryNamespace} namespace
+   * @param {string} roleId
+   * @param {Engram[]} engrams
+   * @returns {Promise<Object[]>} 新建的记忆记录
+   */
+  async remember(namespace, roleId, engrams = []) {
+    if (!roleId) throw new RoleValidationError("缺少角色ID", "role");
+    if (engrams.length === 0)
+      throw new RoleValidationError("没有可保存的记忆内容", "engrams");
+
+    const saved = await this.prisma.$transaction(
+      engrams.map((engram) =>
+        this.prisma.workspace_promptx_memories.create({
+          data: {
+            workspaceId: namespace.workspaceId,
+            userId: namespace.userId,
+            roleId: String(roleId),
+            ...engram,
+          },
+        })
+      )
+    );
+    await this.enforceRetention(namespace.workspaceId);
+    return saved;
+  }
+
+  /**
+   * 检索记忆：在命名空间内按关键词打分，分数相同按强度和时间排序
+   * @param {MemoryNamespace} namespace
+   * @param {string|null} roleId - 为空时检索命名空间内所有角色
+   * @param {string|null} query - 为空时返回最近的记忆
+   * @param {number} limit
+   * @returns {Promise<Object[]>}
+   */
+  async recall(
+    namespace,
+    roleId = null,
+    query = null,
+    limit = DEFAULT_RECALL_LIMIT
+  ) {
+    const memories = await this.prisma.workspace_promptx_memories.findMany({
+      where: {
+        workspaceId: namespace.workspaceId,
+        userId: namespace.userId,
+        ...(roleId ? { roleId: String(roleId) } : {}),
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const recalled = rankMemories(memories, query).slice(0, limit);
+    if (recalled.length > 0) {
+      await this.prisma.workspace_promptx_memories.updateMany({
+        where: { id: { in: recalled.map((m) => m.id) } },
+        data: { recallCount: { increment: 1 }, lastRecalledAt: new Date() },
+      });
+    }
+    return recalled;
+  }
+
+  /**
+   * 分页列出工作区记忆（管理接口）
+   * @param {number} workspaceId
+   * @param {Object} filters
+   * @param {number|null} filters.userId
+   * @param {string|null} filters.roleId
+   * @param {string|null} filters.search - 内容或关键词包含的文本
+   * @param {number} filters.page - 从1开始
+   * @param {number} filters.pageSize
+   * @returns {Promise<{memories: Object[], total: number, page: number, pageSize: number}>}
+   */
+  async list(
+    workspaceId,
+    { userId, roleId = null, search = null, page = 1, pageSize = 50 } = {}
+  ) {
+    const where = {
+      workspaceId: Number(workspaceId),
+      ...(userId !== undefined ? { userId } : {}),
+      ...(roleId ? { roleId } : {}),
+      ...(search
+        ? {
+            OR: [
+              { content: { contains: search } },
+              { schema: { contains: search } },
+            ],
+          }
+        : {}),
+    };
+    const [memories, total] = await Promise.all([
+      this.prisma.workspace_promptx_memories.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      this.prisma.workspace_promptx_memories.count({ where }),
+    ]);
+    return { memories, total, page, pageSize };
+  }
+
+  /**
+   * 修改记忆
+   * @param {number} workspaceId
+   * @param {number} memoryId
+   * @param {{content?: string, schema?: string|null, strength?: number}} data
+   * @returns {Promise<Object|null>} 记忆不属于该工作区时返回null
+   */
+  async update(workspaceId, memoryId, data = {}) {
+    const existing = await this.#getMemory(workspaceId, memoryId);
+    if (!existing) return null;
+
+    const [engram] = normalizeEngrams({
+      engrams: [{ ...existing, ...data }],
+    });
+    if (!engram) throw new RoleValidationError("记忆内容不能为空", "content");
+    return this.prisma.workspace_promptx_memories.update({
+      where: { id: existing.id },
+      data: {
+        content: engram.content,
+        schema: engram.schema,
+        strength: engram.strength,
+        lastUpdatedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * 删除记忆
+   * @param {number} workspaceId
+   * @param {number} memoryId
+   * @returns {Promise<boolean>}
+   */
+  async delete(workspaceId, memoryId) {
+    const existing = await this.#getMemory(workspaceId, memoryId);
+    if (!existing) return false;
+    await this.prisma.workspace_promptx_memories.delete({
+      where: { id: existing.id },
+    });
+    return true;
+  }
+
+  /**
+   * 执行保留策略：删除超过保留天数的记忆；数量超过上限时删除最久未使用的记忆
+   * @param {number} workspaceId
+   * @returns {Promise<number>} 删除的记忆数量
+   */
+  async enforceRetention(workspaceId) {
+    const config = await this.#getConfig(workspaceId);
+    let removed = 0;
+
+    if (config.memoryRetentionDays) {
+      const cutoff = new Date(
+        Date.now() - config.memoryRetentionDays * 24 * 60 * 60 * 1000
+      );
+      const { count } = await this.prisma.workspace_promptx_memories.deleteMany(
+        {
+          where: {
+            workspaceId,
+            createdAt: { lt: cutoff },
+            OR: [{ lastRecalledAt: null }, { lastRecalledAt: { lt: cutoff } }],
+          },
+        }
+      );
+      removed += count;
+    }
+
+    const total = await this.prisma.workspace_promptx_memories.count({
+      where: { workspaceId },
+    });
+    if (total > config.memoryLimit) {
+      const overflow = await this.prisma.workspace_promptx_memories.findMany({
+        where: { workspaceId },
+        orderBy: [
+          { lastRecalledAt: { sort: "asc", nulls: "first" } },
+          { createdAt: "asc" },
+        ],
+        take: total - config.memoryLimit,
+        select: { id: true },
+      });
+      const { count } = await this.prisma.workspace_promptx_memories.deleteMany(
+        {
+          where: { id: { in: overflow.map((m) => m.id) } },
+        }
+      );
+      removed += count;
+    }
+
+    if (removed > 0)
+      console.log(
+        `[PromptXMemory] 工作区 ${workspaceId} 清理了 ${removed} 条过期记忆`
+      );
+    return removed;
+  }
+
+  async #getMemory(workspaceId, memoryId) {
+    return this.prisma.workspace_promptx_memories.findFirst({
+      where: { id: Number(memoryId), workspaceId: Number(workspaceId) },
+    });
+  }
+
+  async #getConfig(workspaceId) {
+    const config = await this.prisma.workspace_promptx_configs.findUnique({
+      where: { workspaceId: Number(workspaceId) },
+    });
+    return {
+      memoryScope: config?.memoryScope || "workspace",
+      memoryLimit: config?.memoryLimit ?? 1000,
+      memoryRetentionDays: config?.memoryRetentionDays ?? null,
+    };
+  }
+}
+
+/**
+ * 兼容PromptX remember的两种参数格式：
+ * - { role, engrams: [{ content, schema, strength, type }] }
+ * - { role, content, tags }
+ * @param {Object} args
+ * @returns {Engram[]}
+ */
+function normalizeEngrams(args = {}) {
+  const items = Array.isArray(args.engrams)
+    ? args.engrams
+    : [{ content: args.content, schema: args.schema ?? args.tags }];
+
+  return items
+    .filter((item) => typeof item?.content === "string" && item.content.trim())
+    .map((item) => {
+      const schema = Array.isArray(item.schema)
+        ? item.schema.join("\n")
+        : item.schema;
+      const strength = Number(item.strength);
+      return {
+        content: item.content.trim().slice(0, MAX_CONTENT_LENGTH),
+        schema: schema ? String(schema).trim() : null,
+        strength: Number.isFinite(strength)
+          ? Math.min(Math.max(strength, 0), 1)
+          : 0.8,
+        type: item.type ? String(item.type).toUpperCase() : "ATOMIC",
+      };
+    });
+}
+
+/**
+ * 把查询拆成检索词：按空白和标点切分，中文额外拆成二元组
+ * @param {string} query
+ * @returns {string[]}
+ */
+function queryTerms(query = "") {
+  const terms = new Set();
+  for (const word of String(query)
+    .toLowerCase()
+    .split(/[\s,，。.;；:：!！?？、"'“”‘’()（）]+/)) {
+    if (!word) continue;
+    terms.add(word);
+    if (/[一-鿿]/.test(word) && word.length > 2) {
+      for (let i = 0; i < word.length - 1; i++) terms.add(word.slice(i, i + 2));
+    }
+  }
+  return [...terms];
+}
+
+/**
+ * 按检索词命中数排序记忆，无查询时保持原顺序（最近优先）
+ * @param {Object[]} memories
+ * @param {string|null} query
+ * @returns {Object[]}
+ */
+function rankMemories(memories = [], query = null) {
+  const terms = queryTerms(query || "");
+  if (terms.length === 0) return memories;
+
+  return memories
+    .map((memory) => {
+      const haystack =
+        `${memory.content}\n${memory.schema || ""}`.toLowerCase();
+      const hits = terms.filter((term) => haystack.includes(term)).length;
+      return { memory, score: hits + (memory.strength || 0) * 0.1 };
+    })
+    .filter(({ score }) => score >= 1)
+    .sort((a, b) => b.score - a.score)
+    .map(({ memory }) => memory);
+}
+
+function formatRecall(roleId, query, memories = []) {
+  if (memories.length === 0)
+    return `角色 ${roleId || ""} 没有与「${query || ""}」相关的记忆`;
+  return [
+    `🧠 检索到 ${memories.length} 条记忆：`,
+    ...memories.map(
+      (m, index) =>
+        `${index + 1}. ${m.content}${m.schema ? `\n   关键词: ${m.schema.replace(/\n/g, " / ")}` : ""}`
+    ),
+  ].join("\n");
+}
+
+module.exports = new PromptXMemoryStore();
+module.exports.PromptXMemoryStore = PromptXMemoryStore;
+module.exports.MEMORY_SCOPES = MEMORY_SCOPES;
+module.exports.normalizeEngrams = normalizeEngrams;
+module.exports.rankMemories = rankMemories;
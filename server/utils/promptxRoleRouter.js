@@ -0,0 +1,367 @@
+const crypto = require("crypto");
+const { RoleCatalog } = require("./roleCatalog");
+
+/**
+ * PromptX角色自动路由
+ * 功能：工作区开启autoSwitchEnabled后，为每条消息在已授权角色中选择最合适的角色
+ *
+ * 路由策略（workspace_promptx_configs.autoSwitchStrategy）：
+ * - embedding：消息与角色名称+描述的向量余弦相似度
+ * - llm：由工作区的聊天模型分类，失败时退回embedding
+ * 最高置信度低于autoSwitchThreshold时使用defaultRoleId
+ */
+
+const CATALOG_CACHE_TTL = 60 * 1000;
+const MAX_ROLE_EMBEDDINGS = 500;
+
+/**
+ * @typedef {Object} RoleCandidate
+ * @property {string} roleId
+ * @property {string} name - 显示名称（工作区自定义名称优先）
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} RoutingDecision
+ * @property {string} roleId - 选中的角色
+ * @property {string} name - 角色显示名称
+ * @property {number} confidence - 置信度 0-1
+ * @property {'embedding'|'llm'|'default'|'thread'|'workspace'} method - 决策来源
+ *   thread为对话线程手动设置的角色，workspace为未开启自动路由时工作区的默认角色
+ * @property {boolean} fallback - 是否因置信度不足退回默认角色
+ */
+
+class PromptXRoleRouter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.embedder - 嵌入引擎（默认使用系统配置的EMBEDDING_ENGINE）
+   */
+  constructor(options = {}) {
+    this.embedder = options.embedder || null;
+    this.roleEmbeddings = new Map();
+    this.catalogCache = { roles: [], loadedAt: 0 };
+  }
+
+  /**
+   * 为消息选择角色
+   * 对话线程设置了角色时直接使用线程角色，否则按工作区配置自动路由
+   * @param {Object} options
+   * @param {Object} options.workspace
+   * @param {Object|null} options.thread
+   * @param {string} options.message
+   * @returns {Promise<RoutingDecision|null>} 未开启自动路由或没有可选角色时返回null
+   */
+  async route({ workspace, thread = null, message }) {
+    try {
+      const prisma = require("./prisma");
+      const config = await prisma.workspace_promptx_configs.findUnique({
+        where: { workspaceId: workspace.id },
+      });
+
+      if (thread?.activePromptxRoleId) {
+        const role = await this.findRole(
+          workspace.id,
+          thread.activePromptxRoleId,
+          config
+        );
+        if (role) {
+          return {
+            roleId: role.roleId,
+            name: role.name,
+            confidence: 1,
+            method: "thread",
+            fallback: false,
+          };
+        }
+        console.warn(
+          `[RoleRouter] 线程 ${thread.id} 的角色 ${thread.activePromptxRoleId} 已不可用，改用工作区配置`
+        );
+      }
+
+      if (!config?.autoSwitchEnabled)
+        return this.workspaceRole(workspace, config);
+
+      const candidates = await this.candidateRoles(workspace.id, config);
+      const LLMConnector =
+        config.autoSwitchStrategy === "llm"
+          ? require("./helpers").getLLMProvider({
+              provider: workspace?.chatProvider,
+              model: workspace?.chatModel,
+            })
+          : null;
+
+      const decision = await this.decide({
+        message,
+        candidates,
+        config,
+        LLMConnector,
+      });
+      if (decision) {
+        console.log(
+          `[RoleRouter] 工作区 ${workspace.id} 路由到角色 ${decision.roleId}（${decision.method}, 置信度 ${decision.confidence.toFixed(2)}）`
+        );
+      }
+      return decision;
+    } catch (error) {
+      // 路由失败不应阻断聊天
+      console.error(`[RoleRouter] 角色路由失败:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 未开启自动路由时，工作区设置的默认角色即为当前角色
+   * @param {Object} workspace
+   * @param {Object|null} config
+   * @returns {Promise<RoutingDecision|null>}
+   */
+  async workspaceRole(workspace, config) {
+    if (!config?.defaultRoleId) return null;
+    const role = await this.findRole(
+      workspace.id,
+      config.defaultRoleId,
+      config
+    );
+    if (!role) return null;
+    return {
+      roleId: role.roleId,
+      name: role.name,
+      confidence: 1,
+      method: "workspace",
+      fallback: false,
+    };
+  }
+
+  /**
+   * 清除角色目录缓存（角色包变化后调用）
+   * 角色向量按名称+描述缓存，不需要清除
+   */
+  invalidate() {
+    this.catalogCache = { roles: [], loadedAt: 0 };
+  }
+
+  /**
+   * 根据候选角色和配置做出路由决策（不访问数据库）
+   * @param {Object} options
+   * @param {string} options.message
+   * @param {RoleCandidate[]} options.candidates
+   * @param {Object} options.config - workspace_promptx_configs记录
+   * @param {Object|null} options.LLMConnector - llm策略使用的聊天模型
+   * @returns {Promise<RoutingDecision|null>}
+   */
+  async decide({ message, candidates, config, LLMConnector = null }) {
+    let decision = null;
+    if (candidates.length > 0) {
+      if (config.autoSwitchStrategy === "llm" && LLMConnector) {
+        decision = await this.classifyWithLLM(
+          message,
+          candidates,
+          LLMConnector
+        ).catch((error) => {
+          console.warn(
+            `[RoleRouter] LLM分类失败，改用向量相似度:`,
+            error.message
+          );
+          return null;
+        });
+      }
+      decision ??= await this.classifyWithEmbeddings(message, candidates);
+    }
+
+    const threshold = config.autoSwitchThreshold ?? 0.5;
+    if (decision && decision.confidence >= threshold)
+      return { ...decision, fallback: false };
+    if (!config.defaultRoleId) return null;
+
+    const defaultRole = candidates.find(
+      (c) => c.roleId === config.defaultRoleId
+    );
+    return {
+      roleId: config.defaultRoleId,
+      name: defaultRole?.name || config.defaultRoleId,
+      confidence: decision?.confidence ?? 0,
+      method: "default",
+      fallback: true,
+    };
+  }
+
+  /**
+   * 获取工作区可路由的角色（已授权 + 角色目录中存在）
+   * @param {number} workspaceId
+   * @param {Object|null} config - workspace_promptx_configs记录（不存在时按启用所有角色处理）
+   * @returns {Promise<RoleCandidate[]>}
+   */
+  async candidateRoles(workspaceId, config) {
+    const prisma = require("./prisma");
+    const catalog = await this.#loadCatalog();
+    const workspaceRoles = await prisma.workspace_promptx_roles.findMany({
+      where: { workspaceId },
+    });
+    const configMap = new Map(workspaceRoles.map((r) => [r.roleId, r]));
+
+    // getAuthorizedRoles返回空数组表示不限制（enableAllRoles），此时排除被显式禁用的角色
+    const authorized = await require("./workspaceRoleAuth")
+      .shared()
+      .getAuthorizedRoles(workspaceId);
+    const allowed =
+      config?.enableAllRoles ?? true
+        ? (role) => configMap.get(role.id)?.enabled !== false
+        : (role) => authorized.includes(role.id);
+
+    return catalog.filter(allowed).map((role) => {
+      const roleConfig = configMap.get(role.id);
+      return {
+        roleId: role.id,
+        name: roleConfig?.customName || role.title,
+        description: roleConfig?.customDescription || role.description || "",
+      };
+    });
+  }
+
+  /**
+   * 查找工作区中可用的角色（已授权且存在于角色目录）
+   * @param {number} workspaceId
+   * @param {string} roleId
+   * @param {Object|null} config - 已加载的workspace_promptx_configs记录
+   * @returns {Promise<RoleCandidate|null>}
+   */
+  async findRole(workspaceId, roleId, config = undefined) {
+    if (config === undefined) {
+      const prisma = require("./prisma");
+      config = await prisma.workspace_promptx_configs.findUnique({
+        where: { workspaceId },
+      });
+    }
+    const candidates = await this.candidateRoles(workspaceId, config);
+    return candidates.find((c) => c.roleId === roleId) || null;
+  }
+
+  /**
+   * 向量相似度分类
+   * @param {string} message
+   * @param {RoleCandidate[]} candidates
+   * @returns {Promise<RoutingDecision|null>}
+   */
+  async classifyWithEmbeddings(message, candidates) {
+    const embedder = this.#getEmbedder();
+    const [query, roleVectors] = await Promise.all([
+      embedder.embedTextInput(message),
+      this.#embedRoles(candidates, embedder),
+    ]);
+    if (!query?.length) return null;
+
+    let best = null;
+    candidates.forEach((candidate, index) => {
+      const score = cosineSimilarity(query, roleVectors[index]);
+      if (!best || score > best.confidence)
+        best = {
+          roleId: candidate.roleId,
+          name: candidate.name,
+          confidence: score,
+          method: "embedding",
+        };
+    });
+    return best;
+  }
+
+  /**
+   * 使用聊天模型分类
+   * @param {string} message
+   * @param {RoleCandidate[]} candidates
+   * @param {Object} LLMConnector
+   * @returns {Promise<RoutingDecision|null>}
+   */
+  async classifyWithLLM(message, candidates, LLMConnector) {
+    const roleList = candidates
+      .map((c) => `- ${c.roleId}: ${c.name}。${c.description}`)
+      .join("\n");
+    const { textResponse } = await LLMConnector.getChatCompletion(
+      [
+        {
+          role: "system",
+          content: `你是一个角色路由器。根据用户消息，从以下角色中选出最适合回答的一个：\n${roleList}\n\n只返回JSON：{"roleId": "<角色ID>", "confidence": <0到1之间的数字>}。没有合适的角色时roleId为null。`,
+        },
+        { role: "user", content: message },
+      ],
+      { temperature: 0 }
+    );
+
+    // 部分模型会用代码块包裹JSON
+    let result = null;
+    try {
+      result = JSON.parse(textResponse?.match(/\{[\s\S]*\}/)?.[0]);
+    } catch {}
+    const candidate = candidates.find((c) => c.roleId === result?.roleId);
+    if (!candidate) return null;
+    return {
+      roleId: candidate.roleId,
+      name: candidate.name,
+      confidence: Math.min(Math.max(Number(result.confidence) || 0, 0), 1),
+      method: "llm",
+    };
+  }
+
+  #getEmbedder() {
+    if (!this.embedder)
+      this.embedder = require("./helpers").getEmbeddingEngineSelection();
+    return this.embedder;
+  }
+
+  /**
+   * 角色向量按名称+描述的内容缓存，描述变化后自动重新计算
+   */
+  async #embedRoles(candidates, embedder) {
+    const texts = candidates.map((c) => `${c.name}: ${c.description}`);
+    const keys = texts.map((text) =>
+      crypto.createHash("sha1").update(text).digest("hex")
+    );
+    const missing = texts.filter((_, i) => !this.roleEmbeddings.has(keys[i]));
+
+    if (missing.length > 0) {
+      const vectors = await embedder.embedChunks(missing);
+      if (this.roleEmbeddings.size + missing.length > MAX_ROLE_EMBEDDINGS)
+        this.roleEmbeddings.clear();
+      missing.forEach((text, i) => {
+        const key = crypto.createHash("sha1").update(text).digest("hex");
+        this.roleEmbeddings.set(key, vectors[i]);
+      });
+    }
+    return keys.map((key) => this.roleEmbeddings.get(key));
+  }
+
+  /**
+   * 角色目录缓存一分钟，避免每条消息都扫描目录和调用discover
+   * 聊天流程中不主动启动MCP服务器，未启动时只使用角色资源目录
+   */
+  async #loadCatalog() {
+    if (Date.now() - this.catalogCache.loadedAt < CATALOG_CACHE_TTL)
+      return this.catalogCache.roles;
+
+    const MCPCompatibilityLayer = require("./MCP");
+    const mcpServer = new MCPCompatibilityLayer().mcps?.["promptx"] || null;
+    const { roles } = await new RoleCatalog().getCatalog({ mcpServer });
+    this.catalogCache = { roles, loadedAt: Date.now() };
+    return roles;
+  }
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a = [], b = []) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = new PromptXRoleRouter();
+module.exports.PromptXRoleRouter = PromptXRoleRouter;
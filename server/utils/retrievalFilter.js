@@ -0,0 +1,233 @@
+/**
+ * 文档标签与检索过滤
+ * 功能：为工作区文档打标签（部门、语言、版本、有效期），并在相似度检索时按标签缩小范围
+ *
+ * - 标签保存在 workspace_documents.metadata.tags 中，同时写入向量数据库payload的tags字段
+ * - 过滤条件可以在工作区、线程（/filter命令）和单次API请求上设置，后者按字段覆盖前者
+ * - 过滤条件既可以是对象，也可以是表达式字符串，例如：
+ *   department=legal,hr language=zh valid=now
+ *   同一字段的多个值之间是"或"，不同字段之间是"且"；valid 表示只检索在该日期有效的文档
+ */
+
+const TAG_KEYS = ["department", "language", "version"];
+const DATE_TAG_KEYS = ["validFrom", "validTo"];
+// 表达式中 valid 对应过滤对象的 validAt
+const EXPRESSION_KEYS = [...TAG_KEYS, "valid"];
+
+/**
+ * @typedef {Object} DocumentTags
+ * @property {string} [department]
+ * @property {string} [language]
+ * @property {string} [version]
+ * @property {string} [validFrom] - YYYY-MM-DD
+ * @property {string} [validTo] - YYYY-MM-DD
+ */
+
+/**
+ * @typedef {Object} RetrievalFilter
+ * @property {string[]} [department]
+ * @property {string[]} [language]
+ * @property {string[]} [version]
+ * @property {string} [validAt] - "now" 或 YYYY-MM-DD
+ */
+
+/**
+ * 校验并规范化文档标签，空值会被去掉
+ * @param {Object} tags
+ * @returns {DocumentTags}
+ */
+function normalizeTags(tags = {}) {
+  if (!tags || typeof tags !== "object" || Array.isArray(tags))
+    throw new Error("tags must be an object");
+
+  const unknown = Object.keys(tags).filter(
+    (key) => ![...TAG_KEYS, ...DATE_TAG_KEYS].includes(key)
+  );
+  if (unknown.length > 0)
+    throw new Error(`Unknown document tags: ${unknown.join(", ")}`);
+
+  const normalized = {};
+  for (const key of TAG_KEYS) {
+    if (tags[key] === undefined || tags[key] === null) continue;
+    const value = String(tags[key]).trim();
+    if (value) normalized[key] = value;
+  }
+  for (const key of DATE_TAG_KEYS) {
+    if (!tags[key]) continue;
+    normalized[key] = toDateString(tags[key], key);
+  }
+  if (
+    normalized.validFrom &&
+    normalized.validTo &&
+    normalized.validFrom > normalized.validTo
+  )
+    throw new Error("validFrom must not be after validTo");
+  return normalized;
+}
+
+/**
+ * 写入向量数据库payload的标签：关键字统一小写，日期转为毫秒时间戳以便做范围过滤
+ * 有效期到 validTo 当天结束为止
+ * @param {DocumentTags} tags
+ * @returns {Object}
+ */
+function payloadTags(tags = {}) {
+  const payload = {};
+  for (const key of TAG_KEYS) {
+    if (tags[key]) payload[key] = String(tags[key]).toLowerCase();
+  }
+  if (tags.validFrom) payload.validFrom = Date.parse(tags.validFrom);
+  if (tags.validTo)
+    payload.validTo = Date.parse(tags.validTo) + 24 * 60 * 60 * 1000 - 1;
+  return payload;
+}
+
+/**
+ * 解析过滤条件
+ * @param {RetrievalFilter|string|null} input - 过滤对象或表达式字符串
+ * @returns {RetrievalFilter|null} 没有任何条件时返回null
+ */
+function parseFilter(input = null) {
+  if (input === null || input === undefined || input === "") return null;
+
+  let entries;
+  if (typeof input === "string") {
+    entries = input
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((part) => {
+        const match = part.match(/^([a-zA-Z]+)=(.*)$/);
+        if (!match)
+          throw new Error(`Invalid filter "${part}", expected key=value`);
+        return [match[1], match[2].split(",")];
+      });
+  } else if (typeof input === "object" && !Array.isArray(input)) {
+    entries = Object.entries(input).map(([key, value]) => [
+      key === "validAt" ? "valid" : key,
+      Array.isArray(value) ? value : [value],
+    ]);
+  } else {
+    throw new Error("filter must be an object or an expression string");
+  }
+
+  const filter = {};
+  for (const [key, values] of entries) {
+    if (!EXPRESSION_KEYS.includes(key))
+      throw new Error(
+        `Unknown filter key "${key}", supported keys are ${EXPRESSION_KEYS.join(", ")}`
+      );
+    const cleaned = values
+      .filter((value) => value !== null && value !== undefined)
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+    if (cleaned.length === 0) continue;
+
+    if (key === "valid") {
+      filter.validAt =
+        cleaned[0].toLowerCase() === "now"
+          ? "now"
+          : toDateString(cleaned[0], "valid");
+      continue;
+    }
+    filter[key] = [...new Set(cleaned.map((value) => value.toLowerCase()))];
+  }
+  return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * 把过滤条件格式化为表达式字符串，用于保存和展示
+ * @param {RetrievalFilter|null} filter
+ * @returns {string|null}
+ */
+function formatFilter(filter = null) {
+  if (!filter) return null;
+  const parts = TAG_KEYS.filter((key) => filter[key]?.length).map(
+    (key) => `${key}=${filter[key].join(",")}`
+  );
+  if (filter.validAt) parts.push(`valid=${filter.validAt}`);
+  return parts.length > 0 ? parts.join(" ") : null;
+}
+
+/**
+ * 合并工作区、线程和请求的过滤条件，后面的按字段覆盖前面的
+ * 已保存的过滤条件无法解析时忽略，请求中的过滤条件无法解析时抛出错误
+ * @param {Object} params
+ * @param {Object|null} params.workspace
+ * @param {Object|null} params.thread
+ * @param {RetrievalFilter|string|null} params.filter - 单次请求的过滤条件
+ * @returns {RetrievalFilter|null}
+ */
+function resolveRetrievalFilter({
+  workspace = null,
+  thread = null,
+  filter = null,
+}) {
+  const stored = (expression, source) => {
+    try {
+      return parseFilter(expression);
+    } catch (error) {
+      console.warn(
+        `[RetrievalFilter] 忽略无法解析的${source}过滤条件:`,
+        error.message
+      );
+      return null;
+    }
+  };
+
+  const merged = {
+    ...stored(workspace?.retrievalFilter, "工作区"),
+    ...stored(thread?.retrievalFilter, "线程"),
+    ...parseFilter(filter),
+  };
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * 过滤条件对应的有效日期（毫秒时间戳）
+ * @param {RetrievalFilter} filter
+ * @returns {number|null}
+ */
+function validAtTime(filter = null) {
+  if (!filter?.validAt) return null;
+  return filter.validAt === "now" ? Date.now() : Date.parse(filter.validAt);
+}
+
+/**
+ * 判断payload中的标签是否满足过滤条件
+ * 用于向量数据库无法直接过滤的结果，例如混合检索中只被关键词索引命中的片段
+ * @param {Object} tags - payloadTags()生成的标签
+ * @param {RetrievalFilter|null} filter
+ * @returns {boolean}
+ */
+function matchesFilter(tags = {}, filter = null) {
+  if (!filter) return true;
+  tags = tags || {};
+  for (const key of TAG_KEYS) {
+    if (filter[key]?.length && !filter[key].includes(tags[key])) return false;
+  }
+  const at = validAtTime(filter);
+  if (at !== null) {
+    if (typeof tags.validFrom === "number" && tags.validFrom > at) return false;
+    if (typeof tags.validTo === "number" && tags.validTo < at) return false;
+  }
+  return true;
+}
+
+function toDateString(value, key) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time))
+    throw new Error(`${key} must be a date like 2024-12-31`);
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  TAG_KEYS,
+  normalizeTags,
+  payloadTags,
+  parseFilter,
+  formatFilter,
+  resolveRetrievalFilter,
+  validAtTime,
+  matchesFilter,
+};
@@ -0,0 +1,435 @@
+const fs = require("fs").promises;
+const path = require("path");
+const AdmZip = require("adm-zip");
+const RolePackageValidator = require("./rolePackageValidator");
+const roleUploadHandler = require("./roleUploadHandler");
+const roleVersionManager = require("./roleVersionManager");
+const {
+  RoleValidationError,
+  RoleNotFoundError,
+} = require("./roleManagementErrors");
+
+/**
+ * PromptX角色导出/导入工具
+ * 功能：
+ * - 单个角色导出为ZIP（与上传使用同一种角色包格式，可直接重新上传）
+ * - 工作区PromptX配置导出为bundle，在其他工作区或其他DeeChat实例中导入
+ *
+ * bundle结构：
+ * - bundle.json           工作区配置与角色配置清单
+ * - roles/{roleId}.zip    角色包（PromptX内置的系统角色没有角色包，只导出配置）
+ */
+
+const BUNDLE_FORMAT = "deechat-promptx-bundle";
+const BUNDLE_FORMAT_VERSION = 1;
+const MANIFEST_FILE = "bundle.json";
+const CONFLICT_STRATEGIES = ["skip", "overwrite", "rename"];
+const ROLE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// 由服务端生成、不属于角色包内容的文件
+const EXCLUDED_FILES = new Set(["metadata.json"]);
+
+/**
+ * @typedef {Object} BundleRoleEntry
+ * @property {string} roleId
+ * @property {boolean} enabled
+ * @property {string|null} customName
+ * @property {string|null} customDescription
+ * @property {string|null} version - 导出时的生效版本
+ * @property {boolean} hasPackage - bundle中是否包含角色包
+ */
+
+class RoleBundleHandler {
+  constructor(options = {}) {
+    this.versionManager = options.versionManager || roleVersionManager;
+    this.uploadHandler = options.uploadHandler || roleUploadHandler;
+    this.validator = new RolePackageValidator();
+  }
+
+  /**
+   * 将角色目录打包为ZIP，格式与上传的角色包一致
+   * @param {string} roleId
+   * @param {Object} options
+   * @param {string|null} options.version - 导出指定版本，为空时导出当前生效版本
+   * @returns {Promise<Buffer>}
+   */
+  async buildRolePackage(roleId, { version = null } = {}) {
+    if (version) await this.versionManager.getVersion(roleId, version);
+    const roleDir = this.versionManager.resolveRoleDir(roleId, version);
+
+    try {
+      await fs.access(path.join(roleDir, `${roleId}.role.md`));
+    } catch {
+      // PromptX内置角色不在角色资源目录中，无法导出
+      throw new RoleNotFoundError(roleId);
+    }
+
+    const zip = new AdmZip();
+    for (const file of await this.#listFiles(roleDir)) {
+      zip.addFile(file, await fs.readFile(path.join(roleDir, file)));
+    }
+    return zip.toBuffer();
+  }
+
+  /**
+   * 读取角色的当前生效版本（非上传角色返回null）
+   * @param {string} roleId
+   * @returns {Promise<string|null>}
+   */
+  async activeVersion(roleId) {
+    try {
+      const { activeVersion } = await this.versionManager.listVersions(roleId);
+      return activeVersion;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 生成工作区PromptX配置bundle
+   * @param {Object} options
+   * @param {number} options.workspaceId
+   * @param {Object|null} options.config - workspace_promptx_configs记录
+   * @param {Object[]} options.roles - 已启用的workspace_promptx_roles记录
+   * @returns {Promise<{buffer: Buffer, manifest: Object}>}
+   */
+  async buildWorkspaceBundle({ workspaceId, config, roles }) {
+    const zip = new AdmZip();
+    const entries = [];
+
+    for (const role of roles) {
+      let hasPackage = true;
+      try {
+        zip.addFile(
+          `roles/${role.roleId}.zip`,
+          await this.buildRolePackage(role.roleId)
+        );
+      } catch (error) {
+        if (!(error instanceof RoleNotFoundError)) throw error;
+        hasPackage = false;
+      }
+
+      entries.push({
+        roleId: role.roleId,
+        enabled: role.enabled,
+        customName: role.customName || null,
+        customDescription: role.customDescription || null,
+        version: hasPackage ? await this.activeVersion(role.roleId) : null,
+        hasPackage,
+      });
+    }
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: { workspaceId },
+      config: config
+        ? {
+            enabled: config.enabled,
+            autoSwitchEnabled: config.autoSwitchEnabled,
+            enableAllRoles: config.enableAllRoles,
+            defaultRoleId: config.defaultRoleId || null,
+          }
+        : null,
+      roles: entries,
+    };
+    zip.addFile(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    console.log(
+      `[RoleBundle] 已导出工作区 ${workspaceId}：${entries.length} 个角色`
+    );
+    return { buffer: zip.toBuffer(), manifest };
+  }
+
+  /**
+   * 读取并校验bundle，不解压到磁盘
+   * @param {string} zipPath
+   * @returns {Promise<{manifest: Object, packages: Map<string, Buffer>}>}
+   */
+  async readWorkspaceBundle(zipPath) {
+    try {
+      await this.validator.validateZipFormat(zipPath);
+      await this.validator.detectZipBomb(zipPath);
+    } catch (error) {
+      throw new RoleValidationError(error.message, "file");
+    }
+
+    const zip = new AdmZip(zipPath);
+    const manifestEntry = zip.getEntry(MANIFEST_FILE);
+    if (!manifestEntry) {
+      throw new RoleValidationError(
+        `无效的配置包：缺少${MANIFEST_FILE}`,
+        "file"
+      );
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestEntry.getData().toString("utf-8"));
+    } catch {
+      throw new RoleValidationError(
+        `无效的配置包：${MANIFEST_FILE}不是合法的JSON`,
+        "file"
+      );
+    }
+
+    if (manifest.format !== BUNDLE_FORMAT) {
+      throw new RoleValidationError("无效的配置包：格式标识不匹配", "file");
+    }
+    if (manifest.formatVersion > BUNDLE_FORMAT_VERSION) {
+      throw new RoleValidationError(
+        `配置包版本 ${manifest.formatVersion} 高于当前支持的版本 ${BUNDLE_FORMAT_VERSION}，请升级DeeChat`,
+        "file"
+      );
+    }
+
+    const packages = new Map();
+    for (const role of manifest.roles || []) {
+      if (!ROLE_ID_PATTERN.test(role.roleId || "")) {
+        throw new RoleValidationError(
+          `无效的配置包：角色ID格式错误 "${role.roleId}"`,
+          "roleId"
+        );
+      }
+      if (!role.hasPackage) continue;
+
+      const entry = zip.getEntry(`roles/${role.roleId}.zip`);
+      if (!entry) {
+        throw new RoleValidationError(
+          `无效的配置包：缺少角色包 roles/${role.roleId}.zip`,
+          "file"
+        );
+      }
+      packages.set(role.roleId, entry.getData());
+    }
+
+    return { manifest, packages };
+  }
+
+  /**
+   * 将bundle导入到工作区
+   * 单个角色导入失败不会中断整个导入，结果中逐个返回每个角色的状态
+   *
+   * 角色ID冲突处理（conflictStrategy）：
+   * - skip：保留已有角色文件；工作区还没有该角色的配置时沿用已有角色并写入配置
+   * - overwrite：作为新版本覆盖已有角色（旧版本保留可回滚）
+   * - rename：以新的角色ID安装（{roleId}-imported、{roleId}-imported-2...）
+   *
+   * 固定版本（pinnedVersion）不随bundle迁移，版本号在不同实例之间没有对应关系
+   *
+   * @param {Object} options
+   * @param {string} options.zipPath - 上传的bundle路径
+   * @param {number} options.workspaceId - 目标工作区
+   * @param {number|null} options.userId
+   * @param {'skip'|'overwrite'|'rename'} options.conflictStrategy
+   * @returns {Promise<{config: Object|null, roles: Object[]}>}
+   */
+  async importWorkspaceBundle({
+    zipPath,
+    workspaceId,
+    userId = null,
+    conflictStrategy = "skip",
+  }) {
+    if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+      throw new RoleValidationError(
+        `conflictStrategy必须是 ${CONFLICT_STRATEGIES.join("/")} 之一`,
+        "conflictStrategy"
+      );
+    }
+
+    const prisma = require("./prisma");
+    const { Workspace } = require("../models/workspace");
+    const { manifest, packages } = await this.readWorkspaceBundle(
+      zipPath
+    ).catch(async (error) => {
+      await fs.rm(zipPath, { force: true });
+      throw error;
+    });
+    const tempDir = path.dirname(zipPath);
+    const results = [];
+
+    try {
+      for (const role of manifest.roles || []) {
+        const result = await this.#importRole({
+          role,
+          rolePackage: packages.get(role.roleId) || null,
+          tempDir,
+          workspaceId,
+          userId,
+          conflictStrategy,
+          Workspace,
+        });
+
+        if (result.status !== "failed" && result.status !== "skipped") {
+          await prisma.workspace_promptx_roles.upsert({
+            where: {
+              workspaceId_roleId: { workspaceId, roleId: result.roleId },
+            },
+            update: {
+              enabled: role.enabled,
+              customName: role.customName,
+              customDescription: role.customDescription,
+              updatedBy: userId,
+              lastUpdatedAt: new Date(),
+            },
+            create: {
+              workspaceId,
+              roleId: result.roleId,
+              enabled: role.enabled,
+              customName: role.customName,
+              customDescription: role.customDescription,
+              addedBy: userId,
+              updatedBy: userId,
+            },
+          });
+        }
+        results.push(result);
+      }
+    } finally {
+      await fs.rm(zipPath, { force: true });
+    }
+
+    let config = null;
+    if (manifest.config) {
+      // 默认角色在导入时可能被重命名
+      const renamed = results.find(
+        (r) => r.sourceRoleId === manifest.config.defaultRoleId
+      );
+      const data = {
+        enabled: manifest.config.enabled,
+        autoSwitchEnabled: manifest.config.autoSwitchEnabled,
+        enableAllRoles: manifest.config.enableAllRoles,
+        defaultRoleId: renamed?.roleId || manifest.config.defaultRoleId,
+        updatedBy: userId,
+        lastUpdatedAt: new Date(),
+      };
+      config = await prisma.workspace_promptx_configs.upsert({
+        where: { workspaceId },
+        update: data,
+        create: { workspaceId, ...data },
+      });
+    }
+
+    console.log(
+      `[RoleBundle] 工作区 ${workspaceId} 导入完成：${results.length} 个角色（策略：${conflictStrategy}）`
+    );
+    return { config, roles: results };
+  }
+
+  async #importRole({
+    role,
+    rolePackage,
+    tempDir,
+    workspaceId,
+    userId,
+    conflictStrategy,
+    Workspace,
+  }) {
+    const base = { sourceRoleId: role.roleId, roleId: role.roleId };
+    const conflict = await Workspace.checkRoleConflict(
+      workspaceId,
+      role.roleId
+    );
+
+    // 没有角色包的是PromptX内置角色，只需要写入配置
+    if (!rolePackage) return { ...base, status: "linked", version: null };
+
+    if (conflict.conflict && conflictStrategy === "skip") {
+      // 角色文件已存在（例如同一实例的另一个工作区导出的），直接沿用
+      if (!conflict.existsInDB && conflict.existsInFS) {
+        return {
+          ...base,
+          status: "linked",
+          version: await this.activeVersion(role.roleId),
+        };
+      }
+      return { ...base, status: "skipped", version: null };
+    }
+
+    const zipPath = path.join(
+      tempDir,
+      `role-import-${Date.now()}-${role.roleId}.zip`
+    );
+    await fs.writeFile(zipPath, rolePackage);
+
+    try {
+      const customId =
+        conflict.conflict && conflictStrategy === "rename"
+          ? await this.#availableRoleId(workspaceId, role.roleId, Workspace)
+          : undefined;
+      const upload = await this.uploadHandler.processUpload({
+        zipPath,
+        workspaceId,
+        customId,
+        customName: role.customName || undefined,
+        customDescription: role.customDescription || undefined,
+        userId,
+        overwrite: conflictStrategy === "overwrite",
+        versionNote: `从配置包导入（原版本 ${role.version || "未知"}）`,
+      });
+
+      return {
+        ...base,
+        roleId: upload.roleId,
+        status: upload.overwritten
+          ? "overwritten"
+          : customId
+            ? "renamed"
+            : "installed",
+        version: upload.metadata.version,
+        previousVersion: upload.previousVersion || null,
+      };
+    } catch (error) {
+      console.error(
+        `[RoleBundle] 角色 ${role.roleId} 导入失败:`,
+        error.message
+      );
+      await fs.rm(zipPath, { force: true });
+      return {
+        ...base,
+        status: "failed",
+        version: null,
+        error: error.message,
+        diagnostics: error.diagnostics || null,
+      };
+    }
+  }
+
+  async #availableRoleId(workspaceId, roleId, Workspace) {
+    for (let i = 1; ; i++) {
+      const candidate =
+        i === 1 ? `${roleId}-imported` : `${roleId}-imported-${i}`;
+      const { conflict } = await Workspace.checkRoleConflict(
+        workspaceId,
+        candidate
+      );
+      if (!conflict) return candidate;
+    }
+  }
+
+  /**
+   * 递归列出角色目录中需要打包的文件（相对路径，跳过隐藏文件和metadata.json）
+   * @param {string} dir
+   * @param {string} prefix
+   * @returns {Promise<string[]>}
+   */
+  async #listFiles(dir, prefix = "") {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith(".")) continue;
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(
+          ...(await this.#listFiles(path.join(dir, entry.name), relative))
+        );
+      } else if (!EXCLUDED_FILES.has(relative)) {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+}
+
+module.exports = new RoleBundleHandler();
+module.exports.RoleBundleHandler = RoleBundleHandler;
@@ -0,0 +1,393 @@
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const roleMetadataWriter = require("./roleMetadataWriter");
+
+/**
+ * PromptX角色目录服务
+ * 功能：以结构化方式发现角色，不再依赖discover工具的Markdown文本格式
+ *
+ * 数据来源（按优先级）：
+ * 1. 角色资源目录 ~/.promptx/resource/role/{roleId}/{roleId}.role.md + metadata.json
+ * 2. discover工具的JSON响应（structuredContent 或 JSON文本）
+ * 3. discover工具的Markdown文本（仅作兜底解析）
+ */
+
+/**
+ * @typedef {'system' | 'user' | 'uploaded'} RoleSource
+ */
+
+/**
+ * @typedef {Object} RoleReference
+ * @property {string} id - 引用的资源ID，如 `@!thought://remember` 中的 `remember`
+ * @property {boolean} required - 是否为强制引用（`@!`前缀）
+ * @property {string|null} file - 角色目录内对应文件的相对路径，找不到则为null
+ */
+
+/**
+ * @typedef {Object} PromptXRole
+ * @property {string} id - 角色ID
+ * @property {RoleSource} source - 角色来源
+ * @property {string} title - 显示名称
+ * @property {string|null} description - 角色描述
+ * @property {string|null} version - 角色版本（来自metadata.json）
+ * @property {{thought: RoleReference[], execution: RoleReference[], knowledge: RoleReference[]}} references
+ */
+
+const REFERENCE_TYPES = ["thought", "execution", "knowledge"];
+const ROLE_SOURCES = ["system", "user", "uploaded"];
+
+/**
+ * 格式化角色名称，从kebab-case转换为友好的显示名称
+ * @param {string} roleName - 角色ID
+ * @returns {string} 格式化后的角色名称
+ */
+function formatRoleName(roleName) {
+  // 已知的特殊角色名称映射
+  const knownNames = {
+    nuwa: "女娲",
+    luban: "鲁班",
+    sean: "Sean",
+    writer: "Writer",
+    assistant: "Assistant",
+    noface: "Noface",
+    "code-assistant": "Code Assistant",
+    "doc-intelligence-analyzer": "Doc Intelligence Analyzer",
+    "frontend-developer": "Frontend Developer",
+    "video-content-analyst": "Video Content Analyst",
+    haoxiaoliang: "Haoxiaoliang",
+    shaqing: "Shaqing",
+  };
+
+  if (knownNames[roleName]) {
+    return knownNames[roleName];
+  }
+
+  // 默认格式化：将kebab-case转换为Title Case
+  return roleName
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+class RoleCatalog {
+  /**
+   * @param {Object} options
+   * @param {string} options.roleResourceDir - 角色资源目录（默认 ~/.promptx/resource/role）
+   */
+  constructor(options = {}) {
+    this.roleResourceDir =
+      options.roleResourceDir ||
+      path.join(os.homedir(), ".promptx", "resource", "role");
+  }
+
+  /**
+   * 构建完整的角色目录
+   * discover返回的角色作为基础，资源目录中的角色覆盖同名条目（文件系统是真实来源）
+   * @param {Object} options
+   * @param {Object|null} options.mcpServer - PromptX MCP客户端（可选）
+   * @returns {Promise<{roles: PromptXRole[], discoverFormat: 'json'|'text'|null}>}
+   * discoverFormat为null表示discover不可用或未解析出任何角色，此时角色列表不完整
+   */
+  async getCatalog({ mcpServer = null } = {}) {
+    const [discovered, resourceRoles] = await Promise.all([
+      this.readDiscover(mcpServer),
+      this.readResourceTree(),
+    ]);
+
+    const roles = new Map();
+    for (const role of discovered.roles) roles.set(role.id, role);
+
+    for (const role of resourceRoles) {
+      const existing = roles.get(role.id);
+      roles.set(role.id, {
+        ...role,
+        description: role.description ?? existing?.description ?? null,
+      });
+    }
+
+    return {
+      roles: Array.from(roles.values()),
+      discoverFormat: discovered.roles.length > 0 ? discovered.format : null,
+    };
+  }
+
+  /**
+   * 扫描角色资源目录，读取每个角色的.role.md与metadata.json
+   * @returns {Promise<PromptXRole[]>}
+   */
+  async readResourceTree() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.roleResourceDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      console.error(`[RoleCatalog] 读取角色资源目录失败:`, error.message);
+      return [];
+    }
+
+    const roles = [];
+    for (const entry of entries) {
+      // 跳过备份目录和隐藏目录
+      if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+      const role = await this.readRoleDirectory(entry.name);
+      if (role) roles.push(role);
+    }
+    return roles;
+  }
+
+  /**
+   * 读取单个角色目录
+   * @param {string} roleId - 角色ID（目录名）
+   * @returns {Promise<PromptXRole|null>} 目录内没有{roleId}.role.md时返回null
+   */
+  async readRoleDirectory(roleId) {
+    const roleDir = path.join(this.roleResourceDir, roleId);
+    const roleMdPath = path.join(roleDir, `${roleId}.role.md`);
+
+    let content;
+    try {
+      content = await fs.readFile(roleMdPath, "utf-8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `[RoleCatalog] 读取角色文件失败: ${roleMdPath}`,
+          error.message
+        );
+      }
+      return null;
+    }
+
+    let metadata = null;
+    try {
+      metadata = await roleMetadataWriter.readMetadata(roleDir);
+    } catch (error) {
+      console.warn(`[RoleCatalog] 角色 ${roleId} 的metadata.json无效，已忽略`);
+    }
+
+    const files = await this.listFiles(roleDir);
+    return {
+      id: roleId,
+      // metadata.json只由上传流程写入，没有则视为本地创建的用户角色
+      source: metadata ? "uploaded" : "user",
+      title: metadata?.customName || formatRoleName(roleId),
+      description: metadata?.customDescription || null,
+      version: metadata?.version || null,
+      references: this.extractReferences(content, files),
+    };
+  }
+
+  /**
+   * 提取.role.md中的 @thought:// @execution:// @knowledge:// 引用，并解析到角色目录内的文件
+   * @param {string} content - .role.md文件内容
+   * @param {string[]} files - 角色目录内所有文件的相对路径
+   * @returns {{thought: RoleReference[], execution: RoleReference[], knowledge: RoleReference[]}}
+   */
+  extractReferences(content, files = []) {
+    const references = { thought: [], execution: [], knowledge: [] };
+    const pattern = /@(!?)(thought|execution|knowledge):\/\/([\w.-]+)/g;
+    const seen = new Set();
+
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      const [, required, type, id] = match;
+      const key = `${type}:${id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const fileName = `${id}.${type}.md`;
+      const file =
+        files.find((f) => f === fileName || f.endsWith(`/${fileName}`)) || null;
+      references[type].push({ id, required: required === "!", file });
+    }
+    return references;
+  }
+
+  /**
+   * 递归列出目录下所有文件（相对路径，使用/分隔）
+   * @param {string} dir
+   * @param {string} prefix
+   * @returns {Promise<string[]>}
+   */
+  async listFiles(dir, prefix = "") {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(
+          ...(await this.listFiles(path.join(dir, entry.name), relative))
+        );
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * 调用discover工具并解析结果
+   * @param {Object|null} mcpServer - PromptX MCP客户端
+   * @returns {Promise<{roles: PromptXRole[], format: 'json'|'text'|null}>}
+   */
+  async readDiscover(mcpServer) {
+    if (!mcpServer) return { roles: [], format: null };
+
+    try {
+      const result = await mcpServer.callTool({
+        name: "discover",
+        arguments: { focus: "roles" },
+      });
+      return this.parseDiscoverResult(result);
+    } catch (error) {
+      console.error(`[RoleCatalog] discover调用失败:`, error.message);
+      return { roles: [], format: null };
+    }
+  }
+
+  /**
+   * 解析discover工具结果：优先JSON，文本解析仅作兜底
+   * @param {Object} result - MCP callTool结果
+   * @returns {{roles: PromptXRole[], format: 'json'|'text'|null}}
+   */
+  parseDiscoverResult(result) {
+    if (!result) return { roles: [], format: null };
+
+    if (result.structuredContent) {
+      const roles = this.parseDiscoverJSON(result.structuredContent);
+      if (roles) return { roles, format: "json" };
+    }
+
+    const textContent = Array.isArray(result.content)
+      ? result.content
+          .filter((item) => item.type === "text")
+          .map((item) => item.text)
+          .join("\n")
+      : "";
+    if (!textContent) return { roles: [], format: null };
+
+    try {
+      const roles = this.parseDiscoverJSON(JSON.parse(textContent));
+      if (roles) return { roles, format: "json" };
+    } catch {
+      // 不是JSON，继续使用文本解析
+    }
+
+    console.warn(`[RoleCatalog] discover未返回JSON，使用文本兜底解析`);
+    return { roles: this.parseDiscoverText(textContent), format: "text" };
+  }
+
+  /**
+   * 解析JSON格式的discover响应
+   * 支持 `{roles: [...]}`、`[...]` 以及按来源分组的 `{system: [...], user: [...]}`
+   * @param {Object|Array} data
+   * @returns {PromptXRole[]|null} 无法识别的结构返回null
+   */
+  parseDiscoverJSON(data) {
+    if (!data || typeof data !== "object") return null;
+
+    let items = null;
+    if (Array.isArray(data)) items = data;
+    else if (Array.isArray(data.roles)) items = data.roles;
+    else if (ROLE_SOURCES.some((source) => Array.isArray(data[source]))) {
+      items = ROLE_SOURCES.flatMap((source) =>
+        (data[source] || []).map((item) => ({ source, ...item }))
+      );
+    }
+    if (!items) return null;
+
+    return items
+      .map((item) => {
+        const id = item.id || item.roleId;
+        if (!id || typeof id !== "string") return null;
+        return {
+          id,
+          source: ROLE_SOURCES.includes(item.source) ? item.source : "system",
+          title: item.title || item.name || formatRoleName(id),
+          description: item.description || null,
+          version: item.version || null,
+          references: this.normalizeReferences(item.references),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 规范化discover JSON中可能携带的引用信息
+   * @param {Object} references
+   * @returns {{thought: RoleReference[], execution: RoleReference[], knowledge: RoleReference[]}}
+   */
+  normalizeReferences(references = {}) {
+    const normalized = { thought: [], execution: [], knowledge: [] };
+    for (const type of REFERENCE_TYPES) {
+      if (!Array.isArray(references?.[type])) continue;
+      normalized[type] = references[type].map((ref) =>
+        typeof ref === "string"
+          ? { id: ref, required: false, file: null }
+          : {
+              id: ref.id,
+              required: !!ref.required,
+              file: ref.file || null,
+            }
+      );
+    }
+    return normalized;
+  }
+
+  /**
+   * 兜底：解析discover的Markdown文本输出
+   * 格式为 "📦 **系统角色**" / "👤 **用户角色**" 标题下的 "- `id`: 描述 → action(...)" 行
+   * @param {string} text
+   * @returns {PromptXRole[]}
+   */
+  parseDiscoverText(text) {
+    const roles = [];
+    const seen = new Set();
+    let currentSource = null;
+
+    for (const rawLine of text.split("\n")) {
+      const line = rawLine.trim();
+      if (line.includes("**系统角色**")) {
+        currentSource = "system";
+        continue;
+      }
+      if (line.includes("**用户角色**")) {
+        currentSource = "user";
+        continue;
+      }
+      // 其他分组标题（如系统工具）结束角色区段
+      if (/^\S*\s*\*\*.+\*\*/.test(line)) {
+        currentSource = null;
+        continue;
+      }
+      if (!currentSource) continue;
+
+      const match = line.match(/^- `([^`]+)`: (.+?) → action\([^)]*\)/);
+      if (!match) continue;
+
+      const [, id, description] = match;
+      if (seen.has(id)) {
+        console.warn(`[RoleCatalog] 发现重复角色，已跳过: ${id}`);
+        continue;
+      }
+      seen.add(id);
+      roles.push({
+        id,
+        source: currentSource,
+        title: formatRoleName(id),
+        description: description.trim(),
+        version: null,
+        references: { thought: [], execution: [], knowledge: [] },
+      });
+    }
+    return roles;
+  }
+}
+
+module.exports = { RoleCatalog, formatRoleName };
@@ -41,6 +41,13 @@ class WorkspaceNotFoundError extends RoleManagementError {
   }
 }
 
+class RolePackageLintError extends RoleManagementError {
+  constructor(diagnostics) {
+    super(`DPML格式验证失败：${diagnostics.errors.length}个错误`, 'DPML_LINT_FAILED', 400);
+    this.diagnostics = diagnostics;
+  }
+}
+
 /**
  * 错误处理中间件
  */
@@ -63,6 +70,9 @@ function handleRoleManagementError(error, req, res, next) {
     if (error.roleId) {
       response.roleId = error.roleId;
     }
+    if (error.diagnostics) {
+      response.diagnostics = error.diagnostics;
+    }
 
     return res.status(error.statusCode).json(response);
   }
@@ -192,6 +202,17 @@ function validateWorkspaceConfig(data) {
     errors.push('autoSwitchEnabled must be a boolean');
   }
 
+  if (data.autoSwitchStrategy !== undefined && !['embedding', 'llm'].includes(data.autoSwitchStrategy)) {
+    errors.push('autoSwitchStrategy must be "embedding" or "llm"');
+  }
+
+  if (
+    data.autoSwitchThreshold !== undefined &&
+    (typeof data.autoSwitchThreshold !== 'number' || data.autoSwitchThreshold < 0 || data.autoSwitchThreshold > 1)
+  ) {
+    errors.push('autoSwitchThreshold must be a number between 0 and 1');
+  }
+
   if (data.enableAllRoles !== undefined && typeof data.enableAllRoles !== 'boolean') {
     errors.push('enableAllRoles must be a boolean');
   }
@@ -200,6 +221,22 @@ function validateWorkspaceConfig(data) {
     errors.push('defaultRoleId must be a string');
   }
 
+  if (data.memoryScope !== undefined && !['workspace', 'user'].includes(data.memoryScope)) {
+    errors.push('memoryScope must be "workspace" or "user"');
+  }
+
+  if (data.memoryLimit !== undefined && (!Number.isInteger(data.memoryLimit) || data.memoryLimit < 1)) {
+    errors.push('memoryLimit must be a positive integer');
+  }
+
+  if (
+    data.memoryRetentionDays !== undefined &&
+    data.memoryRetentionDays !== null &&
+    (!Number.isInteger(data.memoryRetentionDays) || data.memoryRetentionDays < 1)
+  ) {
+    errors.push('memoryRetentionDays must be null or a positive integer');
+  }
+
   if (errors.length > 0) {
     throw new RoleValidationError(`Validation failed: ${errors.join(', ')}`);
   }
@@ -207,8 +244,13 @@ function validateWorkspaceConfig(data) {
   return {
     enabled: data.enabled,
     autoSwitchEnabled: data.autoSwitchEnabled || false,
+    autoSwitchStrategy: data.autoSwitchStrategy || 'embedding',
+    autoSwitchThreshold: data.autoSwitchThreshold ?? 0.5,
     enableAllRoles: data.enableAllRoles || false,
-    defaultRoleId: data.defaultRoleId || null
+    defaultRoleId: data.defaultRoleId || null,
+    memoryScope: data.memoryScope || 'workspace',
+    memoryLimit: data.memoryLimit ?? 1000,
+    memoryRetentionDays: data.memoryRetentionDays ?? null
   };
 }
 
@@ -251,6 +293,7 @@ module.exports = {
   RoleAuthorizationError,
   RoleNotFoundError,
   WorkspaceNotFoundError,
+  RolePackageLintError,
   handleRoleManagementError,
   validateWorkspaceId,
   validateRoleId,
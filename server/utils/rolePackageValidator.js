@@ -1,6 +1,8 @@
 const AdmZip = require('adm-zip');
 const path = require('path');
 const fs = require('fs').promises;
+const dpmlParser = require('./dpmlParser');
+const { RolePackageLintError } = require('./roleManagementErrors');
 
 /**
  * PromptX角色包验证工具类
@@ -139,9 +141,12 @@ class RolePackageValidator {
    * 2. 嵌套结构：ZIP根目录包含一个文件夹，文件夹内有 {roleId}.role.md
    *
    * @param {string} extractDir - 解压后的目录
-   * @returns {Promise<Object>} { roleId, roleMdPath, actualDir }
+   * @param {Object} options
+   * @param {boolean} options.strict - 存在DPML错误时是否抛出RolePackageLintError（默认true）
+   * @returns {Promise<Object>} { roleId, roleMdPath, actualDir, diagnostics }
    */
-  async validateRoleMdFile(extractDir) {
+  async validateRoleMdFile(extractDir, options = {}) {
+    const { strict = true } = options;
     try {
       let files = await fs.readdir(extractDir, { withFileTypes: true });
 
@@ -196,19 +201,22 @@ class RolePackageValidator {
         throw new Error(`角色ID长度必须在3-50字符之间（当前：${roleId.length}）`);
       }
 
-      // 读取.role.md内容验证DPML格式
+      // 解析DPML并校验标签结构与@引用
       const roleMdPath = path.join(actualDir, roleMdFile.name);
-      const content = await fs.readFile(roleMdPath, 'utf-8');
+      const { errors, warnings } = await dpmlParser.lintPackage(actualDir, roleId);
+      const diagnostics = { errors, warnings };
 
-      // 简单的DPML标签验证（检查是否包含<role>根标签）
-      if (!content.includes('<role>') || !content.includes('</role>')) {
-        throw new Error('无效的DPML格式：缺少<role>根标签');
+      if (strict && errors.length > 0) {
+        throw new RolePackageLintError(diagnostics);
       }
 
-      console.log(`[RoleUpload] 找到角色文件: ${roleMdFile.name}, 角色ID: ${roleId}`);
-      return { roleId, roleMdPath, actualDir };
+      console.log(`[RoleUpload] 找到角色文件: ${roleMdFile.name}, 角色ID: ${roleId}（${errors.length}个错误，${warnings.length}个警告）`);
+      return { roleId, roleMdPath, actualDir, diagnostics };
     } catch (error) {
-      if (error.message.includes('无效的角色包') || error.message.includes('角色ID格式错误') || error.message.includes('DPML格式')) {
+      if (error instanceof RolePackageLintError) {
+        throw error;
+      }
+      if (error.message.includes('无效的角色包') || error.message.includes('角色ID格式错误')) {
         throw error;
       }
       throw new Error(`角色文件验证失败：${error.message}`);
@@ -0,0 +1,167 @@
+const fs = require("fs").promises;
+const path = require("path");
+const roleVersionManager = require("./roleVersionManager");
+
+/**
+ * PromptX角色提示词解析与缓存
+ * 功能：普通聊天模式（chat/query）不经过Agent，需要在服务端拿到角色提示词并拼接到系统提示词
+ *
+ * 解析顺序：
+ * 1. 工作区固定了版本：渲染版本快照
+ * 2. PromptX MCP服务器已启动：调用action工具
+ * 3. 本地DPML渲染：读取 ~/.promptx/resource/role/{roleId}/ 下的角色包
+ *
+ * 缓存失效：
+ * - 角色包变化（上传、覆盖、回滚、导入）后会触发MCP刷新，刷新时清空缓存
+ * - 缓存条目记录.role.md的修改时间和版本号，目录被直接修改时也会重新渲染
+ */
+
+const CACHE_TTL = 30 * 60 * 1000;
+
+class RolePersonaResolver {
+  /**
+   * @param {Object} options
+   * @param {import("./roleVersionManager").RoleVersionManager} options.versionManager
+   * @param {Object|null} options.mcpServer - 指定PromptX MCP客户端（默认从MCPCompatibilityLayer获取）
+   */
+  constructor(options = {}) {
+    this.versionManager = options.versionManager || roleVersionManager;
+    this.mcpServer = options.mcpServer;
+    this.cache = new Map();
+  }
+
+  /**
+   * 获取角色提示词
+   * @param {string} roleId
+   * @param {Object} options
+   * @param {number|null} options.workspaceId - 用于读取工作区固定版本
+   * @returns {Promise<string|null>} 角色不可用时返回null
+   */
+  async resolve(roleId, { workspaceId = null } = {}) {
+    try {
+      const pinnedVersion = workspaceId
+        ? await require("./workspaceRoleAuth")
+            .shared()
+            .getPinnedVersion(workspaceId, roleId)
+        : null;
+      const key = `${roleId}@${pinnedVersion || "active"}`;
+      const fingerprint = pinnedVersion || (await this.fingerprint(roleId));
+
+      const cached = this.cache.get(key);
+      if (
+        cached &&
+        cached.fingerprint === fingerprint &&
+        Date.now() - cached.renderedAt < CACHE_TTL
+      ) {
+        return cached.text;
+      }
+
+      const text = pinnedVersion
+        ? await this.versionManager.renderVersion(roleId, pinnedVersion)
+        : (await this.renderWithMCP(roleId)) ??
+          (await this.renderLocal(roleId));
+      if (!text) return null;
+
+      this.cache.set(key, { text, fingerprint, renderedAt: Date.now() });
+      console.log(`[RolePersona] 已渲染角色 ${key} 的提示词`);
+      return text;
+    } catch (error) {
+      console.error(
+        `[RolePersona] 获取角色 ${roleId} 提示词失败:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 清除缓存
+   * @param {string|null} roleId - 为空时清除全部
+   */
+  invalidate(roleId = null) {
+    if (!roleId) {
+      this.cache.clear();
+      return;
+    }
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${roleId}@`)) this.cache.delete(key);
+    }
+  }
+
+  /**
+   * 当前生效角色包的指纹：.role.md修改时间 + metadata版本号
+   * 系统角色不在用户资源目录中，返回"system"，依赖MCP刷新失效
+   * @param {string} roleId
+   * @returns {Promise<string>}
+   */
+  async fingerprint(roleId) {
+    try {
+      const dir = this.versionManager.activeRoleDir(roleId);
+      const stat = await fs.stat(path.join(dir, `${roleId}.role.md`));
+      const metadata = await this.versionManager
+        .readActiveMetadata(roleId)
+        .catch(() => null);
+      return `${stat.mtimeMs}:${metadata?.version || ""}`;
+    } catch {
+      return "system";
+    }
+  }
+
+  /**
+   * 通过PromptX MCP的action工具激活角色
+   * @param {string} roleId
+   * @returns {Promise<string|null>} MCP服务器未启动或调用失败时返回null
+   */
+  async renderWithMCP(roleId) {
+    const mcp = this.#getMCPServer();
+    if (!mcp) return null;
+    try {
+      const result = await mcp.callTool({
+        name: "action",
+        arguments: { role: roleId },
+      });
+      if (result?.isError) return null;
+      return (
+        result?.content
+          ?.filter((item) => item.type === "text")
+          .map((item) => item.text)
+          .join("\n") || null
+      );
+    } catch (error) {
+      console.warn(
+        `[RolePersona] MCP激活角色 ${roleId} 失败，改用本地渲染:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 本地DPML渲染用户资源目录中的角色包
+   * @param {string} roleId
+   * @returns {Promise<string|null>} 角色不在用户资源目录中时返回null
+   */
+  async renderLocal(roleId) {
+    let dir;
+    try {
+      dir = this.versionManager.activeRoleDir(roleId);
+      await fs.access(path.join(dir, `${roleId}.role.md`));
+    } catch {
+      return null;
+    }
+    return this.versionManager.renderDirectory(
+      dir,
+      roleId,
+      `🎭 角色 ${roleId} 已激活`
+    );
+  }
+
+  #getMCPServer() {
+    if (this.mcpServer !== undefined) return this.mcpServer;
+    const MCPCompatibilityLayer = require("./MCP");
+    return new MCPCompatibilityLayer().mcps?.["promptx"] || null;
+  }
+}
+
+module.exports = new RolePersonaResolver();
+module.exports.RolePersonaResolver = RolePersonaResolver;
@@ -5,6 +5,8 @@ const AdmZip = require('adm-zip');
 const RolePackageValidator = require('./rolePackageValidator');
 const fileSystemHandler = require('./fileSystemHandler');
 const roleMetadataWriter = require('./roleMetadataWriter');
+const roleVersionManager = require('./roleVersionManager');
+const { RoleValidationError } = require('./roleManagementErrors');
 
 /**
  * PromptX角色上传核心处理器
@@ -28,10 +30,25 @@ class RoleUploadHandler {
    * @param {string} options.customDescription - 自定义角色描述（可选）
    * @param {string} options.customId - 自定义角色ID（用于解决冲突，可选）
    * @param {number} options.userId - 上传用户ID
-   * @returns {Promise<Object>} 上传结果 { success, roleId, rolePath, metadata }
+   * @param {boolean} options.validateOnly - 仅验证不安装（dry-run），返回DPML诊断信息
+   * @param {string} options.version - 版本号（可选，默认1.0.0）
+   * @param {string} options.versionNote - 版本说明（可选）
+   * @param {boolean} options.overwrite - 角色已存在时作为新版本覆盖，而不是报冲突
+   * @returns {Promise<Object>} 上传结果 { success, roleId, rolePath, metadata, diagnostics }
    */
   async processUpload(options) {
-    const { zipPath, workspaceId, customName, customDescription, customId, userId } = options;
+    const {
+      zipPath,
+      workspaceId,
+      customName,
+      customDescription,
+      customId,
+      userId,
+      validateOnly = false,
+      version,
+      versionNote,
+      overwrite = false
+    } = options;
 
     let tempExtractDir = null;
     let finalRoleId = null;
@@ -52,16 +69,47 @@ class RoleUploadHandler {
 
       console.log(`[RoleUpload] Step 3: 验证.role.md文件`);
       // Step 4: 验证DPML格式并提取roleId（返回actualDir用于处理嵌套结构）
-      const { roleId, roleMdPath, actualDir } = await this.validator.validateRoleMdFile(tempExtractDir);
+      // dry-run模式下不因DPML错误中断，而是将诊断信息返回给调用方
+      const { roleId, actualDir, diagnostics } = await this.validator.validateRoleMdFile(
+        tempExtractDir,
+        { strict: !validateOnly }
+      );
 
       // Step 5: 确定最终roleId（如果提供了customId则使用）
-      finalRoleId = customId || roleId;
+      const resolvedRoleId = customId || roleId;
 
-      console.log(`[RoleUpload] Step 4: 检查角色冲突 (roleId: ${finalRoleId})`);
+      console.log(`[RoleUpload] Step 4: 检查角色冲突 (roleId: ${resolvedRoleId})`);
       // Step 6: 检查角色冲突
       const { Workspace } = require('../models/workspace');
-      const conflictCheck = await Workspace.checkRoleConflict(workspaceId, finalRoleId);
+      const conflictCheck = await Workspace.checkRoleConflict(workspaceId, resolvedRoleId);
+
+      if (validateOnly) {
+        console.log(`[RoleUpload] 仅验证模式，跳过安装: ${resolvedRoleId}`);
+        await fileSystemHandler.cleanupTempFiles(zipPath, tempExtractDir);
+        return {
+          success: diagnostics.errors.length === 0,
+          validateOnly: true,
+          roleId: resolvedRoleId,
+          conflict: conflictCheck.conflict,
+          diagnostics
+        };
+      }
 
+      if (conflictCheck.conflict && overwrite) {
+        console.log(`[RoleUpload] 角色已存在，作为新版本覆盖: ${resolvedRoleId}`);
+        await fileSystemHandler.cleanupTempFiles(tempExtractDir);
+        tempExtractDir = null;
+        return await this.overwriteExistingRole({
+          zipPath,
+          workspaceId,
+          roleId: resolvedRoleId,
+          customName,
+          customDescription,
+          userId,
+          version,
+          versionNote
+        });
+      }
       if (conflictCheck.conflict) {
         const error = new Error('角色ID已存在');
         error.code = 'ROLE_CONFLICT';
@@ -71,7 +119,7 @@ class RoleUploadHandler {
 
       console.log(`[RoleUpload] Step 5: 复制角色文件到目标目录`);
       // Step 7: 复制到目标目录 (~/.promptx/resource/role/{roleId}/)
-      const targetRoleDir = path.join(this.roleResourceDir, finalRoleId);
+      const targetRoleDir = path.join(this.roleResourceDir, resolvedRoleId);
 
       // 确保父目录存在
       await fileSystemHandler.checkWritePermission(this.roleResourceDir);
@@ -79,6 +127,16 @@ class RoleUploadHandler {
       // 原子性复制（使用actualDir而不是tempExtractDir，以支持嵌套ZIP结构）
       await fileSystemHandler.atomicMoveDirectory(actualDir, targetRoleDir);
       tempExtractDir = null; // 移动后不再需要清理
+      // 目标目录是本次上传创建的，后续步骤失败时才可以清理；在此之前失败不能删除已安装的同名角色
+      finalRoleId = resolvedRoleId;
+
+      // 使用customId安装时，主文件名必须与目录名一致，PromptX才能发现该角色
+      if (finalRoleId !== roleId) {
+        await fs.rename(
+          path.join(targetRoleDir, `${roleId}.role.md`),
+          path.join(targetRoleDir, `${finalRoleId}.role.md`)
+        );
+      }
 
       console.log(`[RoleUpload] Step 6: 写入metadata.json`);
       // Step 8: 写入metadata.json
@@ -92,6 +150,13 @@ class RoleUploadHandler {
 
       await roleMetadataWriter.writeMetadata(targetRoleDir, metadata);
 
+      // Step 9: 保存为不可变的初始版本
+      const { metadata: versionedMetadata } = await roleVersionManager.recordVersion(finalRoleId, {
+        version: version ? roleVersionManager.validateVersion(version) : metadata.version,
+        userId,
+        note: versionNote || null
+      });
+
       console.log(`[RoleUpload] Step 7: 清理临时文件`);
       // Step 9: 清理上传的ZIP文件
       await fileSystemHandler.cleanupTempFiles(zipPath);
@@ -101,7 +166,8 @@ class RoleUploadHandler {
         success: true,
         roleId: finalRoleId,
         rolePath: targetRoleDir,
-        metadata
+        metadata: versionedMetadata,
+        diagnostics
       };
 
     } catch (error) {
@@ -142,13 +208,18 @@ class RoleUploadHandler {
 
   /**
    * 覆盖现有角色（User Story 2）
+   * 旧版本保留在版本库中，新内容作为下一个版本生效
    * @param {Object} options - 覆盖选项
+   * @param {string} options.version - 新版本号（可选，默认最新版本patch+1）
+   * @param {string} options.versionNote - 版本说明（可选）
    * @returns {Promise<Object>} 覆盖结果
    */
   async overwriteExistingRole(options) {
-    const { zipPath, workspaceId, roleId, customName, customDescription, userId } = options;
+    const { zipPath, workspaceId, roleId, customName, customDescription, userId, version, versionNote } = options;
 
     let tempExtractDir = null;
+    let backupDir = null;
+    const targetRoleDir = path.join(this.roleResourceDir, roleId);
 
     try {
       console.log(`[RoleUpload] 开始覆盖角色: ${roleId}`);
@@ -163,14 +234,24 @@ class RoleUploadHandler {
       await fileSystemHandler.safeExtractZip(zip, tempExtractDir);
 
       // 验证并获取实际的角色目录（支持嵌套结构）
-      const { actualDir } = await this.validator.validateRoleMdFile(tempExtractDir);
+      const { roleId: zipRoleId, actualDir, diagnostics } = await this.validator.validateRoleMdFile(tempExtractDir);
+
+      // 旧角色（版本管理之前上传的）先补建初始版本，保证覆盖前的内容可以回滚
+      const previousMetadata = await roleVersionManager.ensureHistory(roleId);
+      const previousVersions = previousMetadata?.versions || [];
+      const nextVersion = version
+        ? roleVersionManager.validateVersion(version)
+        : roleVersionManager.nextVersion(previousVersions);
+      if (previousVersions.some(entry => entry.version === nextVersion)) {
+        throw new RoleValidationError(`版本 ${nextVersion} 已存在`, 'version');
+      }
 
       // Step 2: 备份旧角色目录
-      const targetRoleDir = path.join(this.roleResourceDir, roleId);
-      const backupDir = `${targetRoleDir}.backup-${Date.now()}`;
+      const backupPath = `${targetRoleDir}.backup-${Date.now()}`;
 
       try {
-        await fs.rename(targetRoleDir, backupDir);
+        await fs.rename(targetRoleDir, backupPath);
+        backupDir = backupPath;
         console.log(`[RoleUpload] 已备份旧角色到: ${backupDir}`);
       } catch (error) {
         if (error.code !== 'ENOENT') {
@@ -183,32 +264,66 @@ class RoleUploadHandler {
       await fileSystemHandler.atomicMoveDirectory(actualDir, targetRoleDir);
       tempExtractDir = null;
 
-      // Step 4: 写入metadata.json
-      const metadata = roleMetadataWriter.generateMetadata({
-        roleId,
-        customName,
-        customDescription,
-        userId,
-        overwrite: true
-      });
+      // 新包的角色ID与被覆盖的角色不同时，主文件名同样要与目录名一致
+      if (zipRoleId !== roleId) {
+        await fs.rename(
+          path.join(targetRoleDir, `${zipRoleId}.role.md`),
+          path.join(targetRoleDir, `${roleId}.role.md`)
+        );
+      }
+
+      // Step 4: 写入metadata.json（保留原有的版本历史）
+      const metadata = {
+        ...roleMetadataWriter.generateMetadata({
+          roleId,
+          customName: customName || previousMetadata?.customName,
+          customDescription: customDescription || previousMetadata?.customDescription,
+          userId,
+          overwrite: true
+        }),
+        addedAt: previousMetadata?.addedAt || new Date().toISOString(),
+        addedBy: previousMetadata?.addedBy ?? userId ?? null,
+        version: previousMetadata?.version || null,
+        versions: previousVersions
+      };
 
       await roleMetadataWriter.writeMetadata(targetRoleDir, metadata);
 
-      // Step 5: 清理临时文件和备份
+      // Step 5: 保存为新版本
+      const { metadata: versionedMetadata } = await roleVersionManager.recordVersion(roleId, {
+        version: nextVersion,
+        userId,
+        note: versionNote || null
+      });
+
+      // Step 6: 清理临时文件和备份
       await fileSystemHandler.cleanupTempFiles(zipPath, backupDir);
 
-      console.log(`[RoleUpload] 角色覆盖完成: ${roleId}`);
+      console.log(`[RoleUpload] 角色覆盖完成: ${roleId} → ${nextVersion}`);
       return {
         success: true,
         roleId,
         rolePath: targetRoleDir,
-        metadata,
+        metadata: versionedMetadata,
+        previousVersion: previousMetadata?.version || null,
+        diagnostics,
         overwritten: true
       };
 
     } catch (error) {
       console.error(`[RoleUpload] 覆盖失败:`, error);
       await this.cleanup(zipPath, tempExtractDir, null);
+
+      // 新版本未能完整写入时恢复旧角色目录
+      if (backupDir) {
+        try {
+          await fileSystemHandler.cleanupTempFiles(targetRoleDir);
+          await fs.rename(backupDir, targetRoleDir);
+          console.log(`[RoleUpload] 已恢复旧角色: ${roleId}`);
+        } catch (restoreError) {
+          console.error(`[RoleUpload] 恢复旧角色失败:`, restoreError.message);
+        }
+      }
       throw error;
     }
   }
@@ -0,0 +1,437 @@
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const fileSystemHandler = require("./fileSystemHandler");
+const dpmlParser = require("./dpmlParser");
+const roleMetadataWriter = require("./roleMetadataWriter");
+const {
+  RoleValidationError,
+  RoleNotFoundError,
+} = require("./roleManagementErrors");
+
+/**
+ * PromptX角色版本管理
+ * 功能：每次上传保存不可变版本快照，支持版本列表、差异对比、回滚
+ *
+ * 目录结构：
+ * - 当前生效版本：~/.promptx/resource/role/{roleId}/（PromptX从这里加载）
+ * - 版本快照：    ~/.promptx/role-versions/{roleId}/{version}/（不含metadata.json）
+ * - 版本历史记录在当前生效目录的 metadata.json 的 versions 字段中
+ */
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const ROLE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * @typedef {Object} RoleVersionEntry
+ * @property {string} version - 语义化版本号
+ * @property {string} createdAt - 创建时间（ISO）
+ * @property {number|null} createdBy - 创建用户ID
+ * @property {string|null} note - 版本说明
+ * @property {string} checksum - .role.md 的sha256
+ */
+
+class RoleVersionManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.promptxDir - PromptX数据目录（默认 ~/.promptx）
+   */
+  constructor(options = {}) {
+    const promptxDir =
+      options.promptxDir || path.join(os.homedir(), ".promptx");
+    this.roleResourceDir = path.join(promptxDir, "resource", "role");
+    this.versionStoreDir = path.join(promptxDir, "role-versions");
+  }
+
+  /**
+   * 校验版本号格式
+   * @param {string} version
+   * @returns {string}
+   */
+  validateVersion(version) {
+    if (typeof version !== "string" || !VERSION_PATTERN.test(version)) {
+      throw new RoleValidationError(
+        `版本号格式错误："${version}"，应为 x.y.z`,
+        "version"
+      );
+    }
+    return version;
+  }
+
+  /**
+   * 计算下一个版本号（最新版本的patch+1）
+   * @param {RoleVersionEntry[]} versions
+   * @returns {string}
+   */
+  nextVersion(versions = []) {
+    if (versions.length === 0) return "1.0.0";
+    const [major, minor, patch] = this.latestVersion(versions)
+      .split(".")
+      .map(Number);
+    return `${major}.${minor}.${patch + 1}`;
+  }
+
+  /**
+   * @param {RoleVersionEntry[]} versions
+   * @returns {string|null}
+   */
+  latestVersion(versions = []) {
+    if (versions.length === 0) return null;
+    return versions
+      .map((entry) => entry.version)
+      .sort((a, b) => this.compareVersions(a, b))
+      .pop();
+  }
+
+  compareVersions(a, b) {
+    const pa = a.split(".").map(Number);
+    const pb = b.split(".").map(Number);
+    for (let i = 0; i < 3; i++) {
+      if (pa[i] !== pb[i]) return pa[i] - pb[i];
+    }
+    return 0;
+  }
+
+  activeRoleDir(roleId) {
+    return path.join(this.roleResourceDir, this.#validateRoleId(roleId));
+  }
+
+  versionDir(roleId, version) {
+    return path.join(
+      this.versionStoreDir,
+      this.#validateRoleId(roleId),
+      this.validateVersion(version)
+    );
+  }
+
+  // roleId来自请求参数，拼接路径前必须校验格式，防止路径遍历
+  #validateRoleId(roleId) {
+    if (!ROLE_ID_PATTERN.test(roleId || "")) {
+      throw new RoleValidationError(`角色ID格式错误："${roleId}"`, "roleId");
+    }
+    return roleId;
+  }
+
+  /**
+   * 获取角色某个版本所在的目录
+   * @param {string} roleId
+   * @param {string|null} version - 为空时返回当前生效目录
+   * @returns {string}
+   */
+  resolveRoleDir(roleId, version = null) {
+    return version
+      ? this.versionDir(roleId, version)
+      : this.activeRoleDir(roleId);
+  }
+
+  /**
+   * 读取角色元数据，角色未通过上传安装（无metadata.json）时抛出RoleNotFoundError
+   * @param {string} roleId
+   * @returns {Promise<Object>}
+   */
+  async readActiveMetadata(roleId) {
+    const metadata = await roleMetadataWriter.readMetadata(
+      this.activeRoleDir(roleId)
+    );
+    if (!metadata) throw new RoleNotFoundError(roleId);
+    return metadata;
+  }
+
+  /**
+   * 将当前生效目录保存为一个不可变版本，并写入版本历史
+   * @param {string} roleId
+   * @param {Object} options
+   * @param {string} options.version - 版本号
+   * @param {number|null} options.userId - 操作用户
+   * @param {string|null} options.note - 版本说明
+   * @returns {Promise<{entry: RoleVersionEntry, metadata: Object}>}
+   */
+  async recordVersion(roleId, { version, userId = null, note = null }) {
+    const activeDir = this.activeRoleDir(roleId);
+    const metadata = await this.readActiveMetadata(roleId);
+    const versions = metadata.versions || [];
+
+    if (versions.some((entry) => entry.version === version)) {
+      throw new RoleValidationError(`版本 ${version} 已存在`, "version");
+    }
+
+    const targetDir = this.versionDir(roleId, version);
+    await fileSystemHandler.checkWritePermission(path.dirname(targetDir));
+    // 历史记录中没有的快照目录是角色删除后遗留的，不能与新版本混在一起
+    await fileSystemHandler.cleanupTempFiles(targetDir);
+    await fileSystemHandler.copyDirectory(activeDir, targetDir);
+    // metadata.json是可变的，不属于版本快照
+    await fileSystemHandler.cleanupTempFiles(
+      path.join(targetDir, "metadata.json")
+    );
+
+    const entry = {
+      version,
+      createdAt: new Date().toISOString(),
+      createdBy: userId,
+      note,
+      checksum: await this.checksum(roleId, version),
+    };
+
+    const updated = { ...metadata, version, versions: [...versions, entry] };
+    await roleMetadataWriter.writeMetadata(activeDir, updated);
+
+    console.log(`[RoleVersion] 已保存角色 ${roleId} 版本 ${version}`);
+    return { entry, metadata: updated };
+  }
+
+  /**
+   * 为没有版本历史的旧角色补建初始版本
+   * @param {string} roleId
+   * @returns {Promise<Object|null>} 更新后的元数据；非上传角色返回null
+   */
+  async ensureHistory(roleId) {
+    const metadata = await roleMetadataWriter.readMetadata(
+      this.activeRoleDir(roleId)
+    );
+    if (!metadata) return null;
+    if (metadata.versions?.length > 0) return metadata;
+
+    const version = VERSION_PATTERN.test(metadata.version || "")
+      ? metadata.version
+      : "1.0.0";
+    const { metadata: updated } = await this.recordVersion(roleId, {
+      version,
+      userId: metadata.addedBy ?? null,
+      note: "初始版本",
+    });
+    return updated;
+  }
+
+  /**
+   * 列出角色的所有版本
+   * @param {string} roleId
+   * @returns {Promise<{activeVersion: string|null, versions: (RoleVersionEntry & {active: boolean})[]}>}
+   */
+  async listVersions(roleId) {
+    const metadata = await this.readActiveMetadata(roleId);
+    const versions = (metadata.versions || [])
+      .slice()
+      .sort((a, b) => this.compareVersions(b.version, a.version))
+      .map((entry) => ({
+        ...entry,
+        active: entry.version === metadata.version,
+      }));
+    return { activeVersion: metadata.version || null, versions };
+  }
+
+  /**
+   * 确认版本存在于历史记录及快照目录中
+   * @param {string} roleId
+   * @param {string} version
+   * @returns {Promise<RoleVersionEntry>}
+   */
+  async getVersion(roleId, version) {
+    this.validateVersion(version);
+    const metadata = await this.readActiveMetadata(roleId);
+    const entry = (metadata.versions || []).find((v) => v.version === version);
+    if (!entry) {
+      throw new RoleValidationError(
+        `角色 ${roleId} 不存在版本 ${version}`,
+        "version"
+      );
+    }
+
+    try {
+      await fs.access(this.versionDir(roleId, version));
+    } catch {
+      throw new RoleValidationError(
+        `版本 ${version} 的快照文件已丢失`,
+        "version"
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * 读取某个版本的.role.md
+   * @param {string} roleId
+   * @param {string} version
+   * @returns {Promise<string>}
+   */
+  async readRoleFile(roleId, version) {
+    return fs.readFile(
+      path.join(this.versionDir(roleId, version), `${roleId}.role.md`),
+      "utf-8"
+    );
+  }
+
+  /**
+   * 将某个版本的角色及其引用的资源文件拼接为完整的角色定义
+   * 用于工作区固定版本时替代PromptX加载的当前生效版本
+   * @param {string} roleId
+   * @param {string} version
+   * @returns {Promise<string>}
+   */
+  async renderVersion(roleId, version) {
+    await this.getVersion(roleId, version);
+    return this.renderDirectory(
+      this.versionDir(roleId, version),
+      roleId,
+      `🎭 角色 ${roleId} 已激活（工作区固定版本 ${version}）`
+    );
+  }
+
+  /**
+   * 把角色目录中的.role.md及其引用的资源拼接为角色提示词（本地DPML渲染）
+   * @param {string} dir - 角色目录
+   * @param {string} roleId
+   * @param {string} title - 首行标题
+   * @returns {Promise<string>}
+   */
+  async renderDirectory(dir, roleId, title) {
+    const { resources } = await dpmlParser.lintPackage(dir, roleId);
+    const files = [`${roleId}.role.md`, ...Object.keys(resources)];
+    const sections = await Promise.all(
+      files.map(
+        async (file) =>
+          `<!-- ${file} -->\n${await fs.readFile(path.join(dir, file), "utf-8")}`
+      )
+    );
+    return [title, ...sections].join("\n\n");
+  }
+
+  async checksum(roleId, version) {
+    const content = await this.readRoleFile(roleId, version);
+    return crypto.createHash("sha256").update(content).digest("hex");
+  }
+
+  /**
+   * 对比两个版本的.role.md
+   * @param {string} roleId
+   * @param {string} fromVersion
+   * @param {string|null} toVersion - 为空时与当前生效版本对比
+   * @returns {Promise<{from: string, to: string, changes: {type: 'same'|'add'|'remove', value: string, oldLine: number|null, newLine: number|null}[], stats: {added: number, removed: number}}>}
+   */
+  async diffVersions(roleId, fromVersion, toVersion = null) {
+    const metadata = await this.readActiveMetadata(roleId);
+    const to = toVersion || metadata.version;
+    await Promise.all([
+      this.getVersion(roleId, fromVersion),
+      this.getVersion(roleId, to),
+    ]);
+
+    const [before, after] = await Promise.all([
+      this.readRoleFile(roleId, fromVersion),
+      this.readRoleFile(roleId, to),
+    ]);
+    const changes = diffLines(before.split("\n"), after.split("\n"));
+    return {
+      from: fromVersion,
+      to,
+      changes,
+      stats: {
+        added: changes.filter((c) => c.type === "add").length,
+        removed: changes.filter((c) => c.type === "remove").length,
+      },
+    };
+  }
+
+  /**
+   * 将某个历史版本恢复为当前生效版本（回滚）
+   * 新目录先在旁边准备好，再通过rename替换，避免中途失败留下半个角色
+   * @param {string} roleId
+   * @param {string} version
+   * @returns {Promise<{previousVersion: string|null, metadata: Object}>}
+   */
+  async activateVersion(roleId, version) {
+    await this.getVersion(roleId, version);
+    const metadata = await this.readActiveMetadata(roleId);
+    const previousVersion = metadata.version || null;
+    if (previousVersion === version) return { previousVersion, metadata };
+
+    const activeDir = this.activeRoleDir(roleId);
+    const stagingDir = fileSystemHandler.generateTempDirName(
+      this.roleResourceDir,
+      `.${roleId}-rollback`
+    );
+    const backupDir = `${activeDir}.backup-${Date.now()}`;
+
+    await fileSystemHandler.copyDirectory(
+      this.versionDir(roleId, version),
+      stagingDir
+    );
+    const updated = {
+      ...metadata,
+      version,
+      rolledBackAt: new Date().toISOString(),
+    };
+    await roleMetadataWriter.writeMetadata(stagingDir, updated);
+
+    await fs.rename(activeDir, backupDir);
+    try {
+      await fs.rename(stagingDir, activeDir);
+    } catch (error) {
+      await fs.rename(backupDir, activeDir);
+      await fileSystemHandler.cleanupTempFiles(stagingDir);
+      throw error;
+    }
+    await fileSystemHandler.cleanupTempFiles(backupDir);
+
+    console.log(
+      `[RoleVersion] 角色 ${roleId} 已从 ${previousVersion} 回滚到 ${version}`
+    );
+    return { previousVersion, metadata: updated };
+  }
+}
+
+/**
+ * 基于最长公共子序列的逐行差异
+ * 角色文件通常只有几百行，O(n*m)的内存开销可以接受
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{type: 'same'|'add'|'remove', value: string, oldLine: number|null, newLine: number|null}[]}
+ */
+function diffLines(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      changes.push({
+        type: "same",
+        value: a[i],
+        oldLine: i + 1,
+        newLine: j + 1,
+      });
+      i++;
+      j++;
+    } else if (
+      j < b.length &&
+      (i >= a.length || lcs[i][j + 1] > lcs[i + 1][j])
+    ) {
+      changes.push({ type: "add", value: b[j], oldLine: null, newLine: j + 1 });
+      j++;
+    } else {
+      changes.push({
+        type: "remove",
+        value: a[i],
+        oldLine: i + 1,
+        newLine: null,
+      });
+      i++;
+    }
+  }
+  return changes;
+}
+
+module.exports = new RoleVersionManager();
+module.exports.RoleVersionManager = RoleVersionManager;
@@ -0,0 +1,35 @@
+/**
+ * Diffs the stored chunks of a document against its re-split chunks by content hash.
+ * A stored chunk is kept when a new chunk has the same hash, every stored chunk is matched at most once
+ * so repeated content (eg: a boilerplate footer) keeps as many vectors as it still has chunks.
+ * Stored chunks without a hash (embedded before chunks were hashed) never match and are replaced.
+ * @param {{id: string, hash: string|null}[]} stored - the stored chunks in document order
+ * @param {{hash: string}[]} chunks - the new chunks in document order
+ * @returns {{kept: {index: number, id: string}[], added: number[], removed: string[]}}
+ *  kept pairs a new chunk index with the stored vector id it reuses, added are new chunk indexes to embed
+ *  and removed are stored vector ids to delete
+ */
+function diffChunks(stored = [], chunks = []) {
+  const available = new Map();
+  for (const { id, hash } of stored) {
+    if (!hash) continue;
+    if (!available.has(hash)) available.set(hash, []);
+    available.get(hash).push(id);
+  }
+
+  const kept = [];
+  const added = [];
+  chunks.forEach(({ hash }, index) => {
+    const id = available.get(hash)?.shift();
+    if (id) kept.push({ index, id });
+    else added.push(index);
+  });
+
+  const keptIds = new Set(kept.map(({ id }) => id));
+  const removed = stored.map(({ id }) => id).filter((id) => !keptIds.has(id));
+  return { kept, added, removed };
+}
+
+module.exports = {
+  diffChunks,
+};
@@ -1,10 +1,23 @@
 const { QdrantClient } = require("@qdrant/js-client-rest");
+const path = require("path");
 const { TextSplitter } = require("../../TextSplitter");
 const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const {
+  toChunks,
+  getEmbeddingEngineSelection,
+  getRerankerSelection,
+} = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const { KeywordIndex, reciprocalRankFusion } = require("../../KeywordIndex");
+const { diffChunks } = require("../chunkDiff");
+const {
+  TAG_KEYS,
+  payloadTags,
+  validAtTime,
+  matchesFilter,
+} = require("../../retrievalFilter");
 
 const QDrant = {
   name: "QDrant",
@@ -54,6 +67,8 @@ const QDrant = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filter = null,
+    trace = null,
   }) {
     const result = {
       contextTexts: [],
@@ -65,16 +80,27 @@ const QDrant = {
       vector: queryVector,
       limit: topN,
       with_payload: true,
+      filter: this.payloadFilter(filter),
     });
 
     responses.forEach((response) => {
-      if (response.score < similarityThreshold) return;
+      const candidate = {
+        id: response.id,
+        payload: response.payload,
+        score: response.score,
+      };
+      if (response.score < similarityThreshold) {
+        trace?.candidate({ ...candidate, status: "belowThreshold" });
+        return;
+      }
       if (filterIdentifiers.includes(sourceIdentifier(response?.payload))) {
         console.log(
           "QDrant: A source was filtered from context as it's parent document is pinned."
         );
+        trace?.candidate({ ...candidate, status: "pinned" });
         return;
       }
+      trace?.candidate({ ...candidate, status: "selected" });
 
       result.contextTexts.push(response?.payload?.text || "");
       result.sourceDocuments.push({
@@ -86,6 +112,267 @@ const QDrant = {
 
     return result;
   },
+  /**
+   * Reranked search - fetches a larger pool of candidates from the dense search and lets the
+   * configured reranker provider pick the topN. If the reranker fails the candidates keep their
+   * vector order so the chat still gets context.
+   * The returned scores are rerank scores, not cosine similarities.
+   */
+  rerankedSimilarityResponse: async function ({
+    client,
+    namespace,
+    query,
+    queryVector,
+    LLMConnector = null,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    filter = null,
+    trace = null,
+  }) {
+    const result = {
+      contextTexts: [],
+      sourceDocuments: [],
+      scores: [],
+    };
+    // Reranking is expensive, so the pool is bounded between 10 and 50 candidates
+    // to keep remote rerank calls and the native model on CPU within a reasonable time.
+    const searchLimit = Math.max(10, Math.min(50, topN * 4));
+
+    const responses = await client.search(namespace, {
+      vector: queryVector,
+      limit: searchLimit,
+      with_payload: true,
+      filter: this.payloadFilter(filter),
+    });
+
+    const candidates = [];
+    responses.forEach((response) => {
+      const candidate = {
+        id: response.id,
+        payload: response.payload,
+        score: response.score,
+      };
+      if (response.score < similarityThreshold) {
+        trace?.candidate({ ...candidate, status: "belowThreshold" });
+        return;
+      }
+      if (filterIdentifiers.includes(sourceIdentifier(response?.payload))) {
+        console.log(
+          "QDrant: A source was filtered from context as it's parent document is pinned."
+        );
+        trace?.candidate({ ...candidate, status: "pinned" });
+        return;
+      }
+      candidates.push({ ...candidate, text: response?.payload?.text || "" });
+    });
+    if (candidates.length === 0) return result;
+
+    let reranked = candidates;
+    try {
+      // Rerank the whole pool so the trace also has scores for the candidates that were cut off.
+      reranked = await getRerankerSelection().rerank(query, candidates, {
+        topK: candidates.length,
+        LLMConnector,
+      });
+    } catch (e) {
+      console.error("QDrant::rerankedSimilarityResponse", e.message);
+    }
+
+    reranked.forEach((item, i) => {
+      const { id, payload, score, text } = item;
+      const rerankScore = item.rerank_score ?? null;
+      if (i >= topN) {
+        trace?.candidate({ id, payload, score, rerankScore, status: "cutoff" });
+        return;
+      }
+      trace?.candidate({ id, payload, score, rerankScore, status: "selected" });
+
+      result.contextTexts.push(text);
+      result.sourceDocuments.push({ ...(payload || {}), id });
+      result.scores.push(rerankScore ?? score);
+    });
+
+    return result;
+  },
+  /**
+   * Hybrid search - runs the dense vector search and a BM25 keyword search over the same namespace
+   * and fuses both rankings with reciprocal-rank fusion. Keyword hits do not need to pass the similarity
+   * threshold since they are exactly the chunks the embedder scores poorly (codes, ids, rare names).
+   * The returned scores are fusion scores, not cosine similarities.
+   */
+  hybridSimilarityResponse: async function ({
+    client,
+    namespace,
+    query,
+    queryVector,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    filter = null,
+    trace = null,
+  }) {
+    const result = {
+      contextTexts: [],
+      sourceDocuments: [],
+      scores: [],
+    };
+    const candidates = Math.max(topN * 4, 20);
+
+    const denseResponses = (
+      await client.search(namespace, {
+        vector: queryVector,
+        limit: candidates,
+        with_payload: true,
+        filter: this.payloadFilter(filter),
+      })
+    ).filter((response) => {
+      if (response.score >= similarityThreshold) return true;
+      trace?.candidate({
+        id: response.id,
+        payload: response.payload,
+        score: response.score,
+        status: "belowThreshold",
+      });
+      return false;
+    });
+    const keywordIndex = await this.keywordIndex(client, namespace);
+    const keywordHits = keywordIndex.search(query, candidates);
+
+    const points = new Map(denseResponses.map((r) => [String(r.id), r]));
+    const missingIds = keywordHits
+      .map((hit) => hit.id)
+      .filter((id) => !points.has(id));
+    if (missingIds.length > 0) {
+      const retrieved = await client.retrieve(namespace, {
+        ids: missingIds,
+        with_payload: true,
+      });
+      retrieved.forEach((point) => points.set(String(point.id), point));
+    }
+
+    const fused = reciprocalRankFusion([
+      denseResponses.map((r) => String(r.id)),
+      keywordHits.map((hit) => hit.id),
+    ]);
+    for (const { id, score } of fused) {
+      const point = points.get(id);
+      if (!point) continue; // keyword index entry whose vector no longer exists
+      const candidate = {
+        id: point.id,
+        payload: point.payload,
+        score: point.score ?? null, // keyword-only hits have no vector score
+        fusionScore: score,
+      };
+      if (result.contextTexts.length >= topN) {
+        trace?.candidate({ ...candidate, status: "cutoff" });
+        continue;
+      }
+      if (!matchesFilter(point.payload?.tags, filter)) {
+        trace?.candidate({ ...candidate, status: "filtered" }); // the keyword index does not know about tags
+        continue;
+      }
+      if (filterIdentifiers.includes(sourceIdentifier(point?.payload))) {
+        console.log(
+          "QDrant: A source was filtered from context as it's parent document is pinned."
+        );
+        trace?.candidate({ ...candidate, status: "pinned" });
+        continue;
+      }
+      trace?.candidate({ ...candidate, status: "selected" });
+
+      result.contextTexts.push(point?.payload?.text || "");
+      result.sourceDocuments.push({ ...(point?.payload || {}), id: point.id });
+      result.scores.push(score);
+    }
+
+    return result;
+  },
+  /**
+   * Get the keyword index of a namespace. Namespaces embedded before hybrid search existed have no
+   * index yet, so it is built once from the text payloads already stored in the collection.
+   * @param {QdrantClient} client
+   * @param {string} namespace
+   * @returns {Promise<KeywordIndex>}
+   */
+  keywordIndex: async function (client, namespace) {
+    if (KeywordIndex.exists(namespace)) return KeywordIndex.load(namespace);
+
+    console.log(`QDrant: Building keyword index for ${namespace}.`);
+    const index = KeywordIndex.load(namespace);
+    let offset = null;
+    do {
+      const page = await client.scroll(namespace, {
+        limit: 500,
+        offset,
+        with_payload: true,
+        with_vector: false,
+      });
+      index.add(
+        page.points.map((point) => ({
+          id: String(point.id),
+          text: point.payload?.text || "",
+        }))
+      );
+      offset = page.next_page_offset;
+    } while (offset);
+    index.save();
+    return index;
+  },
+  /**
+   * Translate a retrieval filter into a Qdrant payload filter on the `tags` payload field.
+   * Documents without a validity range are always considered valid.
+   * @param {import("../../retrievalFilter").RetrievalFilter|null} filter
+   * @returns {Object|undefined}
+   */
+  payloadFilter: function (filter = null) {
+    if (!filter) return undefined;
+    const must = TAG_KEYS.filter((key) => filter[key]?.length).map((key) => ({
+      key: `tags.${key}`,
+      match: { any: filter[key] },
+    }));
+
+    const at = validAtTime(filter);
+    if (at !== null) {
+      must.push({
+        should: [
+          { is_empty: { key: "tags.validFrom" } },
+          { key: "tags.validFrom", range: { lte: at } },
+        ],
+      });
+      must.push({
+        should: [
+          { is_empty: { key: "tags.validTo" } },
+          { key: "tags.validTo", range: { gte: at } },
+        ],
+      });
+    }
+    return must.length > 0 ? { must } : undefined;
+  },
+  /**
+   * Replace the tags of every chunk of a document so existing vectors can be filtered without re-embedding.
+   * @param {string} namespace
+   * @param {string} docId
+   * @param {import("../../retrievalFilter").DocumentTags} tags
+   * @returns {Promise<boolean>}
+   */
+  setDocumentTags: async function (namespace, docId, tags = {}) {
+    const { DocumentVectors } = require("../../../models/vectors");
+    const { client } = await this.connect();
+    if (!(await this.namespaceExists(client, namespace))) return false;
+
+    const vectorIds = (await DocumentVectors.where({ docId })).map(
+      (record) => record.vectorId
+    );
+    if (vectorIds.length === 0) return true;
+
+    await client.setPayload(namespace, {
+      wait: true,
+      payload: { tags: payloadTags(tags) },
+      points: vectorIds,
+    });
+    return true;
+  },
   namespace: async function (client, namespace = null) {
     if (!namespace) throw new Error("No namespace value provided.");
     const collection = await client.getCollection(namespace).catch(() => null);
@@ -112,6 +399,7 @@ const QDrant = {
   },
   deleteVectorsInNamespace: async function (client, namespace = null) {
     await client.deleteCollection(namespace);
+    KeywordIndex.drop(namespace);
     return true;
   },
   // QDrant requires a dimension aspect for collection creation
@@ -133,6 +421,66 @@ const QDrant = {
     });
     return await client.getCollection(namespace);
   },
+  /**
+   * Splits a document into the chunks that get embedded for it.
+   * Every chunk gets a content hash so a re-synced document only has to embed the chunks that changed.
+   * @param {Object} documentData - the document JSON along with its docId
+   * @param {string|null} fullFilePath - docpath of the document
+   * @param {string} chunkingStrategy
+   * @returns {Promise<{metadata: Object, textChunks: {text: string, metadata: Object, hash: string}[]}>}
+   *  metadata is the document metadata copied onto every chunk
+   */
+  chunkDocument: async function (
+    documentData = {},
+    fullFilePath = null,
+    chunkingStrategy = "recursive"
+  ) {
+    // Table summaries and page/section offsets are only needed to split the document, they are not copied onto every chunk.
+    const {
+      pageContent,
+      docId,
+      tables = [],
+      pageOffsets = [],
+      sectionOffsets = [],
+      ...metadata
+    } = documentData;
+    // The original file sits next to the document, wherever the document was moved to.
+    if (metadata.originalFile && fullFilePath)
+      metadata.originalFile = path.posix.join(
+        path.posix.dirname(fullFilePath),
+        path.posix.basename(metadata.originalFile)
+      );
+
+    const EmbedderEngine = getEmbeddingEngineSelection();
+    const textSplitter = new TextSplitter({
+      chunkSize: TextSplitter.determineMaxChunkSize(
+        await SystemSettings.getValueOrFallback({
+          label: "text_splitter_chunk_size",
+        }),
+        EmbedderEngine?.embeddingMaxChunkLength
+      ),
+      chunkOverlap: await SystemSettings.getValueOrFallback(
+        { label: "text_splitter_chunk_overlap" },
+        20
+      ),
+      chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+      chunkPrefix: EmbedderEngine?.embeddingPrefix,
+      strategy: chunkingStrategy,
+      embedder: EmbedderEngine,
+      preserveTables: Array.isArray(tables) && tables.length > 0,
+    });
+    const textChunks = await textSplitter.splitTextWithMetadata(pageContent, {
+      pageOffsets,
+      sectionOffsets,
+    });
+    return {
+      metadata,
+      textChunks: textChunks.map((chunk) => ({
+        ...chunk,
+        hash: textSplitter.chunkHash(chunk),
+      })),
+    };
+  },
   addDocumentToNamespace: async function (
     namespace,
     documentData = {},
@@ -142,16 +490,22 @@ const QDrant = {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
       let vectorDimension = null;
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
+      const chunkingStrategy = await TextSplitter.strategyFor(namespace);
       if (!skipCache) {
-        const cacheResult = await cachedVectorInformation(fullFilePath);
+        const cacheResult = await cachedVectorInformation(
+          fullFilePath,
+          false,
+          chunkingStrategy
+        );
         if (cacheResult.exists) {
           const { client } = await this.connect();
           const { chunks } = cacheResult;
           const documentVectors = [];
+          const keywordChunks = [];
           vectorDimension =
             chunks[0][0]?.vector?.length ??
             chunks[0][0]?.values?.length ??
@@ -182,6 +536,7 @@ const QDrant = {
               if (chunk?.payload?.hasOwnProperty("id")) {
                 const { id: _id, ...payload } = chunk.payload;
                 documentVectors.push({ docId, vectorId: id });
+                keywordChunks.push({ id, text: payload.text || "" });
                 submission.ids.push(id);
                 submission.vectors.push(chunk.vector);
                 submission.payloads.push(payload);
@@ -201,6 +556,7 @@ const QDrant = {
           }
 
           await DocumentVectors.bulkInsert(documentVectors);
+          await this.indexKeywords(client, namespace, keywordChunks);
           return { vectorized: true, error: null };
         }
       }
@@ -210,26 +566,18 @@ const QDrant = {
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
       const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
-        chunkPrefix: EmbedderEngine?.embeddingPrefix,
-      });
-      const textChunks = await textSplitter.splitText(pageContent);
+      const { metadata, textChunks } = await this.chunkDocument(
+        documentData,
+        fullFilePath,
+        chunkingStrategy
+      );
 
       console.log("Snippets created from document:", textChunks.length);
       const documentVectors = [];
       const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
+      const vectorValues = await EmbedderEngine.embedChunks(
+        textChunks.map((chunk) => chunk.text)
+      );
       const submission = {
         ids: [],
         vectors: [],
@@ -245,7 +593,12 @@ const QDrant = {
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
             // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            payload: { ...metadata, text: textChunks[i] },
+            payload: {
+              ...metadata,
+              ...textChunks[i].metadata,
+              chunkHash: textChunks[i].hash,
+              text: textChunks[i].text,
+            },
           };
 
           submission.ids.push(vectorRecord.id);
@@ -299,16 +652,33 @@ const QDrant = {
             throw new Error("Error embedding into QDrant", additionResult);
         }
 
-        await storeVectorResult(chunks, fullFilePath);
+        await storeVectorResult(chunks, fullFilePath, chunkingStrategy);
       }
 
       await DocumentVectors.bulkInsert(documentVectors);
+      await this.indexKeywords(
+        client,
+        namespace,
+        vectors.map((v) => ({ id: v.id, text: v.payload.text }))
+      );
       return { vectorized: true, error: null };
     } catch (e) {
       console.error("addDocumentToNamespace", e.message);
       return { vectorized: false, error: e.message };
     }
   },
+  /**
+   * Add freshly upserted chunks to the keyword index of the namespace used by hybrid search.
+   * @param {QdrantClient} client
+   * @param {string} namespace
+   * @param {{id: string, text: string}[]} chunks
+   */
+  indexKeywords: async function (client, namespace, chunks = []) {
+    // Building a missing index scrolls the collection, which already includes these chunks
+    if (!KeywordIndex.exists(namespace))
+      return await this.keywordIndex(client, namespace);
+    KeywordIndex.load(namespace).add(chunks).save();
+  },
   deleteDocumentFromNamespace: async function (namespace, docId) {
     const { DocumentVectors } = require("../../../models/vectors");
     const { client } = await this.connect();
@@ -322,11 +692,186 @@ const QDrant = {
       wait: true,
       points: vectorIds,
     });
+    if (KeywordIndex.exists(namespace))
+      KeywordIndex.load(namespace).remove(vectorIds).save();
 
     const indexes = knownDocuments.map((doc) => doc.id);
     await DocumentVectors.deleteIds(indexes);
     return true;
   },
+  /**
+   * Re-syncs an embedded document with its new content, embedding only the chunks that changed.
+   * Chunks are matched on their content hash: unchanged chunks keep their vectors, removed chunks are deleted
+   * and added chunks are embedded - or taken from the vector cache when another workspace already embedded them.
+   * Documents embedded before chunks were hashed are fully re-embedded once.
+   * @param {string} namespace
+   * @param {Object} documentData - the new document JSON along with its docId
+   * @param {string} fullFilePath - docpath of the document
+   * @returns {Promise<{added: number, removed: number, kept: number}>}
+   */
+  syncDocumentInNamespace: async function (
+    namespace,
+    documentData = {},
+    fullFilePath = null
+  ) {
+    const { DocumentVectors } = require("../../../models/vectors");
+    const { docId, pageContent } = documentData;
+    if (!pageContent) throw new Error("Document has no content to sync.");
+
+    const { client } = await this.connect();
+    const known = (await DocumentVectors.where({ docId })).sort(
+      (a, b) => a.id - b.id
+    );
+    if (
+      known.length === 0 ||
+      !(await this.namespaceExists(client, namespace))
+    ) {
+      const { vectorized, error } =
+        (await this.addDocumentToNamespace(
+          namespace,
+          documentData,
+          fullFilePath,
+          true
+        )) || {};
+      if (!vectorized) throw new Error(error || "Document was not embedded.");
+      const added = (await DocumentVectors.where({ docId })).length;
+      return { added, removed: 0, kept: 0 };
+    }
+
+    const chunkingStrategy = await TextSplitter.strategyFor(namespace);
+    const { metadata, textChunks } = await this.chunkDocument(
+      documentData,
+      fullFilePath,
+      chunkingStrategy
+    );
+
+    const points = new Map();
+    for (const ids of toChunks(
+      known.map((record) => record.vectorId),
+      500
+    )) {
+      const retrieved = await client.retrieve(namespace, {
+        ids,
+        with_payload: true,
+        with_vector: true,
+      });
+      retrieved.forEach((point) => points.set(String(point.id), point));
+    }
+    const { kept, added, removed } = diffChunks(
+      known.map((record) => ({
+        id: record.vectorId,
+        hash: points.get(record.vectorId)?.payload?.chunkHash ?? null,
+      })),
+      textChunks
+    );
+    console.log(
+      `Re-syncing document in namespace ${namespace}: ${added.length} added, ${removed.length} removed, ${kept.length} unchanged chunks.`
+    );
+
+    // Chunks another workspace already embedded for this document are in the vector cache.
+    const cachedVectors = new Map();
+    const cache = await cachedVectorInformation(
+      fullFilePath,
+      false,
+      chunkingStrategy
+    );
+    cache.chunks.flat().forEach((chunk) => {
+      if (chunk?.payload?.chunkHash && chunk.vector)
+        cachedVectors.set(chunk.payload.chunkHash, chunk.vector);
+    });
+    const toEmbed = added.filter(
+      (index) => !cachedVectors.has(textChunks[index].hash)
+    );
+    const embedded =
+      toEmbed.length > 0
+        ? await getEmbeddingEngineSelection().embedChunks(
+            toEmbed.map((index) => textChunks[index].text)
+          )
+        : [];
+    if (!embedded || embedded.length !== toEmbed.length)
+      throw new Error("Could not embed document chunks!");
+    const embeddedVectors = new Map(
+      toEmbed.map((index, i) => [index, embedded[i]])
+    );
+
+    const addedRecords = added.map((index) => ({
+      id: uuidv4(),
+      vector:
+        embeddedVectors.get(index) ?? cachedVectors.get(textChunks[index].hash),
+      payload: {
+        ...metadata,
+        ...textChunks[index].metadata,
+        chunkHash: textChunks[index].hash,
+        text: textChunks[index].text,
+      },
+    }));
+    // Kept chunks keep their vectors, but their text starts with the document metadata header
+    // and document fields (eg: title, published) may have changed, so their payload is rebuilt.
+    const keptRecords = kept.map(({ index, id }) => {
+      const { vector, payload } = points.get(id);
+      return {
+        id,
+        vector,
+        payload: {
+          ...payload,
+          ...metadata,
+          ...textChunks[index].metadata,
+          chunkHash: textChunks[index].hash,
+          text: textChunks[index].text,
+        },
+      };
+    });
+    for (const batch of toChunks([...addedRecords, ...keptRecords], 500)) {
+      const additionResult = await client.upsert(namespace, {
+        wait: true,
+        batch: {
+          ids: batch.map((record) => record.id),
+          vectors: batch.map((record) => record.vector),
+          payloads: batch.map((record) => record.payload),
+        },
+      });
+      if (additionResult?.status !== "completed")
+        throw new Error("Error embedding into QDrant", additionResult);
+    }
+
+    // Document vectors are rewritten in chunk order since neighbouring chunks are looked up by that order.
+    // They are rewritten right after the upsert and before removed points are deleted, so a failure
+    // later on never leaves them referencing deleted points or missing the added ones.
+    const records = new Map([
+      ...kept.map(({ index }, i) => [index, keptRecords[i]]),
+      ...added.map((index, i) => [index, addedRecords[i]]),
+    ]);
+    const vectors = textChunks.map((_, index) => records.get(index));
+    await DocumentVectors.deleteIds(known.map((record) => record.id));
+    await DocumentVectors.bulkInsert(
+      vectors.map((record) => ({ docId, vectorId: record.id }))
+    );
+
+    await this.indexKeywords(
+      client,
+      namespace,
+      [...addedRecords, ...keptRecords].map((record) => ({
+        id: record.id,
+        text: record.payload.text,
+      }))
+    );
+
+    if (removed.length > 0) {
+      await client.delete(namespace, { wait: true, points: removed });
+      if (KeywordIndex.exists(namespace))
+        KeywordIndex.load(namespace).remove(removed).save();
+    }
+    await storeVectorResult(
+      toChunks(vectors, 500),
+      fullFilePath,
+      chunkingStrategy
+    );
+    return {
+      added: added.length,
+      removed: removed.length,
+      kept: kept.length,
+    };
+  },
   performSimilaritySearch: async function ({
     namespace = null,
     input = "",
@@ -334,6 +879,10 @@ const QDrant = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    hybrid = false,
+    rerank = false,
+    filter = null,
+    trace = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -348,13 +897,22 @@ const QDrant = {
     }
 
     const queryVector = await LLMConnector.embedTextInput(input);
-    const { contextTexts, sourceDocuments } = await this.similarityResponse({
+    const searchFn = hybrid
+      ? this.hybridSimilarityResponse
+      : rerank
+        ? this.rerankedSimilarityResponse
+        : this.similarityResponse;
+    const { contextTexts, sourceDocuments } = await searchFn.call(this, {
       client,
       namespace,
+      query: input,
       queryVector,
+      LLMConnector,
       similarityThreshold,
       topN,
       filterIdentifiers,
+      filter,
+      trace,
     });
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -366,6 +924,71 @@ const QDrant = {
       message: false,
     };
   },
+  /**
+   * Neighbouring chunks of retrieved vectors for parent-document retrieval.
+   * Chunks are ordered by the order their vectors were recorded when the document was embedded,
+   * so this also works for documents embedded before chunk positions were tracked.
+   * @param {string} namespace
+   * @param {string[]} vectorIds - ids of the retrieved chunks
+   * @param {number} window - number of chunks to include on each side of a retrieved chunk
+   * @returns {Promise<Object<string, {docId: string, position: number, chunks: {id: string, position: number, text: string, headingPath: string[]|null, pageStart: number|null, pageEnd: number|null}[]}>>}
+   *  keyed by retrieved vector id, chunks include the retrieved chunk itself
+   */
+  neighbourChunks: async function (namespace, vectorIds = [], window = 1) {
+    const { DocumentVectors } = require("../../../models/vectors");
+    if (vectorIds.length === 0 || window < 1) return {};
+    const { client } = await this.connect();
+    if (!(await this.namespaceExists(client, namespace))) return {};
+
+    const hits = await DocumentVectors.where({
+      vectorId: { in: vectorIds.map(String) },
+    });
+    const docIds = [...new Set(hits.map((record) => record.docId))];
+    const documentVectors = await DocumentVectors.where({
+      docId: { in: docIds },
+    });
+
+    const neighbours = {};
+    const wantedIds = new Set();
+    for (const hit of hits) {
+      const ordered = documentVectors
+        .filter((record) => record.docId === hit.docId)
+        .sort((a, b) => a.id - b.id)
+        .map((record) => record.vectorId);
+      const position = ordered.indexOf(hit.vectorId);
+      const span = ordered
+        .map((id, i) => ({ id, position: i }))
+        .slice(Math.max(position - window, 0), position + window + 1);
+      span.forEach((chunk) => wantedIds.add(chunk.id));
+      neighbours[hit.vectorId] = { docId: hit.docId, position, chunks: span };
+    }
+
+    const points = new Map();
+    for (const ids of toChunks([...wantedIds], 500)) {
+      const retrieved = await client.retrieve(namespace, {
+        ids,
+        with_payload: true,
+        with_vector: false,
+      });
+      retrieved.forEach((point) => points.set(String(point.id), point));
+    }
+
+    for (const neighbour of Object.values(neighbours)) {
+      neighbour.chunks = neighbour.chunks
+        .filter((chunk) => points.has(chunk.id))
+        .map((chunk) => {
+          const payload = points.get(chunk.id).payload || {};
+          return {
+            ...chunk,
+            text: payload.text || "",
+            headingPath: payload.headingPath || null,
+            pageStart: payload.pageStart ?? null,
+            pageEnd: payload.pageEnd ?? null,
+          };
+        });
+    }
+    return neighbours;
+  },
   "namespace-stats": async function (reqBody = {}) {
     const { namespace = null } = reqBody;
     if (!namespace) throw new Error("namespace required");
@@ -395,6 +1018,7 @@ const QDrant = {
     for (const collection of response.collections) {
       await client.deleteCollection(collection.name);
     }
+    KeywordIndex.dropAll();
     return { reset: true };
   },
   curateSources: function (sources = []) {
@@ -0,0 +1,258 @@
+const { RoleValidationError } = require("./roleManagementErrors");
+
+/**
+ * 工作区MCP服务器与工具策略
+ * 功能：控制每个工作区的Agent可以使用哪些MCP服务器以及服务器下的哪些工具
+ *
+ * - 没有策略记录的服务器默认启用全部工具（向后兼容）
+ * - allowedTools 为空表示允许全部工具，否则只允许列出的工具
+ * - deniedTools 优先于 allowedTools
+ * - 工具名支持 * 通配符，例如 "delete_*"
+ * - PromptX角色授权（WorkspaceRoleAuth）在此策略之后单独检查
+ */
+
+/**
+ * @typedef {Object} MCPServerPolicy
+ * @property {string} serverName
+ * @property {boolean} enabled
+ * @property {string[]} allowedTools - 为空时允许全部
+ * @property {string[]} deniedTools
+ */
+
+/**
+ * @typedef {Object} MCPPolicyDecision
+ * @property {boolean} allowed
+ * @property {string|null} reason - 被拒绝的原因
+ */
+
+class WorkspaceMCPPolicy {
+  /**
+   * @param {Object} options
+   * @param {Object} options.prisma - Prisma客户端（默认使用 ./prisma）
+   */
+  constructor(options = {}) {
+    this._prisma = options.prisma || null;
+  }
+
+  get prisma() {
+    if (!this._prisma) this._prisma = require("./prisma");
+    return this._prisma;
+  }
+
+  /**
+   * 获取工作区对某个MCP服务器的策略
+   * @param {number} workspaceId
+   * @param {string} serverName
+   * @returns {Promise<MCPServerPolicy|null>} 没有配置时返回null（全部允许）
+   */
+  async getPolicy(workspaceId, serverName) {
+    const record = await this.prisma.workspace_mcp_policies.findUnique({
+      where: {
+        workspaceId_serverName: {
+          workspaceId: Number(workspaceId),
+          serverName,
+        },
+      },
+    });
+    return record ? toPolicy(record) : null;
+  }
+
+  /**
+   * 列出工作区的全部策略
+   * @param {number} workspaceId
+   * @returns {Promise<MCPServerPolicy[]>}
+   */
+  async list(workspaceId) {
+    const records = await this.prisma.workspace_mcp_policies.findMany({
+      where: { workspaceId: Number(workspaceId) },
+      orderBy: { serverName: "asc" },
+    });
+    return records.map(toPolicy);
+  }
+
+  /**
+   * 检查工作区是否可以使用某个MCP工具
+   * 策略读取失败时放行，与PromptX角色授权读取失败时的处理一致
+   * @param {number} workspaceId
+   * @param {string} serverName
+   * @param {string|null} toolName - 为空时只检查服务器是否启用
+   * @returns {Promise<MCPPolicyDecision>}
+   */
+  async check(workspaceId, serverName, toolName = null) {
+    try {
+      const policy = await this.getPolicy(workspaceId, serverName);
+      return evaluatePolicy(policy, toolName);
+    } catch (error) {
+      console.warn(
+        `[MCPPolicy] 读取工作区 ${workspaceId} 的MCP策略失败，允许执行:`,
+        error.message
+      );
+      return { allowed: true, reason: null };
+    }
+  }
+
+  /**
+   * 创建或更新服务器策略
+   * @param {number} workspaceId
+   * @param {string} serverName
+   * @param {{enabled?: boolean, allowedTools?: string[], deniedTools?: string[]}} data
+   * @param {number|null} userId
+   * @returns {Promise<{previous: MCPServerPolicy|null, policy: MCPServerPolicy}>}
+   */
+  async upsert(workspaceId, serverName, data = {}, userId = null) {
+    const previous = await this.getPolicy(workspaceId, serverName);
+    const policy = validatePolicy({
+      enabled: previous?.enabled ?? true,
+      allowedTools: previous?.allowedTools ?? [],
+      deniedTools: previous?.deniedTools ?? [],
+      ...data,
+    });
+    const fields = {
+      enabled: policy.enabled,
+      allowedTools: JSON.stringify(policy.allowedTools),
+      deniedTools: JSON.stringify(policy.deniedTools),
+      updatedBy: userId,
+    };
+
+    const record = await this.prisma.workspace_mcp_policies.upsert({
+      where: {
+        workspaceId_serverName: {
+          workspaceId: Number(workspaceId),
+          serverName,
+        },
+      },
+      update: { ...fields, lastUpdatedAt: new Date() },
+      create: { workspaceId: Number(workspaceId), serverName, ...fields },
+    });
+    return { previous, policy: toPolicy(record) };
+  }
+
+  /**
+   * 删除服务器策略，恢复为默认（全部允许）
+   * @param {number} workspaceId
+   * @param {string} serverName
+   * @returns {Promise<MCPServerPolicy|null>} 被删除的策略
+   */
+  async remove(workspaceId, serverName) {
+    const previous = await this.getPolicy(workspaceId, serverName);
+    if (!previous) return null;
+    await this.prisma.workspace_mcp_policies.delete({
+      where: {
+        workspaceId_serverName: {
+          workspaceId: Number(workspaceId),
+          serverName,
+        },
+      },
+    });
+    return previous;
+  }
+
+  /**
+   * 记录被策略拒绝的工具调用
+   * 审计日志需要关联用户，单用户模式下没有用户时只输出日志
+   * @param {Object} denial
+   * @param {number} denial.workspaceId
+   * @param {string} denial.serverName
+   * @param {string} denial.toolName
+   * @param {string} denial.reason
+   * @param {number|null} denial.userId
+   */
+  async recordDenial({ workspaceId, serverName, toolName, reason, userId }) {
+    console.log(
+      `[MCPPolicy] 工作区 ${workspaceId} 拒绝调用 ${serverName}:${toolName} - ${reason}`
+    );
+    if (!userId) return;
+    await require("./workspaceRoleAuth")
+      .shared()
+      .logConfigurationChange(
+        Number(workspaceId),
+        null,
+        "MCP_TOOL_DENIED",
+        null,
+        { serverName, toolName, reason },
+        Number(userId)
+      );
+  }
+}
+
+/**
+ * 按策略判断服务器/工具是否可用
+ * @param {MCPServerPolicy|null} policy
+ * @param {string|null} toolName
+ * @returns {MCPPolicyDecision}
+ */
+function evaluatePolicy(policy, toolName = null) {
+  if (!policy) return { allowed: true, reason: null };
+  if (!policy.enabled)
+    return {
+      allowed: false,
+      reason: `MCP服务器 "${policy.serverName}" 在当前工作区中未启用`,
+    };
+  if (!toolName) return { allowed: true, reason: null };
+
+  if (policy.deniedTools.some((pattern) => matchesTool(pattern, toolName)))
+    return {
+      allowed: false,
+      reason: `工具 "${toolName}" 被当前工作区禁止使用`,
+    };
+  if (
+    policy.allowedTools.length > 0 &&
+    !policy.allowedTools.some((pattern) => matchesTool(pattern, toolName))
+  )
+    return {
+      allowed: false,
+      reason: `工具 "${toolName}" 不在当前工作区允许的工具列表中`,
+    };
+  return { allowed: true, reason: null };
+}
+
+function matchesTool(pattern, toolName) {
+  if (!pattern.includes("*")) return pattern === toolName;
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`).test(toolName);
+}
+
+function validatePolicy(data) {
+  const errors = [];
+  if (typeof data.enabled !== "boolean")
+    errors.push("enabled must be a boolean");
+  for (const field of ["allowedTools", "deniedTools"]) {
+    if (
+      !Array.isArray(data[field]) ||
+      data[field].some((name) => typeof name !== "string" || !name.trim())
+    )
+      errors.push(`${field} must be an array of tool names`);
+  }
+  if (errors.length > 0)
+    throw new RoleValidationError(`Validation failed: ${errors.join(", ")}`);
+
+  return {
+    enabled: data.enabled,
+    allowedTools: [...new Set(data.allowedTools.map((name) => name.trim()))],
+    deniedTools: [...new Set(data.deniedTools.map((name) => name.trim()))],
+  };
+}
+
+function toPolicy(record) {
+  const parse = (value) => {
+    try {
+      const parsed = JSON.parse(value || "[]");
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  };
+  return {
+    serverName: record.serverName,
+    enabled: record.enabled,
+    allowedTools: parse(record.allowedTools),
+    deniedTools: parse(record.deniedTools),
+  };
+}
+
+module.exports = new WorkspaceMCPPolicy();
+module.exports.WorkspaceMCPPolicy = WorkspaceMCPPolicy;
+module.exports.evaluatePolicy = evaluatePolicy;
@@ -1,10 +1,23 @@
 const { PrismaClient } = require('@prisma/client');
 
 class WorkspaceRoleAuth {
+  static _shared = null;
+
   constructor() {
     this.prisma = new PrismaClient();
   }
 
+  /**
+   * 进程内共用的实例：每个实例都有自己的PrismaClient和连接池，长期存在的服务应使用这个实例
+   * @returns {WorkspaceRoleAuth}
+   */
+  static shared() {
+    if (!WorkspaceRoleAuth._shared) {
+      WorkspaceRoleAuth._shared = new WorkspaceRoleAuth();
+    }
+    return WorkspaceRoleAuth._shared;
+  }
+
   /**
    * 检查工作区是否启用了PromptX - 现在始终返回true
    * @param {number} workspaceId
@@ -51,6 +64,25 @@ class WorkspaceRoleAuth {
     }
   }
 
+  /**
+   * 获取工作区为角色固定的版本
+   * @param {number} workspaceId
+   * @param {string} roleId
+   * @returns {Promise<string|null>} 未固定时返回null（跟随当前生效版本）
+   */
+  async getPinnedVersion(workspaceId, roleId) {
+    try {
+      const role = await this.prisma.workspace_promptx_roles.findUnique({
+        where: { workspaceId_roleId: { workspaceId, roleId } },
+        select: { pinnedVersion: true }
+      });
+      return role?.pinnedVersion || null;
+    } catch (error) {
+      console.error('Error getting pinned role version:', error);
+      return null;
+    }
+  }
+
   /**
    * 检查角色是否在工作区中授权
    * @param {number} workspaceId